@@ -16,456 +16,12947 @@
 # PART 1: BACKEND APPLICATION (Node.js/Express)
 # ============================================
 
-# FILE: backend/server.js
-cat > backend/server.js << 'EOF'
+# FILE: backend/app.js
+cat > backend/app.js << 'EOF'
 const express = require('express');
-const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const os = require('os');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const { config } = require('./config');
+const { metricsMiddleware, metricsHandler } = require('./metrics');
+const { logger, requestId, accessLog } = require('./logger');
+const { ApiError, sendError, errorHandler, toErrorResponse } = require('./errors');
+const {
+  TASK_FIELDS, MOVE_FIELDS, PRIORITIES, SORT_FIELDS, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, MAX_BATCH_OPERATIONS, MAX_IMPORT_ROWS,
+  EXPORT_COLUMNS, validateFields, validateBody
+} = require('./validation');
+const { DuplicateKeyError } = require('./repositories');
+const { objectId } = require('./repositories/common');
+const { rankBetween } = require('./ranks');
+const { createAuthRouter, requireAuth } = require('./auth');
+const { HISTORY_FIELDS, diffFields } = require('./history');
+const { nextOccurrence } = require('./recurrence');
+const { parseCsv, toCsvRow } = require('./csv');
+const { createHealthRouter, trackRequests, onShutdown } = require('./health');
+const { rateLimit, isRead } = require('./rate-limit');
+const { spec, createDocsRouter } = require('./openapi');
+const { validateRequests, validateResponses } = require('./contract');
+const { versionedApi } = require('./versioning');
+const { pageValidators, invalidateLists } = require('./list-cache');
+const { attachmentKey, removeAttachmentFiles } = require('./blob-store');
+const { MAX_ATTACHMENTS, UPLOAD_BODY_LIMIT, readUpload, contentDisposition } = require('./uploads');
 
-const app = express();
-const PORT = process.env.PORT || 5000;
-const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/fullstack-app';
+const TRASH_RETENTION_DAYS = config.trashRetentionDays;
+const JSON_BODY_LIMIT = config.jsonBodyLimit;
+const BULK_BODY_LIMIT = config.bulkBodyLimit;
+// Browser origins allowed by CORS
+const CORS_ORIGINS = config.corsOrigins;
+// Requests per minute, per client IP and per logged-in user
+const RATE_LIMITS = config.rateLimit;
+// Tries at a move while concurrent moves keep taking the rank it picked
+const MAX_MOVE_ATTEMPTS = 5;
+// Tries at adding or removing an attachment while other changes to the task
+// keep giving it a new version
+const MAX_ATTACHMENT_ATTEMPTS = 5;
+const LIST_CACHE_TTL_MS = config.listCache.ttlSeconds * 1000;
+// Task and list responses may be stored, but are revalidated before every
+// use (a conditional GET), never served stale
+const REVALIDATE = 'private, no-cache';
 
-// Middleware
-app.use(helmet());
-app.use(cors());
-app.use(express.json());
-app.use(morgan('combined'));
+// Build the Express app on top of a storage driver (see repositories/), an
+// event bus (see events.js), a rate limit store (see rate-limit.js), a blob
+// store for attachments (see blob-store.js) and optionally a list cache (see
+// list-cache.js). Listening and shutdown are left to the caller (index.js),
+// so tests can mount the app with in-memory dependencies.
+function createApp({ storage, eventBus, rateLimitStore, blobStore, listCache = null }) {
+  const app = express();
 
-// MongoDB Connection
-mongoose.connect(MONGODB_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-})
-.then(() => console.log('✅ MongoDB Connected'))
-.catch(err => console.error('❌ MongoDB Connection Error:', err));
+  // The ALB adds one X-Forwarded-For hop; trust it so req.ip is the client
+  app.set('trust proxy', config.trustProxyHops);
 
-// Task Schema
-const TaskSchema = new mongoose.Schema({
-  title: { type: String, required: true },
-  description: String,
-  completed: { type: Boolean, default: false },
-  createdAt: { type: Date, default: Date.now },
-  serverHostname: String,
-  serverIp: String
-});
+  // Every response, errors and health checks included, names the instance
+  // that served it, so clients can see how the ALB spreads their requests
+  const servedBy = `${config.instanceName || os.hostname()} (${getServerIp()})`;
 
-const Task = mongoose.model('Task', TaskSchema);
+  // Middleware
+  app.use(requestId);
+  app.use((req, res, next) => {
+    res.set('X-Served-By', servedBy);
+    next();
+  });
+  app.use(accessLog);
+  app.use(trackRequests);
+  app.use(metricsMiddleware);
+  // Log responses that drift from the OpenAPI document (development default)
+  if (config.openapi.validateResponses) app.use(validateResponses(spec));
+  app.use(helmet());
+  app.use(cors({
+    // Requests without an Origin (curl, health checks) aren't subject to CORS
+    origin: (origin, callback) => callback(null, !origin || CORS_ORIGINS.includes(origin)),
+    // Lets the ALB's stickiness cookie (AWSALBCORS) go with cross-origin
+    // requests; the API itself authenticates with bearer tokens, not cookies
+    credentials: true,
+    exposedHeaders: [
+      'ETag', 'Content-Disposition', 'X-Request-Id', 'X-Served-By', 'Retry-After',
+      'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy',
+      'API-Version', 'Deprecation', 'Sunset', 'Link'
+    ]
+  }));
 
-// Health Check Endpoint (for ALB)
-app.get('/health', (req, res) => {
-  const healthcheck = {
-    uptime: process.uptime(),
-    message: 'OK',
-    timestamp: Date.now(),
-    hostname: os.hostname(),
-    ip: getServerIp()
-  };
-  
-  res.status(200).json(healthcheck);
-});
+  // Rate limits per client IP, with separate read and write budgets
+  app.use('/api', rateLimit({
+    name: 'ip-read', limit: RATE_LIMITS.readPerIp, store: rateLimitStore,
+    key: req => isRead(req) ? req.ip : null
+  }));
+  app.use('/api', rateLimit({
+    name: 'ip-write', limit: RATE_LIMITS.writePerIp, store: rateLimitStore,
+    key: req => !isRead(req) && req.method !== 'OPTIONS' ? req.ip : null
+  }));
+
+  // Health Check Endpoints (liveness and readiness, for the ALB)
+  app.use('/health', createHealthRouter({
+    info: () => ({ hostname: os.hostname(), ip: getServerIp() }),
+    checks: { storage: () => storage.ping() }
+  }));
+
+  // Prometheus Metrics Endpoint
+  app.get('/metrics', metricsHandler);
+
+  // REST API by version, under /api/v<n>; the unversioned /api/... paths
+  // remain as aliases (see versioning.js)
+  app.use('/api', versionedApi({
+    1: { router: createApiRouter({ storage, eventBus, rateLimitStore, blobStore, listCache }) }
+  }, { unversioned: 1 }));
+
+  // Errors raised by middleware (JSON parsing, validation)
+  app.use(errorHandler);
+
+  return app;
+}
+
+// Version 1 of the REST API, mounted under /api/v1 and at the unversioned
+// /api aliases
+function createApiRouter({ storage, eventBus, rateLimitStore, blobStore, listCache }) {
+  const router = express.Router();
+  // Parsed on the upload route itself, after authentication and rate limits
+  const uploadBody = express.raw({ type: 'multipart/form-data', limit: UPLOAD_BODY_LIMIT });
+
+  router.use(['/tasks/batch', '/tasks/import'], express.json({ limit: BULK_BODY_LIMIT }));
+  router.use('/tasks/import', express.text({ type: 'text/csv', limit: BULK_BODY_LIMIT }));
+  router.use(express.json({ limit: JSON_BODY_LIMIT }));
+
+  // Stricter budget for credential endpoints, against password guessing
+  router.use(['/auth/login', '/auth/register'], rateLimit({
+    name: 'auth', limit: RATE_LIMITS.authPerIp, store: rateLimitStore,
+    key: req => req.ip
+  }));
+
+  // Server Info Endpoint
+  router.get('/server-info', (req, res) => {
+    res.json({
+      hostname: os.hostname(),
+      ip: getServerIp(),
+      platform: os.platform(),
+      uptime: process.uptime(),
+      memory: {
+        total: Math.round(os.totalmem() / 1024 / 1024),
+        free: Math.round(os.freemem() / 1024 / 1024)
+      }
+    });
+  });
+
+  // OpenAPI document (/api/v1/openapi.json) and interactive explorer (/api/v1/docs)
+  if (config.openapi.docs) router.use(createDocsRouter(spec));
+
+  // Every task route requires a logged-in user and only sees that user's tasks
+  router.use('/tasks', requireAuth);
+
+  // Per-user budgets, so one account can't exhaust the API from many IPs
+  const userRateLimits = [
+    rateLimit({
+      name: 'user-read', limit: RATE_LIMITS.readPerUser, store: rateLimitStore,
+      key: req => isRead(req) ? req.user.id : null
+    }),
+    rateLimit({
+      name: 'user-write', limit: RATE_LIMITS.writePerUser, store: rateLimitStore,
+      key: req => !isRead(req) ? req.user.id : null
+    })
+  ];
+  router.use('/tasks', userRateLimits);
+
+  // Reject requests that don't match the OpenAPI document (after
+  // authentication, so anonymous callers get a 401 rather than a 400)
+  router.use(validateRequests(spec));
+
+  // Authentication
+  router.use('/auth', createAuthRouter(storage));
+
+  // Live task changes for the current user, as Server-Sent Events.
+  // The stream ends when the access token expires; the client reconnects
+  // with a refreshed token.
+  router.get('/events', requireAuth, userRateLimits, (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
 
-// Server Info Endpoint
-app.get('/api/server-info', (req, res) => {
-  res.json({
-    hostname: os.hostname(),
-    ip: getServerIp(),
-    platform: os.platform(),
-    uptime: process.uptime(),
-    memory: {
-      total: Math.round(os.totalmem() / 1024 / 1024),
-      free: Math.round(os.freemem() / 1024 / 1024)
+    const unsubscribe = eventBus.subscribe(event => {
+      if (String(event.owner) !== req.user.id) return;
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+
+    // Comment lines keep the connection inside the ALB idle timeout (60s)
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+    const expiry = setTimeout(() => res.end(), Math.max(req.user.exp * 1000 - Date.now(), 0));
+    // End the stream on shutdown; the client reconnects to another instance
+    const unregister = onShutdown(() => res.end());
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe();
+      unregister();
+    });
+  });
+
+  // Get tasks (paginated)
+  // Query: limit, cursor, sort (e.g. "-createdAt", "dueDate", "rank" for the
+  // manual order), q (text search),
+  // completed, priority, tag, createdAfter, createdBefore, dueAfter, dueBefore,
+  // serverHostname
+  // With a list cache, the ETag and Last-Modified come from the user's list
+  // revision, so If-None-Match is answered before querying and unchanged
+  // pages come from the cache. Without one, Express hashes the body for the
+  // ETag; there is no Last-Modified, which would take another query.
+  router.get('/tasks', async (req, res) => {
+    try {
+      const query = parseTaskListQuery(req.query);
+      res.set('Cache-Control', REVALIDATE);
+
+      const revision = await listRevision(req.user.id);
+      if (!revision) return res.json(await loadTaskList(req, query));
+
+      const { key, etag } = pageValidators(req.user.id, revision, query);
+      res.set({ ETag: etag, 'Last-Modified': revision.modifiedAt.toUTCString() });
+      if (req.fresh) return res.status(304).end();
+      const cached = await listCache.get(key).catch(err => {
+        logger.warn({ err }, 'List cache unavailable');
+        return null;
+      });
+      if (cached) return res.type('json').send(cached);
+
+      const body = await loadTaskList(req, query);
+      listCache.set(key, JSON.stringify(body), LIST_CACHE_TTL_MS)
+        .catch(err => logger.warn({ err }, 'List cache unavailable'));
+      res.json(body);
+    } catch (error) {
+      sendError(res, error);
     }
   });
-});
 
-// Get all tasks
-app.get('/api/tasks', async (req, res) => {
-  try {
-    const tasks = await Task.find().sort({ createdAt: -1 });
-    res.json(tasks);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  // Trash: deleted tasks, newest first, kept for TRASH_RETENTION_DAYS
+  // (declared before the /api/tasks/:id routes so "trash" isn't taken as an id)
+  router.get('/tasks/trash', async (req, res) => {
+    try {
+      const limit = req.query.limit === undefined ? MAX_PAGE_SIZE : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new ApiError(400, 'invalid_query', 'Invalid query parameters', [
+          { field: 'limit', code: 'invalid_value', message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` }
+        ]);
+      }
+      const scope = { owner: req.user.id, trashed: true };
+      const tasks = await storage.tasks.find(scope, { sort: { field: 'deletedAt', dir: -1 }, limit });
+      res.json({
+        data: tasks,
+        retentionDays: TRASH_RETENTION_DAYS,
+        total: await storage.tasks.count(scope)
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Empty the trash
+  router.delete('/tasks/trash', async (req, res) => {
+    try {
+      const tasks = await storage.tasks.removeMany({ owner: req.user.id, trashed: true });
+      for (const task of tasks) {
+        await recordTaskHistory(req, 'purged', task, null);
+        await removeAttachmentFiles(blobStore, task);
+        publishTaskEvent('task.purged', task);
+      }
+      res.json({ message: 'Trash emptied', purged: tasks.length });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Export tasks as a JSON array or CSV, streamed from storage.
+  // Accepts the same filters and sort as GET /api/tasks, without paging.
+  router.get('/tasks/export', async (req, res) => {
+    try {
+      const { format = 'json', limit, cursor: pageCursor, ...params } = req.query;
+      if (!['json', 'csv'].includes(format)) {
+        throw new ApiError(400, 'invalid_query', 'Invalid query parameters', [
+          { field: 'format', code: 'invalid_value', message: 'format must be "json" or "csv"' }
+        ]);
+      }
+      const { criteria, sort } = parseTaskListQuery(params);
+      const rows = storage.tasks.stream({ ...criteria, owner: req.user.id, trashed: false }, { sort });
+      const filename = `tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.set({
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+
+      // Respect backpressure so large exports don't buffer in memory
+      const write = async chunk => {
+        if (!res.write(chunk)) await once(res, 'drain');
+      };
+
+      await write(format === 'csv' ? toCsvRow(EXPORT_COLUMNS) : '[');
+      let first = true;
+      for await (const task of rows) {
+        if (req.destroyed) break;
+        if (format === 'csv') {
+          await write(toCsvRow(EXPORT_COLUMNS.map(column => csvValue(column, task[column]))));
+        } else {
+          const row = Object.fromEntries(EXPORT_COLUMNS.map(column => [column, task[column]]));
+          await write(`${first ? '' : ','}\n${JSON.stringify(row)}`);
+        }
+        first = false;
+      }
+      if (format === 'json') await write('\n]\n');
+      res.end();
+    } catch (error) {
+      if (!res.headersSent) return sendError(res, error);
+      logger.error({ err: error }, 'Export failed mid-stream');
+      res.destroy(error);
+    }
+  });
+
+  // Import tasks from a JSON array or a CSV body (Content-Type: text/csv).
+  // Columns other than the writable task fields (e.g. _id, createdAt from an
+  // export) are ignored. Every row is validated; valid rows are inserted unless
+  // ?dryRun=true, and the response reports the outcome of each row.
+  router.post('/tasks/import', async (req, res) => {
+    try {
+      let rows;
+      if (req.is('text/csv')) {
+        try {
+          rows = parseCsv(typeof req.body === 'string' ? req.body : '');
+        } catch (error) {
+          throw new ApiError(400, 'invalid_csv', `CSV could not be parsed: ${error.message}`);
+        }
+      } else if (Array.isArray(req.body)) {
+        rows = req.body;
+      } else {
+        throw new ApiError(400, 'invalid_body', 'Request body must be a JSON array or CSV');
+      }
+      if (rows.length > MAX_IMPORT_ROWS) {
+        throw new ApiError(422, 'too_many_rows', `At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+      }
+
+      const results = [];
+      const valid = [];
+      rows.forEach((row, index) => {
+        try {
+          const values = withRecurrenceDueDate(validateFields(TASK_FIELDS, importRow(row)));
+          valid.push({ index, values });
+        } catch (error) {
+          results[index] = { row: index + 1, status: 'invalid', ...toErrorResponse(error).body };
+        }
+      });
+
+      const dryRun = req.query.dryRun === 'true';
+      if (!dryRun && valid.length > 0) {
+        const inserted = await storage.tasks.insertMany(valid.map(({ values }) => ({
+          ...values,
+          owner: req.user.id,
+          serverHostname: os.hostname(),
+          serverIp: getServerIp()
+        })));
+        inserted.forEach((task, i) => {
+          results[valid[i].index] = { row: valid[i].index + 1, status: 'imported', id: task._id };
+        });
+        await storage.history.append(inserted.map(task => historyEntry(req, 'created', null, task)))
+          .catch(err => logger.error({ err }, 'Task history write failed'));
+        await invalidateLists(listCache, req.user.id);
+        publishBulkEvent(req.user.id, 'tasks.imported', inserted.length);
+      } else {
+        valid.forEach(({ index }) => {
+          results[index] = { row: index + 1, status: 'valid' };
+        });
+      }
+
+      res.status(dryRun ? 200 : 201).json({
+        dryRun,
+        total: rows.length,
+        imported: dryRun ? 0 : valid.length,
+        failed: rows.length - valid.length,
+        results
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Apply many create/update/delete operations in one request.
+  // Body: { atomic?: boolean, operations: [
+  //   { op: 'create', data },
+  //   { op: 'update', id, data, version? },
+  //   { op: 'delete', id, version? } ] }
+  // Each result carries the HTTP status the single-task route would have
+  // returned. With atomic: true everything runs in one transaction (with Mongo
+  // this requires a replica set) and the first failure rolls the whole batch back.
+  router.post('/tasks/batch', async (req, res) => {
+    try {
+      const { operations, atomic = false } = req.body || {};
+      if (!Array.isArray(operations) || operations.length === 0) {
+        throw new ApiError(400, 'invalid_body', 'operations must be a non-empty array');
+      }
+      if (operations.length > MAX_BATCH_OPERATIONS) {
+        throw new ApiError(422, 'too_many_operations', `At most ${MAX_BATCH_OPERATIONS} operations are allowed per batch`);
+      }
+      if (typeof atomic !== 'boolean') {
+        throw new ApiError(422, 'validation_failed', 'Validation failed', [
+          { field: 'atomic', code: 'invalid_type', message: 'atomic must be a boolean' }
+        ]);
+      }
+
+      let results;
+      let events;
+      const runAll = async session => {
+        results = [];
+        events = [];
+        for (const [index, operation] of operations.entries()) {
+          const result = await runBatchOperation(req, operation, session, events);
+          results.push({ index, ...result });
+          if (atomic && result.status >= 400) throw new BatchAbortedError(index);
+        }
+      };
+
+      if (atomic) {
+        try {
+          await storage.transaction(runAll);
+        } catch (error) {
+          if (!(error instanceof BatchAbortedError)) throw error;
+          return res.status(409).json({
+            error: {
+              code: 'batch_aborted',
+              message: `Operation ${error.index} failed; no changes were applied`,
+              errors: [],
+              results: results.map(result => result.status < 400
+                ? { index: result.index, op: result.op, status: 424, rolledBack: true }
+                : result)
+            }
+          });
+        }
+      } else {
+        await runAll(null);
+      }
+
+      // After the commit, so no page read inside the transaction is cached as current
+      if (events.length > 0) await invalidateLists(listCache, req.user.id);
+      events.forEach(([type, task]) => publishTaskEvent(type, task));
+      const failed = results.filter(result => result.status >= 400).length;
+      res.json({ atomic, succeeded: results.length - failed, failed, results });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Create task
+  router.post('/tasks', validateBody(TASK_FIELDS), async (req, res) => {
+    try {
+      const savedTask = await storage.tasks.insert({
+        ...withRecurrenceDueDate(req.validatedBody),
+        owner: req.user.id,
+        serverHostname: os.hostname(),
+        serverIp: getServerIp()
+      });
+      await recordTaskHistory(req, 'created', null, savedTask);
+      await invalidateLists(listCache, req.user.id);
+      res.status(201).set('ETag', taskEtag(savedTask)).json(savedTask);
+      publishTaskEvent('task.created', savedTask);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Get one task (not in the trash), with its version as the ETag; Express
+  // answers If-None-Match (or If-Modified-Since) with 304 when it is current
+  router.get('/tasks/:id', async (req, res) => {
+    try {
+      const task = await storage.tasks.findOne({ id: req.params.id, owner: req.user.id, trashed: false });
+      if (!task) throw new ApiError(404, 'not_found', 'Task not found');
+      res.set({
+        ETag: taskEtag(task),
+        'Last-Modified': new Date(task.updatedAt).toUTCString(),
+        'Cache-Control': REVALIDATE
+      }).json(task);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Update task
+  // Every update bumps __v; with If-Match the update only applies to that version.
+  router.put('/tasks/:id', validateBody(TASK_FIELDS, { partial: true }), async (req, res) => {
+    try {
+      const condition = versionCondition(req);
+      const changes = await completeChanges(condition, req.validatedBody);
+      const { before, task } = changes
+        ? await storage.tasks.update(condition, changes)
+        : { before: null, task: null };
+      if (!task) return await sendMissOrConflict(req, res);
+      await recordTaskHistory(req, 'updated', before, task);
+      await invalidateLists(listCache, req.user.id);
+      res.set('ETag', taskEtag(task)).json(task);
+      publishTaskEvent('task.updated', task);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Move a task in the manual order (sort=rank): right after or right before
+  // another task, or to the top or bottom. Only the moved task is written; it
+  // gets a rank between its new neighbours. If a concurrent move (on any
+  // instance) takes that rank first, the neighbours are read again.
+  // Honours If-Match like PUT.
+  router.post('/tasks/:id/move', validateBody(MOVE_FIELDS, { partial: true }), async (req, res) => {
+    try {
+      const target = req.validatedBody;
+      if (target.after !== undefined && target.before !== undefined) {
+        throw new ApiError(422, 'validation_failed', 'Validation failed', [
+          { field: null, code: 'invalid_value', message: 'Give either after or before, not both' }
+        ]);
+      }
+      const condition = versionCondition(req);
+      let result = null;
+      for (let attempt = 1; !result; attempt++) {
+        const rank = await moveRank(req, target);
+        try {
+          result = await storage.tasks.update(condition, { rank });
+        } catch (error) {
+          if (!(error instanceof DuplicateKeyError && error.field === 'rank')) throw error;
+          if (attempt === MAX_MOVE_ATTEMPTS) {
+            throw new ApiError(409, 'move_conflict', 'The list kept changing while the task was moved; try again');
+          }
+        }
+      }
+      const { before, task } = result;
+      if (!task) return await sendMissOrConflict(req, res);
+      await recordTaskHistory(req, 'moved', before, task);
+      await invalidateLists(listCache, req.user.id);
+      res.set('ETag', taskEtag(task)).json(task);
+      publishTaskEvent('task.updated', task);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Delete task (moves it to the trash)
+  router.delete('/tasks/:id', async (req, res) => {
+    try {
+      const { before, task } = await storage.tasks.update(versionCondition(req), { deletedAt: new Date() });
+      if (!task) return await sendMissOrConflict(req, res);
+      await recordTaskHistory(req, 'deleted', before, task);
+      await invalidateLists(listCache, req.user.id);
+      res.json({ message: 'Task moved to trash', retentionDays: TRASH_RETENTION_DAYS });
+      publishTaskEvent('task.deleted', task);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Restore a task from the trash
+  router.post('/tasks/trash/:id/restore', async (req, res) => {
+    try {
+      const scope = { trashed: true };
+      const { before, task } = await storage.tasks.update(versionCondition(req, scope), { deletedAt: null });
+      if (!task) return await sendMissOrConflict(req, res, scope);
+      await recordTaskHistory(req, 'restored', before, task);
+      await invalidateLists(listCache, req.user.id);
+      res.set('ETag', taskEtag(task)).json(task);
+      publishTaskEvent('task.restored', task);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Permanently delete a task from the trash
+  router.delete('/tasks/trash/:id', async (req, res) => {
+    try {
+      const scope = { trashed: true };
+      const task = await storage.tasks.remove(versionCondition(req, scope));
+      if (!task) return await sendMissOrConflict(req, res, scope);
+      await recordTaskHistory(req, 'purged', task, null);
+      await removeAttachmentFiles(blobStore, task);
+      res.json({ message: 'Task permanently deleted' });
+      publishTaskEvent('task.purged', task);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Change history of a task, newest first. Kept after the task is purged.
+  router.get('/tasks/:id/history', async (req, res) => {
+    try {
+      const entries = await storage.history.list({ task: req.params.id, owner: req.user.id }, { limit: 500 });
+      if (entries.length === 0 && !await storage.tasks.findOne({ id: req.params.id, owner: req.user.id })) {
+        throw new ApiError(404, 'not_found', 'Task not found');
+      }
+      res.json({ data: entries });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Attach a file to a task: multipart/form-data with the file in a "file"
+  // field (see uploads.js). The task is checked before anything is stored;
+  // then the file is stored and listed on the task, so a listed attachment
+  // always has its file (and one the task changed under is removed again).
+  // Adding it is a change to the task (a new version, in its history);
+  // honours If-Match like PUT.
+  router.post('/tasks/:id/attachments', uploadBody, async (req, res) => {
+    try {
+      const upload = readUpload(req);
+      const checkLimit = (attachments) => {
+        if (attachments.length >= MAX_ATTACHMENTS) {
+          throw new ApiError(422, 'too_many_attachments', `A task can have at most ${MAX_ATTACHMENTS} attachments`);
+        }
+      };
+      const current = await storage.tasks.findOne(versionCondition(req));
+      if (!current) return await sendMissOrConflict(req, res);
+      checkLimit(current.attachments);
+
+      const attachment = {
+        _id: objectId(),
+        name: upload.name,
+        type: upload.type,
+        size: upload.content.length,
+        createdAt: new Date()
+      };
+      await blobStore.put(attachmentKey(req.user.id, req.params.id, attachment._id), upload.content, {
+        contentType: upload.type
+      });
+
+      let result = { before: null, task: null };
+      try {
+        result = await updateAttachments(req, attachments => {
+          checkLimit(attachments);
+          return [...attachments, attachment];
+        });
+      } finally {
+        if (!result.task) await removeAttachmentFiles(blobStore, { owner: req.user.id, _id: req.params.id }, [attachment]);
+      }
+      const { before, task } = result;
+      if (!task) return await sendMissOrConflict(req, res);
+      await recordTaskHistory(req, 'updated', before, task);
+      await invalidateLists(listCache, req.user.id);
+      res.status(201).set({
+        ETag: taskEtag(task),
+        Location: `${req.baseUrl}/tasks/${task._id}/attachments/${attachment._id}`
+      }).json(task);
+      publishTaskEvent('task.updated', task);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Download an attachment of a task (not in the trash). Images are sent
+  // inline, for thumbnails, unless ?download=true. A file never changes, so
+  // clients may keep it for good.
+  router.get('/tasks/:id/attachments/:attachmentId', async (req, res) => {
+    try {
+      const task = await storage.tasks.findOne({ id: req.params.id, owner: req.user.id, trashed: false });
+      const attachmentId = req.params.attachmentId.toLowerCase();
+      const attachment = task && task.attachments.find(item => item._id === attachmentId);
+      if (!attachment) throw new ApiError(404, 'not_found', 'Attachment not found');
+
+      res.set({
+        ETag: `"${attachment._id}"`,
+        'Last-Modified': new Date(attachment.createdAt).toUTCString(),
+        'Cache-Control': 'private, max-age=31536000, immutable'
+      });
+      if (req.fresh) return res.status(304).end();
+
+      const file = await blobStore.get(attachmentKey(task.owner, task._id, attachment._id));
+      if (!file) {
+        logger.error({ taskId: String(task._id), attachmentId }, 'Attachment file is missing');
+        throw new ApiError(404, 'not_found', 'Attachment file not found');
+      }
+      res.set({
+        'Content-Type': attachment.type,
+        'Content-Length': String(attachment.size),
+        'Content-Disposition': contentDisposition(attachment, { download: req.query.download === 'true' })
+      });
+      await pipeline(file, res);
+    } catch (error) {
+      if (!res.headersSent) return sendError(res, error);
+      // A client that went away mid-download isn't a server problem
+      if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') logger.error({ err: error }, 'Attachment download failed mid-stream');
+      res.destroy();
+    }
+  });
+
+  // Remove an attachment from a task, then its file. Honours If-Match like PUT.
+  router.delete('/tasks/:id/attachments/:attachmentId', async (req, res) => {
+    try {
+      const attachmentId = req.params.attachmentId.toLowerCase();
+      let removed = null;
+      const { before, task } = await updateAttachments(req, attachments => {
+        removed = attachments.find(item => item._id === attachmentId);
+        if (!removed) throw new ApiError(404, 'not_found', 'Attachment not found');
+        return attachments.filter(item => item !== removed);
+      });
+      if (!task) return await sendMissOrConflict(req, res);
+      await recordTaskHistory(req, 'updated', before, task);
+      await invalidateLists(listCache, req.user.id);
+      await removeAttachmentFiles(blobStore, task, [removed]);
+      res.set('ETag', taskEtag(task)).json(task);
+      publishTaskEvent('task.updated', task);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // A page of the user's tasks, as GET /api/tasks returns it
+  async function loadTaskList(req, { criteria, sort, limit, cursor }) {
+    const scope = { ...criteria, owner: req.user.id, trashed: false };
+
+    // Fetch one extra task to know whether another page exists
+    const found = await storage.tasks.find(scope, { sort, limit: limit + 1, after: cursor });
+    const hasMore = found.length > limit;
+    const tasks = hasMore ? found.slice(0, limit) : found;
+    const last = tasks[tasks.length - 1];
+
+    return {
+      data: tasks,
+      paging: {
+        limit,
+        sort: `${sort.dir === -1 ? '-' : ''}${sort.field}`,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(last[sort.field], last._id) : null,
+        total: await storage.tasks.count(scope)
+      }
+    };
   }
-});
 
-// Create task
-app.post('/api/tasks', async (req, res) => {
-  try {
-    const task = new Task({
-      ...req.body,
-      serverHostname: os.hostname(),
-      serverIp: getServerIp()
+  // The user's list revision, or null without a list cache (or while its
+  // store is unavailable)
+  async function listRevision(owner) {
+    if (!listCache) return null;
+    try {
+      return await listCache.revision(owner);
+    } catch (error) {
+      logger.warn({ err: error }, 'List cache unavailable');
+      return null;
+    }
+  }
+
+  // Run one batch operation and describe its outcome as { op, status, id, task }
+  // or { op, status, error }. Events are queued in `events` and only published
+  // once the batch has been committed.
+  async function runBatchOperation(req, operation, session, events) {
+    const op = operation && operation.op;
+    try {
+      if (!['create', 'update', 'delete'].includes(op)) {
+        throw new ApiError(422, 'validation_failed', 'Validation failed', [
+          { field: 'op', code: 'invalid_value', message: 'op must be "create", "update" or "delete"' }
+        ]);
+      }
+
+      if (op === 'create') {
+        const values = withRecurrenceDueDate(validateFields(TASK_FIELDS, operation.data));
+        const task = await storage.tasks.insert({
+          ...values,
+          owner: req.user.id,
+          serverHostname: os.hostname(),
+          serverIp: getServerIp()
+        }, { session });
+        await recordTaskHistory(req, 'created', null, task, session);
+        events.push(['task.created', task]);
+        return { op, status: 201, id: task._id, task };
+      }
+
+      const { id, version } = operation;
+      if (typeof id !== 'string' || !/^[0-9a-f]{24}$/i.test(id)) {
+        throw new ApiError(400, 'invalid_id', 'id must be a 24-character hex ObjectId', [
+          { field: 'id', code: 'invalid_id', message: 'id must be a 24-character hex ObjectId' }
+        ]);
+      }
+      if (version !== undefined && !Number.isInteger(version)) {
+        throw new ApiError(422, 'validation_failed', 'Validation failed', [
+          { field: 'version', code: 'invalid_type', message: 'version must be an integer' }
+        ]);
+      }
+
+      const condition = taskCondition(req, id, version === undefined ? null : [version]);
+      const changes = op === 'update'
+        ? await completeChanges(condition, validateFields(TASK_FIELDS, operation.data, { partial: true }), session)
+        : { deletedAt: new Date() };
+      const { before, task } = changes
+        ? await storage.tasks.update(condition, changes, { session })
+        : { before: null, task: null };
+      if (!task) throw await missOrConflictError(req, id, undefined, session);
+      await recordTaskHistory(req, op === 'update' ? 'updated' : 'deleted', before, task, session);
+      events.push([op === 'update' ? 'task.updated' : 'task.deleted', task]);
+      return { op, status: 200, id: task._id, task };
+    } catch (error) {
+      const { status, body } = toErrorResponse(error);
+      // Transient transaction errors must reach storage.transaction() so it can retry
+      if (status === 500 && session) throw error;
+      return { op, status, id: operation && operation.id, error: body.error };
+    }
+  }
+
+  // A rank for the :id task at `target` (see MOVE_FIELDS): between the anchor
+  // task and the one currently next to it on that side. Trashed tasks keep
+  // their ranks, so they count as neighbours too.
+  async function moveRank(req, { after, before }) {
+    const field = after !== undefined ? 'after' : 'before';
+    const anchorId = after !== undefined ? after : before;
+    const dir = field === 'after' ? 1 : -1;
+    let anchor = null;
+    if (anchorId !== null) {
+      const invalid = message => new ApiError(422, 'validation_failed', 'Validation failed', [
+        { field, code: 'invalid_value', message }
+      ]);
+      if (anchorId.toLowerCase() === req.params.id.toLowerCase()) throw invalid(`${field} must be another task`);
+      anchor = await storage.tasks.findOne({ id: anchorId, owner: req.user.id, trashed: false });
+      if (!anchor) throw invalid(`${field} must be the id of one of your tasks`);
+      if (anchor.rank === null) {
+        throw new ApiError(409, 'not_ranked', 'Existing tasks are still being ranked; try again shortly');
+      }
+    }
+
+    const next = await storage.tasks.find({ owner: req.user.id, ranked: true }, {
+      sort: { field: 'rank', dir },
+      limit: 2,
+      after: anchor && { value: anchor.rank, id: anchor._id }
     });
-    const savedTask = await task.save();
-    res.status(201).json(savedTask);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+    const neighbour = next.find(task => String(task._id).toLowerCase() !== req.params.id.toLowerCase());
+    const anchorRank = anchor ? anchor.rank : null;
+    const neighbourRank = neighbour ? neighbour.rank : null;
+    return dir === 1 ? rankBetween(anchorRank, neighbourRank) : rankBetween(neighbourRank, anchorRank);
   }
-});
 
-// Update task
-app.put('/api/tasks/:id', async (req, res) => {
-  try {
-    const task = await Task.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
-    );
-    res.json(task);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+  // Write change(attachments) as the :id task's attachment list. Without
+  // If-Match the change is made to whatever version is current, read again
+  // when another change to the task gets in first; with it, only to that
+  // version. { before, task } are null if nothing matched.
+  async function updateAttachments(req, change) {
+    const condition = versionCondition(req);
+    for (let attempt = 1; ; attempt++) {
+      const current = await storage.tasks.findOne(condition);
+      if (!current) return { before: null, task: null };
+      const result = await storage.tasks.update(
+        { ...condition, versions: [current.__v] },
+        { attachments: change(current.attachments) }
+      );
+      if (result.task || condition.versions || attempt === MAX_ATTACHMENT_ATTEMPTS) return result;
+    }
   }
-});
 
-// Delete task
-app.delete('/api/tasks/:id', async (req, res) => {
-  try {
-    await Task.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Task deleted' });
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+  // Changes that set a recurrence or clear the due date depend on the task
+  // they apply to (see withRecurrenceDueDate); null if it doesn't match
+  async function completeChanges(condition, changes, session = null) {
+    if (!changes.recurrence && changes.dueDate !== null) return changes;
+    const current = await storage.tasks.findOne(condition, { session });
+    return current && withRecurrenceDueDate(changes, current);
   }
-});
 
-// Utility function
-function getServerIp() {
-  const interfaces = os.networkInterfaces();
-  for (const name of Object.keys(interfaces)) {
-    for (const iface of interfaces[name]) {
-      if (iface.family === 'IPv4' && !iface.internal) {
-        return iface.address;
-      }
+  // Append an audit entry for a task change. Outside a transaction the change
+  // is already committed, so a failure here is logged rather than failing the
+  // request; inside one it aborts the transaction.
+  async function recordTaskHistory(req, action, before, after, session = null) {
+    try {
+      await storage.history.append([historyEntry(req, action, before, after)], { session });
+    } catch (error) {
+      if (session) throw error;
+      logger.error({ err: error, taskId: String((after || before)._id), action }, 'Task history write failed');
     }
   }
-  return 'unknown';
+
+  // Tell a user's clients that many tasks changed at once; they reload the list
+  function publishBulkEvent(owner, type, count) {
+    const event = { type, owner: String(owner), count, origin: os.hostname(), at: new Date().toISOString() };
+    eventBus.publish(event).catch(err => logger.error({ err, type }, 'Event publish failed'));
+  }
+
+  // Broadcast a task change to every instance; failures never affect the response
+  function publishTaskEvent(type, task) {
+    const event = {
+      type,
+      owner: String(task.owner),
+      task: type === 'task.purged' ? { _id: String(task._id) } : task,
+      origin: os.hostname(),
+      at: new Date().toISOString()
+    };
+    eventBus.publish(event).catch(err => logger.error({ err, type }, 'Event publish failed'));
+  }
+
+  // A conditional write matched nothing: 404 if the task is gone from `scope`
+  // (or belongs to someone else), otherwise 412 with the current task so the
+  // client can reconcile.
+  async function missOrConflictError(req, id, scope = { trashed: false }, session = null) {
+    const current = await storage.tasks.findOne({ id, owner: req.user.id, ...scope }, { session });
+    if (!current) {
+      return new ApiError(404, 'not_found', 'Task not found');
+    }
+    return new ApiError(412, 'precondition_failed', 'Task was modified by another request', [], { current });
+  }
+
+  async function sendMissOrConflict(req, res, scope) {
+    const error = await missOrConflictError(req, req.params.id, scope);
+    if (error.extra.current) res.set('ETag', taskEtag(error.extra.current));
+    sendError(res, error);
+  }
+
+  return router;
 }
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📡 Hostname: ${os.hostname()}`);
-  console.log(`🌐 IP: ${getServerIp()}`);
-});
-EOF
+// Thrown inside an atomic batch transaction to roll it back
+class BatchAbortedError extends Error {
+  constructor(index) {
+    super(`Batch operation ${index} failed`);
+    this.index = index;
+  }
+}
 
-# FILE: backend/package.json
-cat > backend/package.json << 'EOF'
-{
-  "name": "fullstack-backend",
-  "version": "1.0.0",
-  "description": "Full Stack Backend with Load Balancing",
-  "main": "server.js",
-  "scripts": {
-    "start": "node server.js",
-    "dev": "nodemon server.js"
-  },
-  "dependencies": {
-    "express": "^4.18.2",
-    "mongoose": "^7.6.0",
-    "cors": "^2.8.5",
-    "helmet": "^7.1.0",
-    "morgan": "^1.10.0",
-    "dotenv": "^16.3.1"
-  },
-  "devDependencies": {
-    "nodemon": "^3.0.1"
+// A recurring task always has a due date, since the series moves on from it
+// (see task-jobs.js). `values` (a new task, or changes to `current`) that
+// would leave one without get the rule's next occurrence.
+function withRecurrenceDueDate(values, current = null) {
+  const recurrence = values.recurrence !== undefined ? values.recurrence : current && current.recurrence;
+  const dueDate = values.dueDate !== undefined ? values.dueDate : current && current.dueDate;
+  if (!recurrence || dueDate) return values;
+  return { ...values, dueDate: nextOccurrence(recurrence, new Date()) };
+}
+
+// Export a value to a CSV cell: tags and reminders as comma-separated lists,
+// the checklist as JSON (importRow reads them back)
+function csvValue(column, value) {
+  if (column === 'tags' || column === 'reminders') return value.join(', ');
+  if (column === 'checklist') return value.length > 0 ? JSON.stringify(value) : '';
+  return value;
+}
+
+// Map an import row (JSON object or CSV record) onto the writable task fields
+function importRow(row) {
+  if (row === null || typeof row !== 'object' || Array.isArray(row)) return row;
+  const values = {};
+  for (const field of Object.keys(TASK_FIELDS)) {
+    if (row[field] === undefined || (row[field] === '' && field !== 'title')) continue;
+    values[field] = row[field];
+  }
+  // CSV has no types: accept the usual spellings of booleans, tags and
+  // reminders as comma-separated lists and the checklist as JSON
+  if (typeof values.completed === 'string') {
+    const normalized = values.completed.trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(normalized)) values.completed = true;
+    else if (['false', 'no', '0'].includes(normalized)) values.completed = false;
+  }
+  if (typeof values.tags === 'string') {
+    values.tags = values.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+  if (typeof values.reminders === 'string') {
+    values.reminders = values.reminders.split(',').map(minutes => minutes.trim()).filter(Boolean).map(Number);
+  }
+  if (typeof values.checklist === 'string') {
+    try {
+      values.checklist = JSON.parse(values.checklist);
+    } catch (error) {
+      // Left as a string, so validation reports it
+    }
   }
+  return values;
+}
+
+function historyEntry(req, action, before, after) {
+  const task = after || before;
+  return {
+    task: task._id,
+    owner: task.owner,
+    action,
+    changes: action === 'purged' ? [] : diffFields(HISTORY_FIELDS, before, after),
+    version: after ? after.__v : before.__v,
+    actor: { id: req.user.id, email: req.user.email },
+    serverHostname: os.hostname(),
+    serverIp: getServerIp()
+  };
+}
+
+// ETag identifying one version of a task. Weak, since the JSON of a version
+// can change without a new version (a release adding a field, say).
+function taskEtag(task) {
+  return `W/"${task._id}-${task.__v}"`;
+}
+
+// Criteria for a conditional write on the :id task: see taskCondition.
+// An If-Match that names no version of this task can never match, so it is
+// mapped to an impossible version. The version is what's compared, so the
+// tag is accepted with or without the W/ of the ETag header.
+function versionCondition(req, scope) {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch || ifMatch.trim() === '*') return taskCondition(req, req.params.id, null, scope);
+
+  const versions = ifMatch.split(',')
+    .map(tag => tag.trim().match(/^(?:W\/)?"([0-9a-f]{24})-(\d+)"$/i))
+    .filter(match => match && match[1] === req.params.id)
+    .map(match => Number(match[2]));
+  return taskCondition(req, req.params.id, versions.length > 0 ? versions : [-1], scope);
+}
+
+// The user's task `id` within `scope` (live tasks by default), optionally
+// restricted to the given versions
+function taskCondition(req, id, versions, scope = { trashed: false }) {
+  const condition = { id, owner: req.user.id, ...scope };
+  if (versions) condition.versions = versions;
+  return condition;
+}
+
+// Build the task criteria, sort and page size for GET /api/tasks.
+// Collects every invalid parameter and throws a single 400 ApiError.
+function parseTaskListQuery(params) {
+  const criteria = {};
+  const errors = [];
+  const invalid = (field, message) => errors.push({ field, code: 'invalid_value', message });
+
+  for (const [name, value] of Object.entries(params)) {
+    if (typeof value !== 'string') invalid(name, `${name} must be given once`);
+  }
+  if (errors.length > 0) {
+    throw new ApiError(400, 'invalid_query', 'Invalid query parameters', errors);
+  }
+
+  if (params.completed !== undefined) {
+    if (!['true', 'false'].includes(params.completed)) {
+      invalid('completed', 'completed must be "true" or "false"');
+    }
+    criteria.completed = params.completed === 'true';
+  }
+
+  if (params.priority !== undefined) {
+    if (!PRIORITIES.includes(params.priority)) invalid('priority', `priority must be one of: ${PRIORITIES.join(', ')}`);
+    criteria.priority = params.priority;
+  }
+
+  if (params.tag !== undefined) {
+    const tag = params.tag.trim().toLowerCase();
+    if (!tag || tag.length > TASK_FIELDS.tags.items.maxLength) invalid('tag', 'tag must be a tag name');
+    criteria.tag = tag;
+  }
+
+  for (const name of ['createdAfter', 'createdBefore', 'dueAfter', 'dueBefore']) {
+    if (!params[name]) continue;
+    const date = new Date(params[name]);
+    if (Number.isNaN(date.getTime())) invalid(name, `${name} must be a valid date`);
+    else criteria[name] = date;
+  }
+
+  if (params.serverHostname) {
+    if (params.serverHostname.length > 255) invalid('serverHostname', 'serverHostname is too long');
+    criteria.serverHostname = params.serverHostname;
+  }
+
+  if (params.q && params.q.trim()) {
+    if (params.q.length > 200) invalid('q', 'q must be at most 200 characters');
+    criteria.q = params.q.trim();
+  }
+
+  const sortParam = params.sort || '-createdAt';
+  const sort = { field: sortParam.replace(/^[-+]/, ''), dir: sortParam.startsWith('-') ? -1 : 1 };
+  if (!SORT_FIELDS.includes(sort.field)) {
+    invalid('sort', `sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+
+  const limit = params.limit === undefined ? DEFAULT_PAGE_SIZE : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    invalid('limit', `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  let cursor = null;
+  if (params.cursor && errors.length === 0) {
+    cursor = decodeCursor(params.cursor, sort.field);
+    if (!cursor) invalid('cursor', 'cursor is invalid');
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(400, 'invalid_query', 'Invalid query parameters', errors);
+  }
+  return { criteria, sort, limit, cursor };
+}
+
+// Cursors are opaque to clients: base64url JSON of the last sort value and _id
+function encodeCursor(value, id) {
+  const v = value instanceof Date ? { $date: value.toISOString() } : value;
+  return Buffer.from(JSON.stringify({ v, id: String(id) })).toString('base64url');
+}
+
+function decodeCursor(cursor, sortField) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const value = v && v.$date ? new Date(v.$date) : v;
+    // Date sort fields; tasks without a due date are at null
+    if (['createdAt', 'updatedAt'].includes(sortField) && !(value instanceof Date)) return null;
+    if (sortField === 'dueDate' && value !== null && !(value instanceof Date)) return null;
+    // Tasks from before manual ordering are unranked until the driver ranks them
+    if (sortField === 'rank' && value !== null && typeof value !== 'string') return null;
+    if (!/^[0-9a-f]{24}$/i.test(id)) return null;
+    return { value, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Utility function
+function getServerIp() {
+  const interfaces = os.networkInterfaces();
+  for (const name of Object.keys(interfaces)) {
+    for (const iface of interfaces[name]) {
+      if (iface.family === 'IPv4' && !iface.internal) {
+        return iface.address;
+      }
+    }
+  }
+  return 'unknown';
+}
+
+module.exports = { createApp, getServerIp };
+EOF
+
+# FILE: backend/logger.js
+cat > backend/logger.js << 'EOF'
+const crypto = require('crypto');
+const os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
+const pino = require('pino');
+const { config } = require('./config');
+
+// Structured JSON logger. Every line logged while handling a request carries
+// that request's ID (taken from AsyncLocalStorage), so logs from all the
+// instances behind the ALB can be correlated.
+const LOG_LEVEL = config.logLevel;
+
+// Incoming X-Request-Id values are only trusted if they look like an ID
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+const logger = pino({
+  level: LOG_LEVEL,
+  base: { hostname: os.hostname(), pid: process.pid },
+  timestamp: pino.stdTimeFunctions.isoTime,
+  formatters: {
+    level: label => ({ level: label })
+  },
+  redact: {
+    paths: [
+      'password', '*.password', 'passwordHash', '*.passwordHash',
+      'accessToken', '*.accessToken', 'refreshToken', '*.refreshToken',
+      'headers.authorization', 'headers.cookie', '*.headers.authorization', '*.headers.cookie'
+    ],
+    censor: '[REDACTED]'
+  },
+  mixin() {
+    const store = requestContext.getStore();
+    return store ? { requestId: store.requestId } : {};
+  }
+});
+
+// Middleware: assign the request ID (from X-Request-Id or generated), echo it
+// back, and run the rest of the request inside its logging context
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  requestContext.run({ requestId: req.id }, next);
+}
+
+// Middleware: one access log line per completed request
+function accessLog(req, res, next) {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    logger[level]({
+      requestId: req.id,
+      method: req.method,
+      url: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+      contentLength: res.get('Content-Length'),
+      remoteAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      userId: req.user ? req.user.id : undefined
+    }, 'request completed');
+  });
+  next();
+}
+
+module.exports = { logger, requestId, accessLog };
+EOF
+
+# FILE: backend/errors.js
+cat > backend/errors.js << 'EOF'
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+// Error carrying an HTTP status and a list of { field, code, message } details
+class ApiError extends Error {
+  constructor(status, code, message, errors = [], extra = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+    this.extra = extra;
+  }
+}
+
+// Map any thrown error to { status, body } in the shared error format:
+// { error: { code, message, errors: [{ field, code, message }] } }
+function toErrorResponse(error) {
+  if (error instanceof ApiError) {
+    return {
+      status: error.status,
+      body: { error: { code: error.code, message: error.message, errors: error.errors, ...error.extra } }
+    };
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      code: err.kind,
+      message: err.message
+    }));
+    return {
+      status: 422,
+      body: { error: { code: 'validation_failed', message: 'Validation failed', errors } }
+    };
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return {
+      status: 400,
+      body: {
+        error: {
+          code: 'invalid_value',
+          message: `Invalid value for ${error.path}`,
+          errors: [{ field: error.path, code: 'invalid_value', message: error.message }]
+        }
+      }
+    };
+  }
+
+  // Body over the configured size limit
+  if (error.type === 'entity.too.large') {
+    return {
+      status: 413,
+      body: { error: { code: 'payload_too_large', message: `Request body exceeds the ${error.limit}-byte limit`, errors: [] } }
+    };
+  }
+
+  // Malformed JSON body rejected by express.json()
+  if (error.type === 'entity.parse.failed') {
+    return {
+      status: 400,
+      body: { error: { code: 'invalid_json', message: 'Request body is not valid JSON', errors: [] } }
+    };
+  }
+
+  logger.error({ err: error }, 'Unhandled error');
+  return {
+    status: 500,
+    body: { error: { code: 'internal_error', message: 'Internal server error', errors: [] } }
+  };
+}
+
+// Send the error response, tagged with the request ID so users can report it
+function sendError(res, error) {
+  const { status, body } = toErrorResponse(error);
+  if (res.req && res.req.id) body.error.requestId = res.req.id;
+  res.status(status).json(body);
+}
+
+// Express error middleware, for errors raised outside route handlers
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  sendError(res, err);
+}
+
+module.exports = { ApiError, toErrorResponse, sendError, errorHandler };
+EOF
+
+# FILE: backend/validation.js
+cat > backend/validation.js << 'EOF'
+const { ApiError } = require('./errors');
+const { objectId } = require('./repositories/common');
+const { isValidRule } = require('./recurrence');
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const MAX_TAGS = 20;
+const MAX_CHECKLIST_ITEMS = 50;
+const MAX_REMINDERS = 5;
+const MAX_REMINDER_MINUTES = 4 * 7 * 24 * 60;
+
+// RFC 3339 date-time, as produced by Date#toISOString()
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i;
+
+// Fields of a checklist item. Items keep their _id across updates; new items
+// get one from the server.
+const CHECKLIST_ITEM_FIELDS = {
+  _id: { type: 'string', pattern: /^[0-9a-f]{24}$/i, patternMessage: '_id must be a 24-character hex ObjectId', default: objectId },
+  text: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 200 },
+  done: { type: 'boolean', default: false }
+};
+
+// Writable task fields. Anything not listed here (serverHostname, serverIp,
+// createdAt, _id, __v, ...) is rejected instead of being silently assigned.
+// Nullable fields are cleared with null; arrays are replaced as a whole.
+const TASK_FIELDS = {
+  title: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 200 },
+  description: { type: 'string', trim: true, maxLength: 2000 },
+  completed: { type: 'boolean' },
+  dueDate: { type: 'date', nullable: true },
+  priority: { type: 'string', enum: PRIORITIES, nullable: true },
+  tags: {
+    type: 'array',
+    maxItems: MAX_TAGS,
+    unique: true,
+    // Commas separate tags in CSV exports
+    items: {
+      type: 'string', trim: true, lowercase: true, minLength: 1, maxLength: 30,
+      pattern: /^[^,]+$/, patternMessage: 'tags must not contain commas'
+    }
+  },
+  checklist: { type: 'array', maxItems: MAX_CHECKLIST_ITEMS, items: { type: 'object', fields: CHECKLIST_ITEM_FIELDS } },
+  // See recurrence.js. A recurring task needs a due date; one is picked from
+  // the rule if none is given.
+  recurrence: {
+    type: 'string', trim: true, minLength: 1, maxLength: 100, nullable: true,
+    check: isValidRule, checkMessage: 'recurrence must be daily, weekly, monthly or a cron expression such as "0 9 * * 1-5"'
+  },
+  // Minutes before the due date
+  reminders: {
+    type: 'array',
+    maxItems: MAX_REMINDERS,
+    unique: true,
+    items: { type: 'integer', minimum: 0, maximum: MAX_REMINDER_MINUTES }
+  }
+};
+
+const READ_ONLY_FIELDS = [
+  '_id', 'id', '__v', 'owner', 'createdAt', 'updatedAt', 'completedAt', 'deletedAt', 'recurrenceOf', 'rank',
+  'attachments', 'serverHostname', 'serverIp'
+];
+
+// Body of POST /api/tasks/:id/move: the task to place it right after or
+// right before (one of the two). null moves it to the top (after) or the
+// bottom (before) of the list.
+const MOVE_FIELDS = {
+  after: { type: 'string', nullable: true, pattern: /^[0-9a-f]{24}$/i, patternMessage: 'after must be a task id or null' },
+  before: { type: 'string', nullable: true, pattern: /^[0-9a-f]{24}$/i, patternMessage: 'before must be a task id or null' }
+};
+
+// Task list query options. rank is the manual order (see ranks.js).
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'title', 'completed', 'rank'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Bulk operation limits
+const MAX_BATCH_OPERATIONS = 500;
+const MAX_IMPORT_ROWS = 5000;
+const EXPORT_COLUMNS = [
+  '_id', 'title', 'description', 'completed', 'dueDate', 'priority', 'tags', 'checklist', 'recurrence', 'reminders',
+  'createdAt', 'updatedAt', 'completedAt', 'serverHostname', 'serverIp'
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Validate a single value against its field spec; returns [value, errors]
+function checkField(name, spec, raw) {
+  const fail = (code, message) => [undefined, [{ field: name, code, message }]];
+
+  if (raw === null && spec.nullable) return [null, []];
+
+  if (spec.type === 'string') {
+    if (typeof raw !== 'string') return fail('invalid_type', `${name} must be a string`);
+    let value = spec.trim ? raw.trim() : raw;
+    if (spec.lowercase) value = value.toLowerCase();
+    if (spec.minLength !== undefined && value.length < spec.minLength) {
+      const message = spec.minLength === 1
+        ? `${name} must not be empty`
+        : `${name} must be at least ${spec.minLength} characters`;
+      return fail('too_short', message);
+    }
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      return fail('too_long', `${name} must be at most ${spec.maxLength} characters`);
+    }
+    if (spec.pattern && !spec.pattern.test(value)) {
+      return fail('invalid_format', spec.patternMessage || `${name} has an invalid format`);
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+      return fail('invalid_value', `${name} must be one of: ${spec.enum.join(', ')}`);
+    }
+    if (spec.check && !spec.check(value)) {
+      return fail('invalid_value', spec.checkMessage || `${name} is not valid`);
+    }
+    return [value, []];
+  }
+
+  if (spec.type === 'integer') {
+    if (!Number.isInteger(raw)) return fail('invalid_type', `${name} must be an integer`);
+    if (spec.minimum !== undefined && raw < spec.minimum) return fail('invalid_value', `${name} must be at least ${spec.minimum}`);
+    if (spec.maximum !== undefined && raw > spec.maximum) return fail('invalid_value', `${name} must be at most ${spec.maximum}`);
+    return [raw, []];
+  }
+
+  if (spec.type === 'boolean') {
+    if (typeof raw !== 'boolean') return fail('invalid_type', `${name} must be a boolean`);
+    return [raw, []];
+  }
+
+  if (spec.type === 'date') {
+    if (typeof raw !== 'string') return fail('invalid_type', `${name} must be a string`);
+    const value = new Date(raw);
+    if (!DATE_TIME.test(raw) || Number.isNaN(value.getTime())) {
+      return fail('invalid_format', `${name} must be a date-time such as 2024-01-31T17:00:00Z`);
+    }
+    return [value, []];
+  }
+
+  if (spec.type === 'array') {
+    if (!Array.isArray(raw)) return fail('invalid_type', `${name} must be an array`);
+    if (raw.length > spec.maxItems) return fail('too_many_items', `${name} must have at most ${spec.maxItems} items`);
+    const values = [];
+    const errors = [];
+    raw.forEach((item, index) => {
+      const [value, itemErrors] = checkField(`${name}[${index}]`, spec.items, item);
+      errors.push(...itemErrors);
+      if (itemErrors.length === 0 && !(spec.unique && values.includes(value))) values.push(value);
+    });
+    return errors.length > 0 ? [undefined, errors] : [values, []];
+  }
+
+  if (spec.type === 'object') {
+    if (!isPlainObject(raw)) return fail('invalid_type', `${name} must be an object`);
+    const [values, errors] = checkObject(spec.fields, raw, { path: name });
+    return errors.length > 0 ? [undefined, errors] : [values, []];
+  }
+
+  throw new Error(`Unknown field type: ${spec.type}`);
+}
+
+// Validate an object against a field map; returns [values, errors]. Field
+// names of nested objects are prefixed with their path (checklist[0].text).
+// Defaults only apply to nested objects: a partial update leaves omitted
+// fields alone.
+function checkObject(fields, body, { partial = false, path = null } = {}) {
+  const fieldName = key => (path ? `${path}.${key}` : key);
+  const errors = [];
+  const values = {};
+
+  for (const key of Object.keys(body)) {
+    if (!path && READ_ONLY_FIELDS.includes(key)) {
+      errors.push({ field: key, code: 'read_only', message: `${key} is read-only` });
+    } else if (!fields[key]) {
+      errors.push({ field: fieldName(key), code: 'unknown_field', message: `${fieldName(key)} is not a recognised field` });
+    }
+  }
+
+  for (const [name, spec] of Object.entries(fields)) {
+    if (body[name] === undefined) {
+      if (spec.required && !partial) {
+        errors.push({ field: fieldName(name), code: 'required', message: `${fieldName(name)} is required` });
+      } else if (spec.default !== undefined && path) {
+        values[name] = typeof spec.default === 'function' ? spec.default() : spec.default;
+      }
+      continue;
+    }
+    const [value, fieldErrors] = checkField(fieldName(name), spec, body[name]);
+    errors.push(...fieldErrors);
+    if (fieldErrors.length === 0) values[name] = value;
+  }
+
+  return [values, errors];
+}
+
+// Validate a request body against a field map. With `partial` (updates),
+// required fields may be omitted but at least one field must be present.
+function validateFields(fields, body, { partial = false } = {}) {
+  if (!isPlainObject(body)) {
+    throw new ApiError(400, 'invalid_body', 'Request body must be a JSON object');
+  }
+
+  const [values, errors] = checkObject(fields, body, { partial });
+
+  if (partial && errors.length === 0 && Object.keys(values).length === 0) {
+    errors.push({ field: null, code: 'empty_update', message: 'At least one field must be provided' });
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(422, 'validation_failed', 'Validation failed', errors);
+  }
+  return values;
+}
+
+// Middleware: validate req.body and expose the whitelisted result as req.validatedBody
+function validateBody(fields, options) {
+  return (req, res, next) => {
+    try {
+      req.validatedBody = validateFields(fields, req.body, options);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  TASK_FIELDS,
+  CHECKLIST_ITEM_FIELDS,
+  PRIORITIES,
+  MAX_REMINDER_MINUTES,
+  READ_ONLY_FIELDS,
+  MOVE_FIELDS,
+  SORT_FIELDS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  MAX_BATCH_OPERATIONS,
+  MAX_IMPORT_ROWS,
+  EXPORT_COLUMNS,
+  validateFields,
+  validateBody
+};
+EOF
+
+# FILE: backend/auth.js
+cat > backend/auth.js << 'EOF'
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { ApiError, sendError } = require('./errors');
+const { validateBody } = require('./validation');
+const { config } = require('./config');
+const { DuplicateKeyError } = require('./repositories');
+
+// Access tokens are stateless JWTs, so any instance behind the ALB can verify
+// them with the shared secret. Refresh tokens are stored (hashed) in the
+// shared storage, so they can be rotated and revoked.
+const JWT_SECRET = config.auth.jwtSecret;
+const ACCESS_TOKEN_TTL_SECONDS = config.auth.accessTokenTtlSeconds;
+const REFRESH_TOKEN_TTL_DAYS = config.auth.refreshTokenTtlDays;
+const BCRYPT_ROUNDS = 12;
+
+const CREDENTIAL_FIELDS = {
+  email: {
+    type: 'string', required: true, trim: true, maxLength: 254,
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, patternMessage: 'email must be a valid email address'
+  },
+  password: { type: 'string', required: true, minLength: 8, maxLength: 128 }
+};
+
+const REFRESH_FIELDS = {
+  refreshToken: { type: 'string', required: true, maxLength: 200 }
+};
+
+// Compared against when the email is unknown, so login timing doesn't reveal it
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', BCRYPT_ROUNDS);
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// What clients see of a user (never the password hash)
+function publicUser({ _id, email, createdAt }) {
+  return { _id, email, createdAt };
+}
+
+// Issue an access token and a new refresh token for the user
+async function createSession(refreshTokens, user) {
+  const accessToken = jwt.sign({ email: user.email }, JWT_SECRET, {
+    subject: String(user._id),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  });
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await refreshTokens.create({
+    tokenHash: hashToken(refreshToken),
+    user: user._id,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return { user: publicUser(user), accessToken, refreshToken, tokenType: 'Bearer', expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+}
+
+// Middleware: require a valid access token and expose req.user
+function requireAuth(req, res, next) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(res, new ApiError(401, 'unauthorized', 'Authentication required'));
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.user = { id: payload.sub, email: payload.email, exp: payload.exp };
+    next();
+  } catch (error) {
+    const code = error.name === 'TokenExpiredError' ? 'token_expired' : 'invalid_token';
+    res.set('WWW-Authenticate', `Bearer error="invalid_token"`);
+    sendError(res, new ApiError(401, code, 'Access token is invalid or expired'));
+  }
+}
+
+// Routes under /api/v1/auth, backed by the users and refreshTokens repositories
+function createAuthRouter({ users, refreshTokens }) {
+  const router = express.Router();
+
+  // Register
+  router.post('/register', validateBody(CREDENTIAL_FIELDS), async (req, res) => {
+    try {
+      const { email, password } = req.validatedBody;
+      if (await users.findByEmail(email)) {
+        throw new ApiError(409, 'email_taken', 'An account with this email already exists', [
+          { field: 'email', code: 'email_taken', message: 'email is already registered' }
+        ]);
+      }
+      const user = await users.create({ email, passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS) });
+      res.status(201).json(await createSession(refreshTokens, user));
+    } catch (error) {
+      // Two concurrent registrations can both pass the findByEmail() check
+      if (error instanceof DuplicateKeyError) {
+        return sendError(res, new ApiError(409, 'email_taken', 'An account with this email already exists'));
+      }
+      sendError(res, error);
+    }
+  });
+
+  // Login
+  router.post('/login', validateBody(CREDENTIAL_FIELDS), async (req, res) => {
+    try {
+      const { email, password } = req.validatedBody;
+      const user = await users.findByEmail(email);
+      const valid = await bcrypt.compare(password, user ? user.passwordHash : DUMMY_HASH);
+      if (!user || !valid) {
+        throw new ApiError(401, 'invalid_credentials', 'Email or password is incorrect');
+      }
+      res.json(await createSession(refreshTokens, user));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Exchange a refresh token for a new session; the old token is consumed
+  router.post('/refresh', validateBody(REFRESH_FIELDS), async (req, res) => {
+    try {
+      const stored = await refreshTokens.consume(hashToken(req.validatedBody.refreshToken));
+      const user = stored && await users.findById(stored.user);
+      if (!user) {
+        throw new ApiError(401, 'invalid_refresh_token', 'Refresh token is invalid or expired');
+      }
+      res.json(await createSession(refreshTokens, user));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Logout (revokes the refresh token; the access token expires on its own)
+  router.post('/logout', validateBody(REFRESH_FIELDS), async (req, res) => {
+    try {
+      await refreshTokens.remove(hashToken(req.validatedBody.refreshToken));
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Current user
+  router.get('/me', requireAuth, async (req, res) => {
+    try {
+      const user = await users.findById(req.user.id);
+      if (!user) throw new ApiError(401, 'unauthorized', 'User no longer exists');
+      res.json(publicUser(user));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter, requireAuth };
+EOF
+
+# FILE: backend/events.js
+cat > backend/events.js << 'EOF'
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+// Task change events ({ type, owner, task, origin, at }) are fanned out through
+// an event bus with a small interface:
+//   publish(event) -> Promise
+//   subscribe(handler) -> unsubscribe function
+//   close() -> Promise
+
+// In-process bus: events only reach clients connected to this instance.
+// Fine for local development or a single backend.
+class InProcessEventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  async publish(event) {
+    this.emitter.emit('event', event);
+  }
+
+  subscribe(handler) {
+    this.emitter.on('event', handler);
+    return () => this.emitter.off('event', handler);
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+  }
+}
+
+// Mongo bus: events are inserted into a shared collection and every instance
+// tails it with a change stream, so a write handled by one ALB target reaches
+// clients connected to any other. Change streams require a replica set.
+class MongoEventBus {
+  constructor(connection, { collectionName = 'task_events', ttlSeconds = 3600 } = {}) {
+    this.connection = connection;
+    this.collectionName = collectionName;
+    this.ttlSeconds = ttlSeconds;
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.stream = null;
+    this.closed = false;
+
+    if (connection.readyState === 1) this.start();
+    else connection.once('open', () => this.start());
+  }
+
+  get collection() {
+    return this.connection.db.collection(this.collectionName);
+  }
+
+  async start() {
+    if (this.closed) return;
+    try {
+      await this.collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: this.ttlSeconds });
+      this.stream = this.collection.watch([{ $match: { operationType: 'insert' } }]);
+      this.stream.on('change', change => this.emitter.emit('event', change.fullDocument.event));
+      this.stream.on('error', error => {
+        logger.error({ err: error }, 'Event stream error');
+        this.restart();
+      });
+      logger.info({ collection: this.collectionName }, 'Event bus connected');
+    } catch (error) {
+      logger.error({ err: error }, 'Event bus error');
+      this.restart();
+    }
+  }
+
+  restart() {
+    if (this.stream) this.stream.close().catch(() => {});
+    this.stream = null;
+    if (!this.closed) setTimeout(() => this.start(), 5000);
+  }
+
+  // Delivery to local subscribers also goes through the change stream, so
+  // every instance sees events in the same order.
+  async publish(event) {
+    await this.collection.insertOne({ event, createdAt: new Date() });
+  }
+
+  subscribe(handler) {
+    this.emitter.on('event', handler);
+    return () => this.emitter.off('event', handler);
+  }
+
+  async close() {
+    this.closed = true;
+    if (this.stream) await this.stream.close();
+    this.emitter.removeAllListeners();
+  }
+}
+
+// EVENT_BUS=memory (default) or mongo
+function createEventBus(type = config.eventBus) {
+  switch (type) {
+    case 'memory':
+      return new InProcessEventBus();
+    case 'mongo':
+      return new MongoEventBus(mongoose.connection);
+    default:
+      throw new Error(`Unknown EVENT_BUS "${type}" (expected "memory" or "mongo")`);
+  }
+}
+
+module.exports = { InProcessEventBus, MongoEventBus, createEventBus };
+EOF
+
+# FILE: backend/history.js
+cat > backend/history.js << 'EOF'
+const { TASK_FIELDS } = require('./validation');
+
+// Task history: one append-only entry per change to a task, stored by the
+// history repository (see repositories/)
+const HISTORY_ACTIONS = ['created', 'updated', 'moved', 'deleted', 'restored', 'purged'];
+
+// Fields tracked in task history
+const HISTORY_FIELDS = [...Object.keys(TASK_FIELDS), 'attachments', 'deletedAt'];
+
+function sameValue(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return a && b ? new Date(a).getTime() === new Date(b).getTime() : a === b;
+  }
+  // Tags, checklists and attachment lists are replaced as a whole
+  if (Array.isArray(a) || Array.isArray(b)) return JSON.stringify(a || []) === JSON.stringify(b || []);
+  return (a === undefined ? null : a) === (b === undefined ? null : b);
+}
+
+// List { field, from, to } for every tracked field that differs
+function diffFields(fields, before, after) {
+  return fields
+    .filter(field => !sameValue(before ? before[field] : null, after ? after[field] : null))
+    .map(field => ({
+      field,
+      from: before && before[field] !== undefined ? before[field] : null,
+      to: after && after[field] !== undefined ? after[field] : null
+    }));
+}
+
+module.exports = { HISTORY_ACTIONS, HISTORY_FIELDS, diffFields };
+EOF
+
+# FILE: backend/csv.js
+cat > backend/csv.js << 'EOF'
+// Minimal RFC 4180 CSV support for task import/export
+
+// Parse CSV text into an array of objects keyed by the header row
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.length > 1 || r[0] !== '');
+  if (nonEmpty.length === 0) return [];
+  const header = nonEmpty[0].map(name => name.replace(/^\uFEFF/, '').trim());
+  return nonEmpty.slice(1).map(values =>
+    Object.fromEntries(header.map((name, index) => [name, values[index] === undefined ? '' : values[index]]))
+  );
+}
+
+// Quote a value for CSV output. Cells that a spreadsheet would evaluate as a
+// formula are prefixed with a single quote.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsvRow };
+EOF
+
+# FILE: backend/health.js
+cat > backend/health.js << 'EOF'
+const express = require('express');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+// Readiness thresholds
+const MAX_EVENT_LOOP_LAG_MS = config.readiness.maxEventLoopLagMs;
+const CLEANUP_TIMEOUT_MS = 5000;
+
+const state = {
+  shuttingDown: false,
+  inFlight: 0,
+  eventLoopLagMs: 0
+};
+const shutdownHandlers = new Set();
+
+// Event loop lag: p99 delay over the last sampling window
+const eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+eventLoopDelay.enable();
+setInterval(() => {
+  state.eventLoopLagMs = eventLoopDelay.percentile(99) / 1e6;
+  eventLoopDelay.reset();
+}, 5000).unref();
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isShuttingDown() {
+  return state.shuttingDown;
+}
+
+// Middleware: count in-flight requests so shutdown can wait for them, and
+// stop reusing keep-alive connections once shutdown has started
+function trackRequests(req, res, next) {
+  state.inFlight++;
+  let done = false;
+  const finish = () => {
+    if (done) return;
+    done = true;
+    state.inFlight--;
+  };
+  res.on('finish', finish);
+  res.on('close', finish);
+  if (state.shuttingDown) res.set('Connection', 'close');
+  next();
+}
+
+// Register a callback run when draining starts (e.g. to end long-lived
+// streams that would otherwise hold the server open). Returns an unregister
+// function.
+function onShutdown(handler) {
+  shutdownHandlers.add(handler);
+  return () => shutdownHandlers.delete(handler);
+}
+
+// `dependencies` maps a check name to an async function returning
+// { status: 'pass' | 'fail', ... }, e.g. { storage: () => storage.ping() }
+async function readiness(dependencies = {}) {
+  const results = await Promise.all(Object.values(dependencies).map(check => check()));
+  const checks = {
+    shutdown: { status: state.shuttingDown ? 'fail' : 'pass' },
+    ...Object.fromEntries(Object.keys(dependencies).map((name, i) => [name, results[i]])),
+    eventLoop: {
+      status: state.eventLoopLagMs > MAX_EVENT_LOOP_LAG_MS ? 'fail' : 'pass',
+      lagMs: Math.round(state.eventLoopLagMs * 100) / 100,
+      thresholdMs: MAX_EVENT_LOOP_LAG_MS
+    }
+  };
+  const ready = Object.values(checks).every(check => check.status === 'pass');
+  return { ready, checks };
+}
+
+// /health/live: the process is up and serving HTTP (restart it if not).
+// /health/ready: this instance can serve traffic (route to it if so).
+// /health stays as an alias of readiness for existing ALB target groups.
+function createHealthRouter({ info = () => ({}), checks = {} } = {}) {
+  const router = express.Router();
+
+  router.get('/live', (req, res) => {
+    res.status(200).json({
+      status: 'alive',
+      uptime: process.uptime(),
+      timestamp: Date.now(),
+      ...info()
+    });
+  });
+
+  const ready = async (req, res) => {
+    const result = await readiness(checks);
+    res.set('Cache-Control', 'no-store');
+    res.status(result.ready ? 200 : 503).json({
+      status: result.ready ? 'ready' : 'not_ready',
+      message: result.ready ? 'OK' : 'Not ready',
+      checks: result.checks,
+      uptime: process.uptime(),
+      timestamp: Date.now(),
+      ...info()
+    });
+  };
+  router.get('/ready', ready);
+  router.get('/', ready);
+
+  return router;
+}
+
+// Graceful shutdown: report not-ready, give the load balancer time to stop
+// routing here, stop accepting connections, wait for in-flight requests (up
+// to drainTimeoutMs), then run cleanup (closing storage etc.).
+async function shutdown(server, { preDrainDelayMs = 0, drainTimeoutMs = 30000, cleanup = async () => {} } = {}) {
+  if (state.shuttingDown) return;
+  state.shuttingDown = true;
+  logger.info({ inFlight: state.inFlight }, 'Shutting down: marked not ready');
+
+  await delay(preDrainDelayMs);
+
+  for (const handler of shutdownHandlers) handler();
+  const closed = new Promise(resolve => server.close(resolve));
+  server.closeIdleConnections();
+
+  const deadline = Date.now() + drainTimeoutMs;
+  while (state.inFlight > 0 && Date.now() < deadline) {
+    await delay(100);
+  }
+  if (state.inFlight > 0) {
+    logger.warn({ inFlight: state.inFlight }, 'Drain timeout: closing requests still in flight');
+  }
+  server.closeAllConnections();
+  await closed;
+
+  // Cleanup must not hold the process open either (e.g. a Mongo connection
+  // stuck in server selection)
+  await Promise.race([
+    cleanup(),
+    delay(CLEANUP_TIMEOUT_MS).then(() => logger.warn('Shutdown cleanup timed out'))
+  ]);
+  logger.info('Shutdown complete');
+}
+
+module.exports = { createHealthRouter, trackRequests, onShutdown, isShuttingDown, shutdown, readiness };
+EOF
+
+# FILE: backend/metrics.js
+cat > backend/metrics.js << 'EOF'
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const client = require('prom-client');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+// Prometheus metrics. This module registers a mongoose plugin, so it must be
+// required before any model is compiled.
+const METRICS_ENABLED = config.metrics.enabled;
+const METRICS_TOKEN = config.metrics.token;
+
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency, by route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const mongoDuration = new client.Histogram({
+  name: 'mongodb_query_duration_seconds',
+  help: 'MongoDB operation latency, by model and operation',
+  labelNames: ['model', 'operation', 'outcome'],
+  buckets: [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register]
+});
+
+// Label every series with the instance it came from, so targets behind the
+// load balancer can be compared
+function setInstanceLabels({ hostname, ip }) {
+  register.setDefaultLabels({ hostname, ip });
+}
+
+// Route template (e.g. /api/v1/tasks/:id) rather than the raw URL, to keep
+// label cardinality bounded. Unversioned aliases keep their own /api/... label.
+function routeLabel(req) {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  return req.baseUrl || 'unmatched';
+}
+
+function metricsMiddleware(req, res, next) {
+  const end = httpDuration.startTimer();
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeLabel(req), status_code: res.statusCode };
+    end(labels);
+    httpRequests.inc(labels);
+  });
+  next();
+}
+
+// Mongoose plugin timing every query, save and aggregate
+const QUERY_OPS = [
+  'find', 'findOne', 'countDocuments', 'estimatedDocumentCount', 'distinct',
+  'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace',
+  'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'
+];
+
+function observe(start, model, operation, outcome) {
+  if (!start) return;
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+  mongoDuration.observe({ model, operation, outcome }, seconds);
+}
+
+function mongoTimingPlugin(schema) {
+  schema.pre(QUERY_OPS, function () {
+    this._metricsStart = process.hrtime.bigint();
+  });
+  schema.post(QUERY_OPS, function () {
+    observe(this._metricsStart, this.model.modelName, this.op, 'success');
+  });
+  schema.post(QUERY_OPS, function (error, result, next) {
+    observe(this._metricsStart, this.model.modelName, this.op, 'error');
+    next(error);
+  });
+
+  schema.pre('save', function () {
+    this.$locals.metricsStart = process.hrtime.bigint();
+  });
+  schema.post('save', function () {
+    observe(this.$locals.metricsStart, this.constructor.modelName, 'save', 'success');
+  });
+
+  schema.pre('aggregate', function () {
+    this._metricsStart = process.hrtime.bigint();
+  });
+  schema.post('aggregate', function () {
+    observe(this._metricsStart, this._model.modelName, 'aggregate', 'success');
+  });
+}
+
+mongoose.plugin(mongoTimingPlugin);
+
+// Gauge of tasks by state, counted by the task repository on each scrape
+function trackTaskCounts(tasks) {
+  new client.Gauge({
+    name: 'tasks',
+    help: 'Number of tasks by state (active, completed, deleted)',
+    labelNames: ['state'],
+    registers: [register],
+    async collect() {
+      const counts = await tasks.countByState();
+      if (!counts) return;
+      this.reset();
+      for (const state of ['active', 'completed', 'deleted']) {
+        this.set({ state }, counts[state]);
+      }
+    }
+  });
+}
+
+function tokenMatches(header) {
+  const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+  const actual = Buffer.from(header || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// GET /metrics in Prometheus text format. Disabled with METRICS_ENABLED=false;
+// with METRICS_TOKEN set, scrapers must send "Authorization: Bearer <token>".
+async function metricsHandler(req, res) {
+  if (!METRICS_ENABLED) return res.status(404).end();
+  if (METRICS_TOKEN && !tokenMatches(req.get('Authorization'))) {
+    res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+    return res.status(401).end();
+  }
+  try {
+    res.set('Content-Type', register.contentType);
+    res.end(await register.metrics());
+  } catch (error) {
+    logger.error({ err: error }, 'Metrics collection failed');
+    res.status(500).end();
+  }
+}
+
+module.exports = { register, setInstanceLabels, metricsMiddleware, trackTaskCounts, metricsHandler };
+EOF
+
+# FILE: backend/rate-limit.js
+cat > backend/rate-limit.js << 'EOF'
+const mongoose = require('mongoose');
+const { ApiError, sendError } = require('./errors');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+// Fixed-window rate limiting. Counters live in a store with one method:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+
+// In-memory store: limits apply per instance. Fine for a single backend.
+class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+    setInterval(() => {
+      const now = Date.now();
+      for (const [key, window] of this.windows) {
+        if (window.resetAt <= now) this.windows.delete(key);
+      }
+    }, 60000).unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count++;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+}
+
+// Mongo store: counters are shared, so limits hold across every instance
+// behind the ALB. Expired windows are removed by a TTL index.
+class MongoStore {
+  constructor(connection, { collectionName = 'rate_limits' } = {}) {
+    this.connection = connection;
+    this.collectionName = collectionName;
+    this.indexed = false;
+  }
+
+  async increment(key, windowMs) {
+    const collection = this.connection.db.collection(this.collectionName);
+    if (!this.indexed) {
+      await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      this.indexed = true;
+    }
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+    const doc = await collection.findOneAndUpdate(
+      { _id: `${key}:${windowStart}` },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+      { upsert: true, returnDocument: 'after', includeResultMetadata: false }
+    );
+    return { count: doc.count, resetAt };
+  }
+}
+
+// RATE_LIMIT_STORE=memory (default) or mongo
+function createRateLimitStore(type = config.rateLimit.store) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore();
+    case 'mongo':
+      return new MongoStore(mongoose.connection);
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${type}" (expected "memory" or "mongo")`);
+  }
+}
+
+// Only overwrite headers set by an earlier limiter if this one is tighter
+function setRateLimitHeaders(res, { limit, remaining, resetSeconds, windowMs }) {
+  const current = res.get('RateLimit-Remaining');
+  if (current !== undefined && Number(current) <= remaining) return;
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSeconds),
+    'RateLimit-Policy': `${limit};w=${Math.round(windowMs / 1000)}`
+  });
+}
+
+// Middleware limiting requests to `limit` per `windowMs` per key. `key(req)`
+// returns the bucket (e.g. the client IP or user id), or null to skip.
+// If the store is unavailable the request is let through (fail open).
+function rateLimit({ name, limit, windowMs = 60000, key, store }) {
+  return async (req, res, next) => {
+    const bucket = key(req);
+    if (bucket === null || bucket === undefined || limit <= 0) return next();
+
+    let result;
+    try {
+      result = await store.increment(`${name}:${bucket}`, windowMs);
+    } catch (error) {
+      logger.warn({ err: error, limiter: name }, 'Rate limit store unavailable; allowing request');
+      return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 0);
+    const remaining = Math.max(limit - result.count, 0);
+    setRateLimitHeaders(res, { limit, remaining, resetSeconds, windowMs });
+
+    if (result.count > limit) {
+      res.set('Retry-After', String(resetSeconds));
+      logger.warn({ limiter: name, bucket, count: result.count, limit }, 'Rate limit exceeded');
+      return sendError(res, new ApiError(429, 'rate_limited',
+        `Too many requests; try again in ${resetSeconds} second(s)`));
+    }
+    next();
+  };
+}
+
+const isRead = req => req.method === 'GET' || req.method === 'HEAD';
+
+module.exports = { MemoryStore, MongoStore, createRateLimitStore, rateLimit, isRead };
+EOF
+
+# FILE: backend/config.js
+cat > backend/config.js << 'EOF'
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Typed, validated configuration. loadConfig() runs once at startup (see
+// index.js), before any other module is required: it loads the env files for
+// NODE_ENV, resolves secrets, checks every setting and fills in `config`.
+// All problems are reported together so a bad deploy fails before it serves.
+//
+// Secrets can be given directly (JWT_SECRET=...), as a file path
+// (JWT_SECRET_FILE=/run/secrets/jwt) or fetched from a secret provider
+// (SECRETS_PROVIDER=file|aws), so credentials never have to live in the
+// environment, the MongoDB URI or the deploy scripts.
+
+const NODE_ENVS = ['development', 'test', 'production'];
+const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal', 'silent'];
+const BYTE_SIZE = /^\d+(b|kb|mb)$/i;
+const DURATION = /^(\d+)([smhd])$/;
+const DURATION_SECONDS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+const MONGODB_URI = /^mongodb(\+srv)?:\/\/[^/]+/;
+const MONGODB_URI_CREDENTIALS = /^mongodb(\+srv)?:\/\/[^/@]+@/;
+const HTTP_URL = /^https?:\/\/[^/]+/;
+
+// Each leaf names its environment variable and type. `default` is used when
+// the variable is unset; `devDefault` replaces it outside production. A
+// setting with only a devDefault is required in production.
+const SETTINGS = {
+  env: { env: 'NODE_ENV', type: 'enum', values: NODE_ENVS, default: 'development' },
+  port: { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 5000 },
+  // Names this instance in X-Served-By instead of the hostname, for several
+  // instances on one host (see scripts/simulate-alb.js)
+  instanceName: { env: 'INSTANCE_NAME', type: 'string', default: '' },
+  logLevel: { env: 'LOG_LEVEL', type: 'enum', values: LOG_LEVELS, default: 'info' },
+  trustProxyHops: { env: 'TRUST_PROXY_HOPS', type: 'integer', min: 0, default: 1 },
+  corsOrigins: { env: 'CORS_ORIGINS', type: 'origins', devDefault: ['http://localhost:3000'] },
+  jsonBodyLimit: { env: 'JSON_BODY_LIMIT', type: 'string', pattern: BYTE_SIZE, default: '100kb' },
+  bulkBodyLimit: { env: 'BULK_BODY_LIMIT', type: 'string', pattern: BYTE_SIZE, default: '5mb' },
+  trashRetentionDays: { env: 'TRASH_RETENTION_DAYS', type: 'integer', min: 1, default: 30 },
+  eventBus: { env: 'EVENT_BUS', type: 'enum', values: ['memory', 'mongo'], default: 'memory' },
+  storage: {
+    driver: { env: 'STORAGE_DRIVER', type: 'enum', values: ['mongo', 'memory', 'sqlite'], default: 'mongo' },
+    sqliteFile: { env: 'SQLITE_FILE', type: 'string', default: 'data/app.sqlite' }
+  },
+  mongo: {
+    uri: {
+      env: 'MONGODB_URI', type: 'string', pattern: MONGODB_URI,
+      devDefault: 'mongodb://localhost:27017/fullstack-app'
+    },
+    username: { env: 'MONGODB_USERNAME', type: 'string', secret: true, default: '' },
+    password: { env: 'MONGODB_PASSWORD', type: 'string', secret: true, default: '' },
+    authSource: { env: 'MONGODB_AUTH_SOURCE', type: 'string', default: 'admin' }
+  },
+  auth: {
+    jwtSecret: { env: 'JWT_SECRET', type: 'string', secret: true, minLength: 16 },
+    accessTokenTtlSeconds: { env: 'ACCESS_TOKEN_TTL', type: 'duration', default: 15 * 60 },
+    refreshTokenTtlDays: { env: 'REFRESH_TOKEN_TTL_DAYS', type: 'integer', min: 1, default: 30 }
+  },
+  shutdown: {
+    delayMs: { env: 'SHUTDOWN_DELAY_MS', type: 'integer', min: 0, default: 5000 },
+    timeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', min: 0, default: 30000 }
+  },
+  readiness: {
+    maxEventLoopLagMs: { env: 'READINESS_MAX_EVENT_LOOP_LAG_MS', type: 'integer', min: 1, default: 200 },
+    mongoPingTimeoutMs: { env: 'READINESS_MONGO_PING_TIMEOUT_MS', type: 'integer', min: 1, default: 1000 }
+  },
+  openapi: {
+    docs: { env: 'OPENAPI_DOCS', type: 'boolean', default: true },
+    validateResponses: { env: 'OPENAPI_VALIDATE_RESPONSES', type: 'boolean', default: false, devDefault: true }
+  },
+  metrics: {
+    enabled: { env: 'METRICS_ENABLED', type: 'boolean', default: true },
+    token: { env: 'METRICS_TOKEN', type: 'string', secret: true, default: '' }
+  },
+  rateLimit: {
+    store: { env: 'RATE_LIMIT_STORE', type: 'enum', values: ['memory', 'mongo'], default: 'memory' },
+    readPerIp: { env: 'RATE_LIMIT_READ_PER_IP', type: 'integer', min: 1, default: 300 },
+    writePerIp: { env: 'RATE_LIMIT_WRITE_PER_IP', type: 'integer', min: 1, default: 60 },
+    readPerUser: { env: 'RATE_LIMIT_READ_PER_USER', type: 'integer', min: 1, default: 600 },
+    writePerUser: { env: 'RATE_LIMIT_WRITE_PER_USER', type: 'integer', min: 1, default: 120 },
+    authPerIp: { env: 'RATE_LIMIT_AUTH_PER_IP', type: 'integer', min: 1, default: 10 }
+  },
+  // Task attachments (see blob-store.js). Every instance must see the same
+  // files: use s3, or local with ATTACHMENT_DIR on a shared mount (EFS).
+  attachments: {
+    store: { env: 'ATTACHMENT_STORE', type: 'enum', values: ['local', 's3'], default: 'local' },
+    dir: { env: 'ATTACHMENT_DIR', type: 'string', default: 'data/attachments' },
+    maxSizeMb: { env: 'ATTACHMENT_MAX_SIZE_MB', type: 'integer', min: 1, max: 100, default: 10 },
+    maxPerTask: { env: 'ATTACHMENT_MAX_PER_TASK', type: 'integer', min: 1, max: 100, default: 20 },
+    s3: {
+      bucket: { env: 'S3_BUCKET', type: 'string', default: '' },
+      prefix: { env: 'S3_PREFIX', type: 'string', default: 'attachments/' },
+      // An S3-compatible server instead of AWS, e.g. MinIO at http://localhost:9000
+      endpoint: { env: 'S3_ENDPOINT', type: 'string', pattern: HTTP_URL, default: '' },
+      forcePathStyle: { env: 'S3_FORCE_PATH_STYLE', type: 'boolean', default: false }
+    }
+  },
+  listCache: {
+    store: { env: 'LIST_CACHE_STORE', type: 'enum', values: ['none', 'memory', 'mongo'], default: 'none' },
+    ttlSeconds: { env: 'LIST_CACHE_TTL_SECONDS', type: 'integer', min: 1, default: 300 }
+  },
+  scheduler: {
+    enabled: { env: 'SCHEDULER_ENABLED', type: 'boolean', default: true },
+    intervalMs: { env: 'SCHEDULER_INTERVAL_MS', type: 'integer', min: 1000, default: 30000 },
+    lockTtlMs: { env: 'SCHEDULER_LOCK_TTL_MS', type: 'integer', min: 1000, default: 120000 },
+    maxCatchUpHours: { env: 'SCHEDULER_MAX_CATCH_UP_HOURS', type: 'integer', min: 1, default: 24 }
+  },
+  notifier: {
+    driver: { env: 'NOTIFIER', type: 'enum', values: ['log', 'webhook'], default: 'log' },
+    webhookUrl: { env: 'NOTIFIER_WEBHOOK_URL', type: 'string', pattern: HTTP_URL, default: '' }
+  },
+  secrets: {
+    provider: { env: 'SECRETS_PROVIDER', type: 'enum', values: ['none', 'file', 'aws'], default: 'none' },
+    dir: { env: 'SECRETS_DIR', type: 'string', default: '/run/secrets' },
+    prefix: { env: 'SECRETS_PREFIX', type: 'string', default: 'fullstack/' },
+    region: { env: 'AWS_REGION', type: 'string', default: 'us-east-1' }
+  }
+};
+
+// Parsers return the typed value or throw with a message for the report
+const TYPES = {
+  string(raw, setting) {
+    if (setting.pattern && !setting.pattern.test(raw)) throw new Error('has an invalid format');
+    if (setting.minLength && raw.length < setting.minLength) {
+      throw new Error(`must be at least ${setting.minLength} characters`);
+    }
+    return raw;
+  },
+  integer(raw, { min = -Infinity, max = Infinity }) {
+    const value = Number(raw);
+    if (!/^-?\d+$/.test(raw.trim()) || value < min || value > max) {
+      const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+      throw new Error(`must be an integer ${range}`);
+    }
+    return value;
+  },
+  boolean(raw) {
+    if (/^(true|1|yes)$/i.test(raw)) return true;
+    if (/^(false|0|no)$/i.test(raw)) return false;
+    throw new Error('must be true or false');
+  },
+  // A number with a unit (s, m, h or d), e.g. "15m", as seconds
+  duration(raw) {
+    const match = DURATION.exec(raw);
+    if (!match || Number(match[1]) === 0) throw new Error('must be a duration with a unit, e.g. 900s or 15m');
+    return Number(match[1]) * DURATION_SECONDS[match[2]];
+  },
+  enum(raw, { values }) {
+    if (!values.includes(raw)) throw new Error(`must be one of ${values.join(', ')}`);
+    return raw;
+  },
+  // Comma-separated list of browser origins (scheme://host[:port])
+  origins(raw) {
+    const origins = raw.split(',').map(origin => origin.trim()).filter(Boolean);
+    for (const origin of origins) {
+      let parsed;
+      try {
+        parsed = new URL(origin);
+      } catch (err) {
+        parsed = null;
+      }
+      if (!parsed || parsed.origin !== origin) throw new Error(`"${origin}" is not an origin`);
+    }
+    return origins;
+  }
+};
+
+class ConfigError extends Error {
+  constructor(nodeEnv, problems) {
+    super([
+      `Invalid configuration (NODE_ENV=${nodeEnv}):`,
+      ...problems.map(({ env, message }) => `  - ${env}: ${message}`)
+    ].join('\n'));
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Reads secrets from one file per setting, e.g. /run/secrets/JWT_SECRET
+// (Docker and Kubernetes secret mounts)
+class FileSecretProvider {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async get(name) {
+    return readSecretFile(path.join(this.dir, name), { optional: true });
+  }
+}
+
+// Reads secrets from AWS Secrets Manager, one plain-text secret per setting,
+// e.g. fullstack/JWT_SECRET. Credentials come from the instance role.
+class AwsSecretProvider {
+  constructor({ prefix, region }) {
+    // Only needed when this provider is selected
+    const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+    this.client = new SecretsManagerClient({ region });
+    this.GetSecretValueCommand = GetSecretValueCommand;
+    this.prefix = prefix;
+  }
+
+  async get(name) {
+    try {
+      const result = await this.client.send(new this.GetSecretValueCommand({ SecretId: this.prefix + name }));
+      return result.SecretString;
+    } catch (err) {
+      if (err.name === 'ResourceNotFoundException') return undefined;
+      throw err;
+    }
+  }
+}
+
+const noSecretProvider = { get: async () => undefined };
+
+// SECRETS_PROVIDER=none (default), file or aws. Anything with an async
+// get(name) method can also be passed to loadConfig() directly.
+function createSecretProvider({ provider, dir, prefix, region }) {
+  switch (provider) {
+    case 'none':
+      return noSecretProvider;
+    case 'file':
+      return new FileSecretProvider(dir);
+    case 'aws':
+      return new AwsSecretProvider({ prefix, region });
+    default:
+      throw new Error(`Unknown SECRETS_PROVIDER "${provider}" (expected "none", "file" or "aws")`);
+  }
+}
+
+function readSecretFile(file, { optional = false } = {}) {
+  try {
+    // Secret files usually end with a newline that isn't part of the value
+    return fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+  } catch (err) {
+    if (optional && err.code === 'ENOENT') return undefined;
+    throw new Error(`could not read ${file} (${err.code || err.message})`);
+  }
+}
+
+// Most specific first; dotenv never overrides a variable that is already set,
+// so real environment variables win over every file. Like Create React App,
+// .env.local is skipped in tests so they don't depend on a developer's setup.
+function loadEnvFiles(nodeEnv, dir = __dirname) {
+  const files = [
+    `.env.${nodeEnv}.local`,
+    nodeEnv !== 'test' && '.env.local',
+    `.env.${nodeEnv}`,
+    '.env'
+  ].filter(Boolean);
+
+  return files.filter(file => {
+    const result = dotenv.config({ path: path.join(dir, file) });
+    return !result.error;
+  });
+}
+
+function flattenSettings(settings, prefix = []) {
+  return Object.entries(settings).flatMap(([key, setting]) => (
+    setting.env
+      ? [{ ...setting, path: [...prefix, key] }]
+      : flattenSettings(setting, [...prefix, key])
+  ));
+}
+
+function setPath(target, [key, ...rest], value) {
+  if (rest.length === 0) {
+    target[key] = value;
+    return;
+  }
+  target[key] = target[key] || {};
+  setPath(target[key], rest, value);
+}
+
+function deepFreeze(object) {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === 'object') deepFreeze(value);
+  });
+  return Object.freeze(object);
+}
+
+const values = {};
+let loaded = false;
+
+// Reading a setting before loadConfig() is a bug (it would silently be
+// undefined), so the exported object throws instead
+const config = new Proxy(values, {
+  get(target, key) {
+    if (!loaded && typeof key === 'string') {
+      throw new Error(`config.${key} was read before loadConfig() finished`);
+    }
+    return target[key];
+  }
+});
+
+async function loadConfig({ secretProvider } = {}) {
+  const nodeEnv = process.env.NODE_ENV || 'development';
+  const envFiles = loadEnvFiles(nodeEnv);
+  const isProduction = nodeEnv === 'production';
+  const settings = flattenSettings(SETTINGS);
+  const problems = [];
+  const resolved = {};
+
+  const resolve = (setting, raw) => {
+    if (raw === undefined || raw === '') {
+      const fallback = isProduction ? setting.default : (setting.devDefault ?? setting.default);
+      if (fallback === undefined) {
+        problems.push({ env: setting.env, message: 'is required' });
+      } else {
+        setPath(resolved, setting.path, fallback);
+      }
+      return;
+    }
+    try {
+      setPath(resolved, setting.path, TYPES[setting.type](raw, setting));
+    } catch (err) {
+      // Never echo secret values into the report
+      const got = setting.secret ? '' : ` (got "${raw}")`;
+      problems.push({ env: setting.env, message: err.message + got });
+    }
+  };
+
+  // Plain settings first: the secret provider is configured by them
+  settings.filter(setting => !setting.secret).forEach(setting => {
+    resolve(setting, process.env[setting.env]);
+  });
+
+  let provider = secretProvider;
+  if (!provider) {
+    try {
+      provider = createSecretProvider(resolved.secrets || {});
+    } catch (err) {
+      problems.push({ env: 'SECRETS_PROVIDER', message: err.message });
+      provider = noSecretProvider;
+    }
+  }
+
+  for (const setting of settings.filter(s => s.secret)) {
+    const fileVariable = `${setting.env}_FILE`;
+    let raw = process.env[setting.env];
+    try {
+      if (!raw && process.env[fileVariable]) {
+        raw = readSecretFile(process.env[fileVariable]);
+      } else if (!raw) {
+        raw = await provider.get(setting.env);
+      }
+    } catch (err) {
+      const source = process.env[fileVariable] ? fileVariable : 'the secret provider';
+      problems.push({ env: setting.env, message: `could not be read from ${source}: ${err.message}` });
+      continue;
+    }
+    resolve(setting, raw);
+  }
+
+  problems.push(...crossChecks(resolved, isProduction));
+
+  if (problems.length > 0) {
+    throw new ConfigError(nodeEnv, problems);
+  }
+
+  Object.assign(values, resolved, { envFiles });
+  deepFreeze(values);
+  loaded = true;
+  return config;
+}
+
+// Rules that involve more than one setting
+function crossChecks({ mongo, auth, storage, eventBus, rateLimit, listCache, notifier, attachments }, isProduction) {
+  const problems = [];
+
+  // The Mongo event bus, rate limit store and list cache share the storage connection
+  if (storage && storage.driver !== 'mongo') {
+    if (eventBus === 'mongo') {
+      problems.push({ env: 'EVENT_BUS', message: 'can only be mongo when STORAGE_DRIVER is mongo' });
+    }
+    if (rateLimit && rateLimit.store === 'mongo') {
+      problems.push({ env: 'RATE_LIMIT_STORE', message: 'can only be mongo when STORAGE_DRIVER is mongo' });
+    }
+    if (listCache && listCache.store === 'mongo') {
+      problems.push({ env: 'LIST_CACHE_STORE', message: 'can only be mongo when STORAGE_DRIVER is mongo' });
+    }
+  }
+
+  if (notifier && notifier.driver === 'webhook' && !notifier.webhookUrl) {
+    problems.push({ env: 'NOTIFIER_WEBHOOK_URL', message: 'is required when NOTIFIER is webhook' });
+  }
+
+  if (attachments && attachments.store === 's3' && !attachments.s3.bucket) {
+    problems.push({ env: 'S3_BUCKET', message: 'is required when ATTACHMENT_STORE is s3' });
+  }
+
+  if (mongo && mongo.password && !mongo.username) {
+    problems.push({ env: 'MONGODB_USERNAME', message: 'is required when MONGODB_PASSWORD is set' });
+  }
+  if (mongo && isProduction && MONGODB_URI_CREDENTIALS.test(mongo.uri)) {
+    problems.push({
+      env: 'MONGODB_URI',
+      message: 'must not contain credentials in production; use MONGODB_USERNAME and MONGODB_PASSWORD'
+    });
+  }
+  if (auth && auth.jwtSecret && isProduction && auth.jwtSecret.length < 32) {
+    problems.push({ env: 'JWT_SECRET', message: 'must be at least 32 characters in production' });
+  }
+
+  return problems;
+}
+
+// Options for mongoose.connect(): credentials are passed separately so they
+// never appear in the URI (or in logs that print it)
+function mongoConnectOptions() {
+  const { username, password, authSource } = config.mongo;
+  if (!username) return {};
+  return { auth: { username, password }, authSource };
+}
+
+module.exports = {
+  config,
+  loadConfig,
+  ConfigError,
+  FileSecretProvider,
+  AwsSecretProvider,
+  createSecretProvider,
+  mongoConnectOptions
+};
+EOF
+
+# FILE: backend/index.js
+cat > backend/index.js << 'EOF'
+// Entry point. Configuration is loaded (secrets may come from a remote
+// provider) and validated before anything else is required, so every module
+// can read its settings from ./config when it loads.
+const os = require('os');
+const { loadConfig, ConfigError } = require('./config');
+
+async function start() {
+  const config = await loadConfig();
+  const { logger } = require('./logger');
+  const { setInstanceLabels, trackTaskCounts } = require('./metrics');
+  const { shutdown } = require('./health');
+  const { createStorage } = require('./repositories');
+  const { createEventBus } = require('./events');
+  const { createRateLimitStore } = require('./rate-limit');
+  const { createListCache } = require('./list-cache');
+  const { createBlobStore } = require('./blob-store');
+  const { createApp, getServerIp } = require('./app');
+  const { createScheduler } = require('./scheduler');
+  const { createTaskJobs } = require('./task-jobs');
+  const { createNotifier } = require('./notifier');
+
+  logger.info({ env: config.env, envFiles: config.envFiles, storage: config.storage.driver }, 'Configuration loaded');
+  setInstanceLabels({ hostname: os.hostname(), ip: getServerIp() });
+
+  const storage = createStorage();
+  await storage.connect();
+  trackTaskCounts(storage.tasks);
+
+  // Task change events, shared between instances (see events.js)
+  const eventBus = createEventBus();
+  const rateLimitStore = createRateLimitStore();
+  const listCache = createListCache({ eventBus });
+  // Attachment files (see blob-store.js)
+  const blobStore = createBlobStore();
+  const app = createApp({ storage, eventBus, rateLimitStore, blobStore, listCache });
+
+  // Recurring tasks, reminders and attachment cleanup (see task-jobs.js)
+  const scheduler = createScheduler({
+    storage,
+    jobs: createTaskJobs({ storage, eventBus, listCache, blobStore, notifier: createNotifier() })
+  });
+  if (config.scheduler.enabled) scheduler.start();
+
+  const server = app.listen(config.port, '0.0.0.0', () => {
+    logger.info({ port: config.port, ip: getServerIp() }, 'Server running');
+  });
+
+  // Graceful shutdown on deploys and scale-in. SHUTDOWN_DELAY_MS is the time
+  // to keep serving after SIGTERM while the ALB notices we're not ready.
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, () => {
+      shutdown(server, {
+        preDrainDelayMs: config.shutdown.delayMs,
+        drainTimeoutMs: config.shutdown.timeoutMs,
+        cleanup: async () => {
+          await scheduler.stop();
+          await eventBus.close();
+          await storage.close();
+        }
+      })
+        .then(() => process.exit(0))
+        .catch(err => {
+          logger.fatal({ err }, 'Shutdown failed');
+          process.exit(1);
+        });
+    });
+  }
+}
+
+start().catch(err => {
+  // Configuration errors are reported before the logger can be set up
+  console.error(err instanceof ConfigError ? err.message : err);
+  process.exit(1);
+});
+EOF
+
+# FILE: backend/repositories/index.js
+cat > backend/repositories/index.js << 'EOF'
+const { config } = require('../config');
+const { DuplicateKeyError } = require('./common');
+
+// Persistence is split into repositories with the same async interface for
+// every storage driver. They take and return plain objects: ids are
+// 24-character hex strings, dates are Date objects and every task carries
+// its version in __v.
+//
+// tasks
+//   find(criteria, { sort, limit, after }) -> tasks
+//   count(criteria) -> number
+//   stream(criteria, { sort }) -> async iterable of tasks
+//   findOne(criteria, { session }) -> task | null
+//   insert(values, { session }) -> task (DuplicateKeyError if another task
+//     already has its recurrenceOf)
+//   insertMany(values) -> tasks
+//     New tasks are ranked at the top of their owner's manual order, in the
+//     order given (see ranks.js)
+//   update(criteria, changes, { session }) -> { before, task }, or nulls if
+//     nothing matched; bumps __v. DuplicateKeyError('rank') if another task
+//     of the owner has the rank it sets.
+//   remove(criteria, { session }) -> the removed task | null
+//   removeMany(criteria) -> the removed tasks
+//   countByState() -> { active, completed, deleted }, or null if unavailable
+// history (append-only)
+//   append(entries, { session })
+//   list({ task, owner }, { limit }) -> entries, newest first
+// users
+//   create({ email, passwordHash }) -> user (DuplicateKeyError if taken)
+//   findByEmail(email), findById(id) -> user | null
+// refreshTokens
+//   create({ tokenHash, user, expiresAt })
+//   consume(tokenHash) -> token | null (deleted; unexpired tokens only)
+//   remove(tokenHash)
+// locks (leases for the scheduler, see scheduler.js)
+//   acquire(name, owner, ttlMs) -> true if taken: free, expired or already
+//     held by `owner` (which extends it)
+//   release(name, owner)
+// jobs
+//   get(name) -> { name, lastRunAt, lastSuccessAt, lastError, instance, data } | null
+//   save(name, { lastRunAt, lastSuccessAt, lastError, instance, data }); data
+//     goes through JSON in some drivers, so dates in it may come back as strings
+//
+// The storage object holding them also has connect(), ping() (a readiness
+// check), transaction(fn) and close(). transaction(fn) calls fn(session) and
+// rolls every write made with that session back if it throws.
+//
+// Task criteria are { id, owner, trashed, versions, completed, createdAfter,
+// createdBefore, serverHostname, q, priority, tag, dueAfter, dueBefore,
+// recurring, hasReminders, hasAttachments, deletedBefore, ranked }; every key
+// is optional. trashed selects live (false) or trashed (true) tasks,
+// deletedBefore tasks trashed before that date, versions a list of allowed __v.
+// Attachments ({ _id, name, type, size, createdAt }) are listed on their task;
+// the files are in the blob store (see blob-store.js).
+// Tasks from before manual ordering are unranked (rank null) until the
+// driver ranks them when it starts.
+// Sorting is { field, dir } with dir 1 or -1, ties broken by _id; `after`
+// is a keyset cursor { value, id } from the last task of the previous page.
+
+// STORAGE_DRIVER=mongo (default), memory or sqlite. Drivers other than
+// mongo are loaded on demand so their dependencies stay optional.
+function createStorage(driver = config.storage.driver) {
+  const options = { trashRetentionDays: config.trashRetentionDays };
+  switch (driver) {
+    case 'mongo': {
+      const { MongoStorage } = require('./mongo');
+      return new MongoStorage(options);
+    }
+    case 'memory': {
+      const { MemoryStorage } = require('./memory');
+      return new MemoryStorage(options);
+    }
+    case 'sqlite': {
+      const { SqliteStorage } = require('./sqlite');
+      return new SqliteStorage({ ...options, file: config.storage.sqliteFile });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "mongo", "memory" or "sqlite")`);
+  }
+}
+
+module.exports = { createStorage, DuplicateKeyError };
+EOF
+
+# FILE: backend/repositories/common.js
+cat > backend/repositories/common.js << 'EOF'
+const crypto = require('crypto');
+const { ranksBetween } = require('../ranks');
+
+// Helpers shared by the storage drivers
+
+// Raised by every driver when a unique key (e.g. a user's email) is taken
+class DuplicateKeyError extends Error {
+  constructor(field) {
+    super(`Duplicate value for ${field}`);
+    this.name = 'DuplicateKeyError';
+    this.field = field;
+  }
+}
+
+// 24-character hex ids in the same format as Mongo ObjectIds (timestamp,
+// random, counter), so ids look and sort the same whichever driver is used
+const processUnique = crypto.randomBytes(5);
+let counter = crypto.randomBytes(3).readUIntBE(0, 3);
+
+function objectId() {
+  const id = Buffer.alloc(12);
+  id.writeUInt32BE(Math.floor(Date.now() / 1000), 0);
+  processUnique.copy(id, 4);
+  counter = (counter + 1) % 0xffffff;
+  id.writeUIntBE(counter, 9, 3);
+  return id.toString('hex');
+}
+
+// Server-maintained timestamps of a new task
+function insertTimestamps(values, now = new Date()) {
+  return { createdAt: now, updatedAt: now, completedAt: values.completed ? now : null };
+}
+
+// Timestamps for a change to `before`: updatedAt moves on every write,
+// completedAt is set when the task becomes completed and cleared when it is
+// reopened
+function updateTimestamps(before, changes, now = new Date()) {
+  const timestamps = { updatedAt: now };
+  if (changes.completed !== undefined && changes.completed !== Boolean(before.completed)) {
+    timestamps.completedAt = changes.completed ? now : null;
+  }
+  return timestamps;
+}
+
+// New tasks go to the top of their owner's manual order (see ranks.js), in
+// the order given. firstRank(owner) returns the owner's current top rank,
+// trashed tasks included, or null. Values that carry a rank keep it.
+function withRanks(values, firstRank) {
+  const ranked = [...values];
+  const byOwner = new Map();
+  values.forEach((value, index) => {
+    if (value.rank !== undefined) return;
+    const owner = String(value.owner);
+    if (!byOwner.has(owner)) byOwner.set(owner, []);
+    byOwner.get(owner).push(index);
+  });
+  for (const [owner, indexes] of byOwner) {
+    const ranks = ranksBetween(null, firstRank(owner), indexes.length);
+    indexes.forEach((index, i) => {
+      ranked[index] = { ...values[index], rank: ranks[i] };
+    });
+  }
+  return ranked;
+}
+
+// Search terms of a q parameter. Like Mongo's $text, a task matches if it
+// contains any of the terms (case-insensitive; no stemming).
+function searchTerms(q) {
+  return q.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+// Read every task matching `criteria` in pages, so a long export never holds
+// one query open (SQLite can't run other statements while iterating)
+async function* streamInPages(repository, criteria, { sort, pageSize = 500 }) {
+  let after = null;
+  while (true) {
+    const tasks = await repository.find(criteria, { sort, limit: pageSize, after });
+    yield* tasks;
+    if (tasks.length < pageSize) return;
+    const last = tasks[tasks.length - 1];
+    after = { value: last[sort.field], id: last._id };
+  }
+}
+
+module.exports = {
+  DuplicateKeyError, objectId, insertTimestamps, updateTimestamps, withRanks, searchTerms, streamInPages
+};
+EOF
+
+# FILE: backend/repositories/mongo.js
+cat > backend/repositories/mongo.js << 'EOF'
+const mongoose = require('mongoose');
+const { config, mongoConnectOptions } = require('../config');
+const { logger } = require('../logger');
+// Registers a mongoose plugin, so it must load before the models below
+require('../metrics');
+const { TASK_FIELDS, CHECKLIST_ITEM_FIELDS, PRIORITIES } = require('../validation');
+const { HISTORY_ACTIONS } = require('../history');
+const { DuplicateKeyError, insertTimestamps, updateTimestamps, withRanks } = require('./common');
+const { ranksBetween } = require('../ranks');
+
+// MongoDB storage (the default): shared by every instance behind the ALB.
+
+const MONGO_RETRY_MS = 5000;
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+// Inserts retried when a concurrent insert took the same top rank
+const MAX_RANK_ATTEMPTS = 5;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Checklist items carry string ids assigned by validation.js
+const ChecklistItemSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  text: { type: String, required: true, trim: true, minlength: 1, maxlength: CHECKLIST_ITEM_FIELDS.text.maxLength },
+  done: { type: Boolean, default: false }
+});
+
+// Attachment metadata; the files are in the blob store (see blob-store.js)
+const AttachmentSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  name: { type: String, required: true },
+  type: { type: String, required: true },
+  size: { type: Number, required: true },
+  createdAt: { type: Date, required: true }
+});
+
+// Task Schema
+const TaskSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, minlength: 1, maxlength: TASK_FIELDS.title.maxLength },
+  description: { type: String, trim: true, maxlength: TASK_FIELDS.description.maxLength },
+  completed: { type: Boolean, default: false },
+  dueDate: { type: Date, default: null },
+  priority: { type: String, enum: [...PRIORITIES, null], default: null },
+  tags: {
+    type: [{ type: String, lowercase: true, trim: true, maxlength: TASK_FIELDS.tags.items.maxLength }],
+    validate: [tags => tags.length <= TASK_FIELDS.tags.maxItems, 'Too many tags']
+  },
+  checklist: {
+    type: [ChecklistItemSchema],
+    validate: [items => items.length <= TASK_FIELDS.checklist.maxItems, 'Too many checklist items']
+  },
+  recurrence: { type: String, trim: true, maxlength: TASK_FIELDS.recurrence.maxLength, default: null },
+  reminders: {
+    type: [Number],
+    validate: [reminders => reminders.length <= TASK_FIELDS.reminders.maxItems, 'Too many reminders']
+  },
+  attachments: { type: [AttachmentSchema], default: [] },
+  // Set on the tasks the scheduler creates for recurring tasks
+  recurrenceOf: { type: mongoose.Schema.Types.ObjectId, default: null },
+  // Position in the owner's manual order (see ranks.js)
+  rank: { type: String, default: null },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  completedAt: { type: Date, default: null },
+  deletedAt: { type: Date, default: null },
+  serverHostname: String,
+  serverIp: String
+});
+
+// Indexes backing list queries: every query is scoped to one owner and to
+// live (deletedAt: null) or trashed tasks, then keyset pagination on each
+// sortable field (with _id as tie-breaker), the common filters, and
+// full-text search.
+TaskSchema.index({ owner: 1, deletedAt: 1, createdAt: -1, _id: -1 });
+TaskSchema.index({ owner: 1, deletedAt: 1, title: 1, _id: 1 });
+TaskSchema.index({ owner: 1, deletedAt: 1, completed: 1, createdAt: -1, _id: -1 });
+TaskSchema.index({ owner: 1, deletedAt: 1, serverHostname: 1, createdAt: -1, _id: -1 });
+TaskSchema.index({ owner: 1, deletedAt: 1, updatedAt: -1, _id: -1 });
+TaskSchema.index({ owner: 1, deletedAt: 1, dueDate: 1, _id: 1 });
+TaskSchema.index({ owner: 1, deletedAt: 1, priority: 1, createdAt: -1, _id: -1 });
+TaskSchema.index({ owner: 1, deletedAt: 1, tags: 1, createdAt: -1, _id: -1 });
+TaskSchema.index({ owner: 1, deletedAt: 1, rank: 1, _id: 1 });
+TaskSchema.index({ owner: 1, deletedAt: 1, title: 'text', description: 'text' }, { weights: { title: 3, description: 1 } });
+
+// The scheduler's queries (see task-jobs.js) span owners and only look at
+// recurring tasks and tasks with reminders. The unique index makes sure each
+// occurrence of a recurring task is followed by one task, whichever instance
+// creates it.
+TaskSchema.index({ dueDate: 1 }, { partialFilterExpression: { recurrence: { $type: 'string' } } });
+TaskSchema.index({ dueDate: 1, _id: 1 }, { partialFilterExpression: { 'reminders.0': { $exists: true } } });
+TaskSchema.index({ recurrenceOf: 1 }, { unique: true, partialFilterExpression: { recurrenceOf: { $type: 'objectId' } } });
+
+// Ranks are unique per owner, so two instances placing tasks in the same gap
+// at once can't both take the same rank (see the move route in app.js)
+TaskSchema.index({ owner: 1, rank: 1 }, { unique: true, partialFilterExpression: { rank: { $type: 'string' } } });
+
+// Trashed tasks are purged automatically after the retention period. TTL
+// indexes skip null dates, so live tasks are never affected. Changing
+// TRASH_RETENTION_DAYS later requires a collMod on this index.
+TaskSchema.index({ deletedAt: 1 }, { expireAfterSeconds: config.trashRetentionDays * 24 * 60 * 60 });
+
+const Task = mongoose.model('Task', TaskSchema);
+
+// Task History Schema: one entry per change to a task, never modified
+const TaskHistorySchema = new mongoose.Schema({
+  task: { type: mongoose.Schema.Types.ObjectId, required: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: {
+    type: String,
+    required: true,
+    enum: HISTORY_ACTIONS
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  version: Number,
+  actor: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: String
+  },
+  serverHostname: String,
+  serverIp: String,
+  at: { type: Date, default: Date.now }
+});
+
+TaskHistorySchema.index({ task: 1, at: -1 });
+
+// Append-only: reject every update or delete issued through the model
+const WRITE_QUERIES = [
+  'updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate',
+  'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'
+];
+TaskHistorySchema.pre(WRITE_QUERIES, function () {
+  throw new Error('Task history is append-only');
+});
+
+const TaskHistory = mongoose.model('TaskHistory', TaskHistorySchema);
+
+// User Schema
+const UserSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const User = mongoose.model('User', UserSchema);
+
+// Refresh Token Schema (expired tokens are removed by the TTL index)
+const RefreshTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  expiresAt: { type: Date, required: true }
+});
+
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
+
+// Lock Schema: leases taken by the scheduler, one per job. Expired leases
+// are free to take whether or not the TTL index has removed them yet.
+const LockSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  owner: { type: String, required: true },
+  expiresAt: { type: Date, required: true }
+}, { versionKey: false });
+
+LockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Lock = mongoose.model('Lock', LockSchema);
+
+// Job Schema: state of each scheduler job, kept across restarts
+const JobSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  lastRunAt: Date,
+  lastSuccessAt: Date,
+  lastError: String,
+  instance: String,
+  data: mongoose.Schema.Types.Mixed
+}, { versionKey: false });
+
+const Job = mongoose.model('Job', JobSchema);
+
+// Documents leave this module as plain objects with string ids
+function toPlain(doc) {
+  if (!doc) return null;
+  const object = typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+  for (const [key, value] of Object.entries(object)) {
+    if (value instanceof mongoose.Types.ObjectId) object[key] = value.toHexString();
+  }
+  return object;
+}
+
+// Tasks written before dueDate, tags etc. existed lack those fields
+function toTask(doc) {
+  const task = toPlain(doc);
+  if (!task) return null;
+  return {
+    dueDate: null,
+    priority: null,
+    tags: [],
+    checklist: [],
+    recurrence: null,
+    reminders: [],
+    attachments: [],
+    recurrenceOf: null,
+    rank: null,
+    updatedAt: task.createdAt,
+    completedAt: null,
+    ...task
+  };
+}
+
+function toHistoryEntry(doc) {
+  const entry = toPlain(doc);
+  if (entry.actor && entry.actor.id) entry.actor = { ...entry.actor, id: String(entry.actor.id) };
+  return entry;
+}
+
+function taskFilter(criteria) {
+  const {
+    id, owner, trashed, versions, completed, createdAfter, createdBefore, serverHostname, q,
+    priority, tag, dueAfter, dueBefore, recurring, hasReminders, hasAttachments, deletedBefore, ranked
+  } = criteria;
+  const filter = {};
+  if (id !== undefined) filter._id = id;
+  if (owner !== undefined) filter.owner = owner;
+  if (trashed !== undefined) filter.deletedAt = trashed ? { $ne: null } : null;
+  if (deletedBefore) filter.deletedAt = { $ne: null, $lt: deletedBefore };
+  if (versions) filter.__v = { $in: versions };
+  if (completed !== undefined) filter.completed = completed;
+  if (createdAfter || createdBefore) {
+    filter.createdAt = {};
+    if (createdAfter) filter.createdAt.$gte = createdAfter;
+    if (createdBefore) filter.createdAt.$lt = createdBefore;
+  }
+  if (serverHostname !== undefined) filter.serverHostname = serverHostname;
+  if (priority !== undefined) filter.priority = priority;
+  if (tag !== undefined) filter.tags = tag;
+  if (dueAfter || dueBefore) {
+    filter.dueDate = { $ne: null };
+    if (dueAfter) filter.dueDate.$gte = dueAfter;
+    if (dueBefore) filter.dueDate.$lt = dueBefore;
+  }
+  // Written as in the partial indexes, so the planner can use them
+  if (recurring !== undefined) filter.recurrence = recurring ? { $type: 'string' } : null;
+  if (hasReminders !== undefined) filter['reminders.0'] = { $exists: hasReminders };
+  if (hasAttachments !== undefined) filter['attachments.0'] = { $exists: hasAttachments };
+  if (ranked !== undefined) filter.rank = ranked ? { $type: 'string' } : null;
+  if (q) filter.$text = { $search: q };
+  return filter;
+}
+
+// Keyset condition selecting documents strictly after the cursor position.
+// Nulls (tasks without a dueDate) sort first ascending and last descending,
+// and comparisons never match them, so they get their own branch.
+function cursorFilter({ field, dir }, after) {
+  const op = dir === -1 ? '$lt' : '$gt';
+  const id = new mongoose.Types.ObjectId(String(after.id));
+  if (after.value === null) {
+    const sameValue = { [field]: null, _id: { [op]: id } };
+    return dir === -1 ? sameValue : { $or: [{ [field]: { $ne: null } }, sameValue] };
+  }
+  const branches = [
+    { [field]: { [op]: after.value } },
+    { [field]: after.value, _id: { [op]: id } }
+  ];
+  if (dir === -1) branches.push({ [field]: null });
+  return { $or: branches };
+}
+
+function isDuplicateKey(error) {
+  return error && error.code === 11000;
+}
+
+// The task field of the unique index a write collided with
+const duplicateField = error => (/index: owner_1_rank_1 /.test(error.message) ? 'rank' : 'recurrenceOf');
+
+class MongoTaskRepository {
+  async find(criteria, { sort = { field: 'createdAt', dir: -1 }, limit = 0, after = null } = {}) {
+    const filter = taskFilter(criteria);
+    const docs = await Task.find(after ? { $and: [filter, cursorFilter(sort, after)] } : filter)
+      .sort({ [sort.field]: sort.dir, _id: sort.dir })
+      .limit(limit === Infinity ? 0 : limit)
+      .lean();
+    return docs.map(toTask);
+  }
+
+  async count(criteria) {
+    return Task.countDocuments(taskFilter(criteria));
+  }
+
+  async* stream(criteria, { sort = { field: 'createdAt', dir: -1 } } = {}) {
+    const cursor = Task.find(taskFilter(criteria))
+      .sort({ [sort.field]: sort.dir, _id: sort.dir })
+      .lean()
+      .cursor();
+    for await (const doc of cursor) yield toTask(doc);
+  }
+
+  async findOne(criteria, { session = null } = {}) {
+    return toTask(await Task.findOne(taskFilter(criteria)).session(session).lean());
+  }
+
+  // The owner's top rank, trashed tasks included
+  async firstRank(owner, session = null) {
+    const task = await Task.findOne({ owner, rank: { $type: 'string' } })
+      .sort({ rank: 1 })
+      .select('rank')
+      .session(session)
+      .lean();
+    return task ? task.rank : null;
+  }
+
+  // Another instance inserting for the same owner may take the new top rank
+  // first; the insert then retries on top of it. Inside a transaction the
+  // collision aborts the transaction, so it is left to the caller.
+  async insert(values, { session = null } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const first = values.rank === undefined ? await this.firstRank(values.owner, session) : null;
+      const [ranked] = withRanks([values], () => first);
+      try {
+        const [task] = await Task.create([{ ...insertTimestamps(ranked), ...ranked }], { session });
+        return toTask(task);
+      } catch (error) {
+        if (!isDuplicateKey(error)) throw error;
+        const field = duplicateField(error);
+        if (field === 'rank' && values.rank === undefined && !session && attempt < MAX_RANK_ATTEMPTS) continue;
+        throw new DuplicateKeyError(field);
+      }
+    }
+  }
+
+  async insertMany(values) {
+    const now = new Date();
+    const owners = [...new Set(values.map(value => String(value.owner)))];
+    const firstRanks = new Map(await Promise.all(owners.map(async owner => [owner, await this.firstRank(owner)])));
+    const ranked = withRanks(values, owner => firstRanks.get(owner));
+    try {
+      return (await Task.insertMany(ranked.map(value => ({ ...insertTimestamps(value, now), ...value })))).map(toTask);
+    } catch (error) {
+      if (isDuplicateKey(error)) throw new DuplicateKeyError(duplicateField(error));
+      throw error;
+    }
+  }
+
+  // Set the changes on the matching task, maintain its timestamps and bump
+  // its version, in one update. completedAt depends on the stored completed
+  // flag, hence the pipeline; values are wrapped in $literal so strings
+  // starting with "$" aren't read as field paths. Pipelines skip mongoose's
+  // casting and validators: changes come from validateFields().
+  async update(criteria, changes, { session = null } = {}) {
+    const now = new Date();
+    const set = { updatedAt: now, __v: { $add: ['$__v', 1] } };
+    for (const [field, value] of Object.entries(changes)) set[field] = { $literal: value };
+    if (changes.completed !== undefined) {
+      set.completedAt = changes.completed
+        ? { $cond: [{ $eq: ['$completed', true] }, '$completedAt', now] }
+        : null;
+    }
+    let before;
+    try {
+      before = await Task.findOneAndUpdate(taskFilter(criteria), [{ $set: set }], { new: false, session }).lean();
+    } catch (error) {
+      if (isDuplicateKey(error)) throw new DuplicateKeyError(duplicateField(error));
+      throw error;
+    }
+    if (!before) return { before: null, task: null };
+    const previous = toTask(before);
+    const task = { ...previous, ...changes, ...updateTimestamps(previous, changes, now), __v: previous.__v + 1 };
+    return { before: previous, task };
+  }
+
+  async remove(criteria, { session = null } = {}) {
+    return toTask(await Task.findOneAndDelete(taskFilter(criteria), { session }).lean());
+  }
+
+  async removeMany(criteria) {
+    const filter = taskFilter(criteria);
+    const tasks = await Task.find(filter).lean();
+    await Task.deleteMany({ ...filter, _id: { $in: tasks.map(task => task._id) } });
+    return tasks.map(toTask);
+  }
+
+  async countByState() {
+    if (mongoose.connection.readyState !== 1) return null;
+    const groups = await Task.aggregate([
+      {
+        $group: {
+          _id: {
+            $cond: [
+              { $ne: [{ $ifNull: ['$deletedAt', null] }, null] },
+              'deleted',
+              { $cond: ['$completed', 'completed', 'active'] }
+            ]
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    const counts = { active: 0, completed: 0, deleted: 0 };
+    groups.forEach(group => {
+      counts[group._id] = group.count;
+    });
+    return counts;
+  }
+}
+
+class MongoHistoryRepository {
+  async append(entries, { session = null } = {}) {
+    await TaskHistory.create(entries, { session });
+  }
+
+  async list({ task, owner }, { limit = 0 } = {}) {
+    const docs = await TaskHistory.find({ task, owner })
+      .sort({ at: -1, _id: -1 })
+      .limit(limit)
+      .lean();
+    return docs.map(toHistoryEntry);
+  }
+}
+
+class MongoUserRepository {
+  async create({ email, passwordHash }) {
+    try {
+      return toPlain(await User.create({ email, passwordHash }));
+    } catch (error) {
+      if (isDuplicateKey(error)) throw new DuplicateKeyError('email');
+      throw error;
+    }
+  }
+
+  async findByEmail(email) {
+    return toPlain(await User.findOne({ email: email.trim().toLowerCase() }).lean());
+  }
+
+  async findById(id) {
+    return toPlain(await User.findById(id).lean());
+  }
+}
+
+class MongoRefreshTokenRepository {
+  async create({ tokenHash, user, expiresAt }) {
+    await RefreshToken.create({ tokenHash, user, expiresAt });
+  }
+
+  async consume(tokenHash) {
+    return toPlain(await RefreshToken.findOneAndDelete({ tokenHash, expiresAt: { $gt: new Date() } }).lean());
+  }
+
+  async remove(tokenHash) {
+    await RefreshToken.deleteOne({ tokenHash });
+  }
+}
+
+class MongoLockRepository {
+  // Take the lock if it is free, expired or already ours (which extends it).
+  // When another owner holds it the filter misses and the upsert collides
+  // with their document.
+  async acquire(name, owner, ttlMs) {
+    const now = new Date();
+    try {
+      await Lock.updateOne(
+        { _id: name, $or: [{ expiresAt: { $lte: now } }, { owner }] },
+        { $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (isDuplicateKey(error)) return false;
+      throw error;
+    }
+  }
+
+  async release(name, owner) {
+    await Lock.deleteOne({ _id: name, owner });
+  }
+}
+
+class MongoJobRepository {
+  async get(name) {
+    const job = await Job.findById(name).lean();
+    if (!job) return null;
+    const { _id, ...state } = job;
+    return { lastError: null, data: null, ...state, name: _id };
+  }
+
+  async save(name, { lastRunAt, lastSuccessAt, lastError, instance, data }) {
+    await Job.updateOne(
+      { _id: name },
+      { $set: { lastRunAt, lastSuccessAt, lastError, instance, data: data === undefined ? null : data } },
+      { upsert: true }
+    );
+  }
+}
+
+class MongoStorage {
+  constructor() {
+    this.driver = 'mongo';
+    this.stopped = false;
+    this.tasks = new MongoTaskRepository();
+    this.history = new MongoHistoryRepository();
+    this.users = new MongoUserRepository();
+    this.refreshTokens = new MongoRefreshTokenRepository();
+    this.locks = new MongoLockRepository();
+    this.jobs = new MongoJobRepository();
+  }
+
+  // Connects in the background, retrying until it succeeds; readiness fails
+  // meanwhile
+  async connect() {
+    mongoose.connection.on('disconnected', () => logger.warn('MongoDB disconnected'));
+    mongoose.connection.on('reconnected', () => logger.info('MongoDB reconnected'));
+    this.connectWithRetry();
+  }
+
+  connectWithRetry() {
+    mongoose.connect(config.mongo.uri, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+      ...mongoConnectOptions()
+    })
+    .then(() => {
+      logger.info('MongoDB connected');
+      this.rankUnrankedTasks().catch(err => logger.error({ err }, 'Ranking existing tasks failed'));
+    })
+    .catch(err => {
+      logger.error({ err }, 'MongoDB connection error');
+      if (!this.stopped) setTimeout(() => this.connectWithRetry(), MONGO_RETRY_MS);
+    });
+  }
+
+  // Tasks from before manual ordering go below the ranked ones, newest first.
+  // Every instance runs this once connected: ranks are only set where still
+  // missing, so instances running it at once skip each other's work.
+  async rankUnrankedTasks() {
+    const owners = await Task.distinct('owner', { rank: null });
+    for (const owner of owners) {
+      const last = await Task.findOne({ owner, rank: { $type: 'string' } }).sort({ rank: -1 }).select('rank').lean();
+      const unranked = await Task.find({ owner, rank: null }).sort({ createdAt: -1, _id: -1 }).select('_id').lean();
+      const ranks = ranksBetween(last ? last.rank : null, null, unranked.length);
+      await Task.bulkWrite(unranked.map((task, i) => ({
+        updateOne: { filter: { _id: task._id, rank: null }, update: { $set: { rank: ranks[i] } } }
+      })));
+    }
+    if (owners.length > 0) logger.info({ owners: owners.length }, 'Ranked tasks created before manual ordering');
+  }
+
+  async ping() {
+    const { readyState } = mongoose.connection;
+    if (readyState !== 1) {
+      return { status: 'fail', driver: this.driver, state: MONGO_STATES[readyState] || 'unknown' };
+    }
+    const timeoutMs = config.readiness.mongoPingTimeoutMs;
+    const start = process.hrtime.bigint();
+    try {
+      await Promise.race([
+        mongoose.connection.db.admin().ping(),
+        delay(timeoutMs).then(() => {
+          throw new Error(`ping timed out after ${timeoutMs}ms`);
+        })
+      ]);
+      const latencyMs = Number(process.hrtime.bigint() - start) / 1e6;
+      return { status: 'pass', driver: this.driver, state: 'connected', latencyMs: Math.round(latencyMs * 100) / 100 };
+    } catch (error) {
+      return { status: 'fail', driver: this.driver, state: 'connected', error: error.message };
+    }
+  }
+
+  // Multi-document transaction (requires a replica set)
+  async transaction(fn) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await fn(session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  async close() {
+    this.stopped = true;
+    await mongoose.disconnect();
+  }
+}
+
+module.exports = { MongoStorage, Task, TaskHistory, User, RefreshToken, Lock, Job };
+EOF
+
+# FILE: backend/repositories/memory.js
+cat > backend/repositories/memory.js << 'EOF'
+const { DuplicateKeyError, objectId, insertTimestamps, updateTimestamps, withRanks, searchTerms } = require('./common');
+
+// In-memory storage: nothing survives a restart and every instance has its
+// own data. For local development and tests; run a single instance.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'boolean') return Number(value);
+  return value === undefined ? null : value;
+}
+
+function compare(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  // Like Mongo, null sorts before any value
+  if (x === null) return -1;
+  if (y === null) return 1;
+  return x < y ? -1 : 1;
+}
+
+function matches(task, criteria) {
+  const {
+    id, owner, trashed, versions, completed, createdAfter, createdBefore, serverHostname, q,
+    priority, tag, dueAfter, dueBefore, recurring, hasReminders, hasAttachments, deletedBefore, ranked
+  } = criteria;
+  if (id !== undefined && task._id !== id) return false;
+  if (owner !== undefined && task.owner !== owner) return false;
+  if (trashed !== undefined && (task.deletedAt !== null) !== trashed) return false;
+  if (versions && !versions.includes(task.__v)) return false;
+  if (completed !== undefined && task.completed !== completed) return false;
+  if (createdAfter && task.createdAt < createdAfter) return false;
+  if (createdBefore && task.createdAt >= createdBefore) return false;
+  if (serverHostname !== undefined && task.serverHostname !== serverHostname) return false;
+  if (priority !== undefined && task.priority !== priority) return false;
+  if (tag !== undefined && !task.tags.includes(tag)) return false;
+  if (dueAfter && !(task.dueDate && task.dueDate >= dueAfter)) return false;
+  if (dueBefore && !(task.dueDate && task.dueDate < dueBefore)) return false;
+  if (recurring !== undefined && (task.recurrence !== null) !== recurring) return false;
+  if (hasReminders !== undefined && (task.reminders.length > 0) !== hasReminders) return false;
+  if (hasAttachments !== undefined && (task.attachments.length > 0) !== hasAttachments) return false;
+  if (deletedBefore && !(task.deletedAt && task.deletedAt < deletedBefore)) return false;
+  if (ranked !== undefined && (task.rank !== null) !== ranked) return false;
+  if (q) {
+    const text = `${task.title} ${task.description || ''}`.toLowerCase();
+    if (!searchTerms(q).some(term => text.includes(term))) return false;
+  }
+  return true;
+}
+
+// Callers get copies, so they can't change stored tasks by accident
+const copy = task => ({
+  ...task,
+  tags: [...task.tags],
+  checklist: task.checklist.map(item => ({ ...item })),
+  reminders: [...task.reminders],
+  attachments: task.attachments.map(attachment => ({ ...attachment }))
+});
+
+class MemoryTaskRepository {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  get tasks() {
+    return this.storage.data.tasks;
+  }
+
+  select(criteria) {
+    return [...this.tasks.values()].filter(task => matches(task, criteria));
+  }
+
+  async find(criteria, { sort = { field: 'createdAt', dir: -1 }, limit = Infinity, after = null } = {}) {
+    const { field, dir } = sort;
+    const order = (a, b) => dir * (compare(a[field], b[field]) || compare(a._id, b._id));
+    let tasks = this.select(criteria).sort(order);
+    if (after) {
+      const position = { [field]: after.value, _id: String(after.id) };
+      tasks = tasks.filter(task => order(task, position) > 0);
+    }
+    return tasks.slice(0, limit).map(copy);
+  }
+
+  async count(criteria) {
+    return this.select(criteria).length;
+  }
+
+  async* stream(criteria, { sort } = {}) {
+    yield* await this.find(criteria, { sort });
+  }
+
+  async findOne(criteria) {
+    const [task] = this.select(criteria);
+    return task ? copy(task) : null;
+  }
+
+  // The owner's top rank, trashed tasks included
+  firstRank(owner) {
+    const ranks = this.select({ owner: String(owner), ranked: true }).map(task => task.rank);
+    return ranks.length > 0 ? ranks.reduce((first, rank) => (rank < first ? rank : first)) : null;
+  }
+
+  async insert(values) {
+    const [ranked] = withRanks([values], owner => this.firstRank(owner));
+    return this.insertRanked(ranked);
+  }
+
+  insertRanked(values) {
+    const task = copy({
+      _id: objectId(),
+      description: '',
+      completed: false,
+      dueDate: null,
+      priority: null,
+      tags: [],
+      checklist: [],
+      recurrence: null,
+      reminders: [],
+      attachments: [],
+      recurrenceOf: null,
+      rank: null,
+      ...insertTimestamps(values),
+      deletedAt: null,
+      ...values,
+      __v: 0
+    });
+    // One follow-up per occurrence of a recurring task, as the unique index
+    // in the other drivers ensures
+    if (task.recurrenceOf && this.select({}).some(other => other.recurrenceOf === task.recurrenceOf)) {
+      throw new DuplicateKeyError('recurrenceOf');
+    }
+    this.tasks.set(task._id, task);
+    return copy(task);
+  }
+
+  async insertMany(values) {
+    return withRanks(values, owner => this.firstRank(owner)).map(value => this.insertRanked(value));
+  }
+
+  async update(criteria, changes) {
+    const [current] = this.select(criteria);
+    if (!current) return { before: null, task: null };
+    // Ranks are unique per owner, as the unique index in the other drivers ensures
+    const taken = changes.rank && this.select({ owner: current.owner, ranked: true })
+      .some(other => other.rank === changes.rank && other._id !== current._id);
+    if (taken) throw new DuplicateKeyError('rank');
+    const task = copy({ ...current, ...changes, ...updateTimestamps(current, changes), __v: current.__v + 1 });
+    this.tasks.set(task._id, task);
+    return { before: copy(current), task: copy(task) };
+  }
+
+  async remove(criteria) {
+    const [task] = this.select(criteria);
+    if (!task) return null;
+    this.tasks.delete(task._id);
+    return copy(task);
+  }
+
+  async removeMany(criteria) {
+    const tasks = this.select(criteria);
+    tasks.forEach(task => this.tasks.delete(task._id));
+    return tasks.map(copy);
+  }
+
+  async countByState() {
+    const counts = { active: 0, completed: 0, deleted: 0 };
+    for (const task of this.tasks.values()) {
+      if (task.deletedAt) counts.deleted++;
+      else if (task.completed) counts.completed++;
+      else counts.active++;
+    }
+    return counts;
+  }
+}
+
+class MemoryHistoryRepository {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async append(entries) {
+    for (const entry of entries) {
+      this.storage.data.history.push({ _id: objectId(), at: new Date(), ...entry });
+    }
+  }
+
+  async list({ task, owner }, { limit = Infinity } = {}) {
+    return this.storage.data.history
+      .filter(entry => entry.task === task && entry.owner === owner)
+      .sort((a, b) => compare(b.at, a.at) || compare(b._id, a._id))
+      .slice(0, limit)
+      .map(entry => ({ ...entry }));
+  }
+}
+
+class MemoryUserRepository {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  get users() {
+    return this.storage.data.users;
+  }
+
+  async create({ email, passwordHash }) {
+    const normalized = email.trim().toLowerCase();
+    if (await this.findByEmail(normalized)) throw new DuplicateKeyError('email');
+    const user = { _id: objectId(), email: normalized, passwordHash, createdAt: new Date() };
+    this.users.set(user._id, user);
+    return { ...user };
+  }
+
+  async findByEmail(email) {
+    const normalized = email.trim().toLowerCase();
+    const user = [...this.users.values()].find(candidate => candidate.email === normalized);
+    return user ? { ...user } : null;
+  }
+
+  async findById(id) {
+    const user = this.users.get(String(id));
+    return user ? { ...user } : null;
+  }
+}
+
+class MemoryRefreshTokenRepository {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  get tokens() {
+    return this.storage.data.refreshTokens;
+  }
+
+  async create({ tokenHash, user, expiresAt }) {
+    this.tokens.set(tokenHash, { tokenHash, user: String(user), expiresAt });
+  }
+
+  async consume(tokenHash) {
+    const token = this.tokens.get(tokenHash);
+    this.tokens.delete(tokenHash);
+    return token && token.expiresAt > new Date() ? { ...token } : null;
+  }
+
+  async remove(tokenHash) {
+    this.tokens.delete(tokenHash);
+  }
+}
+
+class MemoryLockRepository {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  get locks() {
+    return this.storage.data.locks;
+  }
+
+  async acquire(name, owner, ttlMs) {
+    const now = Date.now();
+    const lock = this.locks.get(name);
+    if (lock && lock.expiresAt > now && lock.owner !== owner) return false;
+    this.locks.set(name, { owner, expiresAt: now + ttlMs });
+    return true;
+  }
+
+  async release(name, owner) {
+    const lock = this.locks.get(name);
+    if (lock && lock.owner === owner) this.locks.delete(name);
+  }
+}
+
+class MemoryJobRepository {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async get(name) {
+    const job = this.storage.data.jobs.get(name);
+    return job ? { ...job } : null;
+  }
+
+  // data goes through JSON, as it does when the other drivers store it
+  async save(name, state) {
+    const data = state.data === undefined || state.data === null ? null : JSON.parse(JSON.stringify(state.data));
+    this.storage.data.jobs.set(name, { ...state, name, data });
+  }
+}
+
+class MemoryStorage {
+  constructor({ trashRetentionDays }) {
+    this.driver = 'memory';
+    this.trashRetentionMs = trashRetentionDays * 24 * 60 * 60 * 1000;
+    this.data = {
+      tasks: new Map(), history: [], users: new Map(), refreshTokens: new Map(), locks: new Map(), jobs: new Map()
+    };
+    this.tasks = new MemoryTaskRepository(this);
+    this.history = new MemoryHistoryRepository(this);
+    this.users = new MemoryUserRepository(this);
+    this.refreshTokens = new MemoryRefreshTokenRepository(this);
+    this.locks = new MemoryLockRepository(this);
+    this.jobs = new MemoryJobRepository(this);
+  }
+
+  async connect() {
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS).unref();
+  }
+
+  async ping() {
+    return { status: 'pass', driver: this.driver };
+  }
+
+  // Nothing here waits on I/O, so fn runs to completion without other
+  // requests interleaving; a snapshot is enough to roll it back. The session
+  // only marks writes as part of a transaction.
+  async transaction(fn) {
+    const snapshot = {
+      tasks: new Map(this.data.tasks),
+      history: [...this.data.history],
+      users: new Map(this.data.users),
+      refreshTokens: new Map(this.data.refreshTokens),
+      locks: new Map(this.data.locks),
+      jobs: new Map(this.data.jobs)
+    };
+    try {
+      return await fn({});
+    } catch (error) {
+      this.data = snapshot;
+      throw error;
+    }
+  }
+
+  // Purge trashed tasks past retention and expired refresh tokens (what the
+  // TTL indexes do in Mongo)
+  sweep() {
+    const cutoff = Date.now() - this.trashRetentionMs;
+    for (const [id, task] of this.data.tasks) {
+      if (task.deletedAt && task.deletedAt.getTime() < cutoff) this.data.tasks.delete(id);
+    }
+    const now = new Date();
+    for (const [hash, token] of this.data.refreshTokens) {
+      if (token.expiresAt <= now) this.data.refreshTokens.delete(hash);
+    }
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+  }
+}
+
+module.exports = { MemoryStorage };
+EOF
+
+# FILE: backend/repositories/sqlite.js
+cat > backend/repositories/sqlite.js << 'EOF'
+const fs = require('fs');
+const path = require('path');
+const {
+  DuplicateKeyError, objectId, insertTimestamps, updateTimestamps, withRanks, searchTerms, streamInPages
+} = require('./common');
+const { ranksBetween } = require('../ranks');
+
+// SQLite storage: a single file, no server. For local development, tests
+// and single-instance deployments; instances can't share the file.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS tasks (
+    id TEXT PRIMARY KEY,
+    owner TEXT NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    completed INTEGER NOT NULL DEFAULT 0,
+    due_date TEXT,
+    priority TEXT,
+    tags TEXT NOT NULL DEFAULT '[]',
+    checklist TEXT NOT NULL DEFAULT '[]',
+    recurrence TEXT,
+    reminders TEXT NOT NULL DEFAULT '[]',
+    attachments TEXT NOT NULL DEFAULT '[]',
+    recurrence_of TEXT,
+    rank TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT,
+    completed_at TEXT,
+    deleted_at TEXT,
+    server_hostname TEXT,
+    server_ip TEXT,
+    version INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS tasks_by_created ON tasks (owner, deleted_at, created_at, id);
+  CREATE INDEX IF NOT EXISTS tasks_by_title ON tasks (owner, deleted_at, title, id);
+  CREATE INDEX IF NOT EXISTS tasks_by_completed ON tasks (owner, deleted_at, completed, created_at, id);
+
+  CREATE TABLE IF NOT EXISTS task_history (
+    id TEXT PRIMARY KEY,
+    task TEXT NOT NULL,
+    owner TEXT NOT NULL,
+    action TEXT NOT NULL,
+    changes TEXT NOT NULL,
+    version INTEGER,
+    actor_id TEXT,
+    actor_email TEXT,
+    server_hostname TEXT,
+    server_ip TEXT,
+    at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS task_history_by_task ON task_history (task, at);
+  CREATE TRIGGER IF NOT EXISTS task_history_no_update BEFORE UPDATE ON task_history
+    BEGIN SELECT RAISE(ABORT, 'Task history is append-only'); END;
+  CREATE TRIGGER IF NOT EXISTS task_history_no_delete BEFORE DELETE ON task_history
+    BEGIN SELECT RAISE(ABORT, 'Task history is append-only'); END;
+
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS refresh_tokens (
+    token_hash TEXT PRIMARY KEY,
+    user TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS locks (
+    name TEXT PRIMARY KEY,
+    owner TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS jobs (
+    name TEXT PRIMARY KEY,
+    last_run_at TEXT,
+    last_success_at TEXT,
+    last_error TEXT,
+    instance TEXT,
+    data TEXT
+  );
+`;
+
+// Task columns added after the first release, created in older database
+// files on start (with the indexes that use them)
+const ADDED_TASK_COLUMNS = {
+  due_date: 'TEXT',
+  priority: 'TEXT',
+  tags: "TEXT NOT NULL DEFAULT '[]'",
+  checklist: "TEXT NOT NULL DEFAULT '[]'",
+  updated_at: 'TEXT',
+  completed_at: 'TEXT',
+  recurrence: 'TEXT',
+  reminders: "TEXT NOT NULL DEFAULT '[]'",
+  recurrence_of: 'TEXT',
+  rank: 'TEXT',
+  attachments: "TEXT NOT NULL DEFAULT '[]'"
+};
+
+const ADDED_TASK_INDEXES = `
+  CREATE INDEX IF NOT EXISTS tasks_by_updated ON tasks (owner, deleted_at, updated_at, id);
+  CREATE INDEX IF NOT EXISTS tasks_by_due_date ON tasks (owner, deleted_at, due_date, id);
+  CREATE INDEX IF NOT EXISTS tasks_by_priority ON tasks (owner, deleted_at, priority, created_at, id);
+  CREATE INDEX IF NOT EXISTS tasks_recurring_by_due_date ON tasks (due_date) WHERE recurrence IS NOT NULL;
+  CREATE INDEX IF NOT EXISTS tasks_with_reminders_by_due_date ON tasks (due_date) WHERE reminders <> '[]';
+  CREATE UNIQUE INDEX IF NOT EXISTS tasks_by_recurrence_of ON tasks (recurrence_of) WHERE recurrence_of IS NOT NULL;
+  CREATE INDEX IF NOT EXISTS tasks_by_rank ON tasks (owner, deleted_at, rank, id);
+  CREATE UNIQUE INDEX IF NOT EXISTS tasks_by_unique_rank ON tasks (owner, rank);
+`;
+
+// The task field of the unique index a write collided with
+const duplicateField = error => (error.message.includes('tasks.rank') ? 'rank' : 'recurrenceOf');
+
+// Task field -> column. Dates are stored as ISO strings, which sort
+// correctly; tags, checklists, reminders and attachments as JSON.
+const COLUMNS = {
+  _id: 'id',
+  owner: 'owner',
+  title: 'title',
+  description: 'description',
+  completed: 'completed',
+  dueDate: 'due_date',
+  priority: 'priority',
+  tags: 'tags',
+  checklist: 'checklist',
+  recurrence: 'recurrence',
+  reminders: 'reminders',
+  attachments: 'attachments',
+  recurrenceOf: 'recurrence_of',
+  rank: 'rank',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  completedAt: 'completed_at',
+  deletedAt: 'deleted_at',
+  serverHostname: 'server_hostname',
+  serverIp: 'server_ip',
+  __v: 'version'
+};
+
+function toColumnValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (Array.isArray(value)) return JSON.stringify(value);
+  return value === undefined ? null : value;
+}
+
+const toDate = value => (value === null ? null : new Date(value));
+
+function toTask(row) {
+  if (!row) return null;
+  return {
+    _id: row.id,
+    owner: row.owner,
+    title: row.title,
+    description: row.description,
+    completed: row.completed === 1,
+    dueDate: toDate(row.due_date),
+    priority: row.priority,
+    tags: JSON.parse(row.tags),
+    checklist: JSON.parse(row.checklist),
+    recurrence: row.recurrence,
+    reminders: JSON.parse(row.reminders),
+    attachments: JSON.parse(row.attachments).map(attachment => ({ ...attachment, createdAt: toDate(attachment.createdAt) })),
+    recurrenceOf: row.recurrence_of,
+    rank: row.rank,
+    createdAt: toDate(row.created_at),
+    // Tasks from before updatedAt existed
+    updatedAt: toDate(row.updated_at || row.created_at),
+    completedAt: toDate(row.completed_at),
+    deletedAt: toDate(row.deleted_at),
+    serverHostname: row.server_hostname,
+    serverIp: row.server_ip,
+    __v: row.version
+  };
+}
+
+function toHistoryEntry(row) {
+  return {
+    _id: row.id,
+    task: row.task,
+    owner: row.owner,
+    action: row.action,
+    changes: JSON.parse(row.changes),
+    version: row.version,
+    actor: { id: row.actor_id, email: row.actor_email },
+    serverHostname: row.server_hostname,
+    serverIp: row.server_ip,
+    at: toDate(row.at)
+  };
+}
+
+function toUser(row) {
+  if (!row) return null;
+  return { _id: row.id, email: row.email, passwordHash: row.password_hash, createdAt: toDate(row.created_at) };
+}
+
+const escapeLike = term => term.replace(/[\\%_]/g, match => `\\${match}`);
+
+// WHERE clause and named parameters for task criteria
+function taskWhere(criteria, after = null, sort = null) {
+  const {
+    id, owner, trashed, versions, completed, createdAfter, createdBefore, serverHostname, q,
+    priority, tag, dueAfter, dueBefore, recurring, hasReminders, hasAttachments, deletedBefore, ranked
+  } = criteria;
+  const clauses = [];
+  const params = {};
+  const add = (clause, values) => {
+    clauses.push(clause);
+    Object.assign(params, values);
+  };
+
+  if (id !== undefined) add('id = @id', { id: String(id) });
+  if (owner !== undefined) add('owner = @owner', { owner: String(owner) });
+  if (trashed !== undefined) clauses.push(trashed ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL');
+  if (deletedBefore) add('deleted_at < @deletedBefore', { deletedBefore: toColumnValue(deletedBefore) });
+  if (versions) {
+    const names = versions.map((version, i) => `v${i}`);
+    add(`version IN (${names.map(name => `@${name}`).join(', ')})`,
+      Object.fromEntries(names.map((name, i) => [name, versions[i]])));
+  }
+  if (completed !== undefined) add('completed = @completed', { completed: toColumnValue(completed) });
+  if (createdAfter) add('created_at >= @createdAfter', { createdAfter: toColumnValue(createdAfter) });
+  if (createdBefore) add('created_at < @createdBefore', { createdBefore: toColumnValue(createdBefore) });
+  if (serverHostname !== undefined) add('server_hostname = @serverHostname', { serverHostname });
+  if (priority !== undefined) add('priority = @priority', { priority });
+  if (tag !== undefined) add('EXISTS (SELECT 1 FROM json_each(tasks.tags) WHERE value = @tag)', { tag });
+  if (dueAfter) add('due_date >= @dueAfter', { dueAfter: toColumnValue(dueAfter) });
+  if (dueBefore) add('due_date < @dueBefore', { dueBefore: toColumnValue(dueBefore) });
+  // Written as in the partial indexes, so the planner can use them
+  if (recurring !== undefined) clauses.push(recurring ? 'recurrence IS NOT NULL' : 'recurrence IS NULL');
+  if (hasReminders !== undefined) clauses.push(hasReminders ? "reminders <> '[]'" : "reminders = '[]'");
+  if (hasAttachments !== undefined) clauses.push(hasAttachments ? "attachments <> '[]'" : "attachments = '[]'");
+  if (ranked !== undefined) clauses.push(ranked ? 'rank IS NOT NULL' : 'rank IS NULL');
+  if (q) {
+    // LIKE is case-insensitive for ASCII; any term may match
+    const terms = searchTerms(q);
+    const matches = terms.map((term, i) => `(title LIKE @q${i} ESCAPE '\\' OR description LIKE @q${i} ESCAPE '\\')`);
+    add(`(${matches.join(' OR ')})`, Object.fromEntries(terms.map((term, i) => [`q${i}`, `%${escapeLike(term)}%`])));
+  }
+  if (after) {
+    // NULLs (tasks without a dueDate) sort first ascending and last
+    // descending, and never compare equal, so they get their own branch
+    const column = COLUMNS[sort.field];
+    const op = sort.dir === -1 ? '<' : '>';
+    const afterId = String(after.id);
+    if (after.value === null) {
+      const sameValue = `(${column} IS NULL AND id ${op} @afterId)`;
+      add(sort.dir === -1 ? sameValue : `(${column} IS NOT NULL OR ${sameValue})`, { afterId });
+    } else {
+      const nulls = sort.dir === -1 ? ` OR ${column} IS NULL` : '';
+      add(`(${column} ${op} @afterValue OR (${column} = @afterValue AND id ${op} @afterId)${nulls})`, {
+        afterValue: toColumnValue(after.value),
+        afterId
+      });
+    }
+  }
+
+  return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+class SqliteTaskRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async find(criteria, { sort = { field: 'createdAt', dir: -1 }, limit = -1, after = null } = {}) {
+    const { where, params } = taskWhere(criteria, after, sort);
+    const dir = sort.dir === -1 ? 'DESC' : 'ASC';
+    const rows = this.db
+      .prepare(`SELECT * FROM tasks ${where} ORDER BY ${COLUMNS[sort.field]} ${dir}, id ${dir} LIMIT @limit`)
+      .all({ ...params, limit: limit === Infinity ? -1 : limit });
+    return rows.map(toTask);
+  }
+
+  async count(criteria) {
+    const { where, params } = taskWhere(criteria);
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM tasks ${where}`).get(params).count;
+  }
+
+  stream(criteria, { sort = { field: 'createdAt', dir: -1 } } = {}) {
+    return streamInPages(this, criteria, { sort });
+  }
+
+  async findOne(criteria) {
+    const { where, params } = taskWhere(criteria);
+    return toTask(this.db.prepare(`SELECT * FROM tasks ${where} LIMIT 1`).get(params));
+  }
+
+  // The owner's top rank, trashed tasks included
+  firstRank(owner) {
+    return this.db.prepare('SELECT MIN(rank) FROM tasks WHERE owner = ?').pluck().get(String(owner));
+  }
+
+  insertSync(values) {
+    const task = {
+      _id: objectId(),
+      description: '',
+      completed: false,
+      dueDate: null,
+      priority: null,
+      tags: [],
+      checklist: [],
+      recurrence: null,
+      reminders: [],
+      attachments: [],
+      recurrenceOf: null,
+      rank: null,
+      ...insertTimestamps(values),
+      deletedAt: null,
+      ...values,
+      __v: 0
+    };
+    const fields = Object.keys(COLUMNS).filter(field => task[field] !== undefined);
+    try {
+      this.db
+        .prepare(`INSERT INTO tasks (${fields.map(field => COLUMNS[field]).join(', ')})
+          VALUES (${fields.map(field => `@${field}`).join(', ')})`)
+        .run(Object.fromEntries(fields.map(field => [field, toColumnValue(task[field])])));
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') throw new DuplicateKeyError(duplicateField(error));
+      throw error;
+    }
+    return task;
+  }
+
+  async insert(values) {
+    const [ranked] = withRanks([values], owner => this.firstRank(owner));
+    return this.insertSync(ranked);
+  }
+
+  async insertMany(values) {
+    return this.db.transaction(() => withRanks(values, owner => this.firstRank(owner))
+      .map(value => this.insertSync(value)))();
+  }
+
+  async update(criteria, changes) {
+    return this.db.transaction(() => {
+      const { where, params } = taskWhere(criteria);
+      const before = toTask(this.db.prepare(`SELECT * FROM tasks ${where} LIMIT 1`).get(params));
+      if (!before) return { before: null, task: null };
+      const values = { ...changes, ...updateTimestamps(before, changes) };
+      const fields = Object.keys(values);
+      const assignments = [...fields.map(field => `${COLUMNS[field]} = @${field}`), 'version = version + 1'];
+      try {
+        this.db
+          .prepare(`UPDATE tasks SET ${assignments.join(', ')} WHERE id = @id`)
+          .run({ ...Object.fromEntries(fields.map(field => [field, toColumnValue(values[field])])), id: before._id });
+      } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') throw new DuplicateKeyError(duplicateField(error));
+        throw error;
+      }
+      return { before, task: { ...before, ...values, __v: before.__v + 1 } };
+    })();
+  }
+
+  async remove(criteria) {
+    return this.db.transaction(() => {
+      const { where, params } = taskWhere(criteria);
+      const task = toTask(this.db.prepare(`SELECT * FROM tasks ${where} LIMIT 1`).get(params));
+      if (task) this.db.prepare('DELETE FROM tasks WHERE id = ?').run(task._id);
+      return task;
+    })();
+  }
+
+  async removeMany(criteria) {
+    return this.db.transaction(() => {
+      const { where, params } = taskWhere(criteria);
+      const tasks = this.db.prepare(`SELECT * FROM tasks ${where}`).all(params).map(toTask);
+      const remove = this.db.prepare('DELETE FROM tasks WHERE id = ?');
+      tasks.forEach(task => remove.run(task._id));
+      return tasks;
+    })();
+  }
+
+  async countByState() {
+    return this.db.prepare(`
+      SELECT
+        COALESCE(SUM(deleted_at IS NULL AND completed = 0), 0) AS active,
+        COALESCE(SUM(deleted_at IS NULL AND completed = 1), 0) AS completed,
+        COALESCE(SUM(deleted_at IS NOT NULL), 0) AS deleted
+      FROM tasks
+    `).get();
+  }
+}
+
+class SqliteHistoryRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async append(entries) {
+    const insert = this.db.prepare(`
+      INSERT INTO task_history
+        (id, task, owner, action, changes, version, actor_id, actor_email, server_hostname, server_ip, at)
+      VALUES
+        (@id, @task, @owner, @action, @changes, @version, @actorId, @actorEmail, @serverHostname, @serverIp, @at)
+    `);
+    this.db.transaction(() => {
+      for (const entry of entries) {
+        insert.run({
+          id: objectId(),
+          task: String(entry.task),
+          owner: String(entry.owner),
+          action: entry.action,
+          changes: JSON.stringify(entry.changes || []),
+          version: entry.version,
+          actorId: entry.actor && entry.actor.id ? String(entry.actor.id) : null,
+          actorEmail: entry.actor ? entry.actor.email : null,
+          serverHostname: entry.serverHostname,
+          serverIp: entry.serverIp,
+          at: toColumnValue(entry.at || new Date())
+        });
+      }
+    })();
+  }
+
+  async list({ task, owner }, { limit = -1 } = {}) {
+    return this.db
+      .prepare('SELECT * FROM task_history WHERE task = ? AND owner = ? ORDER BY at DESC, id DESC LIMIT ?')
+      .all(String(task), String(owner), limit)
+      .map(toHistoryEntry);
+  }
+}
+
+class SqliteUserRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create({ email, passwordHash }) {
+    const user = { _id: objectId(), email: email.trim().toLowerCase(), passwordHash, createdAt: new Date() };
+    try {
+      this.db
+        .prepare('INSERT INTO users (id, email, password_hash, created_at) VALUES (?, ?, ?, ?)')
+        .run(user._id, user.email, user.passwordHash, toColumnValue(user.createdAt));
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') throw new DuplicateKeyError('email');
+      throw error;
+    }
+    return user;
+  }
+
+  async findByEmail(email) {
+    return toUser(this.db.prepare('SELECT * FROM users WHERE email = ?').get(email.trim().toLowerCase()));
+  }
+
+  async findById(id) {
+    return toUser(this.db.prepare('SELECT * FROM users WHERE id = ?').get(String(id)));
+  }
+}
+
+class SqliteRefreshTokenRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create({ tokenHash, user, expiresAt }) {
+    this.db
+      .prepare('INSERT INTO refresh_tokens (token_hash, user, expires_at) VALUES (?, ?, ?)')
+      .run(tokenHash, String(user), toColumnValue(expiresAt));
+  }
+
+  async consume(tokenHash) {
+    return this.db.transaction(() => {
+      const row = this.db
+        .prepare('SELECT * FROM refresh_tokens WHERE token_hash = ? AND expires_at > ?')
+        .get(tokenHash, toColumnValue(new Date()));
+      this.db.prepare('DELETE FROM refresh_tokens WHERE token_hash = ?').run(tokenHash);
+      return row ? { tokenHash: row.token_hash, user: row.user, expiresAt: toDate(row.expires_at) } : null;
+    })();
+  }
+
+  async remove(tokenHash) {
+    this.db.prepare('DELETE FROM refresh_tokens WHERE token_hash = ?').run(tokenHash);
+  }
+}
+
+class SqliteLockRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Take the lock if it is free, expired or already ours (which extends it)
+  async acquire(name, owner, ttlMs) {
+    const now = new Date();
+    const { changes } = this.db.prepare(`
+      INSERT INTO locks (name, owner, expires_at) VALUES (@name, @owner, @expiresAt)
+      ON CONFLICT (name) DO UPDATE SET owner = excluded.owner, expires_at = excluded.expires_at
+        WHERE locks.expires_at <= @now OR locks.owner = @owner
+    `).run({
+      name,
+      owner,
+      expiresAt: toColumnValue(new Date(now.getTime() + ttlMs)),
+      now: toColumnValue(now)
+    });
+    return changes === 1;
+  }
+
+  async release(name, owner) {
+    this.db.prepare('DELETE FROM locks WHERE name = ? AND owner = ?').run(name, owner);
+  }
+}
+
+class SqliteJobRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async get(name) {
+    const row = this.db.prepare('SELECT * FROM jobs WHERE name = ?').get(name);
+    if (!row) return null;
+    return {
+      name: row.name,
+      lastRunAt: toDate(row.last_run_at),
+      lastSuccessAt: toDate(row.last_success_at),
+      lastError: row.last_error,
+      instance: row.instance,
+      data: row.data === null ? null : JSON.parse(row.data)
+    };
+  }
+
+  async save(name, { lastRunAt, lastSuccessAt, lastError, instance, data }) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO jobs (name, last_run_at, last_success_at, last_error, instance, data)
+      VALUES (@name, @lastRunAt, @lastSuccessAt, @lastError, @instance, @data)
+    `).run({
+      name,
+      lastRunAt: toColumnValue(lastRunAt),
+      lastSuccessAt: toColumnValue(lastSuccessAt),
+      lastError: toColumnValue(lastError),
+      instance: toColumnValue(instance),
+      data: data === undefined || data === null ? null : JSON.stringify(data)
+    });
+  }
+}
+
+class SqliteStorage {
+  constructor({ file, trashRetentionDays }) {
+    // Only needed when this driver is selected
+    const Database = require('better-sqlite3');
+    if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.driver = 'sqlite';
+    this.file = file;
+    this.trashRetentionMs = trashRetentionDays * 24 * 60 * 60 * 1000;
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+    this.migrate();
+    this.tasks = new SqliteTaskRepository(this.db);
+    this.history = new SqliteHistoryRepository(this.db);
+    this.users = new SqliteUserRepository(this.db);
+    this.refreshTokens = new SqliteRefreshTokenRepository(this.db);
+    this.locks = new SqliteLockRepository(this.db);
+    this.jobs = new SqliteJobRepository(this.db);
+  }
+
+  // Bring a database file created by an older release up to SCHEMA
+  migrate() {
+    const existing = this.db.prepare('PRAGMA table_info(tasks)').all().map(column => column.name);
+    this.db.transaction(() => {
+      for (const [column, definition] of Object.entries(ADDED_TASK_COLUMNS)) {
+        if (!existing.includes(column)) this.db.exec(`ALTER TABLE tasks ADD COLUMN ${column} ${definition}`);
+      }
+      this.rankUnrankedTasks();
+      this.db.exec(ADDED_TASK_INDEXES);
+    })();
+  }
+
+  // Tasks from before manual ordering go below the ranked ones, newest first
+  rankUnrankedTasks() {
+    const owners = this.db.prepare('SELECT DISTINCT owner FROM tasks WHERE rank IS NULL').pluck().all();
+    const setRank = this.db.prepare('UPDATE tasks SET rank = ? WHERE id = ?');
+    for (const owner of owners) {
+      const last = this.db.prepare('SELECT MAX(rank) FROM tasks WHERE owner = ?').pluck().get(owner);
+      const ids = this.db
+        .prepare('SELECT id FROM tasks WHERE owner = ? AND rank IS NULL ORDER BY created_at DESC, id DESC')
+        .pluck()
+        .all(owner);
+      ranksBetween(last, null, ids.length).forEach((rank, i) => setRank.run(rank, ids[i]));
+    }
+  }
+
+  async connect() {
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS).unref();
+  }
+
+  async ping() {
+    try {
+      this.db.prepare('SELECT 1').get();
+      return { status: 'pass', driver: this.driver };
+    } catch (error) {
+      return { status: 'fail', driver: this.driver, error: error.message };
+    }
+  }
+
+  // better-sqlite3 is synchronous, so nothing in fn waits on I/O and other
+  // requests can't interleave with the open transaction. The session only
+  // marks writes as part of a transaction.
+  async transaction(fn) {
+    this.db.exec('BEGIN');
+    try {
+      const result = await fn({});
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  // Purge trashed tasks past retention and expired refresh tokens (what the
+  // TTL indexes do in Mongo)
+  sweep() {
+    const cutoff = new Date(Date.now() - this.trashRetentionMs).toISOString();
+    this.db.prepare('DELETE FROM tasks WHERE deleted_at IS NOT NULL AND deleted_at < ?').run(cutoff);
+    this.db.prepare('DELETE FROM refresh_tokens WHERE expires_at <= ?').run(new Date().toISOString());
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+    this.db.close();
+  }
+}
+
+module.exports = { SqliteStorage };
+EOF
+
+# FILE: backend/openapi.js
+cat > backend/openapi.js << 'EOF'
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const {
+  TASK_FIELDS, CHECKLIST_ITEM_FIELDS, MOVE_FIELDS, PRIORITIES, READ_ONLY_FIELDS, SORT_FIELDS, DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE, MAX_BATCH_OPERATIONS, MAX_IMPORT_ROWS, EXPORT_COLUMNS
+} = require('./validation');
+const { HISTORY_ACTIONS } = require('./history');
+const { MAX_ATTACHMENT_BYTES, MAX_ATTACHMENTS, ATTACHMENT_TYPES, INLINE_TYPES } = require('./uploads');
+const { version } = require('./package.json');
+
+// OpenAPI 3 description of version 1 of the HTTP API. It is served at
+// /api/v1/openapi.json (with an explorer at /api/v1/docs), requests are checked against it by
+// contract.js, and the frontend's client (frontend/src/apiClient.js) is
+// generated from it by scripts/generate-client.js. Limits are taken from the
+// same constants the handlers use, so the document can't drift from them.
+//
+// Operations marked 'x-client': false are left out of the generated client
+// (session handling and the event stream live in frontend/src/api.js).
+
+const OBJECT_ID = { type: 'string', pattern: '^[0-9a-fA-F]{24}$', example: '65a1f0c2e4b0a1b2c3d4e5f6' };
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+const response = (description, schema, extra = {}) => ({ description, content: json(schema), ...extra });
+const errorResponse = description => ({ $ref: `#/components/responses/${description}` });
+
+// JSON Schema for a writable field from its validation.js spec
+function fieldSchema(spec) {
+  const { type, minLength, maxLength, pattern, nullable, minimum, maximum, maxItems, items, fields } = spec;
+  if (type === 'object') return objectSchema(fields);
+  const schema = type === 'date' ? { type: 'string', format: 'date-time' } : { type };
+  if (minLength !== undefined) schema.minLength = minLength;
+  if (maxLength !== undefined) schema.maxLength = maxLength;
+  if (pattern) schema.pattern = pattern.source;
+  if (minimum !== undefined) schema.minimum = minimum;
+  if (maximum !== undefined) schema.maximum = maximum;
+  // OpenAPI 3.0 wants null listed in the enum of a nullable field
+  if (spec.enum) schema.enum = nullable ? [...spec.enum, null] : spec.enum;
+  if (maxItems !== undefined) schema.maxItems = maxItems;
+  if (items) schema.items = fieldSchema(items);
+  if (nullable) schema.nullable = true;
+  return schema;
+}
+
+function objectSchema(fields) {
+  const required = Object.keys(fields).filter(name => fields[name].required);
+  return {
+    type: 'object',
+    ...(required.length > 0 && { required }),
+    additionalProperties: false,
+    properties: Object.fromEntries(Object.entries(fields).map(([name, spec]) => [name, fieldSchema(spec)]))
+  };
+}
+
+// Rules of writable fields that their specs can't express
+const FIELD_DESCRIPTIONS = {
+  recurrence: 'Repeat the task: daily, weekly, monthly or a five-field cron expression (minute hour day-of-month ' +
+    'month day-of-week, in UTC). Once the due date passes the next occurrence is created as a new task, which ' +
+    'takes the rule over. A recurring task without a due date is due at the next occurrence.',
+  reminders: 'Send a reminder this many minutes before the due date'
+};
+
+const taskFields = Object.fromEntries(Object.entries(TASK_FIELDS).map(([name, spec]) => [
+  name,
+  FIELD_DESCRIPTIONS[name] ? { ...fieldSchema(spec), description: FIELD_DESCRIPTIONS[name] } : fieldSchema(spec)
+]));
+
+// Filters shared by GET /api/v1/tasks and GET /api/v1/tasks/export
+const taskFilterParameters = [
+  { name: 'q', in: 'query', description: 'Text search in title and description', schema: { type: 'string', maxLength: 200 } },
+  { name: 'completed', in: 'query', schema: { type: 'string', enum: ['true', 'false'] } },
+  { name: 'priority', in: 'query', schema: { type: 'string', enum: PRIORITIES } },
+  {
+    name: 'tag',
+    in: 'query',
+    description: 'Tasks with this tag (case-insensitive)',
+    schema: { type: 'string', maxLength: TASK_FIELDS.tags.items.maxLength }
+  },
+  { name: 'createdAfter', in: 'query', description: 'Any date accepted by `new Date()`; inclusive', schema: { type: 'string' } },
+  { name: 'createdBefore', in: 'query', description: 'Any date accepted by `new Date()`; exclusive', schema: { type: 'string' } },
+  {
+    name: 'dueAfter',
+    in: 'query',
+    description: 'Any date accepted by `new Date()`; inclusive. Excludes tasks without a due date.',
+    schema: { type: 'string' }
+  },
+  {
+    name: 'dueBefore',
+    in: 'query',
+    description: 'Any date accepted by `new Date()`; exclusive. With `completed=false`, lists overdue tasks.',
+    schema: { type: 'string' }
+  },
+  { name: 'serverHostname', in: 'query', description: 'Instance that created the task', schema: { type: 'string', maxLength: 255 } },
+  {
+    name: 'sort',
+    in: 'query',
+    description: `One of ${SORT_FIELDS.join(', ')}; prefix with "-" for descending order. ` +
+      'Tasks without a due date come first in ascending dueDate order. rank is the order set by moving tasks.',
+    schema: { type: 'string', pattern: `^[-+]?(${SORT_FIELDS.join('|')})$`, default: '-createdAt' }
+  }
+];
+
+const taskIdParameter = { name: 'id', in: 'path', required: true, schema: OBJECT_ID };
+
+const ifMatchParameter = {
+  name: 'If-Match',
+  in: 'header',
+  description: 'Only apply the change to this version of the task (the ETag of a previous response)',
+  schema: { type: 'string' }
+};
+
+const ifNoneMatchParameter = {
+  name: 'If-None-Match',
+  in: 'header',
+  description: 'ETag of a previous response; answered with 304 while it is still current',
+  schema: { type: 'string' }
+};
+
+const etagHeader = { ETag: { description: 'Version of the returned task (`W/"<id>-<version>"`)', schema: { type: 'string' } } };
+
+// Validators of GET responses, for conditional requests
+const validatorHeaders = {
+  ETag: { description: 'Weak validator, for If-None-Match', schema: { type: 'string' } },
+  'Last-Modified': { description: 'When the content last changed, for If-Modified-Since', schema: { type: 'string' } }
+};
+
+const attachmentIdParameter = { name: 'attachmentId', in: 'path', required: true, schema: OBJECT_ID };
+
+const notModified = { description: 'Not modified: the ETag given in If-None-Match (or the If-Modified-Since date) is current' };
+
+const secured = [{ bearerAuth: [] }];
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Full Stack Tasks API',
+    version,
+    description: 'Tasks API served by every backend instance behind the load balancer. ' +
+      'Errors use the shared `ErrorResponse` format; every response carries the `X-Request-Id` header, ' +
+      'and `X-Served-By` naming the instance that answered (`hostname (ip)`).\n\n' +
+      'Tasks and task lists carry weak `ETag`s (and `Last-Modified`, which lists only carry with the ' +
+      'server-side list cache); send them back in `If-None-Match` ' +
+      '(or `If-Modified-Since`) to get a 304 while nothing changed.\n\n' +
+      'Files attached to a task are listed in its `attachments` and downloaded with `getAttachment`; ' +
+      'they are removed with the task when it is purged from the trash.\n\n' +
+      'API paths carry their version (`/api/v1/...`) and responses name it in the `API-Version` header. ' +
+      'The unversioned `/api/...` paths are aliases serving the version named by an `API-Version` request ' +
+      'header, or version 1 without one. Deprecated versions answer with `Deprecation`, `Sunset` and a ' +
+      '`successor-version` `Link` header until they are retired (410 `version_retired`).'
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: 'health', description: 'Load balancer checks and instance information' },
+    { name: 'auth', description: 'Accounts and sessions' },
+    { name: 'tasks', description: "The logged-in user's tasks" },
+    { name: 'trash', description: 'Deleted tasks, kept for the retention period' },
+    { name: 'bulk', description: 'Batch changes, import and export' }
+  ],
+  paths: {
+    '/health/live': {
+      get: {
+        tags: ['health'],
+        operationId: 'getLiveness',
+        summary: 'Liveness: the process is up and serving HTTP',
+        responses: { 200: response('Alive', ref('Liveness')) }
+      }
+    },
+    '/health/ready': {
+      get: {
+        tags: ['health'],
+        operationId: 'getReadiness',
+        summary: 'Readiness: this instance can serve traffic',
+        responses: {
+          200: response('Ready', ref('Readiness')),
+          503: response('Not ready (shutting down, storage unavailable or event loop lagging)', ref('Readiness'))
+        }
+      }
+    },
+    '/health': {
+      get: {
+        tags: ['health'],
+        operationId: 'getHealth',
+        summary: 'Alias of /health/ready for existing target groups',
+        'x-client': false,
+        responses: {
+          200: response('Ready', ref('Readiness')),
+          503: response('Not ready', ref('Readiness'))
+        }
+      }
+    },
+    '/api/v1/server-info': {
+      get: {
+        tags: ['health'],
+        operationId: 'getServerInfo',
+        summary: 'The instance that served this request',
+        responses: { 200: response('Server information', ref('ServerInfo')) }
+      }
+    },
+    '/api/v1/auth/register': {
+      post: {
+        tags: ['auth'],
+        operationId: 'register',
+        summary: 'Create an account and start a session',
+        'x-client': false,
+        requestBody: { required: true, content: json(ref('Credentials')) },
+        responses: {
+          201: response('Registered', ref('Session')),
+          409: errorResponse('Error'),
+          422: errorResponse('ValidationError')
+        }
+      }
+    },
+    '/api/v1/auth/login': {
+      post: {
+        tags: ['auth'],
+        operationId: 'login',
+        summary: 'Start a session',
+        'x-client': false,
+        requestBody: { required: true, content: json(ref('Credentials')) },
+        responses: {
+          200: response('Logged in', ref('Session')),
+          401: errorResponse('Error'),
+          422: errorResponse('ValidationError')
+        }
+      }
+    },
+    '/api/v1/auth/refresh': {
+      post: {
+        tags: ['auth'],
+        operationId: 'refreshSession',
+        summary: 'Exchange a refresh token for a new session; the old token is consumed',
+        'x-client': false,
+        requestBody: { required: true, content: json(ref('RefreshRequest')) },
+        responses: {
+          200: response('New session', ref('Session')),
+          401: errorResponse('Error')
+        }
+      }
+    },
+    '/api/v1/auth/logout': {
+      post: {
+        tags: ['auth'],
+        operationId: 'logout',
+        summary: 'Revoke a refresh token',
+        'x-client': false,
+        requestBody: { required: true, content: json(ref('RefreshRequest')) },
+        responses: { 204: { description: 'Logged out' } }
+      }
+    },
+    '/api/v1/auth/me': {
+      get: {
+        tags: ['auth'],
+        operationId: 'getCurrentUser',
+        summary: 'The logged-in user',
+        security: secured,
+        responses: {
+          200: response('Current user', ref('User')),
+          401: errorResponse('Unauthorized')
+        }
+      }
+    },
+    '/api/v1/events': {
+      get: {
+        tags: ['tasks'],
+        operationId: 'streamEvents',
+        summary: 'Live task changes as Server-Sent Events',
+        description: 'Each event is named after its type (e.g. `task.updated`) and carries a `TaskEvent` as JSON. ' +
+          'The stream ends when the access token expires or the instance shuts down; clients reconnect.',
+        'x-client': false,
+        security: secured,
+        responses: {
+          200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+          401: errorResponse('Unauthorized')
+        }
+      }
+    },
+    '/api/v1/tasks': {
+      get: {
+        tags: ['tasks'],
+        operationId: 'listTasks',
+        summary: 'List tasks, one page at a time',
+        security: secured,
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE } },
+          { name: 'cursor', in: 'query', description: 'paging.nextCursor of the previous page', schema: { type: 'string' } },
+          ...taskFilterParameters,
+          ifNoneMatchParameter
+        ],
+        responses: {
+          200: response('A page of tasks', ref('TaskPage'), {
+            headers: {
+              ...validatorHeaders,
+              'Last-Modified': { ...validatorHeaders['Last-Modified'], description: 'Only with the server-side list cache' }
+            }
+          }),
+          304: notModified,
+          400: errorResponse('Error'),
+          401: errorResponse('Unauthorized')
+        }
+      },
+      post: {
+        tags: ['tasks'],
+        operationId: 'createTask',
+        summary: 'Create a task',
+        security: secured,
+        requestBody: { required: true, content: json(ref('TaskInput')) },
+        responses: {
+          201: response('Created', ref('Task'), { headers: etagHeader }),
+          401: errorResponse('Unauthorized'),
+          422: errorResponse('ValidationError')
+        }
+      }
+    },
+    '/api/v1/tasks/{id}': {
+      get: {
+        tags: ['tasks'],
+        operationId: 'getTask',
+        summary: 'Get a task (not one in the trash)',
+        security: secured,
+        parameters: [taskIdParameter, ifNoneMatchParameter],
+        responses: {
+          200: response('The task', ref('Task'), { headers: validatorHeaders }),
+          304: notModified,
+          404: errorResponse('Error')
+        }
+      },
+      put: {
+        tags: ['tasks'],
+        operationId: 'updateTask',
+        summary: 'Update a task; every update bumps its version',
+        security: secured,
+        parameters: [taskIdParameter, ifMatchParameter],
+        requestBody: { required: true, content: json(ref('TaskUpdate')) },
+        responses: {
+          200: response('Updated', ref('Task'), { headers: etagHeader }),
+          404: errorResponse('Error'),
+          412: errorResponse('Conflict'),
+          422: errorResponse('ValidationError')
+        }
+      },
+      delete: {
+        tags: ['tasks'],
+        operationId: 'deleteTask',
+        summary: 'Move a task to the trash',
+        security: secured,
+        parameters: [taskIdParameter, ifMatchParameter],
+        responses: {
+          200: response('Moved to the trash', ref('Trashed')),
+          404: errorResponse('Error'),
+          412: errorResponse('Conflict')
+        }
+      }
+    },
+    '/api/v1/tasks/{id}/move': {
+      post: {
+        tags: ['tasks'],
+        operationId: 'moveTask',
+        summary: 'Move a task in the manual order (sort=rank)',
+        description: 'Places the task right after or right before another task, or at the top or bottom of the ' +
+          'list. Only the moved task changes: it gets a new `rank` and version. Concurrent moves are applied ' +
+          'one after the other; 409 `move_conflict` if the list kept changing.',
+        security: secured,
+        parameters: [taskIdParameter, ifMatchParameter],
+        requestBody: { required: true, content: json(ref('TaskMove')) },
+        responses: {
+          200: response('Moved', ref('Task'), { headers: etagHeader }),
+          404: errorResponse('Error'),
+          409: errorResponse('Error'),
+          412: errorResponse('Conflict'),
+          422: errorResponse('ValidationError')
+        }
+      }
+    },
+    '/api/v1/tasks/{id}/attachments': {
+      post: {
+        tags: ['tasks'],
+        operationId: 'uploadAttachment',
+        summary: 'Attach a file to a task',
+        description: `One file per request, at most ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB, and at most ` +
+          `${MAX_ATTACHMENTS} per task. The type is detected from the content; allowed: ${ATTACHMENT_TYPES.join(', ')}. ` +
+          'Adding an attachment is a change to the task: it gets a new version.',
+        security: secured,
+        parameters: [taskIdParameter, ifMatchParameter],
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                required: ['file'],
+                properties: { file: { type: 'string', format: 'binary' } }
+              }
+            }
+          }
+        },
+        responses: {
+          201: response('Attached; the new attachment is the last in `attachments`', ref('Task'), {
+            headers: { ...etagHeader, Location: { description: 'URL of the file', schema: { type: 'string' } } }
+          }),
+          400: errorResponse('Error'),
+          404: errorResponse('Error'),
+          412: errorResponse('Conflict'),
+          413: errorResponse('Error'),
+          415: errorResponse('Error'),
+          422: errorResponse('ValidationError')
+        }
+      }
+    },
+    '/api/v1/tasks/{id}/attachments/{attachmentId}': {
+      get: {
+        tags: ['tasks'],
+        operationId: 'getAttachment',
+        summary: 'Download the file of an attachment',
+        description: `Sent inline for ${INLINE_TYPES.join(', ')} unless \`download=true\`, as a download ` +
+          'otherwise. Files never change, so clients may cache them for good.',
+        security: secured,
+        parameters: [
+          taskIdParameter,
+          attachmentIdParameter,
+          { name: 'download', in: 'query', schema: { type: 'string', enum: ['true', 'false'], default: 'false' } },
+          ifNoneMatchParameter
+        ],
+        responses: {
+          200: {
+            description: 'The file, with the Content-Type of the attachment',
+            headers: { 'Content-Disposition': { schema: { type: 'string' } }, ...validatorHeaders },
+            content: { '*/*': { schema: { type: 'string', format: 'binary' } } }
+          },
+          304: notModified,
+          404: errorResponse('Error')
+        }
+      },
+      delete: {
+        tags: ['tasks'],
+        operationId: 'deleteAttachment',
+        summary: 'Remove an attachment from a task, and its file',
+        security: secured,
+        parameters: [taskIdParameter, attachmentIdParameter, ifMatchParameter],
+        responses: {
+          200: response('Removed', ref('Task'), { headers: etagHeader }),
+          404: errorResponse('Error'),
+          412: errorResponse('Conflict')
+        }
+      }
+    },
+    '/api/v1/tasks/{id}/history': {
+      get: {
+        tags: ['tasks'],
+        operationId: 'getTaskHistory',
+        summary: 'Change history of a task, newest first (kept after it is purged)',
+        security: secured,
+        parameters: [taskIdParameter],
+        responses: {
+          200: response('History entries', ref('HistoryList')),
+          404: errorResponse('Error')
+        }
+      }
+    },
+    '/api/v1/tasks/trash': {
+      get: {
+        tags: ['trash'],
+        operationId: 'listTrash',
+        summary: 'Deleted tasks, most recently deleted first',
+        security: secured,
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: MAX_PAGE_SIZE } }
+        ],
+        responses: {
+          200: response('Trashed tasks', ref('TrashPage')),
+          400: errorResponse('Error')
+        }
+      },
+      delete: {
+        tags: ['trash'],
+        operationId: 'emptyTrash',
+        summary: 'Permanently delete every task in the trash',
+        security: secured,
+        responses: { 200: response('Trash emptied', ref('TrashEmptied')) }
+      }
+    },
+    '/api/v1/tasks/trash/{id}': {
+      delete: {
+        tags: ['trash'],
+        operationId: 'purgeTask',
+        summary: 'Permanently delete a task from the trash',
+        security: secured,
+        parameters: [taskIdParameter, ifMatchParameter],
+        responses: {
+          200: response('Deleted', ref('Message')),
+          404: errorResponse('Error'),
+          412: errorResponse('Conflict')
+        }
+      }
+    },
+    '/api/v1/tasks/trash/{id}/restore': {
+      post: {
+        tags: ['trash'],
+        operationId: 'restoreTask',
+        summary: 'Restore a task from the trash',
+        security: secured,
+        parameters: [taskIdParameter, ifMatchParameter],
+        responses: {
+          200: response('Restored', ref('Task'), { headers: etagHeader }),
+          404: errorResponse('Error'),
+          412: errorResponse('Conflict')
+        }
+      }
+    },
+    '/api/v1/tasks/batch': {
+      post: {
+        tags: ['bulk'],
+        operationId: 'batchTasks',
+        summary: 'Apply many create/update/delete operations in one request',
+        description: 'Each result carries the status the single-task route would have returned. ' +
+          'With `atomic: true` the first failure rolls the whole batch back (409).',
+        security: secured,
+        requestBody: { required: true, content: json(ref('BatchRequest')) },
+        responses: {
+          200: response('Outcome of each operation', ref('BatchResult')),
+          409: response('Atomic batch rolled back', ref('BatchAborted')),
+          422: errorResponse('ValidationError')
+        }
+      }
+    },
+    '/api/v1/tasks/import': {
+      post: {
+        tags: ['bulk'],
+        operationId: 'importTasks',
+        summary: 'Import tasks from a JSON array or CSV',
+        description: 'Columns other than the writable task fields are ignored. Invalid rows are reported ' +
+          'per row; valid rows are inserted unless `dryRun=true`.',
+        security: secured,
+        parameters: [{ name: 'dryRun', in: 'query', schema: { type: 'string', enum: ['true', 'false'] } }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'array',
+                description: `At most ${MAX_IMPORT_ROWS} rows (422 too_many_rows)`,
+                items: { description: 'A task, as in TaskInput' }
+              }
+            },
+            'text/csv': { schema: { type: 'string', description: 'Header row naming the columns, then one task per row' } }
+          }
+        },
+        responses: {
+          200: response('Dry run: validation results only', ref('ImportResult')),
+          201: response('Imported', ref('ImportResult')),
+          400: errorResponse('Error'),
+          422: errorResponse('ValidationError')
+        }
+      }
+    },
+    '/api/v1/tasks/export': {
+      get: {
+        tags: ['bulk'],
+        operationId: 'exportTasks',
+        summary: 'Download tasks as JSON or CSV (same filters and sort as listTasks, without paging)',
+        security: secured,
+        parameters: [
+          { name: 'format', in: 'query', schema: { type: 'string', enum: ['json', 'csv'], default: 'json' } },
+          ...taskFilterParameters
+        ],
+        responses: {
+          200: {
+            description: 'Export file',
+            headers: { 'Content-Disposition': { schema: { type: 'string' } } },
+            content: {
+              'application/json': { schema: { type: 'array', items: ref('ExportRow') } },
+              'text/csv': { schema: { type: 'string' } }
+            }
+          },
+          400: errorResponse('Error')
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    },
+    responses: {
+      Error: { description: 'Request failed', content: json(ref('ErrorResponse')) },
+      Unauthorized: { description: 'Missing, invalid or expired access token', content: json(ref('ErrorResponse')) },
+      ValidationError: { description: 'The request body is invalid', content: json(ref('ErrorResponse')) },
+      Conflict: { description: 'If-Match named another version; `error.current` is the current task', content: json(ref('Conflict')) }
+    },
+    schemas: {
+      ObjectId: OBJECT_ID,
+      ErrorResponse: {
+        type: 'object',
+        required: ['error'],
+        properties: { error: ref('ErrorDetails') }
+      },
+      ErrorDetails: {
+        type: 'object',
+        required: ['code', 'message', 'errors'],
+        properties: {
+          code: { type: 'string', example: 'validation_failed' },
+          message: { type: 'string' },
+          errors: { type: 'array', items: ref('FieldError') },
+          requestId: { type: 'string', description: 'Also in the X-Request-Id header; quote it when reporting a problem' },
+          supportedVersions: {
+            type: 'array',
+            items: { type: 'integer' },
+            description: 'API versions this server offers (unsupported_version, version_retired)'
+          }
+        }
+      },
+      FieldError: {
+        type: 'object',
+        required: ['field', 'code', 'message'],
+        properties: {
+          field: { type: 'string', nullable: true },
+          code: { type: 'string', example: 'too_long' },
+          message: { type: 'string' }
+        }
+      },
+      Conflict: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: {
+            allOf: [
+              ref('ErrorDetails'),
+              { type: 'object', required: ['current'], properties: { current: ref('Task') } }
+            ]
+          }
+        }
+      },
+      Message: {
+        type: 'object',
+        required: ['message'],
+        properties: { message: { type: 'string' } }
+      },
+      Liveness: {
+        type: 'object',
+        required: ['status', 'uptime', 'timestamp'],
+        properties: {
+          status: { type: 'string', enum: ['alive'] },
+          uptime: { type: 'number', description: 'Seconds since the process started' },
+          timestamp: { type: 'integer', description: 'Milliseconds since the epoch' },
+          hostname: { type: 'string' },
+          ip: { type: 'string' }
+        }
+      },
+      Readiness: {
+        type: 'object',
+        required: ['status', 'message', 'checks', 'uptime', 'timestamp'],
+        properties: {
+          status: { type: 'string', enum: ['ready', 'not_ready'] },
+          message: { type: 'string' },
+          checks: {
+            type: 'object',
+            description: 'Result of each check (shutdown, storage, eventLoop)',
+            additionalProperties: {
+              type: 'object',
+              required: ['status'],
+              properties: { status: { type: 'string', enum: ['pass', 'fail'] } }
+            }
+          },
+          uptime: { type: 'number' },
+          timestamp: { type: 'integer' },
+          hostname: { type: 'string' },
+          ip: { type: 'string' }
+        }
+      },
+      ServerInfo: {
+        type: 'object',
+        required: ['hostname', 'ip', 'platform', 'uptime', 'memory'],
+        properties: {
+          hostname: { type: 'string' },
+          ip: { type: 'string', description: 'First external IPv4 address, or "unknown"' },
+          platform: { type: 'string', example: 'linux' },
+          uptime: { type: 'number', description: 'Seconds since the process started' },
+          memory: {
+            type: 'object',
+            required: ['total', 'free'],
+            description: 'System memory in MiB (whole numbers)',
+            properties: {
+              total: { type: 'integer' },
+              free: { type: 'integer' }
+            }
+          }
+        }
+      },
+      Credentials: {
+        type: 'object',
+        required: ['email', 'password'],
+        additionalProperties: false,
+        properties: {
+          email: { type: 'string', maxLength: 254, example: 'user@example.com' },
+          password: { type: 'string', minLength: 8, maxLength: 128 }
+        }
+      },
+      RefreshRequest: {
+        type: 'object',
+        required: ['refreshToken'],
+        additionalProperties: false,
+        properties: { refreshToken: { type: 'string', maxLength: 200 } }
+      },
+      User: {
+        type: 'object',
+        required: ['_id', 'email', 'createdAt'],
+        properties: {
+          _id: ref('ObjectId'),
+          email: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Session: {
+        type: 'object',
+        required: ['user', 'accessToken', 'refreshToken', 'tokenType', 'expiresIn'],
+        properties: {
+          user: ref('User'),
+          accessToken: { type: 'string', description: 'JWT to send as "Authorization: Bearer <token>"' },
+          refreshToken: { type: 'string', description: 'Single-use; exchange it at /api/v1/auth/refresh' },
+          tokenType: { type: 'string', enum: ['Bearer'] },
+          expiresIn: { type: 'integer', description: 'Access token lifetime in seconds' }
+        }
+      },
+      TaskInput: {
+        type: 'object',
+        required: Object.keys(TASK_FIELDS).filter(name => TASK_FIELDS[name].required),
+        additionalProperties: false,
+        properties: taskFields
+      },
+      TaskUpdate: {
+        type: 'object',
+        description: 'Any writable fields; at least one',
+        minProperties: 1,
+        additionalProperties: false,
+        properties: taskFields
+      },
+      TaskMove: {
+        ...objectSchema(MOVE_FIELDS),
+        description: 'Either `after` or `before`: the id of the task to place this one next to, or null for ' +
+          'the top (`after`) or bottom (`before`) of the list',
+        minProperties: 1,
+        maxProperties: 1
+      },
+      ChecklistItem: {
+        type: 'object',
+        required: ['_id', 'text', 'done'],
+        properties: {
+          ...objectSchema(CHECKLIST_ITEM_FIELDS).properties,
+          _id: { type: 'string', description: 'Send it back to keep the item; new items get one from the server' }
+        }
+      },
+      Attachment: {
+        type: 'object',
+        required: ['_id', 'name', 'type', 'size', 'createdAt'],
+        properties: {
+          _id: ref('ObjectId'),
+          name: { type: 'string', description: 'File name as uploaded' },
+          type: { type: 'string', description: 'Media type, detected from the content' },
+          size: { type: 'integer', description: 'Bytes' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Task: {
+        type: 'object',
+        required: [
+          '_id', 'title', 'completed', 'dueDate', 'priority', 'tags', 'checklist', 'recurrence', 'reminders',
+          'attachments', 'recurrenceOf', 'rank', 'owner', 'createdAt', 'updatedAt', 'completedAt', 'deletedAt', '__v'
+        ],
+        description: `Read-only fields (${READ_ONLY_FIELDS.join(', ')}) are set by the server`,
+        properties: {
+          _id: ref('ObjectId'),
+          ...taskFields,
+          checklist: { type: 'array', items: ref('ChecklistItem') },
+          attachments: {
+            type: 'array',
+            items: ref('Attachment'),
+            description: 'Files attached to the task, oldest first (see uploadAttachment)'
+          },
+          recurrenceOf: { ...OBJECT_ID, nullable: true, description: 'The occurrence of a recurring task this one follows' },
+          rank: {
+            type: 'string',
+            nullable: true,
+            description: 'Position in the manual order, compared as a plain string; new tasks go to the top. ' +
+              'Null for older tasks until the server ranks them.'
+          },
+          owner: ref('ObjectId'),
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time', description: 'Last change, including moves to and from the trash' },
+          completedAt: { type: 'string', format: 'date-time', nullable: true, description: 'When the task was completed' },
+          deletedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Set while the task is in the trash' },
+          serverHostname: { type: 'string', description: 'Instance that created the task' },
+          serverIp: { type: 'string' },
+          __v: { type: 'integer', description: 'Version, bumped by every change' }
+        }
+      },
+      TaskPage: {
+        type: 'object',
+        required: ['data', 'paging'],
+        properties: {
+          data: { type: 'array', items: ref('Task') },
+          paging: {
+            type: 'object',
+            required: ['limit', 'sort', 'hasMore', 'nextCursor', 'total'],
+            properties: {
+              limit: { type: 'integer' },
+              sort: { type: 'string' },
+              hasMore: { type: 'boolean' },
+              nextCursor: { type: 'string', nullable: true, description: 'Pass as `cursor` for the next page' },
+              total: { type: 'integer', description: 'Tasks matching the filters, across all pages' }
+            }
+          }
+        }
+      },
+      Trashed: {
+        type: 'object',
+        required: ['message', 'retentionDays'],
+        properties: {
+          message: { type: 'string' },
+          retentionDays: { type: 'integer', description: 'Days the task stays in the trash' }
+        }
+      },
+      TrashPage: {
+        type: 'object',
+        required: ['data', 'retentionDays', 'total'],
+        properties: {
+          data: { type: 'array', items: ref('Task') },
+          retentionDays: { type: 'integer' },
+          total: { type: 'integer' }
+        }
+      },
+      TrashEmptied: {
+        type: 'object',
+        required: ['message', 'purged'],
+        properties: {
+          message: { type: 'string' },
+          purged: { type: 'integer' }
+        }
+      },
+      HistoryEntry: {
+        type: 'object',
+        required: ['_id', 'task', 'action', 'changes', 'version', 'actor', 'at'],
+        properties: {
+          _id: ref('ObjectId'),
+          task: ref('ObjectId'),
+          owner: ref('ObjectId'),
+          action: { type: 'string', enum: HISTORY_ACTIONS },
+          changes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['field', 'from', 'to'],
+              properties: {
+                field: { type: 'string' },
+                from: { description: 'Previous value (null if unset)' },
+                to: { description: 'New value (null if unset)' }
+              }
+            }
+          },
+          version: { type: 'integer' },
+          actor: {
+            type: 'object',
+            description: 'Who made the change; the scheduler has no id and the email "scheduler"',
+            properties: { id: { ...OBJECT_ID, nullable: true }, email: { type: 'string' } }
+          },
+          serverHostname: { type: 'string' },
+          serverIp: { type: 'string' },
+          at: { type: 'string', format: 'date-time' }
+        }
+      },
+      HistoryList: {
+        type: 'object',
+        required: ['data'],
+        properties: { data: { type: 'array', items: ref('HistoryEntry') } }
+      },
+      BatchOperation: {
+        type: 'object',
+        description: 'create takes `data`; update takes `id` and `data`; delete takes `id`. `version` makes ' +
+          'update and delete conditional, like If-Match. Each operation is validated on its own and a ' +
+          'problem only fails its result.',
+        properties: {
+          op: { type: 'string', description: '"create", "update" or "delete"' },
+          id: { type: 'string' },
+          version: { type: 'integer' },
+          data: { type: 'object', description: 'TaskInput (create) or TaskUpdate (update)' }
+        }
+      },
+      BatchRequest: {
+        type: 'object',
+        required: ['operations'],
+        properties: {
+          atomic: { type: 'boolean', default: false },
+          operations: {
+            type: 'array',
+            description: `At least one and at most ${MAX_BATCH_OPERATIONS} operations (422 too_many_operations)`,
+            items: ref('BatchOperation')
+          }
+        }
+      },
+      BatchOperationResult: {
+        type: 'object',
+        required: ['index', 'status'],
+        properties: {
+          index: { type: 'integer' },
+          op: { type: 'string' },
+          status: { type: 'integer', description: 'HTTP status of the operation (424: rolled back)' },
+          id: { type: 'string' },
+          task: ref('Task'),
+          error: ref('ErrorDetails'),
+          rolledBack: { type: 'boolean' }
+        }
+      },
+      BatchResult: {
+        type: 'object',
+        required: ['atomic', 'succeeded', 'failed', 'results'],
+        properties: {
+          atomic: { type: 'boolean' },
+          succeeded: { type: 'integer' },
+          failed: { type: 'integer' },
+          results: { type: 'array', items: ref('BatchOperationResult') }
+        }
+      },
+      BatchAborted: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: {
+            allOf: [
+              ref('ErrorDetails'),
+              { type: 'object', properties: { results: { type: 'array', items: ref('BatchOperationResult') } } }
+            ]
+          }
+        }
+      },
+      ImportResult: {
+        type: 'object',
+        required: ['dryRun', 'total', 'imported', 'failed', 'results'],
+        properties: {
+          dryRun: { type: 'boolean' },
+          total: { type: 'integer' },
+          imported: { type: 'integer' },
+          failed: { type: 'integer' },
+          results: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['row', 'status'],
+              properties: {
+                row: { type: 'integer', description: '1-based row number' },
+                status: { type: 'string', enum: ['imported', 'valid', 'invalid'] },
+                id: ref('ObjectId'),
+                error: ref('ErrorDetails')
+              }
+            }
+          }
+        }
+      },
+      ExportRow: {
+        type: 'object',
+        properties: Object.fromEntries(EXPORT_COLUMNS.map(column => [column, { description: `Task ${column}` }]))
+      },
+      TaskEvent: {
+        type: 'object',
+        required: ['type', 'owner', 'origin', 'at'],
+        properties: {
+          type: {
+            type: 'string',
+            enum: ['task.created', 'task.updated', 'task.deleted', 'task.restored', 'task.purged', 'tasks.imported']
+          },
+          owner: ref('ObjectId'),
+          task: { description: 'The task (only `_id` for task.purged)' },
+          count: { type: 'integer', description: 'Tasks affected by a bulk event' },
+          origin: { type: 'string', description: 'Instance that made the change' },
+          at: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  }
+};
+
+// Any status an operation doesn't list (401, 413, 429, 500, ...) carries an
+// Error body
+for (const item of Object.values(spec.paths)) {
+  for (const operation of Object.values(item)) {
+    operation.responses.default = operation.responses.default || errorResponse('Error');
+  }
+}
+
+// GET /openapi.json and an interactive explorer at /docs
+function createDocsRouter(document = spec) {
+  const router = express.Router();
+  router.get('/openapi.json', (req, res) => res.json(document));
+  router.use('/docs', swaggerUi.serve, swaggerUi.setup(document, {
+    customSiteTitle: document.info.title,
+    swaggerOptions: { persistAuthorization: true }
+  }));
+  return router;
+}
+
+module.exports = { spec, createDocsRouter };
+EOF
+
+# FILE: backend/contract.js
+cat > backend/contract.js << 'EOF'
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ApiError } = require('./errors');
+const { READ_ONLY_FIELDS } = require('./validation');
+const { logger } = require('./logger');
+
+// Checks requests, and optionally responses, against the OpenAPI document
+// (see openapi.js). Request problems are reported in the shared error format
+// before the route runs; handlers still normalise their input (validateBody
+// trims strings, for instance), so this is the outer contract rather than
+// the only check. Requests to paths the document doesn't describe pass through.
+
+const SPEC_ID = 'openapi.json';
+const METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+// JSON pointer into the document, e.g. pointer('paths', '/api/v1/tasks', 'get')
+function pointer(...segments) {
+  return `${SPEC_ID}#/${segments.map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('/')}`;
+}
+
+function createAjv(spec, options = {}) {
+  // strict: false so OpenAPI keywords (example, nullable, ...) are accepted
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  addFormats(ajv);
+  ajv.addSchema(spec, SPEC_ID);
+  return ajv;
+}
+
+// Schema validating the path or query parameters of an operation as one object
+function compileParameters(ajv, route, location) {
+  const parameters = (route.operation.parameters || [])
+    .map((parameter, index) => ({ ...parameter, index }))
+    .filter(parameter => parameter.in === location);
+  if (parameters.length === 0) return null;
+  return ajv.compile({
+    type: 'object',
+    properties: Object.fromEntries(parameters.map(parameter => [
+      parameter.name,
+      { $ref: pointer('paths', route.path, route.method, 'parameters', parameter.index, 'schema') }
+    ])),
+    required: parameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+  });
+}
+
+function compileBody(ajv, route) {
+  const { requestBody } = route.operation;
+  if (!requestBody || !requestBody.content['application/json']) return null;
+  return ajv.compile({
+    $ref: pointer('paths', route.path, route.method, 'requestBody', 'content', 'application/json', 'schema')
+  });
+}
+
+// Every operation in the document with a regex for its path. Literal paths
+// come first, so /api/v1/tasks/trash isn't taken for /api/v1/tasks/{id}.
+function routesOf(spec) {
+  const routes = [];
+  for (const [path, item] of Object.entries(spec.paths)) {
+    const names = [];
+    const source = path
+      .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+      .replace(/\{([^}]+)\}/g, (match, name) => {
+        names.push(name);
+        return '([^/]+)';
+      });
+    for (const method of METHODS.filter(method => item[method])) {
+      routes.push({ path, method, names, pattern: new RegExp(`^${source}/?$`), operation: item[method] });
+    }
+  }
+  return routes.sort((a, b) => a.names.length - b.names.length);
+}
+
+// Path of the request as the document names it. Unversioned aliases
+// (/api/tasks) are matched as the version that served them (see versioning.js).
+function documentPath(req) {
+  const path = req.originalUrl.split('?')[0];
+  return req.apiVersion ? path.replace(/^\/api(\/v\d+)?(?=\/|$)/, `/api/v${req.apiVersion}`) : path;
+}
+
+// The route and path parameters for a request, or null if it isn't documented
+function matchRoute(routes, req) {
+  const method = req.method === 'HEAD' ? 'get' : req.method.toLowerCase();
+  const path = documentPath(req);
+  for (const route of routes) {
+    if (route.method !== method) continue;
+    const match = route.pattern.exec(path);
+    if (!match) continue;
+    try {
+      const params = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+      return { route, params };
+    } catch (error) {
+      return { route, params: {} };
+    }
+  }
+  return null;
+}
+
+// Dotted path of the value an Ajv error is about, e.g. "operations[2].id"
+function fieldName(error) {
+  const segments = error.instancePath.split('/').slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (error.keyword === 'required') segments.push(error.params.missingProperty);
+  if (error.keyword === 'additionalProperties') segments.push(error.params.additionalProperty);
+  return segments.reduce((path, segment) => (
+    /^\d+$/.test(segment) ? `${path}[${segment}]` : (path ? `${path}.${segment}` : segment)
+  ), '') || null;
+}
+
+// Map an Ajv error to a { field, code, message } detail, with the codes and
+// wording validation.js uses
+function fieldError(error) {
+  const field = fieldName(error);
+  const name = field || 'value';
+  const { keyword, params } = error;
+  switch (keyword) {
+    case 'required':
+      return { field, code: 'required', message: `${field} is required` };
+    case 'additionalProperties':
+      return READ_ONLY_FIELDS.includes(params.additionalProperty)
+        ? { field, code: 'read_only', message: `${field} is read-only` }
+        : { field, code: 'unknown_field', message: `${field} is not a recognised field` };
+    case 'type': {
+      const types = String(params.type).split(',').join(' or ');
+      return { field, code: 'invalid_type', message: `${name} must be ${/^[aeiou]/.test(types) ? 'an' : 'a'} ${types}` };
+    }
+    case 'minLength':
+      return {
+        field,
+        code: 'too_short',
+        message: params.limit === 1 ? `${name} must not be empty` : `${name} must be at least ${params.limit} characters`
+      };
+    case 'maxLength':
+      return { field, code: 'too_long', message: `${name} must be at most ${params.limit} characters` };
+    case 'maxItems':
+      return { field, code: 'too_many_items', message: `${name} must have at most ${params.limit} items` };
+    case 'minimum':
+    case 'maximum':
+      return { field, code: 'invalid_value', message: `${name} must be ${keyword === 'minimum' ? 'at least' : 'at most'} ${params.limit}` };
+    case 'enum':
+      // Nullable enums list null, which is sent as JSON null rather than chosen
+      return {
+        field,
+        code: 'invalid_value',
+        message: `${name} must be one of: ${params.allowedValues.filter(value => value !== null).join(', ')}`
+      };
+    case 'pattern':
+    case 'format':
+      return { field, code: 'invalid_format', message: `${name} has an invalid format` };
+    case 'minProperties':
+      // Only update and move bodies set minProperties
+      return { field, code: 'empty_update', message: 'At least one field must be provided' };
+    case 'maxProperties':
+      // Only move bodies set maxProperties
+      return { field, code: 'invalid_value', message: 'Give either after or before, not both' };
+    default:
+      return { field, code: 'invalid_value', message: `${name} ${error.message}` };
+  }
+}
+
+// Every path parameter is an id, so a bad one is an invalid_id, e.g. '"abc"
+// is not a valid task id' for id or '... attachment id' for attachmentId
+function invalidId(errors, params) {
+  const fields = [...new Set(errors.map(fieldName))];
+  const name = fields[0] === 'id' ? 'task' : fields[0].replace(/Id$/, '');
+  return new ApiError(400, 'invalid_id', `"${params[fields[0]]}" is not a valid ${name} id`, fields.map(field => (
+    { field, code: 'invalid_id', message: `${field} must be a 24-character hex ObjectId` }
+  )));
+}
+
+function checkRequest(validators, req, params) {
+  if (validators.path && !validators.path(params)) {
+    throw invalidId(validators.path.errors, params);
+  }
+
+  // Validated on a copy: coercion ("20" -> 20) must not change req.query
+  if (validators.query && !validators.query({ ...req.query })) {
+    throw new ApiError(400, 'invalid_query', 'Invalid query parameters', validators.query.errors.map(fieldError));
+  }
+
+  // Non-JSON bodies (CSV imports) are left to the handler
+  if (validators.body && !req.is('text/csv') && !validators.body(req.body)) {
+    const [rootType] = validators.body.errors.filter(error => error.instancePath === '' && error.keyword === 'type');
+    if (rootType) {
+      throw new ApiError(400, 'invalid_body', `Request body must be a JSON ${rootType.params.type}`);
+    }
+    throw new ApiError(422, 'validation_failed', 'Validation failed', validators.body.errors.map(fieldError));
+  }
+}
+
+// Middleware: reject requests that don't match the document. Mount it inside
+// the version router, so req.apiVersion is known.
+function validateRequests(spec) {
+  const ajv = createAjv(spec);
+  const coercing = createAjv(spec, { coerceTypes: true });
+  const routes = routesOf(spec).map(route => ({
+    ...route,
+    validators: {
+      path: compileParameters(coercing, route, 'path'),
+      query: compileParameters(coercing, route, 'query'),
+      body: compileBody(ajv, route)
+    }
+  }));
+
+  return (req, res, next) => {
+    const match = matchRoute(routes, req);
+    if (!match) return next();
+    try {
+      checkRequest(match.route.validators, req, match.params);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Pointer to the JSON schema of a response, following a $ref to
+// components/responses; null if the status isn't described as JSON
+function responseSchemaPointer(spec, route, status) {
+  const responses = route.operation.responses;
+  const key = responses[status] ? String(status) : 'default';
+  let response = responses[key];
+  let segments = ['paths', route.path, route.method, 'responses', key];
+  if (response && response.$ref) {
+    segments = response.$ref.replace(/^#\//, '').split('/');
+    response = segments.reduce((node, segment) => node[segment], spec);
+  }
+  if (!response || !response.content || !response.content['application/json']) return null;
+  return pointer(...segments, 'content', 'application/json', 'schema');
+}
+
+// Middleware: log JSON responses that don't match the document. Meant for
+// development (OPENAPI_VALIDATE_RESPONSES): it serializes every body twice.
+// The route is matched when the response is sent, once the version is known.
+function validateResponses(spec) {
+  const ajv = createAjv(spec);
+  const validators = new Map();
+  const routes = routesOf(spec);
+
+  const validatorFor = schemaPointer => {
+    if (!validators.has(schemaPointer)) validators.set(schemaPointer, ajv.compile({ $ref: schemaPointer }));
+    return validators.get(schemaPointer);
+  };
+
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = body => {
+      const match = matchRoute(routes, req);
+      if (!match) return json(body);
+      const { route } = match;
+      const schemaPointer = responseSchemaPointer(spec, route, res.statusCode);
+      if (!schemaPointer) {
+        logger.error({ operationId: route.operation.operationId, status: res.statusCode },
+          'Response status is not described as JSON in the OpenAPI document');
+        return json(body);
+      }
+      // Compare what will be sent (dates as strings, undefined dropped)
+      const validate = validatorFor(schemaPointer);
+      if (body !== undefined && !validate(JSON.parse(JSON.stringify(body)))) {
+        logger.error({
+          operationId: route.operation.operationId,
+          status: res.statusCode,
+          errors: validate.errors.map(error => ({ path: error.instancePath, message: error.message }))
+        }, 'Response does not match the OpenAPI document');
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+module.exports = { validateRequests, validateResponses };
+EOF
+
+# FILE: backend/scripts/generate-client.js
+cat > backend/scripts/generate-client.js << 'EOF'
+#!/usr/bin/env node
+// Generate the frontend's API client (frontend/src/apiClient.js) from the
+// OpenAPI document: one function per operation, with JSDoc types for editors
+// and type-checkers. Operations marked 'x-client': false are skipped.
+//
+// Usage: npm run generate:client [-- <document URL or file> [<output file>]]
+// The document defaults to a local server's /api/v1/openapi.json, since building
+// it requires the server's configuration.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SOURCE = 'http://localhost:5000/api/v1/openapi.json';
+const DEFAULT_OUTPUT = path.join(__dirname, '..', '..', 'frontend', 'src', 'apiClient.js');
+const METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+const SCHEMA_PREFIX = '#/components/schemas/';
+
+async function loadDocument(source) {
+  if (!/^https?:\/\//.test(source)) return JSON.parse(fs.readFileSync(source, 'utf8'));
+  const response = await fetch(source);
+  if (!response.ok) throw new Error(`GET ${source} returned ${response.status}`);
+  return response.json();
+}
+
+function resolve(document, ref) {
+  return ref.replace(/^#\//, '').split('/')
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, segment) => node[segment], document);
+}
+
+const camelCase = name => name.replace(/[-_]+(\w)/g, (match, letter) => letter.toUpperCase())
+  .replace(/^\w/, letter => letter.toLowerCase());
+
+// JSDoc type expression for a schema
+function typeOf(document, schema) {
+  if (!schema) return '*';
+  if (schema.$ref) {
+    const name = schema.$ref.slice(SCHEMA_PREFIX.length);
+    if (schema.$ref.startsWith(SCHEMA_PREFIX) && !name.includes('/')) return name;
+    return typeOf(document, resolve(document, schema.$ref));
+  }
+
+  let type;
+  if (schema.allOf) {
+    type = schema.allOf.map(part => typeOf(document, part)).join(' & ');
+  } else if (schema.enum) {
+    type = schema.enum.map(value => (value === null ? 'null' : `'${value}'`)).join('|');
+  } else if (schema.type === 'array') {
+    type = `Array<${typeOf(document, schema.items)}>`;
+  } else if (schema.type === 'object' || schema.properties) {
+    type = objectType(document, schema);
+  } else if (schema.type === 'integer' || schema.type === 'number') {
+    type = 'number';
+  } else {
+    type = schema.type || '*';
+  }
+  return schema.nullable && !(schema.enum && schema.enum.includes(null)) ? `(${type}|null)` : type;
+}
+
+function objectType(document, schema) {
+  if (!schema.properties) {
+    return schema.additionalProperties && schema.additionalProperties !== true
+      ? `Object<string, ${typeOf(document, schema.additionalProperties)}>`
+      : 'Object';
+  }
+  const required = schema.required || [];
+  const fields = Object.entries(schema.properties).map(([name, property]) => (
+    `${name}${required.includes(name) ? '' : '?'}: ${typeOf(document, property)}`
+  ));
+  return `{ ${fields.join(', ')} }`;
+}
+
+function typedef(document, name, schema) {
+  const lines = ['/**'];
+  if (schema.description) lines.push(` * ${schema.description}`);
+  if (schema.type === 'object' && schema.properties) {
+    const required = schema.required || [];
+    lines.push(` * @typedef {Object} ${name}`);
+    for (const [field, property] of Object.entries(schema.properties)) {
+      const label = required.includes(field) ? field : `[${field}]`;
+      const description = property.description ? ` ${property.description}` : '';
+      lines.push(` * @property {${typeOf(document, property)}} ${label}${description}`);
+    }
+  } else {
+    lines.push(` * @typedef {${typeOf(document, schema)}} ${name}`);
+  }
+  lines.push(' */');
+  return lines.join('\n');
+}
+
+function operationFunction(document, urlPath, method, operation) {
+  const parameters = operation.parameters || [];
+  const pathParams = parameters.filter(parameter => parameter.in === 'path');
+  const queryParams = parameters.filter(parameter => parameter.in === 'query');
+  const headerParams = parameters.filter(parameter => parameter.in === 'header');
+  const requestBody = operation.requestBody;
+  const contentTypes = requestBody ? Object.keys(requestBody.content) : [];
+
+  const [status, success] = Object.entries(operation.responses).find(([code]) => /^2\d\d$/.test(code));
+  const download = Boolean(success.headers && success.headers['Content-Disposition']);
+  const successSchema = success.content && success.content['application/json'] && success.content['application/json'].schema;
+  let returns = 'null';
+  if (download) returns = 'Blob';
+  else if (status !== '204') returns = typeOf(document, successSchema);
+
+  const options = [
+    ...headerParams.map(parameter => ({ name: camelCase(parameter.name), type: typeOf(document, parameter.schema) })),
+    ...(contentTypes.length > 1 ? [{ name: 'contentType', type: contentTypes.map(type => `'${type}'`).join('|') }] : []),
+    { name: 'signal', type: 'AbortSignal' }
+  ];
+
+  const args = pathParams.map(parameter => parameter.name);
+  const docs = ['/**', ` * ${operation.summary}`];
+  for (const parameter of pathParams) {
+    docs.push(` * @param {${typeOf(document, parameter.schema)}} ${parameter.name}`);
+  }
+  if (requestBody) {
+    const schema = requestBody.content[contentTypes[0]].schema;
+    let type = contentTypes.length > 1 ? `${typeOf(document, schema)}|string` : typeOf(document, schema);
+    // Uploads are FormData, with the fields of the schema
+    if (contentTypes[0] === 'multipart/form-data') type = 'FormData';
+    docs.push(` * @param {${type}} body`);
+    args.push('body');
+  }
+  if (queryParams.length > 0) {
+    const fields = queryParams.map(parameter => (
+      `${parameter.name}${parameter.required ? '' : '?'}: ${typeOf(document, parameter.schema)}`
+    ));
+    docs.push(` * @param {{ ${fields.join(', ')} }} [query]`);
+    args.push('query = {}');
+  }
+  docs.push(` * @param {{ ${options.map(option => `${option.name}?: ${option.type}`).join(', ')} }} [options]`);
+  docs.push(` * @returns {Promise<${returns}>}`, ' */');
+  args.push(`{ ${options.map(option => option.name).join(', ')} } = {}`);
+
+  const pathExpression = pathParams.length > 0
+    ? `\`${urlPath.replace(/\{(\w+)\}/g, '${encodeURIComponent($1)}')}\``
+    : `'${urlPath}'`;
+  const init = [];
+  if (queryParams.length > 0) init.push('query');
+  if (requestBody) init.push('body');
+  if (contentTypes.length > 1) init.push('contentType');
+  if (headerParams.length > 0) {
+    init.push(`headers: { ${headerParams.map(parameter => `'${parameter.name}': ${camelCase(parameter.name)}`).join(', ')} }`);
+  }
+  if (download) init.push('download: true');
+  init.push('signal');
+
+  return [
+    docs.join('\n'),
+    `export const ${operation.operationId} = (${args.join(', ')}) => (`,
+    `  request('${method.toUpperCase()}', ${pathExpression}, { ${init.join(', ')} })`,
+    ');'
+  ].join('\n');
+}
+
+const REQUEST_HELPER = `// Send a request through apiFetch (bearer token, refresh, request ID) and
+// return the JSON body, null for 204 or a Blob for downloads. FormData
+// bodies are sent as multipart/form-data. Failed responses throw
+// apiError(), with the parsed body in error.body.
+const request = async (method, path, { query, body, contentType = 'application/json', headers = {}, download = false, signal } = {}) => {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(query || {})) {
+    if (value !== undefined && value !== null) params.set(name, String(value));
+  }
+  const init = { method, headers: {}, signal };
+  for (const [name, value] of Object.entries(headers)) {
+    if (value !== undefined) init.headers[name] = value;
+  }
+  if (body instanceof FormData) {
+    // fetch() sets the Content-Type, with the multipart boundary
+    init.body = body;
+  } else if (body !== undefined) {
+    init.headers['Content-Type'] = contentType;
+    init.body = typeof body === 'string' ? body : JSON.stringify(body);
+  }
+
+  const search = params.toString();
+  const response = await apiFetch(search ? \`\${path}?\${search}\` : path, init);
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    throw apiError(data, response);
+  }
+  if (response.status === 204) return null;
+  return download ? response.blob() : response.json();
+};`;
+
+function generate(document) {
+  const typedefs = Object.entries(document.components.schemas)
+    .map(([name, schema]) => typedef(document, name, schema));
+  const functions = [];
+  for (const [urlPath, item] of Object.entries(document.paths)) {
+    for (const method of METHODS.filter(method => item[method])) {
+      if (item[method]['x-client'] === false) continue;
+      functions.push(operationFunction(document, urlPath, method, item[method]));
+    }
+  }
+
+  return [
+    `// Generated from the OpenAPI document (${document.info.title} ${document.info.version})`,
+    '// by backend/scripts/generate-client.js. Do not edit: change backend/openapi.js',
+    '// and run `npm run generate:client` in backend/ against a running server.',
+    "import { apiError, apiFetch } from './api';",
+    '',
+    typedefs.join('\n\n'),
+    '',
+    REQUEST_HELPER,
+    '',
+    functions.join('\n\n'),
+    ''
+  ].join('\n');
+}
+
+async function main() {
+  const [source = DEFAULT_SOURCE, output = DEFAULT_OUTPUT] = process.argv.slice(2);
+  const document = await loadDocument(source);
+  fs.writeFileSync(output, generate(document));
+  console.log(`Wrote ${path.relative(process.cwd(), output)} from ${source}`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
+EOF
+
+# FILE: backend/versioning.js
+cat > backend/versioning.js << 'EOF'
+const express = require('express');
+const { ApiError } = require('./errors');
+
+// REST API versions. Each version is its own router, mounted under
+// /api/v<n>. The unversioned /api/... paths predate versioning and stay as
+// aliases: they serve the version named by the API-Version request header
+// ("1" or "v1"), or `unversioned` without one, so frontends built against
+// them keep working through a rolling deploy.
+//
+// Responses name the version that served them (API-Version). A deprecated
+// version keeps working until its sunset date, announced with Deprecation
+// (RFC 9745), Sunset (RFC 8594) and a successor-version Link; after that it
+// answers 410.
+
+const VERSION_HEADER = 'API-Version';
+const VERSIONED_PATH = /^\/v\d+(\/|$)/;
+
+// versions: { [n]: { router, deprecatedAt?, sunsetAt?, successor? } }
+function versionedApi(versions, { unversioned }) {
+  const router = express.Router();
+  const supportedVersions = Object.keys(versions).map(Number).sort((a, b) => a - b);
+
+  const unsupported = (status, version) => new ApiError(
+    status, 'unsupported_version', `API version ${version} is not supported`, [], { supportedVersions }
+  );
+
+  const serve = (version, req, res, next) => {
+    const { router: versionRouter, deprecatedAt, sunsetAt, successor } = versions[version];
+    req.apiVersion = version;
+    res.set(VERSION_HEADER, String(version));
+    if (deprecatedAt) {
+      res.set('Deprecation', `@${Math.floor(deprecatedAt.getTime() / 1000)}`);
+      if (sunsetAt) res.set('Sunset', sunsetAt.toUTCString());
+      if (successor) res.append('Link', `</api/v${successor}>; rel="successor-version"`);
+    }
+    if (sunsetAt && sunsetAt <= new Date()) {
+      return next(new ApiError(410, 'version_retired', `API version ${version} was retired on ${sunsetAt.toISOString().slice(0, 10)}`,
+        [], { supportedVersions }));
+    }
+    versionRouter(req, res, next);
+  };
+
+  // Explicit version in the path: /api/v1/tasks. The header is ignored.
+  router.use('/v:version(\\d+)', (req, res, next) => {
+    const version = Number(req.params.version);
+    if (!versions[version]) return next(unsupported(404, version));
+    serve(version, req, res, next);
+  });
+
+  // Unversioned alias: /api/tasks, optionally with an API-Version header
+  router.use((req, res, next) => {
+    // A versioned path that none of its version's routes matched
+    if (VERSIONED_PATH.test(req.path)) return next();
+    res.vary(VERSION_HEADER);
+    const requested = req.get(VERSION_HEADER);
+    if (requested === undefined) return serve(unversioned, req, res, next);
+    const match = requested.trim().match(/^v?(\d+)$/i);
+    if (!match || !versions[Number(match[1])]) return next(unsupported(400, `"${requested}"`));
+    serve(Number(match[1]), req, res, next);
+  });
+
+  return router;
+}
+
+module.exports = { versionedApi, VERSION_HEADER };
+EOF
+
+# FILE: backend/recurrence.js
+cat > backend/recurrence.js << 'EOF'
+// Recurrence rules for repeating tasks. A rule is "daily", "weekly",
+// "monthly" or a five-field cron expression ("minute hour day-of-month month
+// day-of-week", e.g. "0 9 * * 1-5"). Rules are evaluated in UTC.
+//
+// Named rules step from the previous occurrence, keeping its time of day:
+// a weekly task due Monday 17:00 is next due the Monday after, at 17:00.
+// Cron rules name their times outright and don't need one.
+
+const NAMED_RULES = {
+  daily: date => date.setUTCDate(date.getUTCDate() + 1),
+  weekly: date => date.setUTCDate(date.getUTCDate() + 7),
+  // Clamped to the end of shorter months: Jan 31 -> Feb 28 -> Mar 28
+  monthly: date => {
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, lastDay));
+  }
+};
+
+const isNamedRule = rule => Object.prototype.hasOwnProperty.call(NAMED_RULES, rule);
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  // 0 and 7 are both Sunday
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// How far ahead to look for the next match of a cron rule
+const MAX_SEARCH_YEARS = 5;
+
+// Parse one cron field (*, 5, 1-5, */15, 1-30/2, or a comma list of those)
+// into the set of values it allows; null if it is invalid
+function parseCronField(text, { min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) return null;
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : Number(start);
+    // A single value with a step (5/15) runs to the end of the range
+    const to = range === '*' || (end === undefined && step !== undefined) ? max : Number(end ?? start);
+    const by = step === undefined ? 1 : Number(step);
+    if (from < min || to > max || from > to || by < 1) return null;
+    for (let value = from; value <= to; value += by) values.add(value);
+  }
+  return values;
+}
+
+function parseCron(rule) {
+  const texts = rule.trim().split(/\s+/);
+  if (texts.length !== CRON_FIELDS.length) return null;
+  const fields = {};
+  for (const [index, field] of CRON_FIELDS.entries()) {
+    const values = parseCronField(texts[index], field);
+    if (!values) return null;
+    fields[field.name] = values;
+  }
+  if (fields.dayOfWeek.has(7)) fields.dayOfWeek.add(0);
+  // As in cron, when both day fields are restricted a day matching either one counts
+  fields.anyDay = texts[2] !== '*' && texts[4] !== '*';
+  fields.dayOfMonthRestricted = texts[2] !== '*';
+  return fields;
+}
+
+function dayMatches(fields, date) {
+  const byMonth = fields.dayOfMonth.has(date.getUTCDate());
+  const byWeek = fields.dayOfWeek.has(date.getUTCDay());
+  if (fields.anyDay) return byMonth || byWeek;
+  return fields.dayOfMonthRestricted ? byMonth : byWeek;
+}
+
+// The first minute after `after` that the cron fields allow, or null.
+// Whole months, days and hours that can't match are skipped at once.
+function nextCronTime(fields, after) {
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = new Date(after.getTime());
+  limit.setUTCFullYear(limit.getUTCFullYear() + MAX_SEARCH_YEARS);
+
+  while (date <= limit) {
+    if (!fields.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(fields, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!fields.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!fields.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+// Cron rules that can never match (0 0 30 2 *) are rejected too
+function isValidRule(rule) {
+  if (typeof rule !== 'string') return false;
+  if (isNamedRule(rule)) return true;
+  const fields = parseCron(rule);
+  return fields !== null && nextCronTime(fields, new Date()) !== null;
+}
+
+// The occurrence that follows one at `after`, or null if the rule has no more
+function nextOccurrence(rule, after) {
+  if (isNamedRule(rule)) {
+    const date = new Date(after.getTime());
+    NAMED_RULES[rule](date);
+    return date;
+  }
+  const fields = parseCron(rule);
+  if (!fields) throw new Error(`Invalid recurrence rule "${rule}"`);
+  return nextCronTime(fields, after);
+}
+
+module.exports = { RECURRENCE_NAMES: Object.keys(NAMED_RULES), isValidRule, nextOccurrence };
+EOF
+
+# FILE: backend/notifier.js
+cat > backend/notifier.js << 'EOF'
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// Notifiers deliver reminders to users (see task-jobs.js). Each has one
+// method, notify(notification), which rejects if delivery failed. A
+// notification is
+//   { type: 'task.reminder', user: { id, email }, task, remindAt, minutesBefore }
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Writes notifications to the log; for local development
+class LogNotifier {
+  async notify({ type, user, task, remindAt, minutesBefore }) {
+    logger.info({
+      notification: type,
+      user: user.email,
+      taskId: String(task._id),
+      title: task.title,
+      dueDate: task.dueDate,
+      remindAt,
+      minutesBefore
+    }, `Reminder for ${user.email}: "${task.title}"`);
+  }
+}
+
+// POSTs each notification as JSON to a URL (a chat integration, an email or
+// push service, ...). A failed delivery isn't retried.
+class WebhookNotifier {
+  constructor(url) {
+    this.url = url;
+  }
+
+  async notify(notification) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(notification),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    if (!response.ok) throw new Error(`Webhook returned ${response.status}`);
+  }
+}
+
+// NOTIFIER=log (default) or webhook
+function createNotifier(type = config.notifier.driver) {
+  switch (type) {
+    case 'log':
+      return new LogNotifier();
+    case 'webhook':
+      return new WebhookNotifier(config.notifier.webhookUrl);
+    default:
+      throw new Error(`Unknown NOTIFIER "${type}" (expected "log" or "webhook")`);
+  }
+}
+
+module.exports = { createNotifier };
+EOF
+
+# FILE: backend/scheduler.js
+cat > backend/scheduler.js << 'EOF'
+const os = require('os');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// Runs background jobs (see task-jobs.js) every SCHEDULER_INTERVAL_MS. Every
+// instance runs a scheduler, but a job only runs on the instance holding its
+// lease in storage.locks: the holder renews the lease on each tick and gives
+// it up on shutdown, and if it dies the lease expires after
+// SCHEDULER_LOCK_TTL_MS and another instance takes the job over.
+//
+// Job state (when it last ran, the last error and the job's own data, e.g.
+// how far it got) is kept in storage.jobs, so whichever instance runs a job
+// next carries on where the last run stopped, including after downtime.
+//
+// A job is { name, run({ data, lastSuccessAt, now }) -> data }. A run should
+// finish well within the lease: one that outlives it may overlap with a run
+// elsewhere, so jobs keep their writes idempotent.
+
+class Scheduler {
+  constructor({ storage, jobs, intervalMs, lockTtlMs, instanceId }) {
+    this.storage = storage;
+    this.jobs = jobs;
+    this.intervalMs = intervalMs;
+    this.lockTtlMs = lockTtlMs;
+    this.instanceId = instanceId;
+    this.timer = null;
+    this.running = null;
+    this.held = new Set();
+    this.stopped = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.intervalMs).unref();
+    this.tick();
+  }
+
+  // Run each job whose lease this instance holds or can take. A tick that
+  // takes longer than the interval is not overlapped by the next one.
+  tick() {
+    if (!this.running) {
+      this.running = this.runAll().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runAll() {
+    for (const job of this.jobs) {
+      if (this.stopped) return;
+      if (await this.acquire(job)) await this.runJob(job);
+    }
+  }
+
+  async acquire(job) {
+    const lock = lockName(job);
+    try {
+      const acquired = await this.storage.locks.acquire(lock, this.instanceId, this.lockTtlMs);
+      if (acquired && !this.held.has(lock)) logger.info({ job: job.name }, 'Scheduler took over job');
+      if (!acquired && this.held.has(lock)) logger.warn({ job: job.name }, 'Scheduler lost the lease of job');
+      if (acquired) this.held.add(lock);
+      else this.held.delete(lock);
+      return acquired;
+    } catch (err) {
+      logger.warn({ err, job: job.name }, 'Scheduler could not take job lease');
+      return false;
+    }
+  }
+
+  async runJob(job) {
+    const now = new Date();
+    try {
+      const state = (await this.storage.jobs.get(job.name)) || { lastSuccessAt: null, data: null };
+      const next = { lastRunAt: now, lastSuccessAt: state.lastSuccessAt, lastError: null, instance: this.instanceId };
+      try {
+        const data = await job.run({ data: state.data, lastSuccessAt: state.lastSuccessAt, now });
+        next.data = data === undefined ? state.data : data;
+        next.lastSuccessAt = now;
+      } catch (err) {
+        // The job's data is kept, so the next run retries the same work
+        logger.error({ err, job: job.name }, 'Scheduled job failed');
+        next.data = state.data;
+        next.lastError = err.message;
+      }
+      await this.storage.jobs.save(job.name, next);
+    } catch (err) {
+      logger.error({ err, job: job.name }, 'Scheduler could not read or save job state');
+    }
+  }
+
+  // Wait for a running tick, then hand the leases over to other instances
+  async stop() {
+    this.stopped = true;
+    clearInterval(this.timer);
+    await this.running;
+    await Promise.all([...this.held].map(lock => this.storage.locks.release(lock, this.instanceId)
+      .catch(err => logger.warn({ err, lock }, 'Scheduler could not release job lease'))));
+    this.held.clear();
+  }
+}
+
+const lockName = job => `job:${job.name}`;
+
+function createScheduler({ storage, jobs }) {
+  const { intervalMs, lockTtlMs } = config.scheduler;
+  return new Scheduler({ storage, jobs, intervalMs, lockTtlMs, instanceId: `${os.hostname()}:${process.pid}` });
+}
+
+module.exports = { Scheduler, createScheduler };
+EOF
+
+# FILE: backend/task-jobs.js
+cat > backend/task-jobs.js << 'EOF'
+const os = require('os');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { HISTORY_FIELDS, diffFields } = require('./history');
+const { nextOccurrence } = require('./recurrence');
+const { MAX_REMINDER_MINUTES } = require('./validation');
+const { DuplicateKeyError } = require('./repositories');
+const { invalidateLists } = require('./list-cache');
+const { removeAttachmentFiles } = require('./blob-store');
+const { getServerIp } = require('./app');
+
+// Scheduler jobs for tasks (see scheduler.js).
+//
+// recurrence: once the due date of a recurring task has passed, its next
+// occurrence is created as a new task (same title, description, priority,
+// tags and reminders, checklist unticked) and the rule moves over to it, so
+// a series always continues from its latest task. Each occurrence is created
+// exactly once: the new task names the one it follows in recurrenceOf, which
+// is unique, and the rule is only cleared from the old task after the insert,
+// with a version check. A run that stops in between is finished by the next.
+// Occurrences missed during downtime are created as well, back to
+// SCHEDULER_MAX_CATCH_UP_HOURS; older ones are skipped.
+//
+// reminders: sends every reminder whose time falls between the end of the
+// previous run and now through the notifier (see notifier.js). The end of
+// that window is the job's saved data, so reminders that fell due while no
+// instance was running go out late rather than never (again back to
+// SCHEDULER_MAX_CATCH_UP_HOURS). Failed deliveries are logged, not retried;
+// a run that stops midway sends its window again.
+//
+// attachments: trashed tasks are purged by storage (a TTL index in Mongo),
+// which knows nothing of the blob store, so the files of a trashed task are
+// removed, and its attachment list cleared, an hour before its retention
+// ends. Restoring a task in that last hour brings it back without them.
+
+// Recorded as the actor of the scheduler's changes in task history
+const SCHEDULER_ACTOR = { id: null, email: 'scheduler' };
+const BATCH_SIZE = 100;
+const MAX_BATCHES_PER_RUN = 20;
+const MINUTE_MS = 60 * 1000;
+// How long before the trash retention ends attachment files are removed
+const ATTACHMENT_PURGE_MARGIN_MS = 60 * MINUTE_MS;
+
+function createTaskJobs({
+  storage, eventBus, listCache = null, blobStore, notifier,
+  maxCatchUpMs = config.scheduler.maxCatchUpHours * 60 * MINUTE_MS,
+  trashRetentionMs = config.trashRetentionDays * 24 * 60 * MINUTE_MS
+}) {
+  async function recordHistory(action, before, after) {
+    const task = after || before;
+    try {
+      await storage.history.append([{
+        task: task._id,
+        owner: task.owner,
+        action,
+        changes: diffFields(HISTORY_FIELDS, before, after),
+        version: task.__v,
+        actor: SCHEDULER_ACTOR,
+        serverHostname: os.hostname(),
+        serverIp: getServerIp()
+      }]);
+    } catch (err) {
+      logger.error({ err, taskId: String(task._id), action }, 'Task history write failed');
+    }
+  }
+
+  // Tell the owner's clients, as the API does for their own changes
+  function publish(type, task) {
+    const event = { type, owner: String(task.owner), task, origin: os.hostname(), at: new Date().toISOString() };
+    eventBus.publish(event).catch(err => logger.error({ err, type }, 'Event publish failed'));
+  }
+
+  // Create the occurrence after `task` (unless the rule has none left) and
+  // move the rule onto it
+  async function advance(task, now) {
+    const oldest = new Date(now.getTime() - maxCatchUpMs);
+    let dueDate = nextOccurrence(task.recurrence, task.dueDate);
+    while (dueDate && dueDate < oldest) dueDate = nextOccurrence(task.recurrence, dueDate);
+
+    if (dueDate) {
+      try {
+        const occurrence = await storage.tasks.insert({
+          title: task.title,
+          description: task.description,
+          priority: task.priority,
+          tags: task.tags,
+          checklist: task.checklist.map(item => ({ ...item, done: false })),
+          reminders: task.reminders,
+          recurrence: task.recurrence,
+          dueDate,
+          recurrenceOf: task._id,
+          owner: task.owner,
+          serverHostname: os.hostname(),
+          serverIp: getServerIp()
+        });
+        await recordHistory('created', null, occurrence);
+        await invalidateLists(listCache, occurrence.owner);
+        publish('task.created', occurrence);
+      } catch (error) {
+        // Created by an earlier run that stopped before clearing the rule
+        if (!(error instanceof DuplicateKeyError)) throw error;
+      }
+    }
+
+    // If the task changed since it was read, it is picked up again and the
+    // insert above finds its occurrence already there
+    const { before, task: updated } = await storage.tasks.update(
+      { id: task._id, versions: [task.__v] },
+      { recurrence: null }
+    );
+    if (updated) {
+      await recordHistory('updated', before, updated);
+      await invalidateLists(listCache, updated.owner);
+      publish('task.updated', updated);
+    }
+    return Boolean(dueDate);
+  }
+
+  const recurrence = {
+    name: 'recurrence',
+    async run({ now }) {
+      let created = 0;
+      let failed = 0;
+      for (let batch = 0; batch < MAX_BATCHES_PER_RUN; batch++) {
+        const due = await storage.tasks.find(
+          { trashed: false, recurring: true, dueBefore: now },
+          { sort: { field: 'dueDate', dir: 1 }, limit: BATCH_SIZE }
+        );
+        let batchFailed = 0;
+        for (const task of due) {
+          try {
+            if (await advance(task, now)) created++;
+          } catch (err) {
+            batchFailed++;
+            logger.error({ err, taskId: String(task._id) }, 'Recurring task could not be advanced');
+          }
+        }
+        failed += batchFailed;
+        // A batch that only failed would come back unchanged
+        if (due.length < BATCH_SIZE || batchFailed === due.length) break;
+      }
+      if (created > 0) logger.info({ created }, 'Created occurrences of recurring tasks');
+      if (failed > 0) throw new Error(`${failed} recurring task(s) could not be advanced`);
+    }
+  };
+
+  const reminders = {
+    name: 'reminders',
+    async run({ data, now }) {
+      const oldest = new Date(now.getTime() - maxCatchUpMs);
+      // The first run only marks where the next one starts
+      let from = data && data.windowEnd ? new Date(data.windowEnd) : now;
+      if (from < oldest) {
+        logger.warn({ from, oldest }, 'Reminders older than SCHEDULER_MAX_CATCH_UP_HOURS were skipped');
+        from = oldest;
+      }
+
+      // A reminder at remindAt in (from, now] is for a task due in
+      // (from, now + its minutes]
+      const tasks = storage.tasks.stream({
+        trashed: false,
+        completed: false,
+        hasReminders: true,
+        dueAfter: from,
+        dueBefore: new Date(now.getTime() + MAX_REMINDER_MINUTES * MINUTE_MS + 1)
+      }, { sort: { field: 'dueDate', dir: 1 } });
+
+      const owners = new Map();
+      let sent = 0;
+      for await (const task of tasks) {
+        for (const minutesBefore of task.reminders) {
+          const remindAt = new Date(task.dueDate.getTime() - minutesBefore * MINUTE_MS);
+          if (remindAt <= from || remindAt > now) continue;
+          const owner = String(task.owner);
+          if (!owners.has(owner)) owners.set(owner, await storage.users.findById(owner));
+          const user = owners.get(owner);
+          if (!user) continue;
+          try {
+            await notifier.notify({
+              type: 'task.reminder',
+              user: { id: String(user._id), email: user.email },
+              task,
+              remindAt,
+              minutesBefore
+            });
+            sent++;
+          } catch (err) {
+            logger.error({ err, taskId: String(task._id), minutesBefore }, 'Reminder could not be delivered');
+          }
+        }
+      }
+      if (sent > 0) logger.info({ sent }, 'Sent task reminders');
+      return { windowEnd: now.toISOString() };
+    }
+  };
+
+  const attachments = {
+    name: 'attachments',
+    async run({ now }) {
+      const deletedBefore = new Date(now.getTime() - trashRetentionMs + ATTACHMENT_PURGE_MARGIN_MS);
+      let removed = 0;
+      for (let batch = 0; batch < MAX_BATCHES_PER_RUN; batch++) {
+        const expiring = await storage.tasks.find(
+          { trashed: true, hasAttachments: true, deletedBefore },
+          { sort: { field: 'deletedAt', dir: 1 }, limit: BATCH_SIZE }
+        );
+        for (const task of expiring) {
+          // Unlisted first: a file is never missing from an attachment that is still listed
+          const { before, task: updated } = await storage.tasks.update(
+            { id: task._id, versions: [task.__v] },
+            { attachments: [] }
+          );
+          if (!updated) continue;
+          await recordHistory('updated', before, updated);
+          await removeAttachmentFiles(blobStore, before);
+          removed += before.attachments.length;
+        }
+        if (expiring.length < BATCH_SIZE) break;
+      }
+      if (removed > 0) logger.info({ removed }, 'Removed attachments of expiring trashed tasks');
+    }
+  };
+
+  return [recurrence, reminders, attachments];
+}
+
+module.exports = { createTaskJobs };
+EOF
+
+# FILE: backend/ranks.js
+cat > backend/ranks.js << 'EOF'
+// Ranks give tasks their manual order (see POST /api/tasks/:id/move): strings
+// that sort in list order, with a new one always to be found between any
+// two, so moving a task rewrites that task alone. This is fractional
+// indexing ("Implementing Fractional Indexing", David Greenspan): a rank is
+// an integer part, whose first character gives its length, then a base-62
+// fraction without trailing zeros. Moving to either end of the list steps
+// the integer part, so ranks only lengthen when tasks keep being put between
+// the same two.
+//
+// Digits are in ASCII order, so ranks compare the same as plain strings in
+// JavaScript, SQLite and MongoDB.
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const ZERO = DIGITS[0];
+const LAST = DIGITS[DIGITS.length - 1];
+// The smallest integer part; nothing can be placed below it by integer steps
+const SMALLEST_INTEGER = `A${ZERO.repeat(26)}`;
+
+// Integer parts start with a-z (0 and up, 2 to 27 characters) or A-Z
+// (negative, 27 down to 2 characters)
+function integerLength(head) {
+  if (head >= 'a' && head <= 'z') return head.charCodeAt(0) - 'a'.charCodeAt(0) + 2;
+  if (head >= 'A' && head <= 'Z') return 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2;
+  throw new Error(`Invalid rank "${head}..."`);
+}
+
+function splitRank(rank) {
+  const length = integerLength(rank[0]);
+  const integer = rank.slice(0, length);
+  const fraction = rank.slice(length);
+  if (integer.length < length || fraction.endsWith(ZERO) || [...rank.slice(1)].some(c => !DIGITS.includes(c))) {
+    throw new Error(`Invalid rank "${rank}"`);
+  }
+  return [integer, fraction];
+}
+
+// The next or previous integer part, or null past the last one
+function stepInteger(integer, by) {
+  const head = integer[0];
+  const digits = [...integer.slice(1)];
+  let carry = true;
+  for (let i = digits.length - 1; carry && i >= 0; i--) {
+    const next = DIGITS.indexOf(digits[i]) + by;
+    if (next === DIGITS.length) digits[i] = ZERO;
+    else if (next === -1) digits[i] = LAST;
+    else {
+      digits[i] = DIGITS[next];
+      carry = false;
+    }
+  }
+  if (!carry) return head + digits.join('');
+
+  // Overflowed: move to the next length (heads a-z grow upwards, A-Z downwards)
+  if (by > 0) {
+    if (head === 'Z') return `a${ZERO}`;
+    if (head === 'z') return null;
+    const nextHead = String.fromCharCode(head.charCodeAt(0) + 1);
+    if (nextHead > 'a') digits.push(ZERO);
+    else digits.pop();
+    return nextHead + digits.join('');
+  }
+  if (head === 'a') return `Z${LAST}`;
+  if (head === 'A') return null;
+  const nextHead = String.fromCharCode(head.charCodeAt(0) - 1);
+  if (nextHead < 'Z') digits.push(LAST);
+  else digits.pop();
+  return nextHead + digits.join('');
+}
+
+// A fraction strictly between fractions a and b ('' is 0, null is 1)
+function midpoint(a, b) {
+  if (b !== null) {
+    // Keep the common prefix, then split the first differing digit
+    let n = 0;
+    while ((a[n] || ZERO) === b[n]) n++;
+    if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+  }
+  const low = a ? DIGITS.indexOf(a[0]) : 0;
+  const high = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (high - low > 1) return DIGITS[Math.round((low + high) / 2)];
+  // Adjacent digits: b's first digit alone is enough if b goes on after it,
+  // otherwise keep a's first digit and split the rest of a against 1
+  if (b && b.length > 1) return b[0];
+  return DIGITS[low] + midpoint(a.slice(1), null);
+}
+
+// A rank sorting after `before` and before `after`; either may be null for
+// the start or end of the list
+function rankBetween(before, after) {
+  if (before !== null && after !== null && before >= after) {
+    throw new Error(`Rank "${before}" does not sort before "${after}"`);
+  }
+  if (before === null && after === null) return `a${ZERO}`;
+
+  if (before === null) {
+    const [integer, fraction] = splitRank(after);
+    if (integer === SMALLEST_INTEGER) return integer + midpoint('', fraction);
+    // Drop the fraction if there is one, otherwise step down
+    if (integer < after) return integer;
+    const previous = stepInteger(integer, -1);
+    if (previous === null) throw new Error('Ran out of ranks at the start of the list');
+    return previous;
+  }
+
+  const [integer, fraction] = splitRank(before);
+  if (after === null) {
+    const next = stepInteger(integer, 1);
+    return next === null ? integer + midpoint(fraction, null) : next;
+  }
+  const [afterInteger, afterFraction] = splitRank(after);
+  if (integer === afterInteger) return integer + midpoint(fraction, afterFraction);
+  const next = stepInteger(integer, 1);
+  if (next === null) throw new Error('Ran out of ranks at the end of the list');
+  return next < after ? next : integer + midpoint(fraction, null);
+}
+
+// `count` ascending ranks between `before` and `after`, spread out so none
+// grows longer than it needs to
+function ranksBetween(before, after, count) {
+  if (count === 0) return [];
+  if (count === 1) return [rankBetween(before, after)];
+  if (after === null) {
+    const ranks = [rankBetween(before, null)];
+    while (ranks.length < count) ranks.push(rankBetween(ranks[ranks.length - 1], null));
+    return ranks;
+  }
+  if (before === null) {
+    const ranks = [rankBetween(null, after)];
+    while (ranks.length < count) ranks.unshift(rankBetween(null, ranks[0]));
+    return ranks;
+  }
+  const middle = Math.floor(count / 2);
+  const rank = rankBetween(before, after);
+  return [...ranksBetween(before, rank, middle), rank, ...ranksBetween(rank, after, count - middle - 1)];
+}
+
+module.exports = { rankBetween, ranksBetween };
+EOF
+
+# FILE: backend/scripts/simulate-alb.js
+cat > backend/scripts/simulate-alb.js << 'EOF'
+#!/usr/bin/env node
+// Local stand-in for the AWS setup (aws-setup.sh, deploy-instances.sh): starts
+// several backend instances (index.js) on consecutive ports, and a reverse
+// proxy in front of them that balances requests like the ALB and
+// health-checks them like its target group. Instances can be stopped, killed,
+// drained and restarted from the prompt, to try failover and graceful
+// shutdown on one machine.
+//
+// Usage: npm run simulate [-- --instances 3 --port 8080 --mode sticky ...]
+// (see DEFAULTS for every option), then type `help`.
+//
+// The instances share one SQLite file unless the environment picks other
+// storage, so tasks stay consistent whichever instance serves them. Every
+// other setting comes from the environment as usual; with the memory event
+// bus and rate limit store, live events and limits stay per instance, as
+// they would on AWS without EVENT_BUS=mongo and RATE_LIMIT_STORE=mongo.
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { spawn } = require('child_process');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+const MODES = ['round-robin', 'least-connections', 'sticky'];
+// Health check and deregistration delay as the target group in aws-setup.sh.
+// Times are in seconds; --health-interval 5 makes failover quicker to watch.
+const DEFAULTS = {
+  instances: 3,
+  port: 8080,
+  basePort: 5001,
+  mode: 'round-robin',
+  healthPath: '/health/ready',
+  healthInterval: 30,
+  healthTimeout: 5,
+  healthyThreshold: 2,
+  unhealthyThreshold: 3,
+  deregistrationDelay: 30,
+  stickinessDuration: 86400
+};
+// The ALB's stickiness cookies; the CORS variant goes with cross-origin requests
+const STICKY_COOKIE = 'AWSALB';
+const STICKY_CORS_COOKIE = 'AWSALBCORS';
+const HELP = `Commands (n is an instance number, from status):
+  status              instances, their target health and traffic
+  start <n>           start a stopped instance (registering it if it was drained)
+  stop <n>            SIGTERM: the instance shuts down gracefully, still registered
+  kill <n>            SIGKILL: a crash, noticed only by the health checks
+  restart <n>         stop, then start again
+  drain <n>           deregister, wait for its requests (up to the deregistration
+                      delay), then stop: a scale-in or deploy
+  add                 start and register one more instance
+  mode <mode>         ${MODES.join(', ')}
+  quit                stop everything`;
+
+function parseOptions(argv) {
+  const options = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i += 2) {
+    const flag = argv[i];
+    const name = flag.replace(/^--/, '').replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+    if (!flag.startsWith('--') || !(name in DEFAULTS) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown option or missing value: ${flag}`);
+    }
+    const value = typeof DEFAULTS[name] === 'number' ? Number(argv[i + 1]) : argv[i + 1];
+    if (typeof value === 'number' && !(Number.isInteger(value) && value >= 1)) {
+      throw new Error(`${flag} must be a positive integer`);
+    }
+    options[name] = value;
+  }
+  if (!MODES.includes(options.mode)) throw new Error(`--mode must be one of ${MODES.join(', ')}`);
+  return options;
+}
+
+let options;
+try {
+  options = parseOptions(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// Defaults for every instance; the environment wins. One JWT secret for all,
+// so tokens issued by one instance are accepted by the others.
+const instanceEnv = {
+  NODE_ENV: 'development',
+  LOG_LEVEL: 'warn',
+  STORAGE_DRIVER: 'sqlite',
+  SQLITE_FILE: 'data/simulator.sqlite',
+  JWT_SECRET: crypto.randomBytes(32).toString('hex'),
+  ...process.env
+};
+
+const log = message => console.log(`[alb] ${message}`);
+
+// Target health follows the ALB's states: unused (not registered), initial,
+// healthy, unhealthy and draining
+const instances = [];
+let mode = options.mode;
+let rotation = 0;
+
+function createInstance() {
+  const number = instances.length + 1;
+  const instance = {
+    number,
+    name: `instance-${number}`,
+    port: options.basePort + number - 1,
+    child: null,
+    health: 'unused',
+    successes: 0,
+    failures: 0,
+    healthTimer: null,
+    inFlight: 0,
+    served: 0,
+    drained: null
+  };
+  instances.push(instance);
+  return instance;
+}
+
+function prefixOutput(stream, name) {
+  readline.createInterface({ input: stream }).on('line', line => console.log(`[${name}] ${line}`));
+}
+
+function startInstance(instance) {
+  if (instance.child) return log(`${instance.name} is already running`);
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: BACKEND_DIR,
+    env: { ...instanceEnv, PORT: String(instance.port), INSTANCE_NAME: instance.name },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  instance.child = child;
+  prefixOutput(child.stdout, instance.name);
+  prefixOutput(child.stderr, instance.name);
+  child.on('exit', (code, signal) => {
+    instance.child = null;
+    log(`${instance.name} exited (${signal || `code ${code}`})`);
+  });
+  log(`${instance.name} started on port ${instance.port} (pid ${child.pid})`);
+  if (instance.health === 'unused') register(instance);
+}
+
+// Resolves once the process has exited
+function stopInstance(instance, signal = 'SIGTERM') {
+  const { child } = instance;
+  if (!child) {
+    log(`${instance.name} isn't running`);
+    return Promise.resolve();
+  }
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  child.kill(signal);
+  return exited;
+}
+
+function register(instance) {
+  Object.assign(instance, { health: 'initial', successes: 0, failures: 0 });
+  instance.healthTimer = setInterval(() => checkHealth(instance), options.healthInterval * 1000);
+  log(`${instance.name} registered`);
+}
+
+// Stop routing to the instance and wait for its requests to finish, or for
+// the deregistration delay, whichever comes first
+async function deregister(instance) {
+  clearInterval(instance.healthTimer);
+  instance.health = 'draining';
+  log(`${instance.name} draining (${instance.inFlight} requests in flight)`);
+  if (instance.inFlight > 0) {
+    await new Promise((resolve) => {
+      const timeout = setTimeout(resolve, options.deregistrationDelay * 1000);
+      instance.drained = () => {
+        clearTimeout(timeout);
+        resolve();
+      };
+    });
+    instance.drained = null;
+  }
+  instance.health = 'unused';
+  log(`${instance.name} deregistered (${instance.inFlight} requests still open)`);
+}
+
+function checkHealth(instance) {
+  const request = http.get({
+    host: '127.0.0.1',
+    port: instance.port,
+    path: options.healthPath,
+    timeout: options.healthTimeout * 1000
+  }, (response) => {
+    response.resume();
+    recordCheck(instance, response.statusCode === 200, `HTTP ${response.statusCode}`);
+  });
+  request.on('timeout', () => request.destroy(new Error('timed out')));
+  request.on('error', error => recordCheck(instance, false, error.code || error.message));
+}
+
+function recordCheck(instance, passed, detail) {
+  if (instance.health === 'unused' || instance.health === 'draining') return;
+  if (passed) {
+    instance.successes += 1;
+    instance.failures = 0;
+  } else {
+    instance.failures += 1;
+    instance.successes = 0;
+  }
+  const previous = instance.health;
+  if (passed && instance.successes >= options.healthyThreshold) instance.health = 'healthy';
+  if (!passed && instance.failures >= options.unhealthyThreshold) instance.health = 'unhealthy';
+  if (instance.health !== previous) log(`${instance.name} ${previous} → ${instance.health} (${detail})`);
+}
+
+// Healthy targets, or every registered one when none is healthy: like the
+// ALB, the balancer fails open rather than turning everything away
+function routableTargets() {
+  const healthy = instances.filter(instance => instance.health === 'healthy');
+  return healthy.length > 0 ? healthy : instances.filter(instance => instance.health === 'unhealthy');
+}
+
+function cookieValue(req, name) {
+  const cookies = (req.headers.cookie || '').split(';').map(cookie => cookie.trim().split('='));
+  const found = cookies.find(([key]) => key === name);
+  return found ? found[1] : null;
+}
+
+function pickTarget(req, targets) {
+  if (mode === 'least-connections') {
+    return { target: targets.reduce((best, target) => (target.inFlight < best.inFlight ? target : best)) };
+  }
+  if (mode === 'sticky') {
+    const name = cookieValue(req, STICKY_COOKIE) || cookieValue(req, STICKY_CORS_COOKIE);
+    const stuck = targets.find(target => target.name === name);
+    if (stuck) return { target: stuck };
+    return { target: targets[rotation++ % targets.length], stick: true };
+  }
+  return { target: targets[rotation++ % targets.length] };
+}
+
+function stickyCookies(target) {
+  const attributes = `Path=/; Max-Age=${options.stickinessDuration}`;
+  return [
+    `${STICKY_COOKIE}=${target.name}; ${attributes}`,
+    `${STICKY_CORS_COOKIE}=${target.name}; ${attributes}; SameSite=None; Secure`
+  ];
+}
+
+// The ALB's own error pages are HTML too
+function sendGatewayError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/html' });
+  res.end(`<html><body><h1>${status} ${message}</h1></body></html>\n`);
+}
+
+function proxy(req, res) {
+  const targets = routableTargets();
+  if (targets.length === 0) return sendGatewayError(res, 503, 'Service Temporarily Unavailable');
+  const { target, stick } = pickTarget(req, targets);
+  target.inFlight += 1;
+  target.served += 1;
+
+  const forwardedFor = [req.headers['x-forwarded-for'], req.socket.remoteAddress].filter(Boolean).join(', ');
+  const upstream = http.request({
+    host: '127.0.0.1',
+    port: target.port,
+    method: req.method,
+    path: req.url,
+    headers: {
+      ...req.headers,
+      'x-forwarded-for': forwardedFor,
+      'x-forwarded-proto': 'http',
+      'x-forwarded-port': String(options.port)
+    }
+  }, (response) => {
+    const headers = { ...response.headers };
+    if (stick) headers['set-cookie'] = [...(headers['set-cookie'] || []), ...stickyCookies(target)];
+    res.writeHead(response.statusCode, headers);
+    response.pipe(res);
+  });
+  upstream.on('error', () => {
+    if (res.headersSent) res.destroy();
+    else sendGatewayError(res, 502, 'Bad Gateway');
+  });
+  // Also when the client goes away mid-response (e.g. an event stream)
+  res.on('close', () => {
+    if (!res.writableFinished) upstream.destroy();
+    target.inFlight -= 1;
+    if (target.inFlight === 0 && target.drained) target.drained();
+  });
+  req.pipe(upstream);
+}
+
+function printStatus() {
+  const rows = instances.map(instance => [
+    String(instance.number),
+    instance.name,
+    String(instance.port),
+    instance.child ? String(instance.child.pid) : '-',
+    instance.health,
+    String(instance.inFlight),
+    String(instance.served)
+  ]);
+  const header = ['#', 'instance', 'port', 'pid', 'health', 'in flight', 'served'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const format = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ');
+  console.log(`Balancing on http://localhost:${options.port} (${mode})`);
+  console.log(format(header));
+  rows.forEach(row => console.log(format(row)));
+}
+
+let quitting = false;
+
+async function quit() {
+  if (quitting) return;
+  quitting = true;
+  log('Stopping every instance...');
+  instances.forEach(instance => clearInterval(instance.healthTimer));
+  await Promise.all(instances.filter(instance => instance.child).map(instance => stopInstance(instance)));
+  balancer.close();
+  process.exit(0);
+}
+
+async function runCommand(line) {
+  const [command, argument] = line.trim().split(/\s+/);
+  if (!command) return;
+  if (command === 'help') return console.log(HELP);
+  if (command === 'status') return printStatus();
+  if (command === 'quit' || command === 'exit') return quit();
+  if (command === 'add') return startInstance(createInstance());
+  if (command === 'mode') {
+    if (!MODES.includes(argument)) return log(`Mode must be one of ${MODES.join(', ')}`);
+    mode = argument;
+    return log(`Balancing ${mode}`);
+  }
+
+  const actions = ['start', 'stop', 'kill', 'restart', 'drain'];
+  if (!actions.includes(command)) return log(`Unknown command "${command}"; type help`);
+  const instance = instances[Number(argument) - 1];
+  if (!instance) return log(`No instance ${argument || ''}; type status`);
+  if (command === 'start') return startInstance(instance);
+  if (command === 'stop') return stopInstance(instance);
+  if (command === 'kill') return stopInstance(instance, 'SIGKILL');
+  if (command === 'restart') {
+    await stopInstance(instance);
+    return startInstance(instance);
+  }
+  if (instance.health === 'unused' || instance.health === 'draining') return log(`${instance.name} isn't registered`);
+  await deregister(instance);
+  return stopInstance(instance);
+}
+
+const balancer = http.createServer(proxy);
+balancer.listen(options.port, () => {
+  for (let i = 0; i < options.instances; i += 1) startInstance(createInstance());
+  log(`Balancing on http://localhost:${options.port} (${mode}); health checks every ${options.healthInterval}s ` +
+    `(${options.healthyThreshold} to pass, ${options.unhealthyThreshold} to fail). Type help for commands.`);
+});
+
+readline.createInterface({ input: process.stdin })
+  .on('line', line => runCommand(line).catch(error => log(`Error: ${error.message}`)))
+  .on('close', quit);
+process.once('SIGINT', quit);
+process.once('SIGTERM', quit);
+EOF
+
+# FILE: backend/list-cache.js
+cat > backend/list-cache.js << 'EOF'
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+// Server-side cache of task list pages (GET /api/tasks), per user. Every
+// write to a user's tasks starts a new revision of their lists, and a cached
+// page belongs to the revision it was read under, so it is never served
+// after a change it doesn't show. The revision also makes the lists' ETag
+// and Last-Modified, so a conditional GET is answered with 304 before any
+// query runs. Stores implement:
+//   revision(owner) -> Promise<{ id, modifiedAt }>
+//   invalidate(owner) -> Promise<void>          starts a new revision
+//   get(key) -> Promise<string|null>            a serialized page
+//   set(key, body, ttlMs) -> Promise<void>
+
+const MAX_MEMORY_PAGES = 5000;
+
+const newRevision = () => ({ id: crypto.randomBytes(9).toString('base64url'), modifiedAt: new Date() });
+
+// In-memory store: per instance. Writes made through other instances arrive
+// over the event bus, so this is only current everywhere with a single
+// backend, or with EVENT_BUS=mongo (where they take a moment to arrive).
+class MemoryStore {
+  constructor({ eventBus } = {}) {
+    this.revisions = new Map();
+    this.pages = new Map();
+    if (eventBus) eventBus.subscribe(event => this.invalidate(event.owner));
+    setInterval(() => {
+      const now = Date.now();
+      for (const [key, page] of this.pages) {
+        if (page.expiresAt <= now) this.pages.delete(key);
+      }
+    }, 60000).unref();
+  }
+
+  async revision(owner) {
+    if (!this.revisions.has(owner)) this.revisions.set(owner, newRevision());
+    return this.revisions.get(owner);
+  }
+
+  async invalidate(owner) {
+    this.revisions.set(owner, newRevision());
+  }
+
+  async get(key) {
+    const page = this.pages.get(key);
+    return page && page.expiresAt > Date.now() ? page.body : null;
+  }
+
+  async set(key, body, ttlMs) {
+    // Oldest first, once full
+    if (this.pages.size >= MAX_MEMORY_PAGES) this.pages.delete(this.pages.keys().next().value);
+    this.pages.set(key, { body, expiresAt: Date.now() + ttlMs });
+  }
+}
+
+// Mongo store: shared by every instance, so a write through one ALB target
+// has invalidated the lists on all of them before its response is sent.
+// Expired pages are removed by a TTL index; revisions have no expiry.
+class MongoStore {
+  constructor(connection, { collectionName = 'list_cache' } = {}) {
+    this.connection = connection;
+    this.collectionName = collectionName;
+    this.indexed = false;
+  }
+
+  async collection() {
+    const collection = this.connection.db.collection(this.collectionName);
+    if (!this.indexed) {
+      await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      this.indexed = true;
+    }
+    return collection;
+  }
+
+  async revision(owner) {
+    const collection = await this.collection();
+    const _id = `revision:${owner}`;
+    let doc = await collection.findOne({ _id });
+    if (!doc) {
+      const { id, modifiedAt } = newRevision();
+      doc = await collection.findOneAndUpdate(
+        { _id },
+        { $setOnInsert: { revision: id, modifiedAt } },
+        { upsert: true, returnDocument: 'after', includeResultMetadata: false }
+      );
+    }
+    return { id: doc.revision, modifiedAt: doc.modifiedAt };
+  }
+
+  async invalidate(owner) {
+    const collection = await this.collection();
+    const { id, modifiedAt } = newRevision();
+    await collection.updateOne({ _id: `revision:${owner}` }, { $set: { revision: id, modifiedAt } }, { upsert: true });
+  }
+
+  async get(key) {
+    const collection = await this.collection();
+    const doc = await collection.findOne({ _id: `page:${key}`, expiresAt: { $gt: new Date() } });
+    return doc ? doc.body : null;
+  }
+
+  async set(key, body, ttlMs) {
+    const collection = await this.collection();
+    await collection.updateOne(
+      { _id: `page:${key}` },
+      { $set: { body, expiresAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true }
+    );
+  }
+}
+
+// LIST_CACHE_STORE=none (default: no cache), memory or mongo
+function createListCache({ eventBus } = {}, type = config.listCache.store) {
+  switch (type) {
+    case 'none':
+      return null;
+    case 'memory':
+      return new MemoryStore({ eventBus });
+    case 'mongo':
+      return new MongoStore(mongoose.connection);
+    default:
+      throw new Error(`Unknown LIST_CACHE_STORE "${type}" (expected "none", "memory" or "mongo")`);
+  }
+}
+
+// Cache key and ETag of one page (the parsed list query) in a revision
+function pageValidators(owner, revision, query) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(query)).digest('base64url').slice(0, 16);
+  return { key: `${owner}:${revision.id}:${hash}`, etag: `W/"${revision.id}-${hash}"` };
+}
+
+// Start a new revision of the owner's lists once their tasks have changed
+// (after the write, so no page read before it is cached under the new
+// revision). Without a cache this does nothing; if the store fails it is
+// logged rather than failing the write, and stale pages last at most
+// LIST_CACHE_TTL_SECONDS.
+async function invalidateLists(cache, owner) {
+  if (!cache) return;
+  try {
+    await cache.invalidate(String(owner));
+  } catch (error) {
+    logger.error({ err: error, owner: String(owner) }, 'List cache invalidation failed');
+  }
+}
+
+module.exports = { MemoryStore, MongoStore, createListCache, pageValidators, invalidateLists };
+EOF
+
+# FILE: backend/blob-store.js
+cat > backend/blob-store.js << 'EOF'
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// Storage for the files of task attachments (the metadata is on the task).
+// Keys are "<owner>/<task>/<attachment>" ids (see attachmentKey), and a key
+// is never reused, so stored files are never overwritten. Stores implement:
+//   put(key, content, { contentType }) -> Promise<void>   content is a Buffer
+//   get(key) -> Promise<Readable|null>                   null if missing
+//   remove(key) -> Promise<void>                         no error if missing
+// Every instance behind the ALB serves every task, so they must all see the
+// same files: S3, or a directory they all mount.
+
+const KEY = /^[0-9a-f]{24}\/[0-9a-f]{24}\/[0-9a-f]{24}$/;
+
+// Files under a directory: the local disk for a single instance or several
+// on one host (scripts/simulate-alb.js), or a shared mount such as EFS
+class LocalStore {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+  }
+
+  file(key) {
+    // Keys are built from ids, but a path must never leave the directory
+    if (!KEY.test(key)) throw new Error(`Invalid attachment key "${key}"`);
+    return path.join(this.dir, ...key.split('/'));
+  }
+
+  async put(key, content) {
+    const file = this.file(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    // Written under another name and renamed, so no instance ever reads half a file
+    const partial = `${file}.${crypto.randomBytes(6).toString('hex')}.partial`;
+    try {
+      await fs.promises.writeFile(partial, content);
+      await fs.promises.rename(partial, file);
+    } catch (error) {
+      await fs.promises.rm(partial, { force: true });
+      throw error;
+    }
+  }
+
+  async get(key) {
+    try {
+      const handle = await fs.promises.open(this.file(key));
+      return handle.createReadStream();
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.file(key), { force: true });
+  }
+}
+
+// Objects in an S3 bucket, or on any S3-compatible server (MinIO, for
+// trying it locally) with S3_ENDPOINT. Credentials come from the instance
+// role, or the usual AWS_* variables.
+class S3Store {
+  constructor({ bucket, prefix, region, endpoint, forcePathStyle }) {
+    // Only needed when this store is selected
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    this.client = new S3Client({ region, forcePathStyle, ...(endpoint && { endpoint }) });
+    this.commands = { PutObjectCommand, GetObjectCommand, DeleteObjectCommand };
+    this.bucket = bucket;
+    this.prefix = prefix;
+  }
+
+  async put(key, content, { contentType }) {
+    await this.client.send(new this.commands.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.prefix + key,
+      Body: content,
+      ContentType: contentType
+    }));
+  }
+
+  async get(key) {
+    try {
+      const result = await this.client.send(new this.commands.GetObjectCommand({ Bucket: this.bucket, Key: this.prefix + key }));
+      return result.Body;
+    } catch (error) {
+      if (error.name === 'NoSuchKey') return null;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await this.client.send(new this.commands.DeleteObjectCommand({ Bucket: this.bucket, Key: this.prefix + key }));
+  }
+}
+
+// ATTACHMENT_STORE=local (default) or s3
+function createBlobStore(type = config.attachments.store) {
+  switch (type) {
+    case 'local':
+      return new LocalStore(config.attachments.dir);
+    case 's3':
+      return new S3Store({ ...config.attachments.s3, region: config.secrets.region });
+    default:
+      throw new Error(`Unknown ATTACHMENT_STORE "${type}" (expected "local" or "s3")`);
+  }
+}
+
+function attachmentKey(owner, taskId, attachmentId) {
+  return [owner, taskId, attachmentId].map(id => String(id).toLowerCase()).join('/');
+}
+
+// Remove the files of a task's attachments once they are no longer listed
+// on it. A file that can't be removed is logged and left behind; it is
+// unreachable, since downloads go through the task.
+async function removeAttachmentFiles(blobStore, task, attachments = task.attachments) {
+  for (const attachment of attachments) {
+    try {
+      await blobStore.remove(attachmentKey(task.owner, task._id, attachment._id));
+    } catch (error) {
+      logger.error({ err: error, taskId: String(task._id), attachmentId: attachment._id }, 'Attachment file removal failed');
+    }
+  }
+}
+
+module.exports = { LocalStore, S3Store, createBlobStore, attachmentKey, removeAttachmentFiles };
+EOF
+
+# FILE: backend/uploads.js
+cat > backend/uploads.js << 'EOF'
+const path = require('path');
+const { config } = require('./config');
+const { ApiError } = require('./errors');
+
+// Uploads of task attachments: a multipart/form-data body with the file in
+// a "file" field, buffered by express.raw() up to the size limit. The type
+// is worked out from the content, never taken from the client: a file
+// that doesn't look like one of ATTACHMENT_TYPES is refused.
+
+const MAX_ATTACHMENT_BYTES = config.attachments.maxSizeMb * 1024 * 1024;
+const MAX_ATTACHMENTS = config.attachments.maxPerTask;
+const MAX_NAME_LENGTH = 255;
+// Room for the multipart boundaries and part headers around the file
+const UPLOAD_BODY_LIMIT = MAX_ATTACHMENT_BYTES + 64 * 1024;
+
+// Types with a signature at the start of the file. SVG and HTML are left
+// out on purpose: opened from the API's origin they could run scripts.
+const SIGNATURES = [
+  { type: 'image/png', bytes: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { type: 'image/jpeg', bytes: Buffer.from([0xff, 0xd8, 0xff]) },
+  { type: 'image/gif', bytes: Buffer.from('GIF87a') },
+  { type: 'image/gif', bytes: Buffer.from('GIF89a') },
+  { type: 'image/webp', bytes: Buffer.from('RIFF'), and: { offset: 8, bytes: Buffer.from('WEBP') } },
+  { type: 'application/pdf', bytes: Buffer.from('%PDF-') },
+  { type: 'application/zip', bytes: Buffer.from([0x50, 0x4b, 0x03, 0x04]) }
+];
+
+// Office documents are zip files: only the name tells them apart
+const OFFICE_TYPES = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// Text has no signature: UTF-8 without control characters, named as one of these
+const TEXT_TYPES = {
+  txt: 'text/plain',
+  log: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv'
+};
+
+const ATTACHMENT_TYPES = [
+  ...new Set(SIGNATURES.map(signature => signature.type).filter(type => type !== 'application/zip')),
+  ...Object.values(OFFICE_TYPES),
+  ...new Set(Object.values(TEXT_TYPES))
+];
+
+// Shown inline (and as thumbnails); everything else is downloaded
+const INLINE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+const startsWith = (content, bytes, offset = 0) => (
+  content.length >= offset + bytes.length && content.subarray(offset, offset + bytes.length).equals(bytes)
+);
+
+function isText(content) {
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(content);
+    return !/[\u0000-\u0008\u000b\u000e-\u001f\u007f]/.test(text);
+  } catch (error) {
+    return false;
+  }
+}
+
+// The type of a file from its content (and, for zips and text, its name),
+// or null if it isn't one of ATTACHMENT_TYPES
+function sniffType(content, name) {
+  const extension = path.extname(name).slice(1).toLowerCase();
+  const signature = SIGNATURES.find(({ bytes, and }) => (
+    startsWith(content, bytes) && (!and || startsWith(content, and.bytes, and.offset))
+  ));
+  if (signature) return signature.type === 'application/zip' ? OFFICE_TYPES[extension] || null : signature.type;
+  return TEXT_TYPES[extension] && isText(content) ? TEXT_TYPES[extension] : null;
+}
+
+// Split a multipart/form-data body into its parts, or null if it is
+// malformed. Browsers send file names as UTF-8 with quotes and line breaks
+// percent-encoded.
+function parseMultipart(body, contentType) {
+  const match = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  if (!match) return null;
+  const delimiter = Buffer.from(`\r\n--${match[1] || match[2]}`);
+  const parts = [];
+  // The first delimiter may open the body without a line break before it
+  let position = body.indexOf(delimiter.subarray(2));
+  if (position !== 0) {
+    position = body.indexOf(delimiter);
+    if (position === -1) return null;
+    position += 2;
+  }
+  position += delimiter.length - 2;
+  while (!body.subarray(position, position + 2).equals(Buffer.from('--'))) {
+    const headersEnd = body.indexOf('\r\n\r\n', position);
+    const end = body.indexOf(delimiter, position);
+    if (headersEnd === -1 || end === -1 || headersEnd > end) return null;
+    const headers = {};
+    for (const line of body.subarray(position, headersEnd).toString('utf8').split('\r\n')) {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+    const disposition = headers['content-disposition'] || '';
+    const name = /;\s*name="([^"]*)"/i.exec(disposition);
+    const filename = /;\s*filename="([^"]*)"/i.exec(disposition);
+    parts.push({
+      name: name ? name[1] : null,
+      filename: filename ? filename[1].replace(/%22/g, '"').replace(/%0D/gi, '\r').replace(/%0A/gi, '\n') : null,
+      content: body.subarray(headersEnd + 4, end)
+    });
+    position = end + delimiter.length;
+  }
+  return parts;
+}
+
+// The file name to keep: no directories (old browsers send the full path)
+// or control characters
+function cleanName(filename) {
+  const name = filename.split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  return name.slice(0, MAX_NAME_LENGTH);
+}
+
+// The uploaded file of a request as { name, type, content }; throws an
+// ApiError describing what is wrong with it otherwise
+function readUpload(req) {
+  if (!req.is('multipart/form-data') || !Buffer.isBuffer(req.body)) {
+    throw new ApiError(415, 'unsupported_media_type', 'Upload the file as multipart/form-data');
+  }
+  const parts = parseMultipart(req.body, req.get('Content-Type'));
+  if (!parts) throw new ApiError(400, 'invalid_body', 'Request body is not valid multipart/form-data');
+
+  const files = parts.filter(part => part.name === 'file' && part.filename !== null);
+  const invalid = (code, message) => new ApiError(422, 'validation_failed', 'Validation failed', [
+    { field: 'file', code, message }
+  ]);
+  if (files.length === 0) throw invalid('required', 'file is required');
+  if (files.length > 1) throw invalid('too_many_items', 'Upload one file per request');
+
+  const [file] = files;
+  const name = cleanName(file.filename);
+  if (!name) throw invalid('invalid_value', 'file must have a name');
+  if (file.content.length === 0) throw invalid('invalid_value', 'file is empty');
+  if (file.content.length > MAX_ATTACHMENT_BYTES) {
+    throw new ApiError(413, 'file_too_large', `Attachments can be at most ${config.attachments.maxSizeMb} MB`);
+  }
+  const type = sniffType(file.content, name);
+  if (!type) {
+    throw new ApiError(415, 'unsupported_type',
+      'Attachments must be images (PNG, JPEG, GIF, WebP), PDFs, Office documents (docx, xlsx, pptx) or text files (txt, md, csv)');
+  }
+  return { name, type, content: file.content };
+}
+
+// Content-Disposition of a download: images inline, other files as
+// downloads. The plain filename is an ASCII fallback for old clients.
+function contentDisposition({ name, type }, { download = false } = {}) {
+  const disposition = download || !INLINE_TYPES.includes(type) ? 'attachment' : 'inline';
+  const fallback = name.replace(/[^\x20-\x7e]|["\\%]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS,
+  UPLOAD_BODY_LIMIT,
+  ATTACHMENT_TYPES,
+  INLINE_TYPES,
+  sniffType,
+  parseMultipart,
+  readUpload,
+  contentDisposition
+};
+EOF
+
+# FILE: backend/test/helpers.js
+cat > backend/test/helpers.js << 'EOF'
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Runs the API in-process on a free port, on the memory driver, with files
+// under a temporary directory. Configuration is loaded once per process and
+// node --test runs each file in its own, so a file picks its settings (e.g.
+// LIST_CACHE_STORE) with the env it passes to startServer().
+
+const DEFAULT_ENV = {
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'silent',
+  STORAGE_DRIVER: 'memory',
+  SECRETS_PROVIDER: 'none',
+  JWT_SECRET: 'test-secret-that-is-at-least-32-characters',
+  EVENT_BUS: 'memory',
+  RATE_LIMIT_STORE: 'memory',
+  RATE_LIMIT_AUTH_PER_IP: '1000',
+  RATE_LIMIT_WRITE_PER_IP: '1000',
+  RATE_LIMIT_WRITE_PER_USER: '1000',
+  LIST_CACHE_STORE: 'none',
+  ATTACHMENT_STORE: 'local',
+  SCHEDULER_ENABLED: 'false',
+  OPENAPI_VALIDATE_RESPONSES: 'false'
+};
+
+async function startServer(env = {}) {
+  const attachmentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+  Object.assign(process.env, DEFAULT_ENV, { ATTACHMENT_DIR: attachmentDir }, env);
+  await require('../config').loadConfig();
+
+  const { createStorage } = require('../repositories');
+  const { createEventBus } = require('../events');
+  const { createRateLimitStore } = require('../rate-limit');
+  const { createListCache } = require('../list-cache');
+  const { createBlobStore } = require('../blob-store');
+  const { createApp } = require('../app');
+
+  const storage = createStorage();
+  await storage.connect();
+  const eventBus = createEventBus();
+  const listCache = createListCache({ eventBus });
+  const blobStore = createBlobStore();
+  const app = createApp({ storage, eventBus, rateLimitStore: createRateLimitStore(), blobStore, listCache });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  let users = 0;
+
+  // fetch() against the server, with JSON bodies encoded and a token if
+  // given. Like browsers, fetch() adds "Cache-Control: no-cache" to a
+  // conditional request that doesn't set its own, and that is never a 304.
+  const request = (method, url, { token, body, headers = {} } = {}) => fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      ...(body !== undefined && !(body instanceof FormData) && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...((headers['If-None-Match'] || headers['If-Modified-Since']) && { 'Cache-Control': 'max-age=0' }),
+      ...headers
+    },
+    body: body === undefined || body instanceof FormData ? body : JSON.stringify(body)
+  });
+
+  // A new user's access token
+  const register = async () => {
+    users += 1;
+    const res = await request('POST', '/api/v1/auth/register', {
+      body: { email: `user${users}@example.com`, password: 'correct horse battery' }
+    });
+    if (res.status !== 201) throw new Error(`Registration failed with ${res.status}: ${await res.text()}`);
+    return (await res.json()).accessToken;
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await eventBus.close();
+    await storage.close();
+    fs.rmSync(attachmentDir, { recursive: true, force: true });
+  };
+
+  return { baseUrl, attachmentDir, storage, eventBus, listCache, blobStore, request, register, close };
+}
+
+// Every file under a directory, relative to it
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { recursive: true })
+    .filter(file => fs.statSync(path.join(dir, file)).isFile());
+}
+
+module.exports = { startServer, listFiles };
+EOF
+
+# FILE: backend/test/tasks.test.js
+cat > backend/test/tasks.test.js << 'EOF'
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// The task API end to end on the memory driver: versions and If-Match,
+// conditional GETs, ownership and batches
+
+let server;
+let token;
+
+before(async () => {
+  server = await startServer();
+  token = await server.register();
+});
+
+after(() => server.close());
+
+const createTask = async (values = { title: 'Write tests' }, as = token) => {
+  const res = await server.request('POST', '/api/v1/tasks', { token: as, body: values });
+  assert.equal(res.status, 201);
+  return res.json();
+};
+
+test('every update bumps the version and the ETag names it', async () => {
+  const task = await createTask();
+  assert.equal(task.__v, 0);
+
+  const res = await server.request('PUT', `/api/v1/tasks/${task._id}`, { token, body: { completed: true } });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('ETag'), `W/"${task._id}-1"`);
+  const updated = await res.json();
+  assert.equal(updated.__v, 1);
+  assert.equal(updated.completed, true);
+  assert.ok(updated.completedAt);
+});
+
+test('an update with a stale If-Match is refused with the current task', async () => {
+  const task = await createTask();
+  const stale = `W/"${task._id}-0"`;
+  await server.request('PUT', `/api/v1/tasks/${task._id}`, { token, body: { title: 'Changed elsewhere' } });
+
+  const res = await server.request('PUT', `/api/v1/tasks/${task._id}`, {
+    token, body: { title: 'Mine' }, headers: { 'If-Match': stale }
+  });
+  assert.equal(res.status, 412);
+  assert.equal(res.headers.get('ETag'), `W/"${task._id}-1"`);
+  const { error } = await res.json();
+  assert.equal(error.code, 'precondition_failed');
+  assert.equal(error.current.title, 'Changed elsewhere');
+
+  const retried = await server.request('PUT', `/api/v1/tasks/${task._id}`, {
+    token, body: { title: 'Mine' }, headers: { 'If-Match': res.headers.get('ETag') }
+  });
+  assert.equal(retried.status, 200);
+  assert.equal((await retried.json()).title, 'Mine');
+});
+
+test('malformed ids are invalid_id, and other users\' tasks are not found', async () => {
+  let res = await server.request('GET', '/api/v1/tasks/not-an-id', { token });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error.code, 'invalid_id');
+
+  const task = await createTask();
+  const other = await server.register();
+  res = await server.request('GET', `/api/v1/tasks/${task._id}`, { token: other });
+  assert.equal(res.status, 404);
+  res = await server.request('DELETE', `/api/v1/tasks/${task._id}`, { token: other });
+  assert.equal(res.status, 404);
+});
+
+test('a task is answered with 304 until it changes', async () => {
+  const task = await createTask();
+  const first = await server.request('GET', `/api/v1/tasks/${task._id}`, { token });
+  const etag = first.headers.get('ETag');
+  assert.ok(first.headers.get('Last-Modified'));
+
+  let res = await server.request('GET', `/api/v1/tasks/${task._id}`, { token, headers: { 'If-None-Match': etag } });
+  assert.equal(res.status, 304);
+
+  await server.request('PUT', `/api/v1/tasks/${task._id}`, { token, body: { priority: 'high' } });
+  res = await server.request('GET', `/api/v1/tasks/${task._id}`, { token, headers: { 'If-None-Match': etag } });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).priority, 'high');
+});
+
+test('without a list cache, lists have a body ETag and no Last-Modified', async () => {
+  const user = await server.register();
+  await createTask({ title: 'Listed' }, user);
+  const first = await server.request('GET', '/api/v1/tasks', { token: user });
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('Last-Modified'), null);
+
+  let res = await server.request('GET', '/api/v1/tasks', { token: user, headers: { 'If-None-Match': first.headers.get('ETag') } });
+  assert.equal(res.status, 304);
+
+  await createTask({ title: 'Another' }, user);
+  res = await server.request('GET', '/api/v1/tasks', { token: user, headers: { 'If-None-Match': first.headers.get('ETag') } });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).data.length, 2);
+});
+
+test('an atomic batch with a failing operation applies nothing', async () => {
+  const user = await server.register();
+  const task = await createTask({ title: 'Untouched' }, user);
+
+  const res = await server.request('POST', '/api/v1/tasks/batch', {
+    token: user,
+    body: {
+      atomic: true,
+      operations: [
+        { op: 'create', data: { title: 'Rolled back' } },
+        { op: 'update', id: task._id, data: { title: 'Rolled back too' } },
+        { op: 'delete', id: '0123456789abcdef01234567' }
+      ]
+    }
+  });
+  assert.equal(res.status, 409);
+  const { error } = await res.json();
+  assert.equal(error.code, 'batch_aborted');
+  assert.deepEqual(error.results.map(result => result.status), [424, 424, 404]);
+
+  const list = await (await server.request('GET', '/api/v1/tasks', { token: user })).json();
+  assert.deepEqual(list.data.map(t => t.title), ['Untouched']);
+  assert.equal(list.data[0].__v, 0);
+});
+
+test('a batch that isn\'t atomic applies what it can', async () => {
+  const user = await server.register();
+  const res = await server.request('POST', '/api/v1/tasks/batch', {
+    token: user,
+    body: {
+      operations: [
+        { op: 'create', data: { title: 'Kept' } },
+        { op: 'create', data: { title: '' } }
+      ]
+    }
+  });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.succeeded, 1);
+  assert.equal(body.failed, 1);
+  assert.deepEqual(body.results.map(result => result.status), [201, 422]);
+});
+
+test('deleted tasks go to the trash and can be restored', async () => {
+  const task = await createTask({ title: 'Comes back' });
+  let res = await server.request('DELETE', `/api/v1/tasks/${task._id}`, { token });
+  assert.equal(res.status, 200);
+  res = await server.request('GET', `/api/v1/tasks/${task._id}`, { token });
+  assert.equal(res.status, 404);
+
+  res = await server.request('POST', `/api/v1/tasks/trash/${task._id}/restore`, { token });
+  assert.equal(res.status, 200);
+  res = await server.request('GET', `/api/v1/tasks/${task._id}`, { token });
+  assert.equal(res.status, 200);
+});
+EOF
+
+# FILE: backend/test/list-cache.test.js
+cat > backend/test/list-cache.test.js << 'EOF'
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// Task lists with the in-memory list cache: validators from the user's list
+// revision, and a new revision on every write
+
+let server;
+
+before(async () => {
+  server = await startServer({ LIST_CACHE_STORE: 'memory' });
+});
+
+after(() => server.close());
+
+const list = (token, headers) => server.request('GET', '/api/v1/tasks', { token, headers });
+
+test('an unchanged list is answered with 304, by ETag or date', async () => {
+  const token = await server.register();
+  const first = await list(token);
+  assert.equal(first.status, 200);
+  const etag = first.headers.get('ETag');
+  const lastModified = first.headers.get('Last-Modified');
+  assert.match(etag, /^W\//);
+  assert.ok(lastModified);
+
+  assert.equal((await list(token, { 'If-None-Match': etag })).status, 304);
+  assert.equal((await list(token, { 'If-Modified-Since': lastModified })).status, 304);
+});
+
+test('writes start a new revision, so cached pages are never served stale', async () => {
+  const token = await server.register();
+  const first = await list(token);
+  const etag = first.headers.get('ETag');
+  assert.equal((await first.json()).data.length, 0);
+
+  const created = await server.request('POST', '/api/v1/tasks', { token, body: { title: 'New' } });
+  const task = await created.json();
+  let res = await list(token, { 'If-None-Match': etag });
+  assert.equal(res.status, 200);
+  const afterCreate = res.headers.get('ETag');
+  assert.notEqual(afterCreate, etag);
+  assert.deepEqual((await res.json()).data.map(t => t.title), ['New']);
+
+  await server.request('PUT', `/api/v1/tasks/${task._id}`, { token, body: { title: 'Renamed' } });
+  res = await list(token, { 'If-None-Match': afterCreate });
+  assert.equal(res.status, 200);
+  assert.deepEqual((await res.json()).data.map(t => t.title), ['Renamed']);
+
+  await server.request('DELETE', `/api/v1/tasks/${task._id}`, { token });
+  res = await list(token);
+  assert.deepEqual((await res.json()).data, []);
+});
+
+test('each user has their own revision', async () => {
+  const [alice, bob] = [await server.register(), await server.register()];
+  const bobsList = await list(bob);
+  await server.request('POST', '/api/v1/tasks', { token: alice, body: { title: 'Alice\'s' } });
+  assert.equal((await list(bob, { 'If-None-Match': bobsList.headers.get('ETag') })).status, 304);
+});
+
+test('different queries get different ETags', async () => {
+  const token = await server.register();
+  const all = await list(token);
+  const done = await server.request('GET', '/api/v1/tasks?completed=true', { token });
+  assert.notEqual(all.headers.get('ETag'), done.headers.get('ETag'));
+});
+EOF
+
+# FILE: backend/test/attachments.test.js
+cat > backend/test/attachments.test.js << 'EOF'
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, listFiles } = require('./helpers');
+
+// Task attachments on the local store: uploads, type sniffing, downloads,
+// removal, and the files going with their task
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('image data')]);
+
+let server;
+let token;
+let uploads;
+
+before(async () => {
+  server = await startServer({ ATTACHMENT_MAX_SIZE_MB: '1', ATTACHMENT_MAX_PER_TASK: '2' });
+  token = await server.register();
+  uploads = require('../uploads');
+});
+
+after(() => server.close());
+
+const createTask = async (as = token) => {
+  const res = await server.request('POST', '/api/v1/tasks', { token: as, body: { title: 'With files' } });
+  return res.json();
+};
+
+const upload = (taskId, content, name, { as = token, headers } = {}) => {
+  const body = new FormData();
+  body.append('file', new Blob([content]), name);
+  return server.request('POST', `/api/v1/tasks/${taskId}/attachments`, { token: as, body, headers });
+};
+
+test('types are sniffed from the content, not the name', () => {
+  assert.equal(uploads.sniffType(PNG, 'photo.jpg'), 'image/png');
+  assert.equal(uploads.sniffType(Buffer.from('%PDF-1.7 ...'), 'doc'), 'application/pdf');
+  assert.equal(uploads.sniffType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '), 'a.webp'), 'image/webp');
+  assert.equal(uploads.sniffType(Buffer.from('a,b\n1,2\n'), 'data.csv'), 'text/csv');
+  // Text must be named as text, and zips are only Office documents by name
+  assert.equal(uploads.sniffType(Buffer.from('hello'), 'script.js'), null);
+  assert.equal(uploads.sniffType(Buffer.from([0x50, 0x4b, 0x03, 0x04]), 'report.docx'),
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+  assert.equal(uploads.sniffType(Buffer.from([0x50, 0x4b, 0x03, 0x04]), 'archive.zip'), null);
+  assert.equal(uploads.sniffType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'), 'image.svg'), null);
+  assert.equal(uploads.sniffType(Buffer.from('binary\u0000data'), 'notes.txt'), null);
+});
+
+test('multipart bodies are split into their parts', () => {
+  const body = Buffer.from([
+    '--xyz',
+    'Content-Disposition: form-data; name="note"',
+    '',
+    'hi',
+    '--xyz',
+    'Content-Disposition: form-data; name="file"; filename="a %22b%22.txt"',
+    'Content-Type: text/plain',
+    '',
+    'line 1\r\nline 2',
+    '--xyz--',
+    ''
+  ].join('\r\n'));
+  const parts = uploads.parseMultipart(body, 'multipart/form-data; boundary=xyz');
+  assert.deepEqual(parts.map(part => [part.name, part.filename, part.content.toString()]), [
+    ['note', null, 'hi'],
+    ['file', 'a "b".txt', 'line 1\r\nline 2']
+  ]);
+  assert.equal(uploads.parseMultipart(Buffer.from('--xyz\r\nbroken'), 'multipart/form-data; boundary=xyz'), null);
+  assert.equal(uploads.parseMultipart(body, 'multipart/form-data'), null);
+});
+
+test('downloads name the file for any client', () => {
+  assert.equal(
+    uploads.contentDisposition({ name: 'résumé "final".pdf', type: 'application/pdf' }),
+    'attachment; filename="r_sum_ _final_.pdf"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9%20%22final%22.pdf'
+  );
+  assert.match(uploads.contentDisposition({ name: 'a.png', type: 'image/png' }), /^inline;/);
+  assert.match(uploads.contentDisposition({ name: 'a.png', type: 'image/png' }, { download: true }), /^attachment;/);
+});
+
+test('a file is uploaded, listed on its task, downloaded and removed', async () => {
+  const task = await createTask();
+  let res = await upload(task._id, PNG, 'photo.png');
+  assert.equal(res.status, 201);
+  assert.equal(res.headers.get('ETag'), `W/"${task._id}-1"`);
+  const updated = await res.json();
+  assert.equal(updated.attachments.length, 1);
+  const [attachment] = updated.attachments;
+  assert.deepEqual({ name: attachment.name, type: attachment.type, size: attachment.size },
+    { name: 'photo.png', type: 'image/png', size: PNG.length });
+  assert.equal(res.headers.get('Location'), `/api/v1/tasks/${task._id}/attachments/${attachment._id}`);
+  assert.equal(listFiles(server.attachmentDir).length, 1);
+
+  const url = `/api/v1/tasks/${task._id}/attachments/${attachment._id}`;
+  res = await server.request('GET', url, { token });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('Content-Type'), 'image/png');
+  assert.match(res.headers.get('Content-Disposition'), /^inline; filename="photo.png"/);
+  assert.deepEqual(Buffer.from(await res.arrayBuffer()), PNG);
+  res = await server.request('GET', url, { token, headers: { 'If-None-Match': res.headers.get('ETag') } });
+  assert.equal(res.status, 304);
+
+  res = await server.request('DELETE', url, { token });
+  assert.equal(res.status, 200);
+  assert.deepEqual((await res.json()).attachments, []);
+  assert.equal(listFiles(server.attachmentDir).length, 0);
+  res = await server.request('GET', url, { token });
+  assert.equal(res.status, 404);
+
+  const history = await (await server.request('GET', `/api/v1/tasks/${task._id}/history`, { token })).json();
+  assert.deepEqual(history.data.slice(0, 2).map(entry => entry.changes[0].field), ['attachments', 'attachments']);
+});
+
+test('uploads that can\'t be accepted store nothing', async () => {
+  const task = await createTask();
+  const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+
+  let res = await upload(task._id, svg, 'image.png');
+  assert.equal(res.status, 415);
+  assert.equal((await res.json()).error.code, 'unsupported_type');
+  res = await upload(task._id, Buffer.alloc(1024 * 1024 + 1, 'a'), 'big.txt');
+  assert.equal(res.status, 413);
+  res = await upload(task._id, Buffer.alloc(0), 'empty.txt');
+  assert.equal(res.status, 422);
+  res = await server.request('POST', `/api/v1/tasks/${task._id}/attachments`, { token, body: { file: 'x' } });
+  assert.equal(res.status, 415);
+
+  // Not the user's task, a missing one, or a stale If-Match
+  const other = await server.register();
+  res = await upload(task._id, PNG, 'a.png', { as: other });
+  assert.equal(res.status, 404);
+  res = await upload('0123456789abcdef01234567', PNG, 'a.png');
+  assert.equal(res.status, 404);
+  res = await upload(task._id, PNG, 'a.png', { headers: { 'If-Match': `W/"${task._id}-5"` } });
+  assert.equal(res.status, 412);
+
+  assert.deepEqual(listFiles(server.attachmentDir), []);
+});
+
+test('a task has at most ATTACHMENT_MAX_PER_TASK attachments', async () => {
+  const task = await createTask();
+  assert.equal((await upload(task._id, 'one', 'one.txt')).status, 201);
+  assert.equal((await upload(task._id, 'two', 'two.txt')).status, 201);
+  const res = await upload(task._id, 'three', 'three.txt');
+  assert.equal(res.status, 422);
+  assert.equal((await res.json()).error.code, 'too_many_attachments');
+  assert.equal(listFiles(server.attachmentDir).filter(file => file.includes(task._id)).length, 2);
+});
+
+test('files are removed when their task is purged from the trash', async () => {
+  const user = await server.register();
+  const task = await createTask(user);
+  await upload(task._id, PNG, 'a.png', { as: user });
+  await server.request('DELETE', `/api/v1/tasks/${task._id}`, { token: user });
+  const files = () => listFiles(server.attachmentDir).filter(file => file.includes(task._id));
+  assert.equal(files().length, 1);
+
+  const res = await server.request('DELETE', `/api/v1/tasks/trash/${task._id}`, { token: user });
+  assert.equal(res.status, 200);
+  assert.deepEqual(files(), []);
+});
+
+test('files of trashed tasks are removed before the trash retention ends', async () => {
+  const { createTaskJobs } = require('../task-jobs');
+  const user = await server.register();
+  const task = await createTask(user);
+  await upload(task._id, PNG, 'a.png', { as: user });
+  await server.request('DELETE', `/api/v1/tasks/${task._id}`, { token: user });
+
+  const jobs = createTaskJobs({
+    storage: server.storage,
+    eventBus: server.eventBus,
+    blobStore: server.blobStore,
+    notifier: { send: async () => {} },
+    trashRetentionMs: 0
+  });
+  await jobs.find(job => job.name === 'attachments').run({ now: new Date(), data: null });
+
+  const trashed = await server.storage.tasks.findOne({ id: task._id, trashed: true });
+  assert.deepEqual(trashed.attachments, []);
+  assert.deepEqual(listFiles(server.attachmentDir).filter(file => file.includes(task._id)), []);
+});
+EOF
+
+# FILE: backend/test/s3-store.test.js
+cat > backend/test/s3-store.test.js << 'EOF'
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// The S3 attachment store against an in-process stand-in for S3: enough of
+// its path-style object API (PUT, GET and DELETE of /bucket/key) to check
+// the requests the store sends and how it reads the answers. Set
+// S3_TEST_ENDPOINT (and S3_TEST_BUCKET, plus the usual AWS_* credentials) to
+// run it against a real S3-compatible server such as MinIO instead.
+
+let sdkInstalled = true;
+try {
+  require.resolve('@aws-sdk/client-s3');
+} catch {
+  sdkInstalled = false;
+}
+const skip = !sdkInstalled && '@aws-sdk/client-s3 is not installed';
+
+const BUCKET = process.env.S3_TEST_BUCKET || 'attachments';
+
+// Objects by "bucket/key", with their content type. Error codes pushed to
+// `failures` answer the next requests instead.
+function createFakeS3() {
+  const objects = new Map();
+  const failures = [];
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const name = decodeURIComponent(pathname.slice(1));
+
+    if (failures.length > 0 || !req.headers.authorization?.startsWith('AWS4-HMAC-SHA256 ')) {
+      const code = failures.shift() || 'AccessDenied';
+      res.writeHead(403, { 'Content-Type': 'application/xml' });
+      res.end(`<Error><Code>${code}</Code><Message>Refused by the test</Message></Error>`);
+      return;
+    }
+    switch (req.method) {
+      case 'PUT':
+        objects.set(name, { content: Buffer.concat(chunks), type: req.headers['content-type'] });
+        res.writeHead(200, { ETag: '"fake"' });
+        res.end();
+        return;
+      case 'GET': {
+        const object = objects.get(name);
+        if (!object) {
+          res.writeHead(404, { 'Content-Type': 'application/xml' });
+          res.end('<Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message></Error>');
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': object.type, 'Content-Length': object.content.length });
+        res.end(object.content);
+        return;
+      }
+      case 'DELETE':
+        objects.delete(name);
+        res.writeHead(204);
+        res.end();
+        return;
+      default:
+        res.writeHead(405);
+        res.end();
+    }
+  });
+
+  return { server, objects, failures };
+}
+
+// A real server when S3_TEST_ENDPOINT is set, the fake otherwise
+const useFake = !process.env.S3_TEST_ENDPOINT;
+let fake;
+let endpoint = process.env.S3_TEST_ENDPOINT;
+let api;
+
+before(async () => {
+  if (skip) return;
+  if (useFake) {
+    fake = createFakeS3();
+    await new Promise(resolve => fake.server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${fake.server.address().port}`;
+    process.env.AWS_ACCESS_KEY_ID = 'test';
+    process.env.AWS_SECRET_ACCESS_KEY = 'test-secret';
+  }
+  api = await startServer({
+    ATTACHMENT_STORE: 's3',
+    S3_BUCKET: BUCKET,
+    S3_PREFIX: 'api/',
+    S3_ENDPOINT: endpoint,
+    S3_FORCE_PATH_STYLE: 'true'
+  });
+});
+
+after(async () => {
+  if (api) await api.close();
+  if (fake) await new Promise(resolve => fake.server.close(resolve));
+});
+
+const createStore = (prefix = '') => {
+  const { S3Store } = require('../blob-store');
+  return new S3Store({ bucket: BUCKET, prefix, region: 'us-east-1', endpoint, forcePathStyle: true });
+};
+
+const read = async (body) => Buffer.from(await body.transformToByteArray());
+
+test('objects are stored, read back and removed under the prefix', { skip }, async () => {
+  const store = createStore('attachments/');
+  const content = Buffer.from('%PDF-1.7 a small document');
+  await store.put('owner/task/file', content, { contentType: 'application/pdf' });
+
+  if (useFake) {
+    assert.deepEqual([...fake.objects.keys()], [`${BUCKET}/attachments/owner/task/file`]);
+    assert.equal(fake.objects.get(`${BUCKET}/attachments/owner/task/file`).type, 'application/pdf');
+  }
+  assert.deepEqual(await read(await store.get('owner/task/file')), content);
+
+  await store.remove('owner/task/file');
+  assert.equal(await store.get('owner/task/file'), null);
+  if (useFake) assert.equal(fake.objects.size, 0);
+});
+
+test('a missing object is null, and removing one is not an error', { skip }, async () => {
+  const store = createStore();
+  assert.equal(await store.get('owner/task/missing'), null);
+  await store.remove('owner/task/missing');
+});
+
+test('other failures are not taken for missing objects', { skip: skip || (!useFake && 'needs the fake S3 server') }, async () => {
+  const store = createStore();
+  fake.failures.push('AccessDenied');
+  await assert.rejects(store.get('owner/task/file'), error => error.name === 'AccessDenied');
+});
+
+test('attachments uploaded through the API are kept in the bucket', { skip }, async () => {
+  const token = await api.register();
+  const task = await (await api.request('POST', '/api/v1/tasks', { token, body: { title: 'In S3' } })).json();
+  const body = new FormData();
+  body.append('file', new Blob(['stored remotely']), 'notes.txt');
+  const uploaded = await api.request('POST', `/api/v1/tasks/${task._id}/attachments`, { token, body });
+  assert.equal(uploaded.status, 201);
+
+  const url = uploaded.headers.get('Location');
+  const res = await api.request('GET', url, { token });
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), 'stored remotely');
+  if (useFake) assert.ok([...fake.objects.keys()].some(name => name.startsWith(`${BUCKET}/api/`)));
+
+  assert.equal((await api.request('DELETE', url, { token })).status, 200);
+  assert.equal((await api.request('GET', url, { token })).status, 404);
+  if (useFake) assert.equal(fake.objects.size, 0);
+});
+EOF
+
+# FILE: backend/test/auth.test.js
+cat > backend/test/auth.test.js << 'EOF'
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// Sessions: the access token's lifetime as configured, in seconds
+
+let server;
+
+before(async () => {
+  server = await startServer({ ACCESS_TOKEN_TTL: '2h' });
+});
+
+after(() => server.close());
+
+test('access tokens last ACCESS_TOKEN_TTL, and sessions say so in seconds', async () => {
+  const res = await server.request('POST', '/api/v1/auth/register', {
+    body: { email: 'ttl@example.com', password: 'correct horse battery' }
+  });
+  assert.equal(res.status, 201);
+  const session = await res.json();
+  assert.equal(session.expiresIn, 2 * 60 * 60);
+
+  const claims = JSON.parse(Buffer.from(session.accessToken.split('.')[1], 'base64url'));
+  assert.equal(claims.exp - claims.iat, 2 * 60 * 60);
+});
+
+test('a lifetime without a unit is refused', async () => {
+  const { loadConfig } = require('../config');
+  const ttl = process.env.ACCESS_TOKEN_TTL;
+  process.env.ACCESS_TOKEN_TTL = '900';
+  try {
+    await assert.rejects(loadConfig(), /ACCESS_TOKEN_TTL/);
+  } finally {
+    process.env.ACCESS_TOKEN_TTL = ttl;
+  }
+});
+EOF
+
+# FILE: backend/package.json
+cat > backend/package.json << 'EOF'
+{
+  "name": "fullstack-backend",
+  "version": "1.0.0",
+  "description": "Full Stack Backend with Load Balancing",
+  "main": "index.js",
+  "scripts": {
+    "start": "node index.js",
+    "dev": "nodemon index.js",
+    "generate:client": "node scripts/generate-client.js",
+    "simulate": "node scripts/simulate-alb.js",
+    "test": "node --test test/*.test.js"
+  },
+  "dependencies": {
+    "express": "^4.18.2",
+    "mongoose": "^7.6.0",
+    "cors": "^2.8.5",
+    "helmet": "^7.1.0",
+    "pino": "^8.16.0",
+    "dotenv": "^16.3.1",
+    "bcryptjs": "^2.4.3",
+    "jsonwebtoken": "^9.0.2",
+    "prom-client": "^15.1.0",
+    "ajv": "^8.12.0",
+    "ajv-formats": "^2.1.1",
+    "swagger-ui-express": "^5.0.0"
+  },
+  "optionalDependencies": {
+    "@aws-sdk/client-s3": "^3.470.0",
+    "@aws-sdk/client-secrets-manager": "^3.470.0",
+    "better-sqlite3": "^9.2.2"
+  },
+  "devDependencies": {
+    "nodemon": "^3.0.1"
+  }
+}
+EOF
+
+# FILE: backend/.env.example
+cat > backend/.env.example << 'EOF'
+# Settings are read from the environment, then .env.$NODE_ENV.local,
+# .env.local, .env.$NODE_ENV and .env (the first value found wins).
+# The server refuses to start and lists every invalid setting.
+NODE_ENV=production
+PORT=5000
+# Name in the X-Served-By response header; defaults to the hostname
+INSTANCE_NAME=
+# mongo, memory (nothing persisted; one instance) or sqlite (SQLITE_FILE; instances on one host)
+STORAGE_DRIVER=mongo
+SQLITE_FILE=data/app.sqlite
+# No credentials in the URI: set MONGODB_USERNAME/MONGODB_PASSWORD instead
+MONGODB_URI=mongodb://localhost:27017/fullstack-app
+MONGODB_AUTH_SOURCE=admin
+# Secrets (MONGODB_USERNAME, MONGODB_PASSWORD, JWT_SECRET, METRICS_TOKEN) can be
+# set directly, read from a file (e.g. JWT_SECRET_FILE=/run/secrets/jwt), or
+# fetched from a provider: none, file (one file per secret in SECRETS_DIR) or
+# aws (Secrets Manager secret named $SECRETS_PREFIX<NAME>, e.g. fullstack/JWT_SECRET)
+SECRETS_PROVIDER=aws
+SECRETS_DIR=/run/secrets
+SECRETS_PREFIX=fullstack/
+AWS_REGION=us-east-1
+# Must be identical on every backend instance and at least 32 characters in
+# production (e.g. openssl rand -hex 32)
+# JWT_SECRET=
+# Access token lifetime with a unit: s, m, h or d
+ACCESS_TOKEN_TTL=15m
+REFRESH_TOKEN_TTL_DAYS=30
+# memory (single instance) or mongo (fan out via change streams; needs a replica set)
+EVENT_BUS=memory
+# Days a deleted task stays in the trash before it is purged
+TRASH_RETENTION_DAYS=30
+# Background jobs (recurring tasks, reminders). Every instance runs the
+# scheduler; a lease in storage lets one of them run each job at a time.
+# After downtime, missed occurrences and reminders up to
+# SCHEDULER_MAX_CATCH_UP_HOURS old are caught up.
+SCHEDULER_ENABLED=true
+SCHEDULER_INTERVAL_MS=30000
+SCHEDULER_LOCK_TTL_MS=120000
+SCHEDULER_MAX_CATCH_UP_HOURS=24
+# Reminders go to the log, or are POSTed as JSON to a webhook
+NOTIFIER=log
+NOTIFIER_WEBHOOK_URL=
+# Graceful shutdown: keep serving while the ALB marks us unhealthy, then drain
+SHUTDOWN_DELAY_MS=5000
+SHUTDOWN_TIMEOUT_MS=30000
+READINESS_MAX_EVENT_LOOP_LAG_MS=200
+READINESS_MONGO_PING_TIMEOUT_MS=1000
+# OpenAPI explorer at /api/v1/docs (the document is at /api/v1/openapi.json), and
+# logging of responses that don't match the document (on by default outside
+# production)
+OPENAPI_DOCS=true
+OPENAPI_VALIDATE_RESPONSES=false
+# Prometheus /metrics: set METRICS_ENABLED=false to disable, or a token to require it
+METRICS_ENABLED=true
+METRICS_TOKEN=
+# trace, debug, info, warn, error or fatal
+LOG_LEVEL=info
+# Browser origins allowed to call the API (comma-separated)
+CORS_ORIGINS=http://your-frontend-host
+JSON_BODY_LIMIT=100kb
+BULK_BODY_LIMIT=5mb
+# Rate limits (requests per minute). Use the mongo store with several instances.
+RATE_LIMIT_STORE=mongo
+RATE_LIMIT_READ_PER_IP=300
+RATE_LIMIT_WRITE_PER_IP=60
+RATE_LIMIT_READ_PER_USER=600
+RATE_LIMIT_WRITE_PER_USER=120
+RATE_LIMIT_AUTH_PER_IP=10
+# Task attachments: s3, or local (ATTACHMENT_DIR; every instance must mount the
+# same directory, e.g. EFS). S3 credentials come from the instance role, or
+# AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY. For a local stand-in, run MinIO
+# (docker run -p 9000:9000 minio/minio server /data) and set
+# S3_ENDPOINT=http://localhost:9000 and S3_FORCE_PATH_STYLE=true.
+ATTACHMENT_STORE=s3
+ATTACHMENT_DIR=data/attachments
+ATTACHMENT_MAX_SIZE_MB=10
+ATTACHMENT_MAX_PER_TASK=20
+# ATTACHMENTS_BUCKET in aws-config.txt (made by aws-setup.sh)
+S3_BUCKET=fullstack-attachments-123456789012
+S3_PREFIX=attachments/
+S3_ENDPOINT=
+S3_FORCE_PATH_STYLE=false
+# Server-side cache of task list pages: none, memory (one instance, or several
+# with EVENT_BUS=mongo) or mongo (shared; writes invalidate it on every instance)
+LIST_CACHE_STORE=mongo
+LIST_CACHE_TTL_SECONDS=300
+TRUST_PROXY_HOPS=1
+EOF
+
+# ============================================
+# PART 2: FRONTEND APPLICATION (React)
+# ============================================
+
+# FILE: frontend/src/App.js
+cat > frontend/src/App.js << 'EOF'
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import './App.css';
+import Login from './Login';
+import Trash from './Trash';
+import TaskHistory from './TaskHistory';
+import TaskDetail from './TaskDetail';
+import Attachments, { isFileDrag, uploadAttachments } from './Attachments';
+import NotFound from './NotFound';
+import LoadDashboard from './LoadDashboard';
+import ImportExport from './ImportExport';
+import TaskForm, { formatReminder, isOverdue } from './TaskForm';
+import SyncStatus from './SyncStatus';
+import Toaster from './Toaster';
+import { logout, onSessionExpired, restoreSession, subscribeToEvents } from './api';
+import * as client from './apiClient';
+import { openOfflineDb, deleteOfflineDb } from './offlineDb';
+import { createSync, isLocalId } from './sync';
+import { clearQueries, fetchQuery, getQueryData, setQueryData, useQuery } from './queries';
+import { clearToasts, showToast } from './toasts';
+import { registerServiceWorker } from './serviceWorkerRegistration';
+import { Link, matchPath, navigate, useLocation } from './router';
+
+const PAGE_SIZE = 20;
+const SERVER_INFO_POLL_MS = 10000;
+
+// List orders; "rank" is the manual order set by dragging tasks
+const SORTS = [
+  { value: 'rank', label: 'Manual order' },
+  { value: '-createdAt', label: 'Newest first' },
+  { value: 'dueDate', label: 'Due date' },
+];
+
+const STATUSES = [
+  { value: 'all', label: 'All' },
+  { value: 'active', label: 'Active' },
+  { value: 'completed', label: 'Completed' },
+];
+
+const ROUTES = [
+  { name: 'list', path: '/' },
+  { name: 'trash', path: '/trash' },
+  { name: 'task', path: '/tasks/:id' },
+  { name: 'distribution', path: '/distribution' },
+];
+
+const findRoute = (pathname) => {
+  for (const route of ROUTES) {
+    const params = matchPath(route.path, pathname);
+    if (params) return { name: route.name, params };
+  }
+  return { name: 'notFound', params: {} };
+};
+
+// The list's filters live in its URL (e.g. /?status=active&q=milk&tag=home&sort=dueDate),
+// so a view can be bookmarked, shared and reloaded; defaults are left out
+const readFilters = (query) => ({
+  status: STATUSES.some(option => option.value === query.get('status')) ? query.get('status') : 'all',
+  search: query.get('q') || '',
+  tagFilter: query.get('tag') || null,
+  sort: SORTS.some(option => option.value === query.get('sort')) ? query.get('sort') : 'rank',
+});
+
+const listUrl = ({ status, search, tagFilter, sort }) => {
+  const params = new URLSearchParams();
+  if (status !== 'all') params.set('status', status);
+  if (search) params.set('q', search);
+  if (tagFilter) params.set('tag', tagFilter);
+  if (sort !== 'rank') params.set('sort', sort);
+  const query = params.toString();
+  return query ? `/?${query}` : '/';
+};
+
+// The same filters and order as a listTasks (or exportTasks) query
+const taskQuery = ({ status, search, tagFilter, sort }) => {
+  const query = { sort };
+  if (status !== 'all') query.completed = String(status === 'completed');
+  if (search.trim()) query.q = search.trim();
+  if (tagFilter) query.tag = tagFilter;
+  return query;
+};
+
+const matchesStatus = (task, status) => status === 'all' || task.completed === (status === 'completed');
+
+// Manual order as the server sorts it: by rank (unranked tasks first), then id
+const compareRanks = (a, b) => {
+  if (a.rank !== b.rank) return a.rank === null || (b.rank !== null && a.rank < b.rank) ? -1 : 1;
+  return a._id < b._id ? -1 : 1;
+};
+
+// The server's orders (null first, then by id), for lists shown from the
+// offline copy
+const sortTasks = (tasks, sort) => {
+  if (sort === 'rank') return [...tasks].sort(compareRanks);
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const field = sort.replace(/^-/, '');
+  const compare = (a, b) => {
+    if (a === b) return 0;
+    if (a === null) return -1;
+    if (b === null) return 1;
+    return a < b ? -1 : 1;
+  };
+  return [...tasks].sort((a, b) => direction * (compare(a[field], b[field]) || compare(a._id, b._id)));
+};
+
+// The list's filters as the server applies them (any search word in the
+// title or description)
+const filterTasks = (tasks, { status, search, tagFilter }) => {
+  const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+  return tasks.filter(task => {
+    if (!matchesStatus(task, status)) return false;
+    if (tagFilter && !task.tags.includes(tagFilter)) return false;
+    const text = `${task.title} ${task.description || ''}`.toLowerCase();
+    return terms.length === 0 || terms.some(term => text.includes(term));
+  });
+};
+
+// Put task `id` right after or before another one ({ after } or { before },
+// as the move endpoint takes them; null means the top or bottom)
+const placeTask = (tasks, id, { after, before }) => {
+  const task = tasks.find(t => t._id === id);
+  const rest = tasks.filter(t => t._id !== id);
+  let index;
+  if (after !== undefined) index = after === null ? 0 : rest.findIndex(t => t._id === after) + 1;
+  else index = before === null ? rest.length : rest.findIndex(t => t._id === before);
+  return [...rest.slice(0, index), task, ...rest.slice(index)];
+};
+
+function App() {
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [tasks, setTasks] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [paging, setPaging] = useState({ nextCursor: null, hasMore: false, total: 0 });
+  const [loadingTasks, setLoadingTasks] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [historyFor, setHistoryFor] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [fileTarget, setFileTarget] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const [db, setDb] = useState(null);
+  const [sync, setSync] = useState(null);
+  const [syncStatus, setSyncStatus] = useState(null);
+  // When the list shown is the offline copy: when it was saved
+  const [cachedAt, setCachedAt] = useState(null);
+  const [listShown, setListShown] = useState(false);
+  // The order and filters the list shown was loaded with, which lag behind
+  // the current ones until the reload after a change has finished
+  const shownWith = useRef({ sort: null, filtered: false });
+  const sentinelRef = useRef(null);
+  const handleRefs = useRef(new Map());
+  const tasksRef = useRef(tasks);
+  tasksRef.current = tasks;
+
+  const location = useLocation();
+  const route = findRoute(location.pathname);
+  // The list keeps its filters while another page is showing, so it isn't
+  // reloaded on the way there and back
+  const listQuery = useRef(location.query);
+  if (route.name === 'list') listQuery.current = location.query;
+  const filters = readFilters(listQuery.current);
+  const { status, search, tagFilter, sort } = filters;
+  const filtered = Boolean(search.trim() || tagFilter || status !== 'all');
+  const sortRef = useRef(sort);
+  sortRef.current = sort;
+  const backToList = listUrl(filters);
+
+  // Filter changes are new history entries, except typing in the search box
+  const setFilters = (changes, options) => navigate(listUrl({ ...filters, ...changes }), options);
+  const setSearch = (value) => setFilters({ search: value }, { replace: true });
+  const setTagFilter = (tag) => setFilters({ tagFilter: tag });
+  const setSort = (value) => setFilters({ sort: value });
+  const tagUrl = (tag) => listUrl({ ...filters, status: 'all', search: '', tagFilter: tag });
+
+  // Which instance answers: polled while the tab is visible
+  const { data: serverInfo } = useQuery('serverInfo', () => client.getServerInfo(), { pollInterval: SERVER_INFO_POLL_MS });
+
+  useEffect(() => {
+    registerServiceWorker();
+    onSessionExpired(() => setUser(null));
+    restoreSession()
+      .then(setUser)
+      .finally(() => setAuthChecked(true));
+  }, []);
+
+  // Outcomes of queued changes, from the sync engine (see sync.js)
+  const syncEvents = useRef(null);
+  syncEvents.current = {
+    onSaved: (task) => replaceTask(task),
+    onRemoved: (id) => removeTask(id),
+    // A task made offline now has its server id (which live events may
+    // have brought in already)
+    onReplaced: (localId, task) => {
+      const duplicate = tasksRef.current.some(t => t._id === task._id);
+      setTasks(prev => prev.filter(t => t._id !== task._id).map(t => (t._id === localId ? task : t)));
+      if (duplicate) setPaging(prev => ({ ...prev, total: Math.max(prev.total - 1, 0) }));
+      setEditing(prev => (prev === localId ? task._id : prev));
+    },
+    onConflict: ({ task, type, fields }) => {
+      showToast(type === 'delete'
+        ? `"${task.title}" was changed elsewhere, so it wasn't deleted; review it and delete it again if you still want to.`
+        : `Your change to the ${fields.join(', ')} of "${task.title}" clashed with one made elsewhere; showing the latest version.`,
+      { type: 'warning' });
+    },
+    // The server refused a change: undo it here too
+    onRejected: (entry, error) => {
+      const task = tasksRef.current.find(t => t._id === entry.id);
+      switch (entry.type) {
+        case 'create':
+          removeTask(entry.id);
+          showToast(`Could not create "${entry.data.title}": ${error.message}`, { type: 'error' });
+          break;
+        case 'update':
+          if (task) replaceTask({ ...task, ...entry.base });
+          showToast(`Could not save changes to "${task ? task.title : 'a task'}": ${error.message}`, { type: 'error' });
+          break;
+        case 'delete':
+          if (!task) {
+            setTasks(prev => sortTasks([entry.task, ...prev], sort));
+            setPaging(prev => ({ ...prev, total: prev.total + 1 }));
+          }
+          showToast(`Could not delete "${entry.task.title}": ${error.message}`, { type: 'error' });
+          break;
+        default:
+          showToast(`Could not move "${task ? task.title : 'a task'}": ${error.message}`, { type: 'error' });
+          fetchTasks();
+      }
+    },
+  };
+
+  // Open the user's offline copy and outbox, show the saved list straight
+  // away and start sending changes left from earlier sessions. Kept on
+  // logout only if the session expired, so the changes can still be sent.
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+    let opened = null;
+    let engine = null;
+    openOfflineDb(user._id).then(async (offlineDb) => {
+      opened = offlineDb;
+      if (cancelled) {
+        offlineDb.close();
+        return;
+      }
+      engine = createSync({
+        userId: user._id,
+        db: offlineDb,
+        onSaved: task => syncEvents.current.onSaved(task),
+        onRemoved: id => syncEvents.current.onRemoved(id),
+        onReplaced: (localId, task) => syncEvents.current.onReplaced(localId, task),
+        onConflict: conflict => syncEvents.current.onConflict(conflict),
+        onRejected: (entry, error) => syncEvents.current.onRejected(entry, error),
+        onStatus: setSyncStatus,
+      });
+      await engine.start();
+      const cached = await offlineDb.loadTasks().catch(() => null);
+      if (cancelled) return;
+      if (cached) {
+        shownWith.current = { sort: sortRef.current, filtered: false };
+        setTasks(sortTasks(cached.tasks, sortRef.current));
+        setPaging({ nextCursor: null, hasMore: false, total: cached.tasks.length });
+        setCachedAt(cached.savedAt);
+        setListShown(true);
+      }
+      setDb(offlineDb);
+      setSync(engine);
+    });
+    return () => {
+      cancelled = true;
+      if (engine) engine.stop();
+      if (opened) opened.close();
+      setDb(null);
+      setSync(null);
+      setSyncStatus(null);
+      setListShown(false);
+    };
+  }, [user]);
+
+  // Keep the offline copy in step with the list whenever it is unfiltered:
+  // as loaded, so a filtered list isn't saved as the full one in the moment
+  // between clearing the filters and the full list arriving
+  useEffect(() => {
+    if (!db || !listShown || shownWith.current.filtered) return;
+    db.saveTasks(tasks, shownWith.current.sort).catch(error => console.error('Error saving tasks offline:', error));
+  }, [db, tasks, listShown]);
+
+  // Changes still in the outbox are applied over what the server sends
+  // (tasks created offline only show unfiltered). Overlapping loads of the
+  // same page (a reconnect during a search, say) share one request. Only
+  // the latest load is shown: a slow answer to an earlier search, or a next
+  // page of the filters before, is dropped.
+  const latestLoad = useRef(0);
+  const fetchTasks = useCallback(async (cursor = null) => {
+    const load = cursor ? latestLoad.current : ++latestLoad.current;
+    const isLatest = () => load === latestLoad.current;
+    const query = { ...taskQuery({ status, search, tagFilter, sort }), limit: PAGE_SIZE };
+    if (cursor) query.cursor = cursor;
+    if (!cursor) setLoadingTasks(true);
+
+    // Offline: show the list as last saved, searched and sorted here
+    const showCachedTasks = async () => {
+      const cached = await db.loadTasks();
+      if (!isLatest()) return;
+      if (!cached) {
+        showToast('You are offline and there are no saved tasks to show yet.', { type: 'warning' });
+        return;
+      }
+      const shown = sortTasks(filterTasks(sync.overlay(cached.tasks), { status, search, tagFilter }), sort);
+      shownWith.current = { sort, filtered };
+      setTasks(shown);
+      setPaging({ nextCursor: null, hasMore: false, total: shown.length });
+      setCachedAt(cached.savedAt);
+      setListShown(true);
+    };
+
+    try {
+      const body = await fetchQuery(['tasks', query], () => client.listTasks(query));
+      if (!isLatest()) return;
+      const page = sync.overlay(body.data, { firstPage: !cursor && !filtered });
+      if (!cursor) shownWith.current = { sort, filtered };
+      setTasks(prev => cursor ? [...prev, ...page] : page);
+      setPaging(body.paging);
+      setCachedAt(null);
+      setListShown(true);
+    } catch (error) {
+      if (!isLatest()) return;
+      if (error.status === undefined && !cursor) {
+        await showCachedTasks();
+        return;
+      }
+      console.error('Error fetching tasks:', error);
+      showToast(`Could not load tasks: ${error.message}`, { type: 'error' });
+    } finally {
+      if (!cursor && isLatest()) setLoadingTasks(false);
+    }
+  }, [status, search, tagFilter, sort, filtered, sync, db]);
+
+  // Reload the first page on login and whenever the filters or order change
+  // (debounced)
+  useEffect(() => {
+    if (!sync) return;
+    const timeout = setTimeout(() => fetchTasks(), 300);
+    return () => clearTimeout(timeout);
+  }, [sync, fetchTasks]);
+
+  // Apply task events pushed by the server (including our own changes, which
+  // arrive after the HTTP response and are deduplicated by id and version)
+  const applyTaskEvent = ({ type, task }) => {
+    if (type === 'tasks.imported') {
+      fetchTasks();
+      return;
+    }
+    const existing = tasksRef.current.find(t => t._id === task._id);
+    if (type === 'task.created' || type === 'task.restored') {
+      if (existing || search.trim() || tagFilter || !matchesStatus(task, status)) return;
+      setTasks(prev => [task, ...prev]);
+      setPaging(prev => ({ ...prev, total: prev.total + 1 }));
+    } else if (type === 'task.updated') {
+      if (!existing || existing.__v < task.__v) replaceTask(sync.applyPending(task));
+    } else if (type === 'task.deleted' || type === 'task.purged') {
+      removeTask(task._id);
+    }
+  };
+
+  // Live updates: on every reconnect after the first, reload the list to
+  // catch up on events missed while disconnected, and send queued changes.
+  // The handlers are read through a ref, so they see the current filters
+  // without the stream reconnecting whenever they change.
+  const liveEvents = useRef(null);
+  liveEvents.current = { onEvent: applyTaskEvent, onReconnect: () => fetchTasks() };
+  useEffect(() => {
+    if (!sync) return;
+    let connectedBefore = false;
+    return subscribeToEvents(event => liveEvents.current.onEvent(event), {
+      onOpen: () => {
+        if (connectedBefore) {
+          sync.flush();
+          liveEvents.current.onReconnect();
+        }
+        connectedBefore = true;
+      },
+    });
+  }, [sync]);
+
+  const loadMore = useCallback(async () => {
+    if (loadingMore || !paging.hasMore) return;
+    setLoadingMore(true);
+    await fetchTasks(paging.nextCursor);
+    setLoadingMore(false);
+  }, [loadingMore, paging, fetchTasks]);
+
+  // Infinite scroll: fetch the next page when the sentinel becomes visible
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel) return;
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) loadMore();
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loadMore]);
+
+  // Task changes show at once and are queued in the outbox (see sync.js),
+  // which sends them when it can and reports conflicts and rejections
+  // through syncEvents. Resolves to true once queued, so forms can close.
+  const createTask = async (values) => {
+    const task = sync.create(values);
+    setTasks(prev => [task, ...prev]);
+    setPaging(prev => ({ ...prev, total: prev.total + 1 }));
+    return true;
+  };
+
+  // In manual order the rank places the task, so moves made elsewhere show
+  // up too. The task's page, if it was opened, gets the new version as well.
+  const replaceTask = (updated) => {
+    setTasks(prev => {
+      const next = prev.map(task => (task._id === updated._id && task.__v <= updated.__v ? updated : task));
+      return sort === 'rank' ? next.sort(compareRanks) : next;
+    });
+    const key = ['task', updated._id];
+    if (getQueryData(key)) setQueryData(key, current => (current.__v <= updated.__v ? updated : current));
+  };
+
+  const removeTask = (id) => {
+    if (getQueryData(['task', id])) setQueryData(['task', id], null);
+    if (!tasksRef.current.some(task => task._id === id)) return;
+    setTasks(prev => prev.filter(task => task._id !== id));
+    setPaging(prev => ({ ...prev, total: Math.max(prev.total - 1, 0) }));
+  };
+
+  const updateTask = async (task, changes) => {
+    replaceTask(sync.update(task, changes));
+    return true;
+  };
+
+  const toggleTask = (task) => updateTask(task, { completed: !task.completed });
+
+  const toggleChecklistItem = (task, itemId) => updateTask(task, {
+    checklist: task.checklist.map(item => (item._id === itemId ? { ...item, done: !item.done } : item)),
+  });
+
+  const editTask = async (task, values) => {
+    const saved = await updateTask(task, values);
+    if (saved) setEditing(null);
+    return saved;
+  };
+
+  // Attachments are changed by the server directly (see Attachments.js); the
+  // task it sends back has any changes still queued applied on top
+  const attachmentsChanged = (task) => replaceTask(sync.applyPending(task));
+
+  const deleteTask = (task) => {
+    sync.remove(task);
+    removeTask(task._id);
+  };
+
+  // Move a task in the manual order. Not conditional: a move doesn't clash
+  // with edits made elsewhere.
+  const moveTask = (task, target) => {
+    const reordered = placeTask(tasksRef.current, task._id, target);
+    setTasks(reordered);
+    setAnnouncement(`Moved "${task.title}" to position ${reordered.findIndex(t => t._id === task._id) + 1} of ${reordered.length}`);
+    sync.move(task, target);
+  };
+
+  const manualOrder = sort === 'rank';
+
+  // Drag and drop: dropping on the upper or lower half of a task puts the
+  // dragged one before or after it
+  const dragOver = (event, task) => {
+    if (!dragging || dragging === task._id) return;
+    event.preventDefault();
+    const { top, height } = event.currentTarget.getBoundingClientRect();
+    const position = event.clientY < top + height / 2 ? 'before' : 'after';
+    if (!dropTarget || dropTarget.id !== task._id || dropTarget.position !== position) {
+      setDropTarget({ id: task._id, position });
+    }
+  };
+
+  const endDrag = () => {
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  // Files dragged in from outside the page are attached to the task they
+  // are dropped on, in any sort order
+  const fileDragOver = (event, task) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    if (fileTarget !== task._id) setFileTarget(task._id);
+  };
+
+  const fileDrop = (event, task) => {
+    event.preventDefault();
+    setFileTarget(null);
+    uploadAttachments(task, [...event.dataTransfer.files], attachmentsChanged);
+  };
+
+  const drop = (event) => {
+    event.preventDefault();
+    const task = tasks.find(t => t._id === dragging);
+    if (task && dropTarget) moveTask(task, { [dropTarget.position]: dropTarget.id });
+    endDrag();
+  };
+
+  // Keyboard reordering on a task's handle: the arrow keys move it one place,
+  // and the handle keeps focus so it can be moved again
+  const reorderKey = (event, task) => {
+    const index = tasks.indexOf(task);
+    let target = null;
+    if (event.key === 'ArrowUp' && index > 0) target = { before: tasks[index - 1]._id };
+    if (event.key === 'ArrowDown' && index < tasks.length - 1) target = { after: tasks[index + 1]._id };
+    if (!target) return;
+    event.preventDefault();
+    moveTask(task, target);
+    requestAnimationFrame(() => {
+      const handle = handleRefs.current.get(task._id);
+      if (handle) handle.focus();
+    });
+  };
+
+  const toggleSelected = (id) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  // Tasks not yet on the server can't go in a batch request
+  const selectable = tasks.filter(task => !isLocalId(task._id));
+  const allSelected = selectable.length > 0 && selectable.every(task => selected.has(task._id));
+
+  const toggleSelectAll = () => {
+    setSelected(allSelected ? new Set() : new Set(selectable.map(task => task._id)));
+  };
+
+  // Complete or delete every selected task in one batch request. Each task
+  // carries its version, so tasks changed elsewhere are reported, not
+  // clobbered. Needs a connection: batches don't go through the outbox.
+  const runBulk = async (op) => {
+    const targets = tasks.filter(task => selected.has(task._id));
+    if (targets.length === 0) return;
+    if (!navigator.onLine) {
+      showToast('Bulk changes need a connection; try again when you are back online.', { type: 'warning' });
+      return;
+    }
+    setBulkBusy(true);
+    try {
+      const data = await client.batchTasks({
+        operations: targets.map(task => op === 'complete'
+          ? { op: 'update', id: task._id, version: task.__v, data: { completed: true } }
+          : { op: 'delete', id: task._id, version: task.__v }),
+      });
+      data.results.forEach(result => {
+        if (result.status >= 400) return;
+        if (result.op === 'delete') removeTask(result.id);
+        else replaceTask(result.task);
+      });
+      setSelected(new Set());
+      if (data.failed > 0) {
+        showToast(`${data.failed} of ${targets.length} task(s) could not be updated; they may have changed elsewhere.`, { type: 'warning' });
+        fetchTasks();
+      }
+    } catch (error) {
+      console.error('Error running bulk operation:', error);
+      showToast(`Bulk operation failed: ${error.message}`, { type: 'error' });
+    }
+    setBulkBusy(false);
+  };
+
+  // Logging out deletes the offline copy, including changes not sent yet
+  const handleLogout = async () => {
+    const pending = sync ? sync.pendingCount() : 0;
+    if (pending > 0 && !window.confirm(`${pending} change(s) haven't been saved to the server yet and will be lost. Log out anyway?`)) {
+      return;
+    }
+    const userId = user._id;
+    await logout();
+    setUser(null);
+    setTasks([]);
+    setPaging({ nextCursor: null, hasMore: false, total: 0 });
+    clearQueries();
+    clearToasts();
+    // Completes once the effect cleanup has closed the database
+    deleteOfflineDb(userId).catch(error => console.error('Error deleting offline data:', error));
+  };
+
+  if (!authChecked) return null;
+
+  if (!user) return <Login onLogin={setUser} />;
+
+  return (
+    <div className="App">
+      <header className="App-header">
+        <h1>🚀 AWS Load Balanced App</h1>
+
+        <div className="user-bar">
+          <span>👤 {user.email}</span>
+          <Link to="/distribution" className="link-btn">📊 Load distribution</Link>
+          <button onClick={handleLogout} className="link-btn">Log out</button>
+        </div>
+
+        {serverInfo && (
+          <div className="server-info">
+            <h3>🖥️ Current Server</h3>
+            <div className="info-grid">
+              <div><strong>Hostname:</strong> {serverInfo.hostname}</div>
+              <div><strong>IP:</strong> {serverInfo.ip}</div>
+              <div><strong>Uptime:</strong> {Math.round(serverInfo.uptime)}s</div>
+              <div><strong>Memory:</strong> {serverInfo.memory.free}MB / {serverInfo.memory.total}MB</div>
+            </div>
+          </div>
+        )}
+
+        <SyncStatus status={syncStatus} cachedAt={cachedAt} onRetry={() => sync.flush()} />
+
+        {route.name === 'trash' && <Trash onClose={() => { navigate(backToList); fetchTasks(); }} />}
+
+        {route.name === 'task' && (
+          <TaskDetail
+            key={route.params.id}
+            id={route.params.id}
+            listed={tasks.find(task => task._id === route.params.id)}
+            backTo={backToList}
+            tagUrl={tagUrl}
+            onSave={updateTask}
+            onToggle={toggleTask}
+            onToggleItem={toggleChecklistItem}
+            onAttachmentsChange={attachmentsChanged}
+            onDelete={(task) => {
+              deleteTask(task);
+              navigate(backToList);
+            }}
+          />
+        )}
+
+        {route.name === 'distribution' && <LoadDashboard backTo={backToList} />}
+
+        {route.name === 'notFound' && <NotFound backTo={backToList} />}
+
+        {route.name === 'list' && (
+          <>
+          <TaskForm submitLabel="Add Task" onSubmit={createTask} />
+          <div className="tasks-container">
+            <div className="section-header">
+              <h2>📋 Tasks ({paging.total})</h2>
+              <div>
+                <ImportExport query={taskQuery({ status, search, tagFilter, sort })} onImported={() => fetchTasks()} />
+                <Link to="/trash" className="link-btn">🗑️ Trash</Link>
+              </div>
+            </div>
+            <nav className="status-filter" aria-label="Show tasks">
+              {STATUSES.map(option => (
+                <Link
+                  key={option.value}
+                  to={listUrl({ ...filters, status: option.value })}
+                  className={status === option.value ? 'active' : ''}
+                  aria-current={status === option.value ? 'page' : undefined}
+                >
+                  {option.label}
+                </Link>
+              ))}
+            </nav>
+            <div className="bulk-bar">
+              <label>
+                <input type="checkbox" checked={allSelected} onChange={toggleSelectAll} />
+                {' '}{selected.size > 0 ? `${selected.size} selected` : 'Select all'}
+              </label>
+              {selected.size > 0 && (
+                <>
+                  <button onClick={() => runBulk('complete')} disabled={bulkBusy}>✅ Complete</button>
+                  <button onClick={() => runBulk('delete')} disabled={bulkBusy}>🗑️ Delete</button>
+                  <button onClick={() => setSelected(new Set())} className="link-btn">Clear</button>
+                </>
+              )}
+            </div>
+            <div className="task-filters">
+              <input
+                type="search"
+                className="task-search"
+                placeholder="🔍 Search tasks..."
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+              />
+              <select value={sort} onChange={(e) => setSort(e.target.value)} aria-label="Order tasks by">
+                {SORTS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+              </select>
+            </div>
+            {manualOrder && tasks.length > 1 && (
+              <p className="hint">Drag tasks to reorder them, or focus a ⠿ handle and use the arrow keys.</p>
+            )}
+            <div className="visually-hidden" aria-live="polite">{announcement}</div>
+            {tagFilter && (
+              <div className="tag-filter">
+                Tagged <span className="tag-chip">#{tagFilter}</span>
+                <button onClick={() => setTagFilter(null)} className="link-btn">Show all</button>
+              </div>
+            )}
+            {tasks.map(task => editing === task._id ? (
+              <div key={task._id} className="task editing">
+                <TaskForm
+                  task={task}
+                  submitLabel="Save"
+                  onSubmit={(values) => editTask(task, values)}
+                  onCancel={() => setEditing(null)}
+                />
+              </div>
+            ) : (
+              <div
+                key={task._id}
+                className={[
+                  'task',
+                  task.completed && 'completed',
+                  isOverdue(task) && 'overdue',
+                  dragging === task._id && 'dragging',
+                  dropTarget && dropTarget.id === task._id && `drop-${dropTarget.position}`,
+                  syncStatus && syncStatus.pendingIds.has(task._id) && 'unsynced',
+                  fileTarget === task._id && 'file-target',
+                ].filter(Boolean).join(' ')}
+                draggable={manualOrder}
+                onDragStart={(e) => {
+                  e.dataTransfer.effectAllowed = 'move';
+                  e.dataTransfer.setData('text/plain', task.title);
+                  setDragging(task._id);
+                }}
+                onDragOver={(e) => (isFileDrag(e) ? fileDragOver(e, task) : dragOver(e, task))}
+                onDragLeave={(e) => {
+                  if (fileTarget === task._id && !e.currentTarget.contains(e.relatedTarget)) setFileTarget(null);
+                }}
+                onDrop={(e) => (isFileDrag(e) ? fileDrop(e, task) : drop(e))}
+                onDragEnd={endDrag}
+              >
+                {manualOrder && (
+                  <button
+                    ref={el => (el ? handleRefs.current.set(task._id, el) : handleRefs.current.delete(task._id))}
+                    className="drag-handle"
+                    onKeyDown={(e) => reorderKey(e, task)}
+                    aria-label={`Reorder "${task.title}" (arrow keys)`}
+                    title="Drag to reorder, or use the arrow keys"
+                  >
+                    ⠿
+                  </button>
+                )}
+                <input
+                  type="checkbox"
+                  className="task-select"
+                  checked={selected.has(task._id)}
+                  disabled={isLocalId(task._id)}
+                  onChange={() => toggleSelected(task._id)}
+                  aria-label={`Select ${task.title}`}
+                />
+                <div className="task-content">
+                  <h3 onClick={() => toggleTask(task)}>
+                    {task.completed ? '✅' : '⭕'} {task.title}
+                  </h3>
+                  <p>{task.description}</p>
+                  <div className="task-meta">
+                    {task.priority && <span className={`priority priority-${task.priority}`}>{task.priority}</span>}
+                    {task.dueDate && (
+                      <span className="due-date">
+                        {isOverdue(task) ? '⏰ Overdue: ' : '📅 Due '}
+                        {new Date(task.dueDate).toLocaleString()}
+                      </span>
+                    )}
+                    {task.recurrence && <span className="recurrence" title="Repeats (times in UTC)">🔁 {task.recurrence}</span>}
+                    {task.reminders.length > 0 && (
+                      <span className="reminders">🔔 {task.reminders.map(formatReminder).join(', ')}</span>
+                    )}
+                    {task.tags.map(tag => (
+                      <button key={tag} className="tag-chip" onClick={() => setTagFilter(tag)} title={`Show #${tag} tasks`}>
+                        #{tag}
+                      </button>
+                    ))}
+                  </div>
+                  {task.checklist.length > 0 && (
+                    <ul className="checklist">
+                      {task.checklist.map(item => (
+                        <li key={item._id} className={item.done ? 'done' : ''}>
+                          <label>
+                            <input type="checkbox" checked={item.done} onChange={() => toggleChecklistItem(task, item._id)} />
+                            {' '}{item.text}
+                          </label>
+                        </li>
+                      ))}
+                      <li className="checklist-progress">
+                        {task.checklist.filter(item => item.done).length}/{task.checklist.length} done
+                      </li>
+                    </ul>
+                  )}
+                  <Attachments task={task} onChange={attachmentsChanged} compact />
+                  <small>
+                    {isLocalId(task._id)
+                      ? '⏳ Not saved to the server yet'
+                      : <>Server: {task.serverHostname || 'N/A'} | {task.serverIp || 'N/A'}</>}
+                    {task.completedAt && ` | Completed ${new Date(task.completedAt).toLocaleString()}`}
+                  </small>
+                  {historyFor === task._id && <TaskHistory taskId={task._id} version={task.__v} />}
+                </div>
+                <div className="task-actions">
+                  <Link to={`/tasks/${task._id}`} className="history-btn" title="Open">
+                    🔗
+                  </Link>
+                  <button onClick={() => setEditing(task._id)} className="history-btn" title="Edit">
+                    ✏️
+                  </button>
+                  <button
+                    onClick={() => setHistoryFor(historyFor === task._id ? null : task._id)}
+                    className="history-btn"
+                    title="History"
+                    disabled={isLocalId(task._id)}
+                  >
+                    🕘
+                  </button>
+                  <button onClick={() => deleteTask(task)} className="delete-btn" title="Move to trash">
+                    🗑️
+                  </button>
+                </div>
+              </div>
+            ))}
+            <div ref={sentinelRef} className="load-more">
+              {loadingTasks && tasks.length === 0 && '⏳ Loading tasks...'}
+              {loadingMore && '⏳ Loading more...'}
+              {!paging.hasMore && tasks.length > 0 && 'No more tasks'}
+            </div>
+          </div>
+          </>
+        )}
+      </header>
+      <Toaster />
+    </div>
+  );
+}
+
+export default App;
+EOF
+
+# FILE: frontend/src/api.js
+cat > frontend/src/api.js << 'EOF'
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Version of the REST API this frontend is built against. Every path names
+// it (/api/v1/...); the generated client's paths come from the same version
+// of the OpenAPI document.
+export const API_VERSION = 1;
+const API_BASE = `/api/v${API_VERSION}`;
+
+const REFRESH_TOKEN_KEY = 'refreshToken';
+// GET responses kept for conditional requests (see apiFetch)
+const MAX_VALIDATED = 20;
+
+// The access token is kept in memory only; the refresh token survives reloads
+const tokens = {
+  access: null,
+  refresh: localStorage.getItem(REFRESH_TOKEN_KEY),
+};
+
+let sessionExpiredHandler = () => {};
+let refreshing = null;
+
+// The last response with an ETag for each GET path, newest last:
+// { etag, body, headers }
+const validated = new Map();
+
+// Called when the session can no longer be refreshed (e.g. token revoked)
+export const onSessionExpired = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+const storeSession = ({ user, accessToken, refreshToken }) => {
+  tokens.access = accessToken;
+  tokens.refresh = refreshToken;
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  return user;
+};
+
+const clearSession = () => {
+  tokens.access = null;
+  tokens.refresh = null;
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  validated.clear();
+};
+
+// Every request carries its own ID; the backend logs it and echoes it back,
+// so users can quote it when reporting a problem
+const newRequestId = () => (
+  window.crypto && window.crypto.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+// Turn the backend's structured error body into a readable message
+const errorMessage = (body, fallback) => {
+  const error = body && body.error;
+  if (!error) return fallback;
+  const details = (error.errors || []).map(detail => detail.message);
+  return details.length > 0 ? details.join(', ') : error.message;
+};
+
+// Error for a failed API response, with the request ID in its message and
+// the response body (e.g. error.current on a 412) in error.body
+export const apiError = (body, response) => {
+  const requestId = (body && body.error && body.error.requestId) || response.headers.get('X-Request-Id');
+  const message = errorMessage(body, `Request failed (${response.status})`);
+  const error = new Error(requestId ? `${message} (request ID: ${requestId})` : message);
+  error.status = response.status;
+  error.requestId = requestId;
+  error.body = body;
+  return error;
+};
+
+// Log once when the backend says our API version is deprecated, so it shows
+// up in the console well before the version is retired
+let deprecationReported = false;
+const reportDeprecation = (response) => {
+  if (deprecationReported || !response.headers.get('Deprecation')) return;
+  deprecationReported = true;
+  const sunset = response.headers.get('Sunset');
+  console.warn(`API version ${API_VERSION} is deprecated${sunset ? ` and will be retired on ${sunset}` : ''}.`,
+    response.headers.get('Link') || '');
+};
+
+// fetch() that adds an X-Request-Id header; network failures are reported
+// with the ID too
+const send = async (url, options = {}) => {
+  const requestId = newRequestId();
+  try {
+    const response = await fetch(url, { ...options, headers: { ...options.headers, 'X-Request-Id': requestId } });
+    reportDeprecation(response);
+    return response;
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    const networkError = new Error(`Network error: ${error.message} (request ID: ${requestId})`);
+    networkError.requestId = requestId;
+    throw networkError;
+  }
+};
+
+const authRequest = async (path, body) => {
+  const response = await send(`${API_URL}${API_BASE}/auth${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!response.ok) throw apiError(data, response);
+  return storeSession(data);
+};
+
+export const login = (email, password) => authRequest('/login', { email, password });
+
+export const register = (email, password) => authRequest('/register', { email, password });
+
+export const logout = async () => {
+  const refreshToken = tokens.refresh;
+  clearSession();
+  if (!refreshToken) return;
+  try {
+    await send(`${API_URL}${API_BASE}/auth/logout`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+  }
+};
+
+// Rotate the refresh token for a new access token. Concurrent callers share
+// one request, since each refresh token can only be used once.
+const refreshSession = () => {
+  if (!tokens.refresh) return Promise.resolve(null);
+  if (!refreshing) {
+    refreshing = authRequest('/refresh', { refreshToken: tokens.refresh })
+      .catch(() => {
+        clearSession();
+        return null;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+// Resume a stored session on page load; resolves to the user or null
+export const restoreSession = () => refreshSession();
+
+// Parse a Server-Sent Events body, calling onEvent with each JSON payload
+const readEventStream = async (body, onEvent) => {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+    for (const message of messages) {
+      const data = message
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+      if (data) onEvent(JSON.parse(data));
+    }
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Subscribe to live task events. Uses fetch rather than EventSource so the
+// bearer token goes in a header, and reconnects with backoff (and a fresh
+// token) whenever the stream ends. Returns an unsubscribe function.
+export const subscribeToEvents = (onEvent, { onOpen } = {}) => {
+  const controller = new AbortController();
+  let retryDelay = 1000;
+
+  const connect = async () => {
+    while (!controller.signal.aborted) {
+      try {
+        const response = await apiFetch(`${API_BASE}/events`, {
+          headers: { Accept: 'text/event-stream' },
+          signal: controller.signal,
+        });
+        if (!response.ok) throw new Error(`Event stream returned ${response.status}`);
+        retryDelay = 1000;
+        if (onOpen) onOpen();
+        await readEventStream(response.body, onEvent);
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Event stream disconnected:', error);
+      }
+      await sleep(retryDelay);
+      retryDelay = Math.min(retryDelay * 2, 30000);
+    }
+  };
+
+  connect();
+  return () => controller.abort();
+};
+
+// Remember a JSON GET response that has an ETag, or answer a 304 with the
+// remembered body as if the server had sent it again
+const revalidated = async (path, response, previous) => {
+  if (response.status === 304 && previous) {
+    const headers = new Headers(previous.headers);
+    response.headers.forEach((value, name) => headers.set(name, value));
+    return new Response(previous.body, { status: 200, headers });
+  }
+  const etag = response.headers.get('ETag');
+  const type = response.headers.get('Content-Type') || '';
+  if (!response.ok || !etag || !type.includes('application/json')) return response;
+  validated.delete(path);
+  validated.set(path, { etag, body: await response.clone().text(), headers: [...response.headers] });
+  if (validated.size > MAX_VALIDATED) validated.delete(validated.keys().next().value);
+  return response;
+};
+
+// fetch() for authenticated API calls: adds the bearer token and retries
+// once with a refreshed token when the access token has expired. A GET of a
+// path fetched before is conditional (If-None-Match), so an unchanged task
+// or list costs the server no transfer, and with its list cache no query.
+export const apiFetch = async (path, options = {}) => {
+  const method = (options.method || 'GET').toUpperCase();
+  const conditional = method === 'GET' && !(options.headers && options.headers['If-None-Match']);
+  const previous = conditional ? validated.get(path) : null;
+  const request = () => send(`${API_URL}${path}`, {
+    ...options,
+    headers: {
+      ...options.headers,
+      // fetch() adds "Cache-Control: no-cache" to a conditional request that
+      // doesn't set its own, and the server never answers those with a 304
+      ...(previous && { 'If-None-Match': previous.etag, 'Cache-Control': 'max-age=0' }),
+      ...(tokens.access && { Authorization: `Bearer ${tokens.access}` }),
+    },
+  });
+
+  let response = await request();
+  if (response.status === 401 && await refreshSession()) {
+    response = await request();
+  }
+  if (response.status === 401) {
+    clearSession();
+    sessionExpiredHandler();
+  }
+  return conditional ? revalidated(path, response, previous) : response;
+};
+
+// One timed request for the load distribution dashboard: the status, how
+// long the whole response took and which instance sent it (X-Served-By).
+// Failures are results too (status 0 when nothing answered); only an abort
+// throws. With `sticky` off no cookies are sent, so the ALB's stickiness
+// cookie doesn't pin the requests to one instance.
+export const probe = async (path, { authenticated = false, sticky = true, signal } = {}) => {
+  const options = { credentials: sticky ? 'include' : 'omit', cache: 'no-store', signal };
+  const started = performance.now();
+  try {
+    const response = authenticated ? await apiFetch(path, options) : await send(`${API_URL}${path}`, options);
+    await response.arrayBuffer();
+    return {
+      status: response.status,
+      servedBy: response.headers.get('X-Served-By'),
+      durationMs: performance.now() - started,
+    };
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    return { status: 0, servedBy: null, durationMs: performance.now() - started };
+  }
+};
+EOF
+
+# FILE: frontend/src/Login.js
+cat > frontend/src/Login.js << 'EOF'
+import React, { useState } from 'react';
+import { login, register } from './api';
+
+function Login({ onLogin }) {
+  const [mode, setMode] = useState('login');
+  const [credentials, setCredentials] = useState({ email: '', password: '' });
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      const authenticate = mode === 'login' ? login : register;
+      onLogin(await authenticate(credentials.email, credentials.password));
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="App">
+      <header className="App-header">
+        <h1>🚀 AWS Load Balanced App</h1>
+
+        <form onSubmit={submit} className="task-form auth-form">
+          <h2>{mode === 'login' ? '🔐 Log In' : '📝 Create Account'}</h2>
+          {error && <div className="notice">⚠️ {error}</div>}
+          <input
+            type="email"
+            placeholder="Email"
+            autoComplete="email"
+            value={credentials.email}
+            onChange={(e) => setCredentials({...credentials, email: e.target.value})}
+            required
+          />
+          <input
+            type="password"
+            placeholder="Password (min. 8 characters)"
+            autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+            minLength={8}
+            value={credentials.password}
+            onChange={(e) => setCredentials({...credentials, password: e.target.value})}
+            required
+          />
+          <button type="submit" disabled={loading}>
+            {loading ? '⏳' : mode === 'login' ? 'Log In' : 'Sign Up'}
+          </button>
+          <button
+            type="button"
+            className="link-btn"
+            onClick={() => {
+              setMode(mode === 'login' ? 'register' : 'login');
+              setError(null);
+            }}
+          >
+            {mode === 'login' ? 'Need an account? Sign up' : 'Have an account? Log in'}
+          </button>
+        </form>
+      </header>
+    </div>
+  );
+}
+
+export default Login;
+EOF
+
+# FILE: frontend/src/Trash.js
+cat > frontend/src/Trash.js << 'EOF'
+import React from 'react';
+import * as client from './apiClient';
+import { mutate, useQuery } from './queries';
+
+const without = (id) => (trash) => ({ ...trash, data: trash.data.filter(task => task._id !== id) });
+
+// Restores and deletes show at once and are undone if the request fails. A
+// 404 means the task already left the trash (restored or purged elsewhere),
+// so they are safe to retry.
+function Trash({ onClose }) {
+  const { data, error, loading } = useQuery('trash', () => client.listTrash());
+  const tasks = data ? data.data : [];
+  const retentionDays = data ? data.retentionDays : null;
+
+  const restoreTask = (task) => mutate({
+    key: 'trash',
+    update: without(task._id),
+    request: () => client.restoreTask(task._id),
+    accept: [404],
+    retries: 2,
+    errorMessage: `Could not restore "${task.title}"`,
+  });
+
+  const purgeTask = (task) => {
+    if (!window.confirm(`Permanently delete "${task.title}"? This cannot be undone.`)) return;
+    mutate({
+      key: 'trash',
+      update: without(task._id),
+      request: () => client.purgeTask(task._id),
+      accept: [404],
+      retries: 2,
+      errorMessage: `Could not delete "${task.title}"`,
+    });
+  };
+
+  const emptyTrash = () => {
+    if (!window.confirm('Permanently delete every task in the trash? This cannot be undone.')) return;
+    mutate({
+      key: 'trash',
+      update: trash => ({ ...trash, data: [] }),
+      request: () => client.emptyTrash(),
+      retries: 2,
+      errorMessage: 'Could not empty trash',
+    });
+  };
+
+  const purgeDate = (task) => {
+    const date = new Date(task.deletedAt);
+    date.setDate(date.getDate() + retentionDays);
+    return date.toLocaleDateString();
+  };
+
+  return (
+    <div className="tasks-container">
+      <div className="section-header">
+        <h2>🗑️ Trash ({tasks.length})</h2>
+        <div>
+          <button onClick={emptyTrash} className="link-btn" disabled={tasks.length === 0}>
+            Empty trash
+          </button>
+          <button onClick={onClose} className="link-btn">← Back to tasks</button>
+        </div>
+      </div>
+      {retentionDays !== null && (
+        <p className="hint">Deleted tasks are purged automatically after {retentionDays} days.</p>
+      )}
+      {error && !data && <div className="notice">⚠️ Could not load trash: {error.message}</div>}
+      {loading && !data && <div className="load-more">⏳ Loading...</div>}
+      {data && tasks.length === 0 && <div className="load-more">Trash is empty</div>}
+      {tasks.map(task => (
+        <div key={task._id} className="task trashed">
+          <div className="task-content">
+            <h3>{task.completed ? '✅' : '⭕'} {task.title}</h3>
+            <p>{task.description}</p>
+            <small>
+              Deleted {new Date(task.deletedAt).toLocaleString()} | Purged on {purgeDate(task)}
+            </small>
+          </div>
+          <div className="task-actions">
+            <button onClick={() => restoreTask(task)} className="restore-btn" title="Restore">♻️</button>
+            <button onClick={() => purgeTask(task)} className="delete-btn" title="Delete forever">❌</button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default Trash;
+EOF
+
+# FILE: frontend/src/TaskHistory.js
+cat > frontend/src/TaskHistory.js << 'EOF'
+import React from 'react';
+import { getTaskHistory } from './apiClient';
+import { useQuery } from './queries';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  // Tags, checklist items or attachments
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '—';
+    return value.map((item) => {
+      if (typeof item !== 'object') return item;
+      return 'text' in item ? `${item.done ? '☑' : '☐'} ${item.text}` : `📎 ${item.name}`;
+    }).join(', ');
+  }
+  return String(value);
+};
+
+// The history of one version of a task never changes, so it is fetched once
+// per version
+function TaskHistory({ taskId, version }) {
+  const { data, error } = useQuery(['history', taskId, version], () => getTaskHistory(taskId), { staleTime: Infinity });
+
+  if (error && !data) return <div className="history">⚠️ Could not load history: {error.message}</div>;
+  if (!data) return <div className="history">⏳ Loading history...</div>;
+
+  return (
+    <ul className="history">
+      {data.data.map(entry => (
+        <li key={entry._id}>
+          <strong>{entry.action}</strong> by {entry.actor.email || 'unknown'}
+          {' '}on {new Date(entry.at).toLocaleString()}
+          {' '}<small>(via {entry.serverHostname || 'N/A'})</small>
+          {entry.changes.length > 0 && (
+            <ul>
+              {entry.changes.map(change => (
+                <li key={change.field}>
+                  {change.field}: {formatValue(change.from)} → {formatValue(change.to)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default TaskHistory;
+EOF
+
+# FILE: frontend/src/ImportExport.js
+cat > frontend/src/ImportExport.js << 'EOF'
+import React, { useRef, useState } from 'react';
+import * as client from './apiClient';
+import { showToast } from './toasts';
+
+// Download a task export of the list's query (its filters and order). Goes
+// through the API client (not a plain link) so the request carries the
+// bearer token.
+const downloadExport = async (format, query) => {
+  const url = URL.createObjectURL(await client.exportTasks({ ...query, format }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `tasks.${format}`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Summarise an import response, including the first few rejected rows
+const describeImport = ({ imported, failed, results }) => {
+  const problems = results
+    .filter(result => result.status === 'invalid')
+    .slice(0, 3)
+    .map(result => `row ${result.row}: ${(result.error.errors[0] || result.error).message}`);
+  return `Imported ${imported} task(s), ${failed} rejected${problems.length ? ` (${problems.join('; ')})` : ''}.`;
+};
+
+function ImportExport({ query, onImported }) {
+  const fileRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+
+  const exportTasks = async (format) => {
+    setBusy(true);
+    try {
+      await downloadExport(format, query);
+    } catch (error) {
+      console.error('Error exporting tasks:', error);
+      showToast(`Export failed: ${error.message}`, { type: 'error' });
+    }
+    setBusy(false);
+  };
+
+  const importTasks = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setBusy(true);
+    try {
+      const isCsv = file.name.toLowerCase().endsWith('.csv');
+      const data = await client.importTasks(await file.text(), {}, {
+        contentType: isCsv ? 'text/csv' : 'application/json',
+      });
+      showToast(describeImport(data), { type: data.failed > 0 ? 'warning' : 'success' });
+      onImported();
+    } catch (error) {
+      console.error('Error importing tasks:', error);
+      showToast(`Import failed: ${error.message}`, { type: 'error' });
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div className="import-export">
+      <button onClick={() => exportTasks('json')} className="link-btn" disabled={busy}>⬇️ JSON</button>
+      <button onClick={() => exportTasks('csv')} className="link-btn" disabled={busy}>⬇️ CSV</button>
+      <button onClick={() => fileRef.current.click()} className="link-btn" disabled={busy}>⬆️ Import</button>
+      <input
+        ref={fileRef}
+        type="file"
+        accept=".json,.csv,application/json,text/csv"
+        onChange={importTasks}
+        hidden
+      />
+    </div>
+  );
+}
+
+export default ImportExport;
+EOF
+
+# FILE: frontend/src/apiClient.js
+cat > frontend/src/apiClient.js << 'EOF'
+// Generated from the OpenAPI document (Full Stack Tasks API 1.0.0)
+// by backend/scripts/generate-client.js. Do not edit: change backend/openapi.js
+// and run `npm run generate:client` in backend/ against a running server.
+import { apiError, apiFetch } from './api';
+
+/**
+ * @typedef {string} ObjectId
+ */
+
+/**
+ * @typedef {Object} ErrorResponse
+ * @property {ErrorDetails} error
+ */
+
+/**
+ * @typedef {Object} ErrorDetails
+ * @property {string} code
+ * @property {string} message
+ * @property {Array<FieldError>} errors
+ * @property {string} [requestId] Also in the X-Request-Id header; quote it when reporting a problem
+ * @property {Array<number>} [supportedVersions] API versions this server offers (unsupported_version, version_retired)
+ */
+
+/**
+ * @typedef {Object} FieldError
+ * @property {(string|null)} field
+ * @property {string} code
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} Conflict
+ * @property {ErrorDetails & { current: Task }} error
+ */
+
+/**
+ * @typedef {Object} Message
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} Liveness
+ * @property {'alive'} status
+ * @property {number} uptime Seconds since the process started
+ * @property {number} timestamp Milliseconds since the epoch
+ * @property {string} [hostname]
+ * @property {string} [ip]
+ */
+
+/**
+ * @typedef {Object} Readiness
+ * @property {'ready'|'not_ready'} status
+ * @property {string} message
+ * @property {Object<string, { status: 'pass'|'fail' }>} checks Result of each check (shutdown, storage, eventLoop)
+ * @property {number} uptime
+ * @property {number} timestamp
+ * @property {string} [hostname]
+ * @property {string} [ip]
+ */
+
+/**
+ * @typedef {Object} ServerInfo
+ * @property {string} hostname
+ * @property {string} ip First external IPv4 address, or "unknown"
+ * @property {string} platform
+ * @property {number} uptime Seconds since the process started
+ * @property {{ total: number, free: number }} memory System memory in MiB (whole numbers)
+ */
+
+/**
+ * @typedef {Object} Credentials
+ * @property {string} email
+ * @property {string} password
+ */
+
+/**
+ * @typedef {Object} RefreshRequest
+ * @property {string} refreshToken
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {ObjectId} _id
+ * @property {string} email
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {User} user
+ * @property {string} accessToken JWT to send as "Authorization: Bearer <token>"
+ * @property {string} refreshToken Single-use; exchange it at /api/v1/auth/refresh
+ * @property {'Bearer'} tokenType
+ * @property {number} expiresIn Access token lifetime in seconds
+ */
+
+/**
+ * @typedef {Object} TaskInput
+ * @property {string} title
+ * @property {string} [description]
+ * @property {boolean} [completed]
+ * @property {(string|null)} [dueDate]
+ * @property {'low'|'medium'|'high'|null} [priority]
+ * @property {Array<string>} [tags]
+ * @property {Array<{ _id?: string, text: string, done?: boolean }>} [checklist]
+ * @property {(string|null)} [recurrence] Repeat the task: daily, weekly, monthly or a five-field cron expression (minute hour day-of-month month day-of-week, in UTC). Once the due date passes the next occurrence is created as a new task, which takes the rule over. A recurring task without a due date is due at the next occurrence.
+ * @property {Array<number>} [reminders] Send a reminder this many minutes before the due date
+ */
+
+/**
+ * Any writable fields; at least one
+ * @typedef {Object} TaskUpdate
+ * @property {string} [title]
+ * @property {string} [description]
+ * @property {boolean} [completed]
+ * @property {(string|null)} [dueDate]
+ * @property {'low'|'medium'|'high'|null} [priority]
+ * @property {Array<string>} [tags]
+ * @property {Array<{ _id?: string, text: string, done?: boolean }>} [checklist]
+ * @property {(string|null)} [recurrence] Repeat the task: daily, weekly, monthly or a five-field cron expression (minute hour day-of-month month day-of-week, in UTC). Once the due date passes the next occurrence is created as a new task, which takes the rule over. A recurring task without a due date is due at the next occurrence.
+ * @property {Array<number>} [reminders] Send a reminder this many minutes before the due date
+ */
+
+/**
+ * Either `after` or `before`: the id of the task to place this one next to, or null for the top (`after`) or bottom (`before`) of the list
+ * @typedef {Object} TaskMove
+ * @property {(string|null)} [after]
+ * @property {(string|null)} [before]
+ */
+
+/**
+ * @typedef {Object} ChecklistItem
+ * @property {string} _id Send it back to keep the item; new items get one from the server
+ * @property {string} text
+ * @property {boolean} done
+ */
+
+/**
+ * @typedef {Object} Attachment
+ * @property {ObjectId} _id
+ * @property {string} name File name as uploaded
+ * @property {string} type Media type, detected from the content
+ * @property {number} size Bytes
+ * @property {string} createdAt
+ */
+
+/**
+ * Read-only fields (_id, id, __v, owner, createdAt, updatedAt, completedAt, deletedAt, recurrenceOf, rank, attachments, serverHostname, serverIp) are set by the server
+ * @typedef {Object} Task
+ * @property {ObjectId} _id
+ * @property {string} title
+ * @property {string} [description]
+ * @property {boolean} completed
+ * @property {(string|null)} dueDate
+ * @property {'low'|'medium'|'high'|null} priority
+ * @property {Array<string>} tags
+ * @property {Array<ChecklistItem>} checklist
+ * @property {(string|null)} recurrence Repeat the task: daily, weekly, monthly or a five-field cron expression (minute hour day-of-month month day-of-week, in UTC). Once the due date passes the next occurrence is created as a new task, which takes the rule over. A recurring task without a due date is due at the next occurrence.
+ * @property {Array<number>} reminders Send a reminder this many minutes before the due date
+ * @property {Array<Attachment>} attachments Files attached to the task, oldest first (see uploadAttachment)
+ * @property {(string|null)} recurrenceOf The occurrence of a recurring task this one follows
+ * @property {(string|null)} rank Position in the manual order, compared as a plain string; new tasks go to the top. Null for older tasks until the server ranks them.
+ * @property {ObjectId} owner
+ * @property {string} createdAt
+ * @property {string} updatedAt Last change, including moves to and from the trash
+ * @property {(string|null)} completedAt When the task was completed
+ * @property {(string|null)} deletedAt Set while the task is in the trash
+ * @property {string} [serverHostname] Instance that created the task
+ * @property {string} [serverIp]
+ * @property {number} __v Version, bumped by every change
+ */
+
+/**
+ * @typedef {Object} TaskPage
+ * @property {Array<Task>} data
+ * @property {{ limit: number, sort: string, hasMore: boolean, nextCursor: (string|null), total: number }} paging
+ */
+
+/**
+ * @typedef {Object} Trashed
+ * @property {string} message
+ * @property {number} retentionDays Days the task stays in the trash
+ */
+
+/**
+ * @typedef {Object} TrashPage
+ * @property {Array<Task>} data
+ * @property {number} retentionDays
+ * @property {number} total
+ */
+
+/**
+ * @typedef {Object} TrashEmptied
+ * @property {string} message
+ * @property {number} purged
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {ObjectId} _id
+ * @property {ObjectId} task
+ * @property {ObjectId} [owner]
+ * @property {'created'|'updated'|'moved'|'deleted'|'restored'|'purged'} action
+ * @property {Array<{ field: string, from: *, to: * }>} changes
+ * @property {number} version
+ * @property {{ id?: (string|null), email?: string }} actor Who made the change; the scheduler has no id and the email "scheduler"
+ * @property {string} [serverHostname]
+ * @property {string} [serverIp]
+ * @property {string} at
+ */
+
+/**
+ * @typedef {Object} HistoryList
+ * @property {Array<HistoryEntry>} data
+ */
+
+/**
+ * create takes `data`; update takes `id` and `data`; delete takes `id`. `version` makes update and delete conditional, like If-Match. Each operation is validated on its own and a problem only fails its result.
+ * @typedef {Object} BatchOperation
+ * @property {string} [op] "create", "update" or "delete"
+ * @property {string} [id]
+ * @property {number} [version]
+ * @property {Object} [data] TaskInput (create) or TaskUpdate (update)
+ */
+
+/**
+ * @typedef {Object} BatchRequest
+ * @property {boolean} [atomic]
+ * @property {Array<BatchOperation>} operations At least one and at most 500 operations (422 too_many_operations)
+ */
+
+/**
+ * @typedef {Object} BatchOperationResult
+ * @property {number} index
+ * @property {string} [op]
+ * @property {number} status HTTP status of the operation (424: rolled back)
+ * @property {string} [id]
+ * @property {Task} [task]
+ * @property {ErrorDetails} [error]
+ * @property {boolean} [rolledBack]
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {boolean} atomic
+ * @property {number} succeeded
+ * @property {number} failed
+ * @property {Array<BatchOperationResult>} results
+ */
+
+/**
+ * @typedef {Object} BatchAborted
+ * @property {ErrorDetails & { results?: Array<BatchOperationResult> }} error
+ */
+
+/**
+ * @typedef {Object} ImportResult
+ * @property {boolean} dryRun
+ * @property {number} total
+ * @property {number} imported
+ * @property {number} failed
+ * @property {Array<{ row: number, status: 'imported'|'valid'|'invalid', id?: ObjectId, error?: ErrorDetails }>} results
+ */
+
+/**
+ * @typedef {Object} ExportRow
+ * @property {*} [_id] Task _id
+ * @property {*} [title] Task title
+ * @property {*} [description] Task description
+ * @property {*} [completed] Task completed
+ * @property {*} [dueDate] Task dueDate
+ * @property {*} [priority] Task priority
+ * @property {*} [tags] Task tags
+ * @property {*} [checklist] Task checklist
+ * @property {*} [recurrence] Task recurrence
+ * @property {*} [reminders] Task reminders
+ * @property {*} [createdAt] Task createdAt
+ * @property {*} [updatedAt] Task updatedAt
+ * @property {*} [completedAt] Task completedAt
+ * @property {*} [serverHostname] Task serverHostname
+ * @property {*} [serverIp] Task serverIp
+ */
+
+/**
+ * @typedef {Object} TaskEvent
+ * @property {'task.created'|'task.updated'|'task.deleted'|'task.restored'|'task.purged'|'tasks.imported'} type
+ * @property {ObjectId} owner
+ * @property {*} [task] The task (only `_id` for task.purged)
+ * @property {number} [count] Tasks affected by a bulk event
+ * @property {string} origin Instance that made the change
+ * @property {string} at
+ */
+
+// Send a request through apiFetch (bearer token, refresh, request ID) and
+// return the JSON body, null for 204 or a Blob for downloads. FormData
+// bodies are sent as multipart/form-data. Failed responses throw
+// apiError(), with the parsed body in error.body.
+const request = async (method, path, { query, body, contentType = 'application/json', headers = {}, download = false, signal } = {}) => {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(query || {})) {
+    if (value !== undefined && value !== null) params.set(name, String(value));
+  }
+  const init = { method, headers: {}, signal };
+  for (const [name, value] of Object.entries(headers)) {
+    if (value !== undefined) init.headers[name] = value;
+  }
+  if (body instanceof FormData) {
+    // fetch() sets the Content-Type, with the multipart boundary
+    init.body = body;
+  } else if (body !== undefined) {
+    init.headers['Content-Type'] = contentType;
+    init.body = typeof body === 'string' ? body : JSON.stringify(body);
+  }
+
+  const search = params.toString();
+  const response = await apiFetch(search ? `${path}?${search}` : path, init);
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    throw apiError(data, response);
+  }
+  if (response.status === 204) return null;
+  return download ? response.blob() : response.json();
+};
+
+/**
+ * Liveness: the process is up and serving HTTP
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Liveness>}
+ */
+export const getLiveness = ({ signal } = {}) => (
+  request('GET', '/health/live', { signal })
+);
+
+/**
+ * Readiness: this instance can serve traffic
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Readiness>}
+ */
+export const getReadiness = ({ signal } = {}) => (
+  request('GET', '/health/ready', { signal })
+);
+
+/**
+ * The instance that served this request
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<ServerInfo>}
+ */
+export const getServerInfo = ({ signal } = {}) => (
+  request('GET', '/api/v1/server-info', { signal })
+);
+
+/**
+ * The logged-in user
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<User>}
+ */
+export const getCurrentUser = ({ signal } = {}) => (
+  request('GET', '/api/v1/auth/me', { signal })
+);
+
+/**
+ * List tasks, one page at a time
+ * @param {{ limit?: number, cursor?: string, q?: string, completed?: 'true'|'false', priority?: 'low'|'medium'|'high', tag?: string, createdAfter?: string, createdBefore?: string, dueAfter?: string, dueBefore?: string, serverHostname?: string, sort?: string }} [query]
+ * @param {{ ifNoneMatch?: string, signal?: AbortSignal }} [options]
+ * @returns {Promise<TaskPage>}
+ */
+export const listTasks = (query = {}, { ifNoneMatch, signal } = {}) => (
+  request('GET', '/api/v1/tasks', { query, headers: { 'If-None-Match': ifNoneMatch }, signal })
+);
+
+/**
+ * Create a task
+ * @param {TaskInput} body
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Task>}
+ */
+export const createTask = (body, { signal } = {}) => (
+  request('POST', '/api/v1/tasks', { body, signal })
+);
+
+/**
+ * Get a task (not one in the trash)
+ * @param {string} id
+ * @param {{ ifNoneMatch?: string, signal?: AbortSignal }} [options]
+ * @returns {Promise<Task>}
+ */
+export const getTask = (id, { ifNoneMatch, signal } = {}) => (
+  request('GET', `/api/v1/tasks/${encodeURIComponent(id)}`, { headers: { 'If-None-Match': ifNoneMatch }, signal })
+);
+
+/**
+ * Update a task; every update bumps its version
+ * @param {string} id
+ * @param {TaskUpdate} body
+ * @param {{ ifMatch?: string, signal?: AbortSignal }} [options]
+ * @returns {Promise<Task>}
+ */
+export const updateTask = (id, body, { ifMatch, signal } = {}) => (
+  request('PUT', `/api/v1/tasks/${encodeURIComponent(id)}`, { body, headers: { 'If-Match': ifMatch }, signal })
+);
+
+/**
+ * Move a task to the trash
+ * @param {string} id
+ * @param {{ ifMatch?: string, signal?: AbortSignal }} [options]
+ * @returns {Promise<Trashed>}
+ */
+export const deleteTask = (id, { ifMatch, signal } = {}) => (
+  request('DELETE', `/api/v1/tasks/${encodeURIComponent(id)}`, { headers: { 'If-Match': ifMatch }, signal })
+);
+
+/**
+ * Move a task in the manual order (sort=rank)
+ * @param {string} id
+ * @param {TaskMove} body
+ * @param {{ ifMatch?: string, signal?: AbortSignal }} [options]
+ * @returns {Promise<Task>}
+ */
+export const moveTask = (id, body, { ifMatch, signal } = {}) => (
+  request('POST', `/api/v1/tasks/${encodeURIComponent(id)}/move`, { body, headers: { 'If-Match': ifMatch }, signal })
+);
+
+/**
+ * Attach a file to a task
+ * @param {string} id
+ * @param {FormData} body
+ * @param {{ ifMatch?: string, signal?: AbortSignal }} [options]
+ * @returns {Promise<Task>}
+ */
+export const uploadAttachment = (id, body, { ifMatch, signal } = {}) => (
+  request('POST', `/api/v1/tasks/${encodeURIComponent(id)}/attachments`, { body, headers: { 'If-Match': ifMatch }, signal })
+);
+
+/**
+ * Download the file of an attachment
+ * @param {string} id
+ * @param {string} attachmentId
+ * @param {{ download?: 'true'|'false' }} [query]
+ * @param {{ ifNoneMatch?: string, signal?: AbortSignal }} [options]
+ * @returns {Promise<Blob>}
+ */
+export const getAttachment = (id, attachmentId, query = {}, { ifNoneMatch, signal } = {}) => (
+  request('GET', `/api/v1/tasks/${encodeURIComponent(id)}/attachments/${encodeURIComponent(attachmentId)}`, { query, headers: { 'If-None-Match': ifNoneMatch }, download: true, signal })
+);
+
+/**
+ * Remove an attachment from a task, and its file
+ * @param {string} id
+ * @param {string} attachmentId
+ * @param {{ ifMatch?: string, signal?: AbortSignal }} [options]
+ * @returns {Promise<Task>}
+ */
+export const deleteAttachment = (id, attachmentId, { ifMatch, signal } = {}) => (
+  request('DELETE', `/api/v1/tasks/${encodeURIComponent(id)}/attachments/${encodeURIComponent(attachmentId)}`, { headers: { 'If-Match': ifMatch }, signal })
+);
+
+/**
+ * Change history of a task, newest first (kept after it is purged)
+ * @param {string} id
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<HistoryList>}
+ */
+export const getTaskHistory = (id, { signal } = {}) => (
+  request('GET', `/api/v1/tasks/${encodeURIComponent(id)}/history`, { signal })
+);
+
+/**
+ * Deleted tasks, most recently deleted first
+ * @param {{ limit?: number }} [query]
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<TrashPage>}
+ */
+export const listTrash = (query = {}, { signal } = {}) => (
+  request('GET', '/api/v1/tasks/trash', { query, signal })
+);
+
+/**
+ * Permanently delete every task in the trash
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<TrashEmptied>}
+ */
+export const emptyTrash = ({ signal } = {}) => (
+  request('DELETE', '/api/v1/tasks/trash', { signal })
+);
+
+/**
+ * Permanently delete a task from the trash
+ * @param {string} id
+ * @param {{ ifMatch?: string, signal?: AbortSignal }} [options]
+ * @returns {Promise<Message>}
+ */
+export const purgeTask = (id, { ifMatch, signal } = {}) => (
+  request('DELETE', `/api/v1/tasks/trash/${encodeURIComponent(id)}`, { headers: { 'If-Match': ifMatch }, signal })
+);
+
+/**
+ * Restore a task from the trash
+ * @param {string} id
+ * @param {{ ifMatch?: string, signal?: AbortSignal }} [options]
+ * @returns {Promise<Task>}
+ */
+export const restoreTask = (id, { ifMatch, signal } = {}) => (
+  request('POST', `/api/v1/tasks/trash/${encodeURIComponent(id)}/restore`, { headers: { 'If-Match': ifMatch }, signal })
+);
+
+/**
+ * Apply many create/update/delete operations in one request
+ * @param {BatchRequest} body
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<BatchResult>}
+ */
+export const batchTasks = (body, { signal } = {}) => (
+  request('POST', '/api/v1/tasks/batch', { body, signal })
+);
+
+/**
+ * Import tasks from a JSON array or CSV
+ * @param {Array<*>|string} body
+ * @param {{ dryRun?: 'true'|'false' }} [query]
+ * @param {{ contentType?: 'application/json'|'text/csv', signal?: AbortSignal }} [options]
+ * @returns {Promise<ImportResult>}
+ */
+export const importTasks = (body, query = {}, { contentType, signal } = {}) => (
+  request('POST', '/api/v1/tasks/import', { query, body, contentType, signal })
+);
+
+/**
+ * Download tasks as JSON or CSV (same filters and sort as listTasks, without paging)
+ * @param {{ format?: 'json'|'csv', q?: string, completed?: 'true'|'false', priority?: 'low'|'medium'|'high', tag?: string, createdAfter?: string, createdBefore?: string, dueAfter?: string, dueBefore?: string, serverHostname?: string, sort?: string }} [query]
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Blob>}
+ */
+export const exportTasks = (query = {}, { signal } = {}) => (
+  request('GET', '/api/v1/tasks/export', { query, download: true, signal })
+);
+EOF
+
+# FILE: frontend/src/TaskForm.js
+cat > frontend/src/TaskForm.js << 'EOF'
+import React, { useState } from 'react';
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const RECURRENCES = ['daily', 'weekly', 'monthly'];
+// Minutes before the due date offered as reminders
+const REMINDER_PRESETS = [0, 15, 60, 24 * 60];
+
+export const formatReminder = (minutes) => {
+  if (minutes === 0) return 'when due';
+  if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)} d before`;
+  if (minutes % 60 === 0) return `${minutes / 60} h before`;
+  return `${minutes} min before`;
+};
+
+export const isOverdue = (task) => !task.completed && Boolean(task.dueDate) && new Date(task.dueDate) < new Date();
+
+// <input type="datetime-local"> works in local time without a zone
+const toLocalInput = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const initialState = (task) => ({
+  title: task ? task.title : '',
+  description: task ? task.description || '' : '',
+  dueDate: task ? toLocalInput(task.dueDate) : '',
+  priority: task ? task.priority || '' : '',
+  tags: task ? task.tags.join(', ') : '',
+  checklist: task ? task.checklist.map(item => ({ ...item })) : [],
+  recurrence: task ? task.recurrence || '' : '',
+  // Anything other than a named rule is a cron expression
+  customRecurrence: Boolean(task && task.recurrence && !RECURRENCES.includes(task.recurrence)),
+  reminders: task ? [...task.reminders] : [],
+});
+
+// Form for a new task, or for editing `task`. onSubmit receives the request
+// body and resolves to true once saved; a new-task form then clears itself.
+function TaskForm({ task, busy, submitLabel, onSubmit, onCancel }) {
+  const [values, setValues] = useState(() => initialState(task));
+  const [newItem, setNewItem] = useState('');
+
+  const set = (field, value) => setValues(prev => ({ ...prev, [field]: value }));
+
+  const setItem = (index, changes) => {
+    set('checklist', values.checklist.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const setRecurrence = (choice) => {
+    setValues(prev => ({
+      ...prev,
+      customRecurrence: choice === 'custom',
+      recurrence: choice === 'custom' ? '0 9 * * 1-5' : choice,
+    }));
+  };
+
+  const toggleReminder = (minutes) => {
+    set('reminders', values.reminders.includes(minutes)
+      ? values.reminders.filter(value => value !== minutes)
+      : [...values.reminders, minutes].sort((a, b) => a - b));
+  };
+
+  const addItem = () => {
+    if (!newItem.trim()) return;
+    set('checklist', [...values.checklist, { text: newItem.trim(), done: false }]);
+    setNewItem('');
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const saved = await onSubmit({
+      title: values.title,
+      description: values.description,
+      dueDate: values.dueDate ? new Date(values.dueDate).toISOString() : null,
+      priority: values.priority || null,
+      tags: values.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+      checklist: values.checklist,
+      recurrence: values.recurrence.trim() || null,
+      reminders: values.reminders,
+    });
+    if (saved && !task) {
+      setValues(initialState(null));
+      setNewItem('');
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="task-form">
+      <input
+        type="text"
+        placeholder="Task Title"
+        maxLength={200}
+        value={values.title}
+        onChange={(e) => set('title', e.target.value)}
+        required
+      />
+      <input
+        type="text"
+        placeholder="Description"
+        maxLength={2000}
+        value={values.description}
+        onChange={(e) => set('description', e.target.value)}
+      />
+      <div className="task-form-row">
+        <label>
+          Due{' '}
+          <input type="datetime-local" value={values.dueDate} onChange={(e) => set('dueDate', e.target.value)} />
+        </label>
+        <label>
+          Priority{' '}
+          <select value={values.priority} onChange={(e) => set('priority', e.target.value)}>
+            <option value="">None</option>
+            {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+          </select>
+        </label>
+        <input
+          type="text"
+          placeholder="Tags, comma separated"
+          value={values.tags}
+          onChange={(e) => set('tags', e.target.value)}
+        />
+      </div>
+      <div className="task-form-row">
+        <label>
+          Repeat{' '}
+          <select
+            value={values.customRecurrence ? 'custom' : values.recurrence}
+            onChange={(e) => setRecurrence(e.target.value)}
+          >
+            <option value="">Never</option>
+            {RECURRENCES.map(rule => <option key={rule} value={rule}>{rule}</option>)}
+            <option value="custom">custom (cron)</option>
+          </select>
+        </label>
+        {values.customRecurrence && (
+          <input
+            type="text"
+            placeholder="min hour day month weekday (UTC)"
+            title="Cron expression, in UTC: minute hour day-of-month month day-of-week"
+            maxLength={100}
+            value={values.recurrence}
+            onChange={(e) => set('recurrence', e.target.value)}
+          />
+        )}
+        <span className="reminder-options">
+          🔔
+          {[...new Set([...REMINDER_PRESETS, ...values.reminders])].sort((a, b) => a - b).map(minutes => (
+            <label key={minutes}>
+              <input
+                type="checkbox"
+                checked={values.reminders.includes(minutes)}
+                onChange={() => toggleReminder(minutes)}
+              />
+              {' '}{formatReminder(minutes)}
+            </label>
+          ))}
+        </span>
+      </div>
+      <ul className="checklist checklist-edit">
+        {values.checklist.map((item, index) => (
+          <li key={item._id || `new-${index}`}>
+            <input type="checkbox" checked={item.done} onChange={() => setItem(index, { done: !item.done })} />
+            <input
+              type="text"
+              maxLength={200}
+              value={item.text}
+              onChange={(e) => setItem(index, { text: e.target.value })}
+              required
+            />
+            <button
+              type="button"
+              className="link-btn"
+              onClick={() => set('checklist', values.checklist.filter((_, i) => i !== index))}
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+        <li>
+          <input
+            type="text"
+            placeholder="Add a checklist item"
+            maxLength={200}
+            value={newItem}
+            onChange={(e) => setNewItem(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                addItem();
+              }
+            }}
+          />
+          <button type="button" className="link-btn" onClick={addItem}>Add</button>
+        </li>
+      </ul>
+      <div className="task-form-row">
+        <button type="submit" disabled={busy}>
+          {busy ? '⏳' : task ? '💾' : '➕'} {submitLabel}
+        </button>
+        {onCancel && <button type="button" className="link-btn" onClick={onCancel}>Cancel</button>}
+      </div>
+    </form>
+  );
+}
+
+export default TaskForm;
+EOF
+
+# FILE: frontend/src/offlineDb.js
+cat > frontend/src/offlineDb.js << 'EOF'
+// The user's data kept in IndexedDB for offline use: the task list as last
+// shown and the outbox of changes waiting to be sent (see sync.js). One
+// database per user, deleted on logout.
+
+const DB_VERSION = 1;
+
+const dbName = (userId) => `tasks-${userId}`;
+
+const settle = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const completion = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+});
+
+// Same interface, kept in memory: used when IndexedDB can't be opened (some
+// private browsing modes), so the app still works but forgets on reload
+const memoryDb = () => {
+  let list;
+  const outbox = new Map();
+  let nextSeq = 1;
+  return {
+    loadTasks: async () => list,
+    saveTasks: async (tasks, sort) => {
+      list = { key: 'tasks', tasks, sort, savedAt: new Date().toISOString() };
+    },
+    outbox: {
+      list: async () => [...outbox.values()],
+      get: async seq => outbox.get(seq),
+      add: async (entry) => {
+        const seq = nextSeq++;
+        outbox.set(seq, { ...entry, seq });
+        return seq;
+      },
+      put: async (entry) => {
+        outbox.set(entry.seq, { ...entry });
+      },
+      remove: async (seq) => {
+        outbox.delete(seq);
+      },
+    },
+    close: () => {},
+  };
+};
+
+const openIndexedDb = async (userId) => {
+  const request = indexedDB.open(dbName(userId), DB_VERSION);
+  request.onupgradeneeded = () => {
+    // lists: { key, tasks, sort, savedAt }; outbox: entries in the order made
+    request.result.createObjectStore('lists', { keyPath: 'key' });
+    request.result.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+  };
+  const db = await settle(request);
+
+  // Run fn on one store and resolve with the result of the request it
+  // returns (if any) once the transaction has committed
+  const run = async (storeName, mode, fn) => {
+    const transaction = db.transaction(storeName, mode);
+    const result = fn(transaction.objectStore(storeName));
+    await completion(transaction);
+    return result instanceof IDBRequest ? result.result : undefined;
+  };
+
+  return {
+    // The task list as last shown, with the order it was sorted in
+    loadTasks: () => run('lists', 'readonly', store => store.get('tasks')),
+    saveTasks: (tasks, sort) => run('lists', 'readwrite', store => (
+      store.put({ key: 'tasks', tasks, sort, savedAt: new Date().toISOString() })
+    )),
+    outbox: {
+      list: () => run('outbox', 'readonly', store => store.getAll()),
+      get: seq => run('outbox', 'readonly', store => store.get(seq)),
+      // Resolves to the entry's seq
+      add: entry => run('outbox', 'readwrite', store => store.add(entry)),
+      put: entry => run('outbox', 'readwrite', store => store.put(entry)),
+      remove: seq => run('outbox', 'readwrite', store => store.delete(seq)),
+    },
+    close: () => db.close(),
+  };
+};
+
+export const openOfflineDb = async (userId) => {
+  try {
+    return await openIndexedDb(userId);
+  } catch (error) {
+    console.warn('IndexedDB is not available; offline changes will not survive a reload:', error);
+    return memoryDb();
+  }
+};
+
+export const deleteOfflineDb = (userId) => settle(indexedDB.deleteDatabase(dbName(userId)));
+EOF
+
+# FILE: frontend/src/sync.js
+cat > frontend/src/sync.js << 'EOF'
+import * as client from './apiClient';
+import { isRetryable } from './queries';
+
+// Offline-first task changes. Each change is shown at once and queued in the
+// outbox (offlineDb.js), which survives reloads and is sent to the API in
+// order: right away, when the browser comes back online, and on a backoff
+// timer while the API can't be reached. Outbox entries are
+//
+//   { type: 'create', id, data, task }           id is local until sent
+//   { type: 'update', id, changes, base, version }
+//   { type: 'delete', id, version, task }
+//   { type: 'move', id, target }
+//
+// `task` is the task as shown: for a create until it is sent, for a delete
+// to put back if the server refuses it.
+//
+// Updates and deletes are conditional on the version of the task they were
+// made on. When the server answers 412 the task was changed elsewhere in the
+// meantime: an update whose fields were left alone there (still equal to
+// `base`, the values they had when the change was made) is sent again on top
+// of the server's version, otherwise the server's version wins and the
+// change is reported as a conflict. Deletes of a changed task are reported
+// and dropped, so nothing is lost unseen.
+//
+// Creates aren't conditional: one whose response was lost (the connection
+// dropped after the server saved it) is sent again and makes a duplicate.
+
+const RETRY_MIN_MS = 2000;
+const RETRY_MAX_MS = 60000;
+
+const LOCAL_PREFIX = 'local-';
+
+export const isLocalId = (id) => typeof id === 'string' && id.startsWith(LOCAL_PREFIX);
+
+const randomHex = (length) => Array.from(
+  window.crypto.getRandomValues(new Uint8Array(length / 2)),
+  byte => byte.toString(16).padStart(2, '0'),
+).join('');
+
+// Checklist items made offline get their ObjectId here, so they have the
+// same id on screen and on the server
+const withItemIds = (values) => (values.checklist
+  ? { ...values, checklist: values.checklist.map(item => (item._id ? item : { ...item, _id: randomHex(24) })) }
+  : values);
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// A task with changes applied as the server would apply them
+const applyChanges = (task, changes) => {
+  const now = new Date().toISOString();
+  const next = { ...task, ...changes, updatedAt: now };
+  if ('completed' in changes && changes.completed !== task.completed) {
+    next.completedAt = changes.completed ? now : null;
+  }
+  return next;
+};
+
+// Besides what any request retries, expired sessions are waited out: the
+// changes are sent after the user logs in again. Anything else the server
+// answers is final.
+const isTransient = (error) => isRetryable(error) || error.status === 401;
+
+// Runs fn while holding the outbox, so two tabs don't send the same entries
+const exclusively = (name, fn) => (navigator.locks ? navigator.locks.request(name, fn) : fn());
+
+// The sync engine for one user. Callbacks:
+//   onSaved(task)            the server's version of a task, with changes still queued applied
+//   onRemoved(id)            a task is gone from the server
+//   onReplaced(localId, task) a task made offline was created with a server id
+//   onConflict({ task, type, fields })  a change lost to one made elsewhere
+//   onRejected(entry, error) the server refused a change (e.g. invalid); it
+//                            should be undone on screen
+//   onStatus({ online, syncing, pending, pendingIds, error })
+export const createSync = ({ userId, db, onSaved, onRemoved, onReplaced, onConflict, onRejected, onStatus }) => {
+  // The outbox as this tab knows it; writes to the stored copy are chained
+  // so they land in the order made
+  let entries = [];
+  let writes = Promise.resolve();
+  let sending = null;
+  let flushing = null;
+  let syncing = false;
+  let lastError = null;
+  let retryTimer = null;
+  let retryDelay = RETRY_MIN_MS;
+  let stopped = false;
+
+  const report = () => {
+    if (stopped) return;
+    onStatus({
+      online: navigator.onLine,
+      syncing,
+      pending: entries.length,
+      pendingIds: new Set(entries.map(entry => entry.id)),
+      error: lastError,
+    });
+  };
+
+  // A task as it will be once the queued changes to it are sent
+  const applyPending = (task) => entries.reduce((result, entry) => (
+    entry.type === 'update' && entry.id === task._id ? applyChanges(result, entry.changes) : result
+  ), task);
+
+  // A list with queued changes applied: tasks created offline on top (on the
+  // first page, unless already there), queued updates applied, queued
+  // deletes removed
+  const overlay = (tasks, { firstPage = true } = {}) => {
+    const deleted = new Set(entries.filter(entry => entry.type === 'delete').map(entry => entry.id));
+    const listed = new Set(tasks.map(task => task._id));
+    const created = firstPage
+      ? entries.filter(entry => entry.type === 'create' && !listed.has(entry.id)).map(entry => entry.task).reverse()
+      : [];
+    return [...created, ...tasks].filter(task => !deleted.has(task._id)).map(applyPending);
+  };
+
+  const persist = (write) => {
+    writes = writes.then(write).catch(error => console.error('Error saving outbox:', error));
+    return writes;
+  };
+
+  const add = (entry) => {
+    entries.push(entry);
+    report();
+    persist(async () => {
+      entry.seq = await db.outbox.add(entry);
+    }).then(flush);
+  };
+
+  const drop = (entry) => {
+    entries = entries.filter(e => e !== entry);
+    return persist(() => db.outbox.remove(entry.seq));
+  };
+
+  // A create not being sent yet, which later changes can be folded into
+  const pendingCreate = (id) => entries.find(entry => entry.type === 'create' && entry.id === id && entry !== sending);
+
+  // Queue a new task; returns it as shown until the server has it
+  const create = (values) => {
+    const data = withItemIds(values);
+    const now = new Date().toISOString();
+    const task = applyPending({
+      _id: `${LOCAL_PREFIX}${randomHex(16)}`,
+      description: '',
+      completed: false,
+      dueDate: null,
+      priority: null,
+      tags: [],
+      checklist: [],
+      recurrence: null,
+      reminders: [],
+      attachments: [],
+      recurrenceOf: null,
+      rank: null,
+      ...data,
+      owner: userId,
+      completedAt: data.completed ? now : null,
+      deletedAt: null,
+      createdAt: now,
+      updatedAt: now,
+      __v: 0,
+    });
+    add({ type: 'create', id: task._id, data, task });
+    return task;
+  };
+
+  // Queue changes to a task; returns the task with them applied. Changes to
+  // a task not sent yet are folded into its create.
+  const update = (task, values) => {
+    const changes = withItemIds(values);
+    const updated = applyChanges(task, changes);
+    const created = pendingCreate(task._id);
+    if (created) {
+      created.data = { ...created.data, ...changes };
+      created.task = applyChanges(created.task, changes);
+      persist(() => db.outbox.put(created));
+      return updated;
+    }
+    const base = Object.fromEntries(Object.keys(changes).map(field => [field, task[field]]));
+    add({ type: 'update', id: task._id, changes, base, version: task.__v });
+    return updated;
+  };
+
+  // Queue a delete. A task not sent yet is simply never sent.
+  const remove = (task) => {
+    if (pendingCreate(task._id)) {
+      entries.filter(entry => entry.id === task._id).forEach(drop);
+      report();
+      return;
+    }
+    add({ type: 'delete', id: task._id, version: task.__v, task });
+  };
+
+  const move = (task, target) => {
+    add({ type: 'move', id: task._id, target });
+  };
+
+  const later = () => entries.filter(entry => entry !== sending);
+
+  // After a create, later entries refer to the task by its server id
+  const renameTask = (localId, id) => {
+    later().forEach(entry => {
+      const { target } = entry;
+      if (entry.id !== localId && !(target && (target.after === localId || target.before === localId))) return;
+      if (entry.id === localId) entry.id = id;
+      if (target && target.after === localId) target.after = id;
+      if (target && target.before === localId) target.before = id;
+      persist(() => db.outbox.put(entry));
+    });
+  };
+
+  // Later changes made on the version just replaced now apply to the new one
+  const advanceVersion = (id, from, to) => {
+    later().forEach(entry => {
+      if (entry.id !== id || entry.version !== from) return;
+      entry.version = to;
+      persist(() => db.outbox.put(entry));
+    });
+  };
+
+  const saved = (task) => {
+    if (!later().some(entry => entry.type === 'delete' && entry.id === task._id)) onSaved(applyPending(task));
+  };
+
+  const ifMatch = (entry) => `"${entry.id}-${entry.version}"`;
+
+  // Send one entry. Throws transient errors (the entry stays queued) and
+  // final ones (it is dropped and reported).
+  const send = async (entry) => {
+    switch (entry.type) {
+      case 'create': {
+        const task = await client.createTask(entry.data);
+        renameTask(entry.id, task._id);
+        onReplaced(entry.id, applyPending(task));
+        return;
+      }
+      case 'update':
+        for (;;) {
+          try {
+            const task = await client.updateTask(entry.id, entry.changes, { ifMatch: ifMatch(entry) });
+            advanceVersion(entry.id, entry.version, task.__v);
+            saved(task);
+            return;
+          } catch (error) {
+            if (error.status === 404) {
+              onRemoved(entry.id);
+              return;
+            }
+            if (error.status !== 412) throw error;
+            const current = error.body.error.current;
+            const fields = Object.keys(entry.changes).filter(field => (
+              !same(current[field], entry.base[field]) && !same(current[field], entry.changes[field])
+            ));
+            if (fields.length > 0) {
+              saved(current);
+              onConflict({ task: current, type: 'update', fields });
+              return;
+            }
+            // Changed elsewhere, but not these fields: apply them on top
+            advanceVersion(entry.id, entry.version, current.__v);
+            entry.version = current.__v;
+          }
+        }
+      case 'delete':
+        try {
+          await client.deleteTask(entry.id, { ifMatch: ifMatch(entry) });
+          onRemoved(entry.id);
+        } catch (error) {
+          if (error.status === 404) {
+            onRemoved(entry.id);
+            return;
+          }
+          if (error.status !== 412) throw error;
+          onSaved(applyPending(error.body.error.current));
+          onConflict({ task: error.body.error.current, type: 'delete', fields: [] });
+        }
+        return;
+      case 'move':
+        try {
+          saved(await client.moveTask(entry.id, entry.target));
+        } catch (error) {
+          if (error.status !== 404) throw error;
+          onRemoved(entry.id);
+        }
+        return;
+      default:
+        throw new Error(`Unknown outbox entry "${entry.type}"`);
+    }
+  };
+
+  const scheduleRetry = () => {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(flush, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, RETRY_MAX_MS);
+  };
+
+  const drain = async () => {
+    while (entries.length > 0 && !stopped) {
+      const entry = entries[0];
+      await writes;
+      // Sent already by another tab sharing the outbox
+      if (entry.seq !== undefined && !await db.outbox.get(entry.seq)) {
+        drop(entry);
+        continue;
+      }
+      sending = entry;
+      try {
+        await send(entry);
+      } catch (error) {
+        if (isTransient(error)) {
+          lastError = error.message;
+          scheduleRetry();
+          return;
+        }
+        console.error('Change rejected by the server:', error);
+        // Later changes to a task that couldn't be created can't be sent either
+        if (entry.type === 'create') later().filter(e => e.id === entry.id).forEach(drop);
+        onRejected(entry, error);
+      } finally {
+        sending = null;
+      }
+      drop(entry);
+      lastError = null;
+      report();
+    }
+    retryDelay = RETRY_MIN_MS;
+  };
+
+  // Send everything queued; concurrent calls share one run
+  const flush = () => {
+    if (stopped || !navigator.onLine) {
+      report();
+      return Promise.resolve();
+    }
+    if (!flushing) {
+      clearTimeout(retryTimer);
+      syncing = true;
+      report();
+      flushing = exclusively(`outbox-${userId}`, drain)
+        .catch(error => {
+          console.error('Error syncing changes:', error);
+          lastError = error.message;
+          scheduleRetry();
+        })
+        .finally(() => {
+          flushing = null;
+          syncing = false;
+          report();
+        });
+    }
+    return flushing;
+  };
+
+  const online = () => {
+    retryDelay = RETRY_MIN_MS;
+    flush();
+  };
+
+  window.addEventListener('online', online);
+  window.addEventListener('offline', report);
+
+  return {
+    // Load the outbox left from earlier sessions and start sending it
+    start: async () => {
+      entries = await db.outbox.list();
+      report();
+      flush();
+    },
+    stop: () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      window.removeEventListener('online', online);
+      window.removeEventListener('offline', report);
+    },
+    create,
+    update,
+    remove,
+    move,
+    flush,
+    overlay,
+    applyPending,
+    pendingCount: () => entries.length,
+  };
+};
+EOF
+
+# FILE: frontend/src/SyncStatus.js
+cat > frontend/src/SyncStatus.js << 'EOF'
+import React from 'react';
+
+const changes = (count) => `${count} change${count === 1 ? '' : 's'}`;
+
+// Whether task changes have reached the server (see sync.js), and whether
+// the list shown is the offline copy saved at `cachedAt`
+function SyncStatus({ status, cachedAt, onRetry }) {
+  if (!status) return null;
+  const { online, syncing, pending, error } = status;
+
+  let state;
+  let text;
+  if (!online) {
+    state = 'offline';
+    text = pending > 0
+      ? `📴 Offline: ${changes(pending)} will be saved when you're back online`
+      : "📴 Offline: changes will be saved when you're back online";
+  } else if (syncing && pending > 0) {
+    state = 'syncing';
+    text = `🔄 Saving ${changes(pending)}...`;
+  } else if (pending > 0) {
+    state = 'pending';
+    text = `⚠️ ${changes(pending)} waiting to be saved${error ? ` (${error})` : ''}`;
+  } else {
+    state = 'synced';
+    text = '✅ All changes saved';
+  }
+
+  return (
+    <div className={`sync-status sync-${state}`} role="status">
+      {text}
+      {cachedAt && ` · Showing tasks as saved on this device ${new Date(cachedAt).toLocaleString()}`}
+      {state === 'pending' && <button onClick={onRetry} className="link-btn">Retry now</button>}
+    </div>
+  );
+}
+
+export default SyncStatus;
+EOF
+
+# FILE: frontend/src/serviceWorkerRegistration.js
+cat > frontend/src/serviceWorkerRegistration.js << 'EOF'
+// Registers public/service-worker.js, which serves the app shell offline.
+// Production builds only: in development it would serve stale bundles.
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  const register = () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error('Error registering service worker:', error));
+  };
+  if (document.readyState === 'complete') register();
+  else window.addEventListener('load', register, { once: true });
+};
+EOF
+
+# FILE: frontend/public/service-worker.js
+cat > frontend/public/service-worker.js << 'EOF'
+/* eslint-disable no-restricted-globals */
+// Serves the app shell (index.html and the bundles it loads) when offline.
+// Pages are fetched from the network first and fall back to the cached
+// shell; the hashed bundles under /static/ never change, so they come from
+// the cache first. API requests are left alone: the app keeps its own
+// offline copy of tasks in IndexedDB (and /api/docs isn't part of the shell).
+//
+// Whenever index.html is fetched, the cache is refilled from it, so it holds
+// the current build and nothing older.
+
+const CACHE = 'app-shell-v1';
+const SHELL = '/index.html';
+
+// Same-origin /static/ URLs that index.html loads
+const assetsOf = (html) => [...new Set(
+  [...html.matchAll(/(?:src|href)="([^"]*\/static\/[^"]+)"/g)].map(match => new URL(match[1], self.location).href),
+)];
+
+const cacheShell = async (response) => {
+  const html = await response.clone().text();
+  const cache = await caches.open(CACHE);
+  const assets = assetsOf(html);
+  await cache.addAll(assets);
+  await cache.put(SHELL, response);
+  const keep = new Set([new URL(SHELL, self.location).href, ...assets]);
+  const cached = await cache.keys();
+  await Promise.all(cached.filter(request => !keep.has(request.url)).map(request => cache.delete(request)));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(fetch(SHELL, { cache: 'no-cache' }).then(cacheShell).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(names => Promise.all(names.filter(name => name !== CACHE).map(name => caches.delete(name))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request)
+      .then((response) => {
+        if (response.ok) event.waitUntil(cacheShell(response.clone()).catch(() => {}));
+        return response;
+      })
+      .catch(() => caches.match(SHELL)));
+    return;
+  }
+
+  if (url.pathname.startsWith('/static/')) {
+    event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+  }
+});
+EOF
+
+# FILE: frontend/src/queries.js
+cat > frontend/src/queries.js << 'EOF'
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react';
+import { showToast } from './toasts';
+
+// The client's data layer for API reads and one-off writes (task changes go
+// through the outbox in sync.js instead). Reads are queries: results cached
+// by key and shared by every component showing them, with concurrent fetches
+// of a key sharing one request. Transient failures (network errors, 5xx,
+// 429) are retried with backoff while the browser is online.
+//
+// Keys are strings or arrays, e.g. ['history', taskId, version]; a key's
+// first element names the query for invalidateQueries().
+
+const RETRIES = 3;
+const RETRY_BASE_MS = 500;
+
+export const isRetryable = (error) => (
+  error.name !== 'AbortError' && (error.status === undefined || error.status >= 500 || error.status === 429)
+);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run request, retrying transient failures with exponential backoff (and
+// jitter, so clients that failed together don't retry together)
+export const withRetry = async (request, { retries = RETRIES } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error) || !navigator.onLine) throw error;
+      await sleep(RETRY_BASE_MS * 2 ** attempt * (0.5 + Math.random()));
+    }
+  }
+};
+
+const queries = new Map();
+
+const nameOf = (key) => (Array.isArray(key) ? key[0] : key);
+
+const entryFor = (key) => {
+  const id = JSON.stringify(key);
+  if (!queries.has(id)) {
+    queries.set(id, {
+      key,
+      state: { data: undefined, error: null, loading: false, updatedAt: 0 },
+      fetcher: null,
+      promise: null,
+      listeners: new Set(),
+    });
+  }
+  return queries.get(id);
+};
+
+const setState = (entry, changes) => {
+  entry.state = { ...entry.state, ...changes };
+  entry.listeners.forEach(listener => listener());
+};
+
+// Fetch a query, unless it was fetched less than staleTime ms ago or is
+// being fetched already. Resolves to its data.
+export const fetchQuery = (key, fetcher, { staleTime = 0 } = {}) => {
+  const entry = entryFor(key);
+  entry.fetcher = fetcher;
+  if (entry.promise) return entry.promise;
+  if (entry.state.updatedAt && Date.now() - entry.state.updatedAt < staleTime) {
+    return Promise.resolve(entry.state.data);
+  }
+  setState(entry, { loading: true });
+  entry.promise = withRetry(fetcher)
+    .then(
+      (data) => {
+        setState(entry, { data, error: null, loading: false, updatedAt: Date.now() });
+        return data;
+      },
+      (error) => {
+        setState(entry, { error, loading: false });
+        throw error;
+      },
+    )
+    .finally(() => {
+      entry.promise = null;
+    });
+  return entry.promise;
+};
+
+export const getQueryData = (key) => entryFor(key).state.data;
+
+// Replace a query's data, or update it with a function of the current data
+export const setQueryData = (key, update) => {
+  const entry = entryFor(key);
+  setState(entry, { data: typeof update === 'function' ? update(entry.state.data) : update });
+};
+
+// Mark every query with this name stale, refetching the ones on screen
+export const invalidateQueries = (name) => {
+  queries.forEach((entry) => {
+    if (nameOf(entry.key) !== name) return;
+    entry.state = { ...entry.state, updatedAt: 0 };
+    if (entry.listeners.size > 0 && entry.fetcher) fetchQuery(entry.key, entry.fetcher).catch(() => {});
+  });
+};
+
+// Forget everything, e.g. on logout
+export const clearQueries = () => queries.clear();
+
+// A query's { data, error, loading, refetch } for a component. Fetched on
+// mount and when the key changes (unless fresher than staleTime), and every
+// pollInterval ms if given. Polling pauses while the tab is hidden; when it
+// is shown again, stale data is refetched straight away.
+export const useQuery = (key, fetcher, { enabled = true, staleTime = 0, pollInterval = null } = {}) => {
+  const id = JSON.stringify(key);
+  const entry = entryFor(key);
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+
+  const subscribe = useCallback((listener) => {
+    entry.listeners.add(listener);
+    return () => entry.listeners.delete(listener);
+  }, [entry]);
+  const state = useSyncExternalStore(subscribe, () => entry.state);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    // The key as of this effect: a caller's key array is new on every render
+    const queryKey = JSON.parse(id);
+    const load = (maxAge) => fetchQuery(queryKey, () => fetcherRef.current(), { staleTime: maxAge })
+      .catch(error => console.error(`Error fetching ${nameOf(queryKey)}:`, error));
+    let timer = null;
+    const poll = () => {
+      clearInterval(timer);
+      if (pollInterval && !document.hidden) timer = setInterval(() => load(0), pollInterval);
+    };
+    const visibilityChanged = () => {
+      if (!document.hidden) load(pollInterval || staleTime);
+      poll();
+    };
+    load(staleTime);
+    poll();
+    document.addEventListener('visibilitychange', visibilityChanged);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', visibilityChanged);
+    };
+  }, [id, enabled, staleTime, pollInterval]);
+
+  return {
+    ...state,
+    refetch: () => fetchQuery(key, () => fetcherRef.current()),
+  };
+};
+
+// A write with an optimistic change to a query's data: `update` is applied
+// at once and rolled back if the request fails, and the failure is shown as
+// a toast ("<errorMessage>: <reason>"). Responses with a status in `accept`
+// count as success (e.g. a 404 when deleting something already gone).
+// Writes are only retried if asked to, as not all are safe to repeat.
+// Resolves to true if the write went through.
+export const mutate = async ({ key, update, request, errorMessage, accept = [], retries = 0 }) => {
+  const previous = key ? getQueryData(key) : undefined;
+  if (key && update) setQueryData(key, update);
+  try {
+    await withRetry(request, { retries });
+    return true;
+  } catch (error) {
+    if (accept.includes(error.status)) return true;
+    console.error(`${errorMessage}:`, error);
+    if (key && update) {
+      setQueryData(key, previous);
+      invalidateQueries(nameOf(key));
+    }
+    showToast(`${errorMessage}: ${error.message}`, { type: 'error' });
+    return false;
+  }
+};
+EOF
+
+# FILE: frontend/src/toasts.js
+cat > frontend/src/toasts.js << 'EOF'
+import { useSyncExternalStore } from 'react';
+
+// App-wide messages, shown by <Toaster />. Errors stay until dismissed,
+// everything else goes after a few seconds. A message that is already
+// showing is counted rather than stacked again.
+
+const TIMEOUTS_MS = { info: 4000, success: 4000, warning: 8000, error: null };
+const MAX_TOASTS = 5;
+
+let toasts = [];
+let nextId = 1;
+const listeners = new Set();
+
+const emit = (next) => {
+  toasts = next;
+  listeners.forEach(listener => listener());
+};
+
+export const dismissToast = (id) => emit(toasts.filter(toast => toast.id !== id));
+
+// type: 'info' (default), 'success', 'warning' or 'error'; returns the id
+export const showToast = (message, { type = 'info' } = {}) => {
+  const existing = toasts.find(toast => toast.message === message && toast.type === type);
+  if (existing) {
+    emit(toasts.map(toast => (toast === existing ? { ...toast, count: toast.count + 1 } : toast)));
+    return existing.id;
+  }
+  const toast = { id: nextId++, message, type, count: 1 };
+  emit([...toasts, toast].slice(-MAX_TOASTS));
+  if (TIMEOUTS_MS[type]) setTimeout(() => dismissToast(toast.id), TIMEOUTS_MS[type]);
+  return toast.id;
+};
+
+export const clearToasts = () => emit([]);
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const useToasts = () => useSyncExternalStore(subscribe, () => toasts);
+EOF
+
+# FILE: frontend/src/Toaster.js
+cat > frontend/src/Toaster.js << 'EOF'
+import React from 'react';
+import { dismissToast, useToasts } from './toasts';
+
+const ICONS = { info: 'ℹ️', success: '✅', warning: '⚠️', error: '❌' };
+
+// The messages from showToast(), newest at the bottom
+function Toaster() {
+  const toasts = useToasts();
+
+  return (
+    <div className="toaster">
+      {toasts.map(toast => (
+        <div key={toast.id} className={`toast toast-${toast.type}`} role={toast.type === 'error' ? 'alert' : 'status'}>
+          <span>
+            {ICONS[toast.type]} {toast.message}
+            {toast.count > 1 && ` (×${toast.count})`}
+          </span>
+          <button onClick={() => dismissToast(toast.id)} className="link-btn" aria-label="Dismiss">✕</button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default Toaster;
+EOF
+
+# FILE: frontend/src/router.js
+cat > frontend/src/router.js << 'EOF'
+import React, { useMemo, useSyncExternalStore } from 'react';
+
+// Client-side routing on the History API. The web server (and the service
+// worker, offline) answer every page URL with index.html, and the app picks
+// the page from the path.
+
+const listeners = new Set();
+const notify = () => listeners.forEach(listener => listener());
+window.addEventListener('popstate', notify);
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const currentUrl = () => `${window.location.pathname}${window.location.search}`;
+
+// Go to a path (with query string). New pages start at the top; `replace`
+// updates the current history entry instead (e.g. while typing a search).
+export const navigate = (to, { replace = false } = {}) => {
+  if (to === currentUrl()) return;
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', to);
+  if (!replace) window.scrollTo(0, 0);
+  notify();
+};
+
+// { pathname, query } of the current URL; re-renders when it changes
+export const useLocation = () => {
+  const url = useSyncExternalStore(subscribe, currentUrl);
+  return useMemo(() => {
+    const { pathname, searchParams } = new URL(url, window.location.origin);
+    return { pathname, query: searchParams };
+  }, [url]);
+};
+
+// Params of `pattern` (e.g. '/tasks/:id') in pathname, or null if it
+// doesn't match
+export const matchPath = (pattern, pathname) => {
+  const names = [];
+  const source = pattern.replace(/:(\w+)/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  const match = new RegExp(`^${source}/?$`).exec(pathname);
+  if (!match) return null;
+  return Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+};
+
+// A link handled by the router. Modified clicks (new tab, ...) are left to
+// the browser.
+export function Link({ to, onClick, children, ...props }) {
+  const follow = (event) => {
+    if (onClick) onClick(event);
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+    event.preventDefault();
+    navigate(to);
+  };
+  return <a href={to} onClick={follow} {...props}>{children}</a>;
+}
+EOF
+
+# FILE: frontend/src/NotFound.js
+cat > frontend/src/NotFound.js << 'EOF'
+import React from 'react';
+import { Link } from './router';
+
+function NotFound({ backTo, message = "There's no page at this address." }) {
+  return (
+    <div className="tasks-container not-found">
+      <h2>🔍 Not found</h2>
+      <p>{message}</p>
+      <Link to={backTo} className="link-btn">← Back to tasks</Link>
+    </div>
+  );
+}
+
+export default NotFound;
+EOF
+
+# FILE: frontend/src/TaskDetail.js
+cat > frontend/src/TaskDetail.js << 'EOF'
+import React, { useState } from 'react';
+import * as client from './apiClient';
+import Attachments from './Attachments';
+import TaskForm, { formatReminder, isOverdue } from './TaskForm';
+import TaskHistory from './TaskHistory';
+import NotFound from './NotFound';
+import { Link } from './router';
+import { useQuery } from './queries';
+import { isLocalId } from './sync';
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+// One task, at /tasks/:id. Loaded on its own, so links to tasks outside the
+// list shown work too; while it loads, and for tasks not yet saved to the
+// server, the list's copy (`listed`) is shown. Changes go through the same
+// handlers as in the list.
+function TaskDetail({ id, listed, backTo, tagUrl, onSave, onToggle, onToggleItem, onDelete, onAttachmentsChange }) {
+  const [editing, setEditing] = useState(false);
+  const { data, error, refetch } = useQuery(['task', id], () => client.getTask(id), { enabled: !isLocalId(id) });
+
+  // The newer of the two; on a tie the list's, which has changes not yet sent
+  const task = [listed, data].filter(Boolean).sort((a, b) => b.__v - a.__v)[0];
+
+  if (!task) {
+    if (isLocalId(id) || data === null || (error && error.status === 404)) {
+      return <NotFound backTo={backTo} message="This task doesn't exist, or it was deleted." />;
+    }
+    return (
+      <div className="tasks-container">
+        {error ? (
+          <div className="notice" onClick={refetch}>⚠️ Could not load the task: {error.message} (click to retry)</div>
+        ) : (
+          <div className="load-more">⏳ Loading...</div>
+        )}
+        <Link to={backTo} className="link-btn">← Back to tasks</Link>
+      </div>
+    );
+  }
+
+  const save = async (values) => {
+    const saved = await onSave(task, values);
+    if (saved) setEditing(false);
+    return saved;
+  };
+
+  return (
+    <div className="tasks-container task-detail">
+      <div className="section-header">
+        <Link to={backTo} className="link-btn">← Back to tasks</Link>
+        <div className="task-actions">
+          <button onClick={() => setEditing(!editing)} className="history-btn" title="Edit">✏️</button>
+          <button onClick={() => onDelete(task)} className="delete-btn" title="Move to trash">🗑️</button>
+        </div>
+      </div>
+
+      {editing ? (
+        <div className="task editing">
+          <TaskForm task={task} submitLabel="Save" onSubmit={save} onCancel={() => setEditing(false)} />
+        </div>
+      ) : (
+        <div className={['task', task.completed && 'completed', isOverdue(task) && 'overdue'].filter(Boolean).join(' ')}>
+          <div className="task-content">
+            <h2 onClick={() => onToggle(task)} title={task.completed ? 'Mark as not done' : 'Mark as done'}>
+              {task.completed ? '✅' : '⭕'} {task.title}
+            </h2>
+            {task.description && <p className="task-description">{task.description}</p>}
+            <dl className="task-fields">
+              <dt>Priority</dt>
+              <dd>{task.priority || '—'}</dd>
+              <dt>Due</dt>
+              <dd>{formatDate(task.dueDate)}{isOverdue(task) && ' (overdue)'}</dd>
+              <dt>Repeats</dt>
+              <dd>{task.recurrence ? `${task.recurrence} (times in UTC)` : '—'}</dd>
+              <dt>Reminders</dt>
+              <dd>{task.reminders.length > 0 ? task.reminders.map(formatReminder).join(', ') : '—'}</dd>
+              <dt>Tags</dt>
+              <dd>
+                {task.tags.length > 0
+                  ? task.tags.map(tag => <Link key={tag} to={tagUrl(tag)} className="tag-chip">#{tag}</Link>)
+                  : '—'}
+              </dd>
+              <dt>Created</dt>
+              <dd>{formatDate(task.createdAt)}</dd>
+              <dt>Updated</dt>
+              <dd>{formatDate(task.updatedAt)}</dd>
+              <dt>Completed</dt>
+              <dd>{formatDate(task.completedAt)}</dd>
+              <dt>Server</dt>
+              <dd>
+                {isLocalId(task._id)
+                  ? '⏳ Not saved to the server yet'
+                  : `${task.serverHostname || 'N/A'} | ${task.serverIp || 'N/A'}`}
+              </dd>
+            </dl>
+            {task.checklist.length > 0 && (
+              <ul className="checklist">
+                {task.checklist.map(item => (
+                  <li key={item._id} className={item.done ? 'done' : ''}>
+                    <label>
+                      <input type="checkbox" checked={item.done} onChange={() => onToggleItem(task, item._id)} />
+                      {' '}{item.text}
+                    </label>
+                  </li>
+                ))}
+                <li className="checklist-progress">
+                  {task.checklist.filter(item => item.done).length}/{task.checklist.length} done
+                </li>
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+
+      <h3>📎 Attachments</h3>
+      <Attachments task={task} onChange={onAttachmentsChange} />
+
+      {!isLocalId(task._id) && (
+        <>
+          <h3>🕘 History</h3>
+          <TaskHistory taskId={task._id} version={task.__v} />
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TaskDetail;
+EOF
+
+# FILE: frontend/src/LoadDashboard.js
+cat > frontend/src/LoadDashboard.js << 'EOF'
+import React, { useEffect, useRef, useState } from 'react';
+import { API_VERSION, probe } from './api';
+import { Link } from './router';
+import { showToast } from './toasts';
+
+// What a burst requests: an instance-only endpoint, one that goes to
+// storage, or the check the ALB itself uses
+const TARGETS = {
+  serverInfo: { label: 'Server info (instance only)', path: `/api/v${API_VERSION}/server-info` },
+  tasks: { label: 'First task (storage, logged in)', path: `/api/v${API_VERSION}/tasks?limit=1`, authenticated: true },
+  health: { label: 'Readiness check (as the ALB sees it)', path: '/health/ready' },
+};
+
+const MAX_REQUESTS = 1000;
+const MAX_CONCURRENCY = 50;
+const REPEAT_DELAY_MS = 5000;
+// Results kept for the charts, newest last
+const MAX_RESULTS = 5000;
+const TIMELINE_ROWS = 20;
+// Results are drawn in batches, not one render per response
+const RENDER_INTERVAL_MS = 200;
+const COLORS = ['#4caf50', '#2196f3', '#ff9800', '#e91e63', '#9c27b0', '#00bcd4', '#ffeb3b', '#795548'];
+const NO_RESPONSE = 'No response';
+
+const clamp = (value, min, max) => Math.min(Math.max(Math.round(Number(value)) || min, min), max);
+const isError = (result) => result.status === 0 || result.status >= 400;
+const instanceOf = (result) => result.servedBy || NO_RESPONSE;
+const percent = (fraction) => `${Math.round(fraction * 1000) / 10}%`;
+const ms = (duration) => `${Math.round(duration)} ms`;
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+const wait = (delay, signal) => new Promise((resolve) => {
+  const timeout = setTimeout(resolve, delay);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timeout);
+    resolve();
+  }, { once: true });
+});
+
+// Send `count` requests, at most `concurrency` at a time, reporting each as
+// it completes
+const runBurst = async ({ count, concurrency, target, sticky, signal, onResult }) => {
+  let started = 0;
+  const worker = async () => {
+    while (started < count && !signal.aborted) {
+      started += 1;
+      const result = await probe(target.path, { authenticated: target.authenticated, sticky, signal });
+      onResult({ ...result, at: Date.now() });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, count) }, worker));
+};
+
+// Requests, share, latency and errors per instance, in the order they first answered
+const summarize = (results) => {
+  const instances = new Map();
+  results.forEach((result) => {
+    const name = instanceOf(result);
+    if (!instances.has(name)) instances.set(name, { name, durations: [], errors: 0, statuses: {} });
+    const instance = instances.get(name);
+    instance.durations.push(result.durationMs);
+    if (isError(result)) instance.errors += 1;
+    instance.statuses[result.status] = (instance.statuses[result.status] || 0) + 1;
+  });
+  return [...instances.values()].map(({ name, durations, errors, statuses }, index) => {
+    const sorted = [...durations].sort((a, b) => a - b);
+    return {
+      name,
+      color: name === NO_RESPONSE ? '#9e9e9e' : COLORS[index % COLORS.length],
+      count: sorted.length,
+      share: sorted.length / results.length,
+      errorRate: errors / sorted.length,
+      average: sorted.reduce((sum, duration) => sum + duration, 0) / sorted.length,
+      p50: percentile(sorted, 0.5),
+      p95: percentile(sorted, 0.95),
+      statuses,
+    };
+  });
+};
+
+// The results in up to TIMELINE_ROWS runs of consecutive responses, with the
+// requests each instance answered in each
+const timeline = (results) => {
+  const size = Math.ceil(results.length / TIMELINE_ROWS);
+  const rows = [];
+  for (let start = 0; start < results.length; start += size) {
+    const slice = results.slice(start, start + size);
+    const counts = {};
+    slice.forEach((result) => {
+      counts[instanceOf(result)] = (counts[instanceOf(result)] || 0) + 1;
+    });
+    rows.push({ at: slice[0].at, total: slice.length, counts });
+  }
+  return rows;
+};
+
+// Fires bursts of requests at the API and charts which instances answered
+// them, to check how the ALB spreads load and whether sticky sessions hold
+function LoadDashboard({ backTo }) {
+  const [settings, setSettings] = useState({
+    count: 100, concurrency: 10, target: 'serverInfo', sticky: true, repeat: false,
+  });
+  const [results, setResults] = useState([]);
+  const [running, setRunning] = useState(false);
+  const controller = useRef(null);
+  const pending = useRef([]);
+  const renderTimer = useRef(null);
+
+  useEffect(() => () => {
+    if (controller.current) controller.current.abort();
+    clearTimeout(renderTimer.current);
+  }, []);
+
+  const change = (field) => (event) => {
+    const { type, checked, value } = event.target;
+    setSettings(prev => ({ ...prev, [field]: type === 'checkbox' ? checked : value }));
+  };
+
+  const render = () => {
+    renderTimer.current = null;
+    const batch = pending.current;
+    pending.current = [];
+    setResults(prev => [...prev, ...batch].slice(-MAX_RESULTS));
+  };
+
+  const record = (result) => {
+    pending.current.push(result);
+    if (!renderTimer.current) renderTimer.current = setTimeout(render, RENDER_INTERVAL_MS);
+  };
+
+  const start = async () => {
+    const burst = {
+      count: clamp(settings.count, 1, MAX_REQUESTS),
+      concurrency: clamp(settings.concurrency, 1, MAX_CONCURRENCY),
+      target: TARGETS[settings.target],
+      sticky: settings.sticky,
+    };
+    setSettings(prev => ({ ...prev, count: burst.count, concurrency: burst.concurrency }));
+    const current = new AbortController();
+    controller.current = current;
+    setRunning(true);
+    try {
+      for (;;) {
+        await runBurst({ ...burst, signal: current.signal, onResult: record });
+        if (!settings.repeat || current.signal.aborted) break;
+        await wait(REPEAT_DELAY_MS, current.signal);
+        if (current.signal.aborted) break;
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') showToast(`Load test stopped: ${error.message}`, { type: 'error' });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const stop = () => controller.current.abort();
+
+  const instances = summarize(results);
+  const colorOf = Object.fromEntries(instances.map(instance => [instance.name, instance.color]));
+  const errors = results.filter(isError).length;
+
+  return (
+    <div className="tasks-container load-dashboard">
+      <div className="section-header">
+        <h2>📊 Load distribution</h2>
+        <Link to={backTo} className="link-btn">← Back to tasks</Link>
+      </div>
+
+      <div className="load-controls">
+        <label>
+          Requests
+          <input type="number" min="1" max={MAX_REQUESTS} value={settings.count} onChange={change('count')} disabled={running} />
+        </label>
+        <label>
+          At a time
+          <input
+            type="number"
+            min="1"
+            max={MAX_CONCURRENCY}
+            value={settings.concurrency}
+            onChange={change('concurrency')}
+            disabled={running}
+          />
+        </label>
+        <label>
+          Endpoint
+          <select value={settings.target} onChange={change('target')} disabled={running}>
+            {Object.entries(TARGETS).map(([value, target]) => (
+              <option key={value} value={value}>{target.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="checkbox">
+          <input type="checkbox" checked={settings.sticky} onChange={change('sticky')} disabled={running} />
+          Send cookies (ALB stickiness)
+        </label>
+        <label className="checkbox">
+          <input type="checkbox" checked={settings.repeat} onChange={change('repeat')} disabled={running} />
+          Repeat every {REPEAT_DELAY_MS / 1000}s
+        </label>
+        {running
+          ? <button onClick={stop}>⏹ Stop</button>
+          : <button onClick={start}>▶ Run</button>}
+        <button onClick={() => setResults([])} className="link-btn" disabled={running || results.length === 0}>
+          Clear
+        </button>
+      </div>
+      <p className="hint">
+        Bursts count against the API's rate limits; a 429 shows up as an error. Without cookies, an ALB with
+        sticky sessions spreads requests as if stickiness were off.
+      </p>
+
+      {results.length === 0 ? (
+        <div className="load-more">{running ? '⏳ Waiting for responses...' : 'Run a burst to see which instances answer.'}</div>
+      ) : (
+        <>
+          <p>
+            {results.length} requests, {instances.filter(instance => instance.name !== NO_RESPONSE).length} instances,
+            {' '}{percent(errors / results.length)} errors
+          </p>
+
+          <h3>Share of requests</h3>
+          <div className="distribution">
+            {instances.map(instance => (
+              <div key={instance.name} className="distribution-row">
+                <span className="distribution-label">{instance.name}</span>
+                <span className="distribution-track">
+                  <span className="distribution-bar" style={{ width: percent(instance.share), background: instance.color }} />
+                </span>
+                <span>{instance.count} ({percent(instance.share)})</span>
+              </div>
+            ))}
+          </div>
+
+          <h3>Latency and errors</h3>
+          <table className="load-table">
+            <thead>
+              <tr>
+                <th>Instance</th>
+                <th>Average</th>
+                <th>Median</th>
+                <th>95th %</th>
+                <th>Errors</th>
+                <th>Statuses</th>
+              </tr>
+            </thead>
+            <tbody>
+              {instances.map(instance => (
+                <tr key={instance.name}>
+                  <td><span className="swatch" style={{ background: instance.color }} /> {instance.name}</td>
+                  <td>{ms(instance.average)}</td>
+                  <td>{ms(instance.p50)}</td>
+                  <td>{ms(instance.p95)}</td>
+                  <td className={instance.errorRate > 0 ? 'load-errors' : ''}>{percent(instance.errorRate)}</td>
+                  <td>
+                    {Object.entries(instance.statuses)
+                      .map(([status, count]) => `${status === '0' ? 'failed' : status} × ${count}`)
+                      .join(', ')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3>Over time</h3>
+          <div className="timeline">
+            {timeline(results).map((row, index) => (
+              <div key={index} className="distribution-row">
+                <span className="distribution-label">{new Date(row.at).toLocaleTimeString()}</span>
+                <span
+                  className="distribution-track"
+                  title={Object.entries(row.counts).map(([name, count]) => `${name}: ${count}`).join('\n')}
+                >
+                  {Object.entries(row.counts).map(([name, count]) => (
+                    <span
+                      key={name}
+                      className="distribution-bar"
+                      style={{ width: percent(count / row.total), background: colorOf[name] }}
+                    />
+                  ))}
+                </span>
+                <span>{row.total}</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default LoadDashboard;
+EOF
+
+# FILE: frontend/src/Attachments.js
+cat > frontend/src/Attachments.js << 'EOF'
+import React, { useEffect, useRef, useState } from 'react';
+import * as client from './apiClient';
+import { useQuery } from './queries';
+import { isLocalId } from './sync';
+import { showToast } from './toasts';
+
+// Shown as thumbnails; the server sends other types as downloads
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// What the file picker offers; the server checks the content itself
+const ACCEPT = [
+  ...IMAGE_TYPES, '.pdf', '.docx', '.xlsx', '.pptx', '.txt', '.log', '.md', '.csv',
+].join(',');
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${Math.round(bytes / 1024 / 102.4) / 10} MB`;
+};
+
+// Whether a drag carries files from outside the page (not a task being reordered)
+export const isFileDrag = (event) => [...event.dataTransfer.types].includes('Files');
+
+// Attach files to a task, one request each, passing the task back after
+// each. Not queued like other changes: files need the server, and a task
+// made offline has to reach it first.
+export const uploadAttachments = async (task, files, onChange) => {
+  if (isLocalId(task._id)) {
+    showToast('Files can be attached once the task is saved to the server.', { type: 'warning' });
+    return;
+  }
+  for (const file of files) {
+    const body = new FormData();
+    body.append('file', file);
+    try {
+      onChange(await client.uploadAttachment(task._id, body));
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+      showToast(`Could not attach "${file.name}": ${error.message}`, { type: 'error' });
+    }
+  }
+};
+
+// Files are fetched through the API client, since downloads need the bearer
+// token; they never change, so each is fetched once
+const Thumbnail = ({ taskId, attachment }) => {
+  const { data } = useQuery(
+    ['attachment', taskId, attachment._id],
+    () => client.getAttachment(taskId, attachment._id),
+    { staleTime: Infinity },
+  );
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!data) return undefined;
+    const objectUrl = URL.createObjectURL(data);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [data]);
+
+  return url
+    ? <img src={url} alt={attachment.name} className="attachment-thumbnail" />
+    : <span className="attachment-thumbnail">🖼️</span>;
+};
+
+const download = async (taskId, attachment) => {
+  try {
+    const url = URL.createObjectURL(await client.getAttachment(taskId, attachment._id, { download: 'true' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = attachment.name;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    showToast(`Could not download "${attachment.name}": ${error.message}`, { type: 'error' });
+  }
+};
+
+// A task's attachments: thumbnails of images, names of other files. In full
+// (on the task's page) also a drop zone and picker for adding files, and
+// buttons to download or remove them; compact (on the list's cards) only
+// shows them, and files are added by dropping them on the card.
+function Attachments({ task, onChange, compact = false }) {
+  const fileRef = useRef(null);
+  const [uploading, setUploading] = useState(false);
+  const [dragOver, setDragOver] = useState(false);
+  const local = isLocalId(task._id);
+
+  const upload = async (files) => {
+    if (files.length === 0) return;
+    setUploading(true);
+    await uploadAttachments(task, files, onChange);
+    setUploading(false);
+  };
+
+  const remove = async (attachment) => {
+    if (!window.confirm(`Remove "${attachment.name}" from this task?`)) return;
+    try {
+      onChange(await client.deleteAttachment(task._id, attachment._id));
+    } catch (error) {
+      console.error('Error removing attachment:', error);
+      showToast(`Could not remove "${attachment.name}": ${error.message}`, { type: 'error' });
+    }
+  };
+
+  if (compact) {
+    if (task.attachments.length === 0) return null;
+    return (
+      <div className="attachments compact">
+        {task.attachments.map(attachment => (IMAGE_TYPES.includes(attachment.type) ? (
+          <Thumbnail key={attachment._id} taskId={task._id} attachment={attachment} />
+        ) : (
+          <span key={attachment._id} className="attachment-name" title={formatSize(attachment.size)}>
+            📎 {attachment.name}
+          </span>
+        )))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="attachments">
+      {task.attachments.length > 0 && (
+        <ul className="attachment-list">
+          {task.attachments.map(attachment => (
+            <li key={attachment._id}>
+              {IMAGE_TYPES.includes(attachment.type)
+                ? <Thumbnail taskId={task._id} attachment={attachment} />
+                : <span className="attachment-thumbnail">📎</span>}
+              <span className="attachment-name">{attachment.name}</span>
+              <span className="attachment-size">{formatSize(attachment.size)}</span>
+              <button onClick={() => download(task._id, attachment)} className="history-btn" title="Download">⬇️</button>
+              <button onClick={() => remove(attachment)} className="delete-btn" title="Remove">✖️</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {local ? (
+        <p className="hint">Files can be attached once the task is saved to the server.</p>
+      ) : (
+        <div
+          className={['drop-zone', dragOver && 'active'].filter(Boolean).join(' ')}
+          onDragOver={(e) => {
+            if (!isFileDrag(e)) return;
+            e.preventDefault();
+            setDragOver(true);
+          }}
+          onDragLeave={() => setDragOver(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setDragOver(false);
+            upload([...e.dataTransfer.files]);
+          }}
+        >
+          {uploading ? '⏳ Uploading...' : 'Drop files here, or '}
+          {!uploading && (
+            <button onClick={() => fileRef.current.click()} className="link-btn">choose files</button>
+          )}
+          <input
+            ref={fileRef}
+            type="file"
+            accept={ACCEPT}
+            multiple
+            onChange={(e) => {
+              const files = [...e.target.files];
+              e.target.value = '';
+              upload(files);
+            }}
+            hidden
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Attachments;
+EOF
+
+# FILE: frontend/src/App.css
+cat > frontend/src/App.css << 'EOF'
+.App {
+  min-height: 100vh;
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  padding: 20px;
+}
+
+.App-header {
+  max-width: 1200px;
+  margin: 0 auto;
+  color: white;
+}
+
+h1 {
+  text-align: center;
+  font-size: 3rem;
+  margin-bottom: 2rem;
+}
+
+.server-info {
+  background: rgba(255, 255, 255, 0.1);
+  backdrop-filter: blur(10px);
+  border-radius: 15px;
+  padding: 1.5rem;
+  margin-bottom: 2rem;
+  border: 1px solid rgba(255, 255, 255, 0.2);
+}
+
+.info-grid {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+  gap: 1rem;
+  margin-top: 1rem;
+}
+
+.notice {
+  background: rgba(255, 193, 7, 0.25);
+  border: 1px solid rgba(255, 193, 7, 0.6);
+  border-radius: 10px;
+  padding: 1rem;
+  margin-bottom: 1rem;
+  cursor: pointer;
+}
+
+.toaster {
+  position: fixed;
+  right: 1rem;
+  bottom: 1rem;
+  display: flex;
+  flex-direction: column;
+  gap: 0.5rem;
+  max-width: min(420px, calc(100vw - 2rem));
+  z-index: 10;
+}
+
+.toast {
+  display: flex;
+  align-items: flex-start;
+  justify-content: space-between;
+  gap: 0.5rem;
+  padding: 0.75rem 1rem;
+  border-radius: 10px;
+  background: rgba(40, 40, 60, 0.95);
+  border-left: 4px solid #90caf9;
+  font-size: 0.9rem;
+  text-align: left;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+}
+
+.toast .link-btn {
+  padding: 0 0.25rem;
+  text-decoration: none;
+}
+
+.toast-success {
+  border-left-color: #4caf50;
+}
+
+.toast-warning {
+  border-left-color: #ffc107;
+}
+
+.toast-error {
+  border-left-color: #f44336;
+}
+
+.sync-status {
+  font-size: 0.9rem;
+  margin-bottom: 1rem;
+  opacity: 0.85;
+}
+
+.sync-status .link-btn {
+  padding: 0 0.5rem;
+}
+
+.sync-offline,
+.sync-pending {
+  opacity: 1;
+  color: #ffe082;
+}
+
+.task-form {
+  display: flex;
+  gap: 1rem;
+  margin-bottom: 2rem;
+  flex-wrap: wrap;
+}
+
+.task-form input {
+  flex: 1;
+  min-width: 200px;
+  padding: 1rem;
+  border-radius: 10px;
+  border: none;
+  font-size: 1rem;
+}
+
+.task-form button {
+  padding: 1rem 2rem;
+  border-radius: 10px;
+  border: none;
+  background: #4CAF50;
+  color: white;
+  font-size: 1rem;
+  cursor: pointer;
+  transition: all 0.3s;
+}
+
+.task-form button:hover {
+  background: #45a049;
+  transform: translateY(-2px);
+}
+
+.task-form button:disabled {
+  opacity: 0.5;
+  cursor: not-allowed;
+}
+
+.auth-form {
+  flex-direction: column;
+  max-width: 400px;
+  margin: 0 auto 2rem;
+}
+
+.auth-form h2 {
+  text-align: center;
+  margin: 0;
+}
+
+.user-bar {
+  display: flex;
+  justify-content: flex-end;
+  align-items: center;
+  gap: 1rem;
+  margin-bottom: 1rem;
+}
+
+.link-btn,
+.task-form .link-btn {
+  background: none;
+  border: none;
+  color: white;
+  text-decoration: underline;
+  cursor: pointer;
+  font-size: 0.9rem;
+  padding: 0.5rem;
+}
+
+.task-form .link-btn:hover {
+  background: none;
+  transform: none;
+}
+
+.tasks-container {
+  margin-top: 2rem;
+}
+
+.task-search {
+  width: 100%;
+  box-sizing: border-box;
+  padding: 1rem;
+  margin-bottom: 1rem;
+  border-radius: 10px;
+  border: none;
+  font-size: 1rem;
+}
+
+.task-filters {
+  display: flex;
+  gap: 0.5rem;
+}
+
+.task-filters select {
+  margin-bottom: 1rem;
+  padding: 0 0.75rem;
+  border-radius: 10px;
+  border: none;
+  font-size: 1rem;
+}
+
+.drag-handle {
+  background: none;
+  border: none;
+  color: inherit;
+  cursor: grab;
+  font-size: 1.4rem;
+  padding: 0 0.75rem 0 0;
+  opacity: 0.6;
+}
+
+.drag-handle:hover,
+.drag-handle:focus-visible {
+  opacity: 1;
+}
+
+.task.dragging {
+  opacity: 0.4;
+}
+
+.task.drop-before {
+  box-shadow: 0 -3px 0 #4caf50;
+}
+
+.task.drop-after {
+  box-shadow: 0 3px 0 #4caf50;
+}
+
+.visually-hidden {
+  position: absolute;
+  width: 1px;
+  height: 1px;
+  overflow: hidden;
+  clip: rect(0 0 0 0);
+  white-space: nowrap;
+}
+
+.load-more {
+  text-align: center;
+  padding: 1rem;
+  opacity: 0.7;
+}
+
+.task {
+  background: rgba(255, 255, 255, 0.15);
+  backdrop-filter: blur(10px);
+  border-radius: 10px;
+  padding: 1.5rem;
+  margin-bottom: 1rem;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  border: 1px solid rgba(255, 255, 255, 0.2);
+  transition: all 0.3s;
+}
+
+.task:hover {
+  transform: translateY(-2px);
+  box-shadow: 0 5px 15px rgba(0, 0, 0, 0.3);
+}
+
+.task.completed {
+  opacity: 0.7;
+}
+
+.task.completed h3 {
+  text-decoration: line-through;
+}
+
+/* Changed here but not yet saved to the server */
+.task.unsynced {
+  border-style: dashed;
+}
+
+.task-content {
+  flex: 1;
+}
+
+.task h3 {
+  margin: 0 0 0.5rem 0;
+  cursor: pointer;
+  font-size: 1.5rem;
+}
+
+.task p {
+  margin: 0.5rem 0;
+  opacity: 0.9;
+}
+
+.task small {
+  opacity: 0.7;
+  font-size: 0.8rem;
+}
+
+.delete-btn {
+  background: #f44336;
+  border: none;
+  padding: 0.5rem 1rem;
+  border-radius: 5px;
+  cursor: pointer;
+  font-size: 1.2rem;
+  transition: all 0.3s;
+}
+
+.delete-btn:hover {
+  background: #da190b;
+  transform: scale(1.1);
+}
+
+.section-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+}
+
+.hint {
+  opacity: 0.7;
+  font-size: 0.9rem;
+}
+
+.task-actions {
+  display: flex;
+  gap: 0.5rem;
+}
+
+.history-btn,
+.restore-btn {
+  background: rgba(255, 255, 255, 0.2);
+  border: none;
+  padding: 0.5rem 1rem;
+  border-radius: 5px;
+  cursor: pointer;
+  font-size: 1.2rem;
+  transition: all 0.3s;
+}
+
+.history-btn:hover,
+.restore-btn:hover {
+  background: rgba(255, 255, 255, 0.35);
+  transform: scale(1.1);
+}
+
+.task.trashed {
+  opacity: 0.8;
+}
+
+.import-export {
+  display: inline-flex;
+}
+
+.bulk-bar {
+  display: flex;
+  align-items: center;
+  gap: 1rem;
+  margin-bottom: 1rem;
+  min-height: 2.5rem;
+}
+
+.bulk-bar button:not(.link-btn) {
+  padding: 0.5rem 1rem;
+  border-radius: 5px;
+  border: none;
+  background: rgba(255, 255, 255, 0.25);
+  color: white;
+  cursor: pointer;
+}
+
+.bulk-bar button:disabled {
+  opacity: 0.5;
+  cursor: not-allowed;
+}
+
+.task-select {
+  margin-right: 1rem;
+  transform: scale(1.3);
+  cursor: pointer;
+}
+
+.history {
+  margin: 1rem 0 0;
+  padding-left: 1.2rem;
+  font-size: 0.85rem;
+  opacity: 0.9;
+}
+
+.history li {
+  margin-bottom: 0.4rem;
+}
+
+.task-form-row {
+  display: flex;
+  gap: 1rem;
+  align-items: center;
+  flex-wrap: wrap;
+  width: 100%;
+}
+
+.task-form select {
+  padding: 1rem;
+  border-radius: 10px;
+  border: none;
+  font-size: 1rem;
+}
+
+.task.editing {
+  display: block;
+}
+
+.task.editing .task-form {
+  margin-bottom: 0;
+}
+
+.task.overdue {
+  border-color: rgba(244, 67, 54, 0.8);
+  box-shadow: inset 4px 0 0 #f44336;
+}
+
+.task.overdue .due-date {
+  color: #ffcdd2;
+  font-weight: bold;
+}
+
+.task-meta {
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 0.5rem;
+  margin: 0.5rem 0;
+  font-size: 0.85rem;
+}
+
+.priority {
+  padding: 0.15rem 0.6rem;
+  border-radius: 999px;
+  text-transform: uppercase;
+  font-size: 0.7rem;
+  font-weight: bold;
+}
+
+.priority-low {
+  background: rgba(255, 255, 255, 0.25);
+}
+
+.priority-medium {
+  background: #ff9800;
+}
+
+.priority-high {
+  background: #f44336;
+}
+
+.tag-chip {
+  background: rgba(255, 255, 255, 0.25);
+  border: none;
+  border-radius: 999px;
+  padding: 0.15rem 0.6rem;
+  color: white;
+  font-size: 0.8rem;
+  cursor: pointer;
 }
-EOF
 
-# FILE: backend/.env.example
-cat > backend/.env.example << 'EOF'
-PORT=5000
-MONGODB_URI=mongodb://localhost:27017/fullstack-app
-NODE_ENV=production
-EOF
+.tag-chip:hover {
+  background: rgba(255, 255, 255, 0.4);
+}
 
-# ============================================
-# PART 2: FRONTEND APPLICATION (React)
-# ============================================
+.reminder-options {
+  display: inline-flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 0.5rem;
+  font-size: 0.85rem;
+}
 
-# FILE: frontend/src/App.js
-cat > frontend/src/App.js << 'EOF'
-import React, { useState, useEffect } from 'react';
-import './App.css';
+.tag-filter {
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  margin-bottom: 1rem;
+}
 
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+.checklist {
+  list-style: none;
+  padding: 0;
+  margin: 0.5rem 0;
+  width: 100%;
+}
 
-function App() {
-  const [tasks, setTasks] = useState([]);
-  const [serverInfo, setServerInfo] = useState(null);
-  const [newTask, setNewTask] = useState({ title: '', description: '' });
-  const [loading, setLoading] = useState(false);
+.checklist li {
+  margin-bottom: 0.25rem;
+}
 
-  useEffect(() => {
-    fetchTasks();
-    fetchServerInfo();
-    const interval = setInterval(fetchServerInfo, 10000);
-    return () => clearInterval(interval);
-  }, []);
+.checklist li.done label {
+  text-decoration: line-through;
+  opacity: 0.7;
+}
 
-  const fetchTasks = async () => {
-    try {
-      const response = await fetch(`${API_URL}/api/tasks`);
-      const data = await response.json();
-      setTasks(data);
-    } catch (error) {
-      console.error('Error fetching tasks:', error);
-    }
-  };
+.checklist-progress {
+  font-size: 0.8rem;
+  opacity: 0.7;
+}
 
-  const fetchServerInfo = async () => {
-    try {
-      const response = await fetch(`${API_URL}/api/server-info`);
-      const data = await response.json();
-      setServerInfo(data);
-    } catch (error) {
-      console.error('Error fetching server info:', error);
-    }
-  };
+.checklist-edit li {
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+}
 
-  const createTask = async (e) => {
-    e.preventDefault();
-    setLoading(true);
-    try {
-      const response = await fetch(`${API_URL}/api/tasks`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(newTask),
-      });
-      const data = await response.json();
-      setTasks([data, ...tasks]);
-      setNewTask({ title: '', description: '' });
-      fetchServerInfo();
-    } catch (error) {
-      console.error('Error creating task:', error);
-    }
-    setLoading(false);
-  };
+.checklist-edit input[type="checkbox"] {
+  flex: none;
+  min-width: 0;
+}
 
-  const toggleTask = async (id, completed) => {
-    try {
-      const response = await fetch(`${API_URL}/api/tasks/${id}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ completed: !completed }),
-      });
-      const data = await response.json();
-      setTasks(tasks.map(task => task._id === id ? data : task));
-    } catch (error) {
-      console.error('Error updating task:', error);
-    }
-  };
+.checklist-edit input[type="text"] {
+  padding: 0.5rem;
+}
 
-  const deleteTask = async (id) => {
-    try {
-      await fetch(`${API_URL}/api/tasks/${id}`, { method: 'DELETE' });
-      setTasks(tasks.filter(task => task._id !== id));
-    } catch (error) {
-      console.error('Error deleting task:', error);
-    }
-  };
+a.history-btn,
+a.tag-chip {
+  display: inline-block;
+  text-decoration: none;
+}
 
-  return (
-    <div className="App">
-      <header className="App-header">
-        <h1>🚀 AWS Load Balanced App</h1>
-        
-        {serverInfo && (
-          <div className="server-info">
-            <h3>🖥️ Current Server</h3>
-            <div className="info-grid">
-              <div><strong>Hostname:</strong> {serverInfo.hostname}</div>
-              <div><strong>IP:</strong> {serverInfo.ip}</div>
-              <div><strong>Uptime:</strong> {Math.round(serverInfo.uptime)}s</div>
-              <div><strong>Memory:</strong> {serverInfo.memory.free}MB / {serverInfo.memory.total}MB</div>
-            </div>
-          </div>
-        )}
+.status-filter {
+  display: flex;
+  gap: 0.5rem;
+  margin-bottom: 1rem;
+}
 
-        <form onSubmit={createTask} className="task-form">
-          <input
-            type="text"
-            placeholder="Task Title"
-            value={newTask.title}
-            onChange={(e) => setNewTask({...newTask, title: e.target.value})}
-            required
-          />
-          <input
-            type="text"
-            placeholder="Description"
-            value={newTask.description}
-            onChange={(e) => setNewTask({...newTask, description: e.target.value})}
-          />
-          <button type="submit" disabled={loading}>
-            {loading ? '⏳' : '➕'} Add Task
-          </button>
-        </form>
+.status-filter a {
+  padding: 0.4rem 1rem;
+  border-radius: 999px;
+  color: white;
+  text-decoration: none;
+  background: rgba(255, 255, 255, 0.15);
+}
 
-        <div className="tasks-container">
-          <h2>📋 Tasks ({tasks.length})</h2>
-          {tasks.map(task => (
-            <div key={task._id} className={`task ${task.completed ? 'completed' : ''}`}>
-              <div className="task-content">
-                <h3 onClick={() => toggleTask(task._id, task.completed)}>
-                  {task.completed ? '✅' : '⭕'} {task.title}
-                </h3>
-                <p>{task.description}</p>
-                <small>Server: {task.serverHostname || 'N/A'} | {task.serverIp || 'N/A'}</small>
-              </div>
-              <button onClick={() => deleteTask(task._id)} className="delete-btn">
-                🗑️
-              </button>
-            </div>
-          ))}
-        </div>
-      </header>
-    </div>
-  );
+.status-filter a.active {
+  background: rgba(255, 255, 255, 0.4);
+  font-weight: bold;
 }
 
-export default App;
-EOF
+.task-detail h2 {
+  cursor: pointer;
+  margin-top: 0;
+}
 
-# FILE: frontend/src/App.css
-cat > frontend/src/App.css << 'EOF'
-.App {
-  min-height: 100vh;
-  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-  padding: 20px;
+.task-fields {
+  display: grid;
+  grid-template-columns: max-content 1fr;
+  gap: 0.4rem 1rem;
+  margin: 1rem 0;
+  text-align: left;
 }
 
-.App-header {
-  max-width: 1200px;
-  margin: 0 auto;
-  color: white;
+.task-fields dt {
+  opacity: 0.7;
 }
 
-h1 {
-  text-align: center;
-  font-size: 3rem;
-  margin-bottom: 2rem;
+.task-fields dd {
+  margin: 0;
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.25rem;
 }
 
-.server-info {
-  background: rgba(255, 255, 255, 0.1);
-  backdrop-filter: blur(10px);
-  border-radius: 15px;
-  padding: 1.5rem;
-  margin-bottom: 2rem;
-  border: 1px solid rgba(255, 255, 255, 0.2);
+.not-found {
+  text-align: center;
 }
 
-.info-grid {
-  display: grid;
-  grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+.load-controls {
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-end;
   gap: 1rem;
-  margin-top: 1rem;
+  margin-bottom: 1rem;
+  font-size: 0.9rem;
 }
 
-.task-form {
+.load-controls label {
   display: flex;
-  gap: 1rem;
-  margin-bottom: 2rem;
-  flex-wrap: wrap;
+  flex-direction: column;
+  gap: 0.25rem;
 }
 
-.task-form input {
-  flex: 1;
-  min-width: 200px;
-  padding: 1rem;
-  border-radius: 10px;
+.load-controls label.checkbox {
+  flex-direction: row;
+  align-items: center;
+}
+
+.load-controls input[type="number"] {
+  width: 6rem;
+}
+
+.load-controls input,
+.load-controls select {
+  padding: 0.5rem;
+  border-radius: 5px;
   border: none;
-  font-size: 1rem;
 }
 
-.task-form button {
-  padding: 1rem 2rem;
-  border-radius: 10px;
+.load-controls button:not(.link-btn) {
+  padding: 0.5rem 1.25rem;
+  border-radius: 5px;
   border: none;
-  background: #4CAF50;
+  background: rgba(255, 255, 255, 0.25);
   color: white;
-  font-size: 1rem;
   cursor: pointer;
-  transition: all 0.3s;
 }
 
-.task-form button:hover {
-  background: #45a049;
-  transform: translateY(-2px);
+.distribution,
+.timeline {
+  display: flex;
+  flex-direction: column;
+  gap: 0.4rem;
+  margin-bottom: 1.5rem;
+  font-size: 0.85rem;
 }
 
-.task-form button:disabled {
-  opacity: 0.5;
-  cursor: not-allowed;
+.distribution-row {
+  display: grid;
+  grid-template-columns: minmax(8rem, 16rem) 1fr 7rem;
+  align-items: center;
+  gap: 0.75rem;
+  text-align: left;
 }
 
-.tasks-container {
-  margin-top: 2rem;
+.distribution-label {
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
 }
 
-.task {
-  background: rgba(255, 255, 255, 0.15);
-  backdrop-filter: blur(10px);
-  border-radius: 10px;
-  padding: 1.5rem;
-  margin-bottom: 1rem;
+.distribution-track {
   display: flex;
-  justify-content: space-between;
-  align-items: center;
-  border: 1px solid rgba(255, 255, 255, 0.2);
-  transition: all 0.3s;
+  height: 1rem;
+  border-radius: 5px;
+  overflow: hidden;
+  background: rgba(255, 255, 255, 0.1);
 }
 
-.task:hover {
-  transform: translateY(-2px);
-  box-shadow: 0 5px 15px rgba(0, 0, 0, 0.3);
+.distribution-bar {
+  height: 100%;
+  transition: width 0.3s;
 }
 
-.task.completed {
-  opacity: 0.7;
+.load-table {
+  width: 100%;
+  border-collapse: collapse;
+  margin-bottom: 1.5rem;
+  font-size: 0.85rem;
+  text-align: left;
 }
 
-.task.completed h3 {
-  text-decoration: line-through;
+.load-table th,
+.load-table td {
+  padding: 0.4rem 0.5rem;
+  border-bottom: 1px solid rgba(255, 255, 255, 0.2);
 }
 
-.task-content {
-  flex: 1;
+.load-errors {
+  color: #ffcdd2;
+  font-weight: bold;
 }
 
-.task h3 {
-  margin: 0 0 0.5rem 0;
-  cursor: pointer;
-  font-size: 1.5rem;
+.swatch {
+  display: inline-block;
+  width: 0.75rem;
+  height: 0.75rem;
+  border-radius: 2px;
+  vertical-align: middle;
 }
 
-.task p {
+.task.file-target {
+  outline: 2px dashed #4caf50;
+  outline-offset: -2px;
+}
+
+.attachments {
   margin: 0.5rem 0;
-  opacity: 0.9;
+  width: 100%;
 }
 
-.task small {
-  opacity: 0.7;
+.attachments.compact {
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 0.4rem;
   font-size: 0.8rem;
 }
 
-.delete-btn {
-  background: #f44336;
-  border: none;
-  padding: 0.5rem 1rem;
+.attachments.compact .attachment-thumbnail {
+  width: 3rem;
+  height: 3rem;
+}
+
+.attachment-thumbnail {
+  display: inline-flex;
+  align-items: center;
+  justify-content: center;
+  flex: none;
+  width: 4rem;
+  height: 4rem;
+  object-fit: cover;
   border-radius: 5px;
-  cursor: pointer;
-  font-size: 1.2rem;
-  transition: all 0.3s;
+  background: rgba(255, 255, 255, 0.1);
 }
 
-.delete-btn:hover {
-  background: #da190b;
-  transform: scale(1.1);
+.attachment-list {
+  list-style: none;
+  padding: 0;
+  margin: 0 0 0.75rem;
+}
+
+.attachment-list li {
+  display: flex;
+  align-items: center;
+  gap: 0.75rem;
+  margin-bottom: 0.5rem;
+  text-align: left;
+}
+
+.attachment-name {
+  flex: 1;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+
+.attachments.compact .attachment-name {
+  flex: none;
+  max-width: 12rem;
+}
+
+.attachment-size {
+  font-size: 0.8rem;
+  opacity: 0.7;
+}
+
+.drop-zone {
+  padding: 1rem;
+  border: 2px dashed rgba(255, 255, 255, 0.3);
+  border-radius: 5px;
+  font-size: 0.9rem;
+}
+
+.drop-zone.active {
+  border-color: #4caf50;
+  background: rgba(76, 175, 80, 0.1);
 }
 EOF
 
@@ -740,7 +13231,7 @@ TARGET_GROUP_ARN=$(aws elbv2 create-target-group \
   --vpc-id $VPC_ID \
   --health-check-enabled \
   --health-check-protocol HTTP \
-  --health-check-path /health \
+  --health-check-path /health/ready \
   --health-check-interval-seconds 30 \
   --health-check-timeout-seconds 5 \
   --healthy-threshold-count 2 \
@@ -749,6 +13240,13 @@ TARGET_GROUP_ARN=$(aws elbv2 create-target-group \
   --query 'TargetGroups[0].TargetGroupArn' \
   --output text)
 
+# Give in-flight requests time to finish when an instance is deregistered
+# (should cover the backend's SHUTDOWN_TIMEOUT_MS)
+aws elbv2 modify-target-group-attributes \
+  --target-group-arn $TARGET_GROUP_ARN \
+  --attributes Key=deregistration_delay.timeout_seconds,Value=30 \
+  --region $AWS_REGION
+
 echo "✅ Target Group Created: $TARGET_GROUP_ARN"
 
 # Step 8: Create Application Load Balancer
@@ -784,6 +13282,72 @@ aws elbv2 create-listener \
 
 echo "✅ Listener Created"
 
+# Step 10: Store secrets and create the instance role that reads them
+# Generated here so they never appear in scripts, user data or aws-config.txt.
+# The backend reads them with SECRETS_PROVIDER=aws and SECRETS_PREFIX.
+echo "🔐 Storing secrets in Secrets Manager..."
+SECRETS_PREFIX="fullstack/"
+aws secretsmanager create-secret \
+  --name "${SECRETS_PREFIX}MONGODB_USERNAME" \
+  --secret-string "admin" \
+  --region $AWS_REGION > /dev/null
+aws secretsmanager create-secret \
+  --name "${SECRETS_PREFIX}MONGODB_PASSWORD" \
+  --secret-string "$(openssl rand -hex 32)" \
+  --region $AWS_REGION > /dev/null
+aws secretsmanager create-secret \
+  --name "${SECRETS_PREFIX}JWT_SECRET" \
+  --secret-string "$(openssl rand -hex 32)" \
+  --region $AWS_REGION > /dev/null
+
+INSTANCE_ROLE_NAME="fullstack-instance-role"
+INSTANCE_PROFILE_NAME="fullstack-instance-profile"
+ACCOUNT_ID=$(aws sts get-caller-identity --query Account --output text)
+
+aws iam create-role \
+  --role-name $INSTANCE_ROLE_NAME \
+  --assume-role-policy-document '{"Version":"2012-10-17","Statement":[{"Effect":"Allow","Principal":{"Service":"ec2.amazonaws.com"},"Action":"sts:AssumeRole"}]}' \
+  > /dev/null
+
+aws iam put-role-policy \
+  --role-name $INSTANCE_ROLE_NAME \
+  --policy-name read-app-secrets \
+  --policy-document "{\"Version\":\"2012-10-17\",\"Statement\":[{\"Effect\":\"Allow\",\"Action\":\"secretsmanager:GetSecretValue\",\"Resource\":\"arn:aws:secretsmanager:${AWS_REGION}:${ACCOUNT_ID}:secret:${SECRETS_PREFIX}*\"}]}"
+
+aws iam create-instance-profile \
+  --instance-profile-name $INSTANCE_PROFILE_NAME > /dev/null
+aws iam add-role-to-instance-profile \
+  --instance-profile-name $INSTANCE_PROFILE_NAME \
+  --role-name $INSTANCE_ROLE_NAME
+
+echo "✅ Secrets Stored and Instance Profile Created: $INSTANCE_PROFILE_NAME"
+
+# Step 11: Create the bucket for task attachments
+# Every backend instance serves every task, so attachment files go to S3
+# rather than instance disks. The backend uses it with ATTACHMENT_STORE=s3
+# and S3_BUCKET; files are only ever served through the API.
+echo "📎 Creating attachments bucket..."
+ATTACHMENTS_BUCKET="fullstack-attachments-${ACCOUNT_ID}"
+if [ "$AWS_REGION" = "us-east-1" ]; then
+  aws s3api create-bucket --bucket $ATTACHMENTS_BUCKET --region $AWS_REGION > /dev/null
+else
+  aws s3api create-bucket \
+    --bucket $ATTACHMENTS_BUCKET \
+    --create-bucket-configuration LocationConstraint=$AWS_REGION \
+    --region $AWS_REGION > /dev/null
+fi
+aws s3api put-public-access-block \
+  --bucket $ATTACHMENTS_BUCKET \
+  --public-access-block-configuration BlockPublicAcls=true,IgnorePublicAcls=true,BlockPublicPolicy=true,RestrictPublicBuckets=true \
+  --region $AWS_REGION
+
+aws iam put-role-policy \
+  --role-name $INSTANCE_ROLE_NAME \
+  --policy-name app-attachments \
+  --policy-document "{\"Version\":\"2012-10-17\",\"Statement\":[{\"Effect\":\"Allow\",\"Action\":[\"s3:GetObject\",\"s3:PutObject\",\"s3:DeleteObject\"],\"Resource\":\"arn:aws:s3:::${ATTACHMENTS_BUCKET}/*\"}]}"
+
+echo "✅ Attachments Bucket Created: $ATTACHMENTS_BUCKET"
+
 # Save configuration
 cat > aws-config.txt << CONFIG
 VPC_ID=$VPC_ID
@@ -800,6 +13364,9 @@ TARGET_GROUP_ARN=$TARGET_GROUP_ARN
 ALB_ARN=$ALB_ARN
 ALB_DNS=$ALB_DNS
 KEY_PAIR_NAME=$KEY_PAIR_NAME
+SECRETS_PREFIX=$SECRETS_PREFIX
+INSTANCE_PROFILE_NAME=$INSTANCE_PROFILE_NAME
+ATTACHMENTS_BUCKET=$ATTACHMENTS_BUCKET
 CONFIG
 
 echo "📝 Configuration saved to aws-config.txt"
@@ -810,6 +13377,7 @@ echo "📊 Summary:"
 echo "  - VPC ID: $VPC_ID"
 echo "  - Load Balancer DNS: $ALB_DNS"
 echo "  - Key Pair: ${KEY_PAIR_NAME}.pem"
+echo "  - Attachments Bucket: $ATTACHMENTS_BUCKET"
 echo ""
 echo "🔜 Next Steps:"
 echo "  1. Launch EC2 instances (run deploy-instances.sh)"
@@ -845,11 +13413,27 @@ yum update -y
 amazon-linux-extras install docker -y
 systemctl start docker
 systemctl enable docker
+
+# Root credentials come from Secrets Manager via the instance role (see
+# aws-setup.sh) and are handed to the container as files, so they never
+# appear in this script, the user data or `docker inspect`
+mkdir -p /etc/mongodb-secrets
+chmod 700 /etc/mongodb-secrets
+for NAME in MONGODB_USERNAME MONGODB_PASSWORD; do
+  aws secretsmanager get-secret-value \
+    --secret-id "fullstack/$NAME" \
+    --region us-east-1 \
+    --query SecretString \
+    --output text > /etc/mongodb-secrets/$NAME
+done
+chmod 600 /etc/mongodb-secrets/*
+
 docker run -d \
   --name mongodb \
   -p 27017:27017 \
-  -e MONGO_INITDB_ROOT_USERNAME=admin \
-  -e MONGO_INITDB_ROOT_PASSWORD=password123 \
+  -e MONGO_INITDB_ROOT_USERNAME_FILE=/run/secrets/MONGODB_USERNAME \
+  -e MONGO_INITDB_ROOT_PASSWORD_FILE=/run/secrets/MONGODB_PASSWORD \
+  -v /etc/mongodb-secrets:/run/secrets:ro \
   -v /data/db:/data/db \
   mongo:latest
 USERDATA
@@ -862,6 +13446,7 @@ DB_INSTANCE_ID=$(aws ec2 run-instances \
   --key-name $KEY_PAIR_NAME \
   --security-group-ids $DB_SG \
   --subnet-id $PRIVATE_SUBNET_1 \
+  --iam-instance-profile Name=$INSTANCE_PROFILE_NAME \
   --user-data file://db-user-data.sh \
   --tag-specifications "ResourceType=instance,Tags=[{Key=Name,Value=mongodb-server}]" \
   --region $AWS_REGION \